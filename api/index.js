@@ -4,6 +4,9 @@ import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
 import { LLMService } from '../src/llm/LLMService.js';
 import { GameEngine } from '../src/engine/GameEngine.js';
+import { InputSystem } from '../src/engine/systems/InputSystem.js';
+import { BehaviorSystem } from '../src/engine/systems/BehaviorSystem.js';
+import { ComponentUpdateSystem } from '../src/engine/systems/ComponentUpdateSystem.js';
 
 const app = express();
 
@@ -32,7 +35,17 @@ const limiter = rateLimit({
 app.use('/api/', limiter);
 
 // Initialize game engine and LLM service
-const gameEngine = new GameEngine();
+const gameEngine = new GameEngine({
+  fixedTimestep: true,
+  tickRate: Number(process.env.TICK_RATE) || 60,
+  seed: process.env.GAME_SEED ?? null
+});
+const inputSystem = new InputSystem();
+const behaviorSystem = new BehaviorSystem();
+gameEngine.addSystem(inputSystem);
+gameEngine.addSystem(behaviorSystem);
+gameEngine.addSystem(new ComponentUpdateSystem());
+gameEngine.initialize();
 const llmService = new LLMService(gameEngine);
 
 // API Routes
@@ -125,16 +138,19 @@ app.post('/api/game/stop', (req, res) => {
 
 app.post('/api/game/input', (req, res) => {
   try {
-    const input = req.body;
-    // Process player input through game engine
-    // This would depend on your game engine's input handling
-    gameEngine.processInput(input);
-    const state = gameEngine.getGameState();
+    const { clientId, ...input } = req.body || {};
+
+    if (!clientId || typeof clientId !== 'string') {
+      return res.status(400).json({ error: 'clientId must be a non-empty string' });
+    }
+
+    // Queue player input for the next frame
+    const accepted = inputSystem.queueInput(`rest:${clientId}`, input);
     
     res.json({
       success: true,
       message: 'Input processed',
-      state: state,
+      accepted: accepted,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -146,6 +162,29 @@ app.post('/api/game/input', (req, res) => {
   }
 });
 
+app.get('/api/game/behaviors', (req, res) => {
+  res.json({
+    success: true,
+    behaviors: behaviorSystem.listBehaviors(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.delete('/api/game/behaviors/:name', (req, res) => {
+  const { tag, entityId } = req.query;
+  const removed = behaviorSystem.removeBehavior(req.params.name, { tag, entityId });
+
+  if (removed === 0) {
+    return res.status(404).json({ error: `Behavior not found: ${req.params.name}` });
+  }
+
+  res.json({
+    success: true,
+    removed: removed,
+    timestamp: new Date().toISOString()
+  });
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error('Unhandled error:', err);
@@ -0,0 +1,178 @@
+import { GameEngine } from '../../engine/GameEngine.js';
+import { StateMachine } from '../../engine/StateMachine.js';
+import { AISystem } from '../../engine/systems/AISystem.js';
+import { MovementSystem } from '../../engine/systems/MovementSystem.js';
+import { TransformComponent } from '../../engine/components/TransformComponent.js';
+import { RenderComponent } from '../../engine/components/RenderComponent.js';
+import { MovementComponent } from '../../engine/components/MovementComponent.js';
+import { AIComponent } from '../../engine/components/AIComponent.js';
+import { LLMService } from '../../llm/LLMService.js';
+import { MockProvider } from '../../llm/providers/MockProvider.js';
+
+describe('AISystem', () => {
+  let gameEngine;
+  let aiSystem;
+
+  /**
+   * Add a moving entity, optionally with AI
+   * @param {string} id - Entity ID
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   * @param {Object} ai - AIComponent options (null for none)
+   * @returns {Entity} - The entity
+   */
+  function addMover(id, x, y, ai = null) {
+    const entity = gameEngine.createEntity(id);
+    entity.addComponent(new TransformComponent(x, y));
+    entity.addComponent(new MovementComponent({ maxSpeed: 500, affectedByFriction: false, affectedByDrag: false }));
+    if (ai) {
+      entity.addComponent(new AIComponent(ai));
+    }
+    return entity;
+  }
+
+  beforeEach(() => {
+    gameEngine = new GameEngine({ fixedTimestep: true });
+    aiSystem = new AISystem();
+    const movementSystem = new MovementSystem();
+    movementSystem.setGravityEnabled(false);
+    gameEngine.addSystem(aiSystem);
+    gameEngine.addSystem(movementSystem);
+    gameEngine.initialize();
+  });
+
+  it('should march a formation sideways and step it down and back at the edges', () => {
+    const formation = addMover('formation', 690, 100, {
+      behavior: 'formation',
+      options: { speed: 50, stepDown: 20, speedIncrease: 10, bounds: { minX: 600, maxX: 720 } }
+    });
+    const enemy = gameEngine.createEntity('enemy');
+    enemy.addComponent(new TransformComponent(0, 0));
+    enemy.addComponent(new RenderComponent({ width: 40, height: 20 }));
+    enemy.setParent(formation);
+
+    gameEngine.step();
+    expect(formation.getComponent('MovementComponent').velocity.x).toBe(50);
+    expect(formation.getComponent('TransformComponent').position.y).toBe(100);
+
+    // The enemy's right edge reaches 720 once the formation passes x = 700
+    gameEngine.step(30);
+    const transform = formation.getComponent('TransformComponent');
+    expect(transform.position.y).toBe(120);
+    expect(transform.position.x).toBeLessThan(700);
+    expect(formation.getComponent('MovementComponent').velocity.x).toBe(-60);
+
+    // The built-in formation prefab marches too
+    expect(gameEngine.spawn('formation').getComponent('AIComponent').getActiveBehavior().behavior).toBe('formation');
+  });
+
+  it('should patrol between waypoints', () => {
+    const guard = addMover('guard', 0, 0, {
+      behavior: 'patrol',
+      options: { waypoints: [{ x: 100, y: 0 }, { x: 100, y: 100 }], speed: 100 }
+    });
+
+    gameEngine.step(90); // 1.5s: past the first waypoint, heading for the second
+    const ai = guard.getComponent('AIComponent');
+    const position = guard.getComponent('TransformComponent').position;
+    expect(ai.memory.waypoint).toBe(1);
+    expect(position.x).toBeGreaterThan(96); // Turned within the arrive distance
+    expect(position.y).toBeGreaterThan(30);
+    expect(guard.getComponent('MovementComponent').velocity.y).toBeGreaterThan(99);
+  });
+
+  it('should seek, flee from and pursue the nearest tagged target', () => {
+    const player = addMover('player', 100, 0);
+    player.addTag('player');
+    player.getComponent('MovementComponent').velocity = { x: 0, y: 100 };
+
+    const seeker = addMover('seeker', 0, 0, { behavior: 'seek', options: { speed: 50 } });
+    const farFleer = addMover('far', 0, 0, { behavior: 'flee', options: { distance: 50 } });
+    const nearFleer = addMover('near', 80, 0, { behavior: 'flee', options: { distance: 50 } });
+    const pursuer = addMover('pursuer', 0, 0, { behavior: 'pursue', options: { speed: 100 } });
+    const slow = addMover('slow', 0, 0, { behavior: 'seek', options: { speed: 100 }, maxAcceleration: 600 });
+
+    aiSystem.process([seeker, farFleer, nearFleer, pursuer, slow], 100);
+
+    const velocity = entity => entity.getComponent('MovementComponent').velocity;
+    expect(velocity(seeker)).toEqual({ x: 50, y: 0 });
+    expect(velocity(farFleer)).toEqual({ x: 0, y: 0 });
+    expect(velocity(nearFleer)).toEqual({ x: -100, y: 0 });
+    // The player is 1s away and moving down, so the pursuer aims at (100, 100)
+    expect(velocity(pursuer).x).toBeCloseTo(velocity(pursuer).y, 5);
+    // 600 px/s² for 100ms
+    expect(velocity(slow).x).toBeCloseTo(60, 5);
+  });
+
+  it('should switch behaviors with state machine transitions', () => {
+    const player = addMover('player', 200, 0);
+    player.addTag('player');
+    const guard = addMover('guard', 0, 0, {
+      initialState: 'idle',
+      states: {
+        idle: { behavior: 'idle', transitions: [{ to: 'chase', when: 'targetWithin', tag: 'player', distance: 50 }] },
+        chase: { behavior: 'seek', options: { speed: 10 }, transitions: [{ to: 'idle', after: 100 }] }
+      }
+    });
+    const events = [];
+    gameEngine.eventBus.on('ai:state', payload => events.push(payload));
+
+    gameEngine.step();
+    expect(guard.getComponent('AIComponent').state).toBe('idle');
+
+    player.getComponent('TransformComponent').setPosition(30, 0);
+    gameEngine.step();
+    expect(guard.getComponent('AIComponent').state).toBe('chase');
+    expect(guard.getComponent('MovementComponent').velocity.x).toBe(10);
+    expect(events).toEqual([{ entityId: 'guard', state: 'chase', previous: 'idle' }]);
+
+    gameEngine.step(7); // Past 100ms in chase
+    expect(events[1]).toEqual({ entityId: 'guard', state: 'idle', previous: 'chase' });
+  });
+
+  it('should validate state machines', () => {
+    const machine = new StateMachine({
+      a: { transitions: [{ to: 'b', when: (transition, context) => context.ready }] },
+      b: {}
+    });
+    expect(machine.update(16, { ready: false })).toBe('a');
+    expect(machine.update(16, { ready: true })).toBe('b');
+
+    expect(() => StateMachine.validate({ a: { transitions: [{ to: 'c' }] } })).toThrow('transition to unknown state c');
+    expect(() => aiSystem.validateConfig({ behavior: 'teleport' })).toThrow('Unknown AI behavior: teleport');
+    expect(() => aiSystem.validateConfig({
+      states: { a: { behavior: 'wander', transitions: [{ to: 'a', when: 'isHungry' }] } }
+    })).toThrow('unknown condition isHungry');
+  });
+
+  it('should be configurable from generated code', async () => {
+    const enemies = ['a', 'b'].map(id => {
+      const enemy = addMover(id, 0, 0);
+      enemy.addTag('enemy');
+      return enemy;
+    });
+    const llmService = new LLMService(gameEngine, {
+      llmProvider: new MockProvider({ includeDefaultRules: false }),
+      maxExecutionTime: 500
+    });
+    llmService.llmProvider.addRule(/patrol/, `game.setAI({ tag: 'enemy' }, {
+  behavior: 'patrol',
+  options: { waypoints: [{ x: 0, y: 0 }, { x: 0, y: 50 }], speed: 40 }
+});`);
+    llmService.llmProvider.addRule(/teleport/, `game.setAI('a', { behavior: 'teleport' });`);
+
+    const result = await llmService.processModificationRequest('Make the enemies patrol');
+    expect(result.executionResult.success).toBe(true);
+    for (const enemy of enemies) {
+      expect(enemy.getComponent('AIComponent').options.speed).toBe(40);
+    }
+
+    gameEngine.step();
+    expect(enemies[0].getComponent('MovementComponent').velocity).toEqual({ x: 0, y: 40 });
+
+    const failed = await llmService.processModificationRequest('Make them teleport');
+    expect(failed.executionResult.success).toBe(false);
+    // The failed request rolls the world back to a snapshot
+    expect(gameEngine.getEntity('a').getComponent('AIComponent').behavior).toBe('patrol');
+  });
+});
@@ -0,0 +1,202 @@
+import { jest } from '@jest/globals';
+import { GameEngine } from '../../engine/GameEngine.js';
+import { BehaviorSystem } from '../../engine/systems/BehaviorSystem.js';
+import { TransformComponent } from '../../engine/components/TransformComponent.js';
+import { LLMService } from '../../llm/LLMService.js';
+import { MockProvider } from '../../llm/providers/MockProvider.js';
+
+describe('BehaviorSystem', () => {
+  let gameEngine;
+  let behaviorSystem;
+
+  const createEnemy = (id, x = 0, y = 0) => {
+    const enemy = gameEngine.createEntity(id);
+    enemy.addComponent(new TransformComponent(x, y));
+    enemy.addTag('enemy');
+    return enemy;
+  };
+
+  const runFrames = (frames) => {
+    for (let i = 0; i < frames; i++) {
+      behaviorSystem.update(1000 / 60);
+    }
+  };
+
+  const moveDown = `function (entity, dt) {
+    entity.getComponent('TransformComponent').position.y += 60 * dt;
+  }`;
+
+  beforeEach(() => {
+    gameEngine = new GameEngine();
+    behaviorSystem = new BehaviorSystem({ callTimeout: 100 });
+    gameEngine.addSystem(behaviorSystem);
+    gameEngine.initialize();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should run tag behaviors on every tagged entity, including later ones', () => {
+    createEnemy('enemy-1');
+    behaviorSystem.addTagBehavior('move-down', 'enemy', moveDown);
+    runFrames(1);
+
+    const late = createEnemy('enemy-2');
+    runFrames(1);
+
+    expect(gameEngine.getEntity('enemy-1').getComponent('TransformComponent').position.y).toBeCloseTo(2);
+    expect(late.getComponent('TransformComponent').position.y).toBeCloseTo(1);
+  });
+
+  it('should attach entity behaviors through a ScriptComponent', () => {
+    const enemy = createEnemy('enemy-1');
+    const info = behaviorSystem.addEntityBehavior('move-down', enemy, moveDown);
+    runFrames(3);
+
+    expect(info.entityId).toBe('enemy-1');
+    expect(enemy.getComponent('ScriptComponent').hasScript('move-down')).toBe(true);
+    expect(enemy.getComponent('TransformComponent').position.y).toBeCloseTo(3);
+  });
+
+  it('should reject scripts that do not compile or are unsafe', () => {
+    expect(() => behaviorSystem.addTagBehavior('broken', 'enemy', 'function (entity) {'))
+      .toThrow();
+    expect(() => behaviorSystem.addTagBehavior('unsafe', 'enemy', 'function () { eval("1"); }'))
+      .toThrow('Dangerous code pattern');
+    expect(() => behaviorSystem.addTagBehavior('bad name!', 'enemy', moveDown))
+      .toThrow('Behavior name');
+  });
+
+  it('should disable scripts that keep throwing and allow re-enabling them', () => {
+    createEnemy('enemy-1');
+    behaviorSystem.addTagBehavior('explode', 'enemy', 'function () { throw new Error("boom"); }');
+    runFrames(behaviorSystem.maxConsecutiveErrors);
+
+    const [behavior] = behaviorSystem.listBehaviors();
+    expect(behavior.enabled).toBe(false);
+    expect(behavior.lastError).toBe('boom');
+    expect(behavior.disabledReason).toContain('boom');
+
+    expect(behaviorSystem.enableBehavior('explode')).toBe(1);
+    expect(behaviorSystem.listBehaviors()[0].enabled).toBe(true);
+  });
+
+  it('should interrupt scripts that run past the call timeout', () => {
+    createEnemy('enemy-1');
+    behaviorSystem.addTagBehavior('spin', 'enemy', 'function () { let i = 0; while (i >= 0) { i++; } }');
+    runFrames(1);
+
+    const [behavior] = behaviorSystem.listBehaviors();
+    expect(behavior.errorCount).toBe(1);
+    expect(behavior.lastError).toMatch(/timed out/);
+  });
+
+  it('should skip remaining scripts once the frame budget is spent', () => {
+    // Every clock read advances 1ms, so the budget runs out after the first script
+    let clock = 0;
+    jest.spyOn(performance, 'now').mockImplementation(() => clock++);
+    behaviorSystem.frameBudget = 0.5;
+    for (let i = 0; i < 3; i++) {
+      createEnemy(`enemy-${i}`);
+      behaviorSystem.addEntityBehavior('move-down', gameEngine.getEntity(`enemy-${i}`), moveDown);
+    }
+
+    runFrames(3);
+
+    // One script per frame, rotating so each entity gets a turn
+    const positions = [0, 1, 2].map(i =>
+      gameEngine.getEntity(`enemy-${i}`).getComponent('TransformComponent').position.y
+    );
+    expect(positions.every(y => y > 0)).toBe(true);
+    expect(behaviorSystem.stats.skippedRuns).toBe(6);
+  });
+
+  it('should list and remove behaviors', () => {
+    const enemy = createEnemy('enemy-1');
+    behaviorSystem.addTagBehavior('move-down', 'enemy', moveDown);
+    behaviorSystem.addEntityBehavior('move-down', enemy, moveDown);
+
+    expect(behaviorSystem.listBehaviors().map(b => b.tag || b.entityId)).toEqual(['enemy', 'enemy-1']);
+    expect(behaviorSystem.removeBehavior('move-down', { entityId: 'enemy-1' })).toBe(1);
+    expect(enemy.hasComponent('ScriptComponent')).toBe(false);
+    expect(behaviorSystem.removeBehavior('move-down')).toBe(1);
+    expect(behaviorSystem.listBehaviors()).toEqual([]);
+  });
+
+  it('should restore behaviors from world snapshots', () => {
+    const enemy = createEnemy('enemy-1');
+    behaviorSystem.addTagBehavior('move-down', 'enemy', moveDown);
+    behaviorSystem.addEntityBehavior('wiggle', enemy, moveDown);
+    const snapshot = gameEngine.createSnapshot();
+
+    behaviorSystem.removeBehavior('move-down');
+    behaviorSystem.removeBehavior('wiggle');
+    gameEngine.restoreSnapshot(snapshot);
+
+    expect(behaviorSystem.listBehaviors().map(b => b.name)).toEqual(['move-down', 'wiggle']);
+    runFrames(1);
+    expect(gameEngine.getEntity('enemy-1').getComponent('TransformComponent').position.y).toBeCloseTo(2);
+  });
+
+  it('should run event handlers for matching events and restore them from snapshots', () => {
+    createEnemy('enemy-1');
+    behaviorSystem.setContext({ game: { getEntity: (id) => gameEngine.getEntity(id) } });
+    behaviorSystem.addEventHandler('on-hit', 'shooter:*', `function (payload, event, game) {
+      game.getEntity(payload.targetId).addTag('hit-by-' + event.topic.split(':')[1]);
+    }`);
+    const snapshot = gameEngine.createSnapshot();
+
+    behaviorSystem.removeBehavior('on-hit', { topic: 'shooter:*' });
+    expect(behaviorSystem.listBehaviors()).toEqual([]);
+    gameEngine.restoreSnapshot(snapshot);
+
+    expect(behaviorSystem.listBehaviors()).toEqual([expect.objectContaining({ name: 'on-hit', topic: 'shooter:*' })]);
+    gameEngine.eventBus.emit('shooter:hit', { targetId: 'enemy-1' });
+    expect(gameEngine.getEntity('enemy-1').hasTag('hit-by-hit')).toBe(true);
+  });
+
+  it('should let generated code register behaviors through the game API', async () => {
+    createEnemy('enemy-1', 0, 0);
+    const llmService = new LLMService(gameEngine, {
+      llmProvider: new MockProvider({ includeDefaultRules: false }),
+      maxExecutionTime: 500
+    });
+    llmService.llmProvider.addRule(/.*/, `game.addBehavior('fall', { tag: 'enemy' }, function (entity, dt, game) {
+  const transform = entity.getComponent('TransformComponent');
+  transform.position.y += 60 * dt;
+  if (transform.position.y > 1) {
+    game.getEntity('enemy-1').addTag('landed');
+  }
+});`);
+
+    await llmService.processModificationRequest('Make enemies fall');
+    runFrames(2);
+
+    expect(gameEngine.getEntity('enemy-1').hasTag('landed')).toBe(true);
+
+    llmService.undoModification();
+    expect(behaviorSystem.listBehaviors()).toEqual([]);
+  });
+
+  it('should let generated code publish and handle events', async () => {
+    createEnemy('enemy-1');
+    const received = [];
+    gameEngine.eventBus.on('custom:*', (payload) => received.push(payload));
+    const llmService = new LLMService(gameEngine, {
+      llmProvider: new MockProvider({ includeDefaultRules: false }),
+      maxExecutionTime: 500
+    });
+    llmService.llmProvider.addRule(/.*/, `game.onEvent('score', 'custom:enemyKilled', function (payload, event, game) {
+  game.emit('custom:scoreChanged', { score: payload.points * 2 });
+});
+game.emit('custom:enemyKilled', { points: 5 });`);
+
+    const result = await llmService.processModificationRequest('Double points per kill');
+
+    expect(result.executionResult.success).toBe(true);
+    // The handler runs (and emits) during delivery of enemyKilled
+    expect(received).toHaveLength(2);
+    expect(received).toEqual(expect.arrayContaining([{ points: 5 }, { score: 10 }]));
+  });
+});
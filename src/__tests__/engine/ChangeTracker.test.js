@@ -0,0 +1,117 @@
+import { GameEngine } from '../../engine/GameEngine.js';
+import { ChangeTracker } from '../../engine/ChangeTracker.js';
+import { TransformComponent } from '../../engine/components/TransformComponent.js';
+import { RenderComponent } from '../../engine/components/RenderComponent.js';
+
+describe('ChangeTracker', () => {
+  let gameEngine;
+  let tracker;
+
+  beforeEach(() => {
+    gameEngine = new GameEngine();
+
+    const player = gameEngine.createEntity('player');
+    player.addComponent(new TransformComponent(10, 20));
+    player.addComponent(new RenderComponent({ color: '#00FF00' }));
+    player.addTag('player');
+    gameEngine.createEntity('doomed');
+
+    tracker = new ChangeTracker(gameEngine);
+  });
+
+  it('should record created and destroyed entities', () => {
+    tracker.start();
+    gameEngine.createEntity('enemy');
+    gameEngine.entityManager.removeEntity('doomed');
+    const diff = tracker.stop();
+
+    expect(diff.entitiesCreated).toEqual(['enemy']);
+    expect(diff.entitiesDestroyed).toEqual(['doomed']);
+  });
+
+  it('should record destroys queued for the end of the frame', () => {
+    tracker.start();
+    gameEngine.destroyEntity('doomed');
+    gameEngine.createEntity('flash');
+    gameEngine.destroyEntity('flash');
+    const diff = tracker.stop();
+
+    expect(diff.entitiesDestroyed).toEqual(['doomed']);
+    expect(diff.entitiesCreated).toEqual([]);
+    expect(gameEngine.getEntity('doomed')).toBeNull();
+  });
+
+  it('should record component and tag changes', () => {
+    tracker.start();
+    const player = gameEngine.getEntity('player');
+    player.removeComponent('RenderComponent');
+    player.addTag('hero');
+    player.removeTag('player');
+    gameEngine.getEntity('doomed').addComponent(new TransformComponent());
+    const diff = tracker.stop();
+
+    expect(diff.componentsRemoved).toEqual([{ entityId: 'player', type: 'RenderComponent' }]);
+    expect(diff.componentsAdded).toEqual([{ entityId: 'doomed', type: 'TransformComponent' }]);
+    expect(diff.tagsAdded).toEqual([{ entityId: 'player', tag: 'hero' }]);
+    expect(diff.tagsRemoved).toEqual([{ entityId: 'player', tag: 'player' }]);
+  });
+
+  it('should record entities attached to and detached from parents', () => {
+    gameEngine.createEntity('shield');
+
+    tracker.start();
+    gameEngine.getEntity('player').addChild(gameEngine.getEntity('shield'));
+    gameEngine.getEntity('doomed').setParent(gameEngine.getEntity('player'));
+    gameEngine.getEntity('doomed').detach();
+    const diff = tracker.stop();
+
+    expect(diff.parentsChanged).toEqual([{ entityId: 'shield', oldParent: null, newParent: 'player' }]);
+    expect(ChangeTracker.describe(diff)).toEqual(['Attached shield to player']);
+  });
+
+  it('should record field changes with old and new values', () => {
+    tracker.start();
+    const player = gameEngine.getEntity('player');
+    player.getComponent('RenderComponent').color = '#FF0000';
+    const diff = tracker.stop();
+
+    expect(diff.fieldsChanged).toEqual([{
+      entityId: 'player',
+      component: 'RenderComponent',
+      field: 'color',
+      oldValue: '#00FF00',
+      newValue: '#FF0000'
+    }]);
+  });
+
+  it('should cancel out changes that were undone during the run', () => {
+    tracker.start();
+    gameEngine.createEntity('temporary').addTag('temp');
+    gameEngine.entityManager.removeEntity('temporary');
+    gameEngine.getEntity('player').addTag('hero').removeTag('hero');
+    const diff = tracker.stop();
+
+    expect(ChangeTracker.isEmpty(diff)).toBe(true);
+  });
+
+  it('should stop recording after stop()', () => {
+    tracker.start();
+    tracker.stop();
+    gameEngine.createEntity('later');
+
+    expect(gameEngine.entityManager.changeTracker).toBeNull();
+    expect(tracker.getDiff().entitiesCreated).toEqual([]);
+  });
+
+  it('should describe a diff as readable lines', () => {
+    tracker.start();
+    gameEngine.createEntity('enemy');
+    gameEngine.getEntity('player').getComponent('RenderComponent').color = '#FF0000';
+    const lines = ChangeTracker.describe(tracker.stop());
+
+    expect(lines).toEqual([
+      'Created entity enemy',
+      'player.RenderComponent.color: "#00FF00" → "#FF0000"'
+    ]);
+  });
+});
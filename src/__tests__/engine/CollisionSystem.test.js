@@ -0,0 +1,162 @@
+import { GameEngine } from '../../engine/GameEngine.js';
+import { GameEvents } from '../../engine/EventBus.js';
+import { CollisionSystem } from '../../engine/systems/CollisionSystem.js';
+import { BehaviorSystem } from '../../engine/systems/BehaviorSystem.js';
+import { MovementSystem } from '../../engine/systems/MovementSystem.js';
+import { ShooterSystem } from '../../engine/systems/ShooterSystem.js';
+import { TransformComponent } from '../../engine/components/TransformComponent.js';
+import { ColliderComponent } from '../../engine/components/ColliderComponent.js';
+import { LLMService } from '../../llm/LLMService.js';
+import { MockProvider } from '../../llm/providers/MockProvider.js';
+
+describe('CollisionSystem', () => {
+  let gameEngine;
+  let events;
+
+  /**
+   * Add an entity with a collider
+   * @param {string} id - Entity ID
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   * @param {Object} options - ColliderComponent options
+   * @returns {Entity} - The entity
+   */
+  function addCollider(id, x, y, options = {}) {
+    const entity = gameEngine.createEntity(id);
+    entity.addComponent(new TransformComponent(x, y));
+    entity.addComponent(new ColliderComponent({ width: 20, height: 20, ...options }));
+    return entity;
+  }
+
+  beforeEach(() => {
+    gameEngine = new GameEngine({ fixedTimestep: true });
+    gameEngine.addSystem(new CollisionSystem());
+    gameEngine.initialize();
+
+    events = [];
+    gameEngine.eventBus.on('collision:*', (payload, event) => {
+      events.push(`${event.topic.split(':')[1]} ${[payload.entityA, payload.entityB].sort().join('+')}`);
+    });
+  });
+
+  describe('testShapes', () => {
+    const box = (size = 20) => new ColliderComponent({ width: size, height: size });
+    const shapeAt = (collider, x, y, rotation = 0) => {
+      const transform = new TransformComponent(x, y, rotation);
+      collider.getSiblingComponent = type => (type === 'TransformComponent' ? transform : null);
+      return collider.getWorldShape();
+    };
+
+    it('should detect box, circle and polygon overlaps with a normal from a to b', () => {
+      const hit = CollisionSystem.testShapes(shapeAt(box(), 0, 0), shapeAt(box(), 15, 0));
+      expect(hit.normal.x).toBe(1);
+      expect(hit.normal.y).toBeCloseTo(0);
+      expect(hit.depth).toBeCloseTo(5);
+      expect(CollisionSystem.testShapes(shapeAt(box(), 0, 0), shapeAt(box(), 25, 0))).toBeNull();
+
+      const circle = radius => new ColliderComponent({ shape: 'circle', radius });
+      expect(CollisionSystem.testShapes(shapeAt(circle(10), 0, 0), shapeAt(circle(10), 0, 15)).depth).toBeCloseTo(5);
+      expect(CollisionSystem.testShapes(shapeAt(circle(5), 0, 0), shapeAt(box(), 14, 14))).toBeNull(); // Only the corner axis separates them
+      expect(CollisionSystem.testShapes(shapeAt(circle(5), 0, 0), shapeAt(box(), 14, 0)).normal.x).toBe(1);
+
+      // A diamond (rotated square) misses a box that its bounds overlap
+      const diamond = new ColliderComponent({ shape: 'polygon', points: [{ x: -10, y: -10 }, { x: 10, y: -10 }, { x: 10, y: 10 }, { x: -10, y: 10 }] });
+      expect(CollisionSystem.testShapes(shapeAt(diamond, 0, 0, Math.PI / 4), shapeAt(box(), 20, 20))).toBeNull();
+      expect(CollisionSystem.testShapes(shapeAt(diamond, 0, 0, Math.PI / 4), shapeAt(box(), 20, 0))).not.toBeNull();
+    });
+  });
+
+  it('should publish enter, stay and exit events', () => {
+    addCollider('a', 0, 0, { isTrigger: true });
+    const b = addCollider('b', 15, 0);
+
+    gameEngine.step();
+    gameEngine.step();
+    b.getComponent('TransformComponent').setPosition(100, 0);
+    gameEngine.step();
+    gameEngine.step();
+
+    expect(events).toEqual(['enter a+b', 'stay a+b', 'exit a+b']);
+    expect(gameEngine.getSystem('CollisionSystem').getContacts('a')).toEqual([]);
+  });
+
+  it('should only pair colliders whose layers and masks match', () => {
+    addCollider('bullet', 0, 0, { layer: 'bullets', mask: ['enemies'], isTrigger: true });
+    addCollider('enemy', 5, 0, { layer: 'enemies', mask: ['bullets'] });
+    addCollider('friend', 0, 5, { layer: 'player' });
+
+    gameEngine.step();
+
+    expect(events).toEqual(['enter bullet+enemy']);
+    expect(gameEngine.getSystem('CollisionSystem').isTouching('enemy', 'bullet')).toBe(true);
+  });
+
+  it('should push solid colliders out of static ones but not triggers', () => {
+    addCollider('wall', 0, 0, { isStatic: true });
+    const box = addCollider('box', 15, 0);
+    const ghost = addCollider('ghost', -15, 0, { isTrigger: true });
+
+    gameEngine.step();
+
+    expect(box.getComponent('TransformComponent').position.x).toBeCloseTo(20);
+    expect(ghost.getComponent('TransformComponent').position.x).toBe(-15);
+    expect(gameEngine.getEntity('wall').getComponent('TransformComponent').position.x).toBe(0);
+  });
+
+  it('should keep contacts across a snapshot restore', () => {
+    addCollider('a', 0, 0);
+    addCollider('b', 10, 0, { isTrigger: true });
+    gameEngine.step();
+    const snapshot = gameEngine.createSnapshot();
+
+    events = [];
+    gameEngine.restoreSnapshot(snapshot);
+    gameEngine.step();
+
+    expect(events).toEqual(['stay a+b']);
+  });
+
+  it('should run collision handlers from generated code', async () => {
+    gameEngine.addSystem(new BehaviorSystem());
+    gameEngine.initialize();
+    const llmService = new LLMService(gameEngine, {
+      llmProvider: new MockProvider({ includeDefaultRules: false }),
+      maxExecutionTime: 500
+    });
+    llmService.llmProvider.addRule(/.*/, `game.onCollision('shrink-barriers', 'bullet', 'barrier', function (bullet, barrier, game) {
+  const render = barrier.getComponent('RenderComponent');
+  render.setSize(render.width * 0.5, render.height);
+  game.destroyEntity(bullet.id);
+});`);
+
+    await llmService.processModificationRequest('When a bullet hits a barrier, shrink the barrier');
+    gameEngine.spawn('barrier', { id: 'barrier', x: 100, y: 100 });
+    gameEngine.spawn('bullet', { id: 'bullet', x: 110, y: 100 });
+    gameEngine.step();
+    gameEngine.step();
+
+    expect(gameEngine.getEntity('barrier').getComponent('RenderComponent').width).toBe(30);
+    expect(gameEngine.getEntity('bullet')).toBeNull();
+  });
+
+  it('should let ShooterSystem hit enemies through their colliders', () => {
+    const movement = new MovementSystem();
+    movement.setGravityEnabled(false);
+    gameEngine.addSystem(movement);
+    gameEngine.addSystem(new ShooterSystem());
+    gameEngine.initialize();
+
+    gameEngine.spawn('player', { id: 'player', x: 500, y: 500 });
+    // Wide enemy: the old distance check (half the longer side) would hit above its top edge
+    gameEngine.spawn('enemy', { id: 'wide', x: 100, y: 100, components: { RenderComponent: { width: 100, height: 10 } } });
+    gameEngine.spawn('enemy', { id: 'target', x: 300, y: 100 });
+
+    const hits = [];
+    gameEngine.eventBus.on(GameEvents.BULLET_HIT, payload => hits.push(payload.targetId));
+    gameEngine.eventBus.emit(GameEvents.SHOT_FIRED, { position: { x: 100, y: 80 }, velocity: { x: 0, y: 0 }, rotation: 0, owner: 'player' });
+    gameEngine.eventBus.emit(GameEvents.SHOT_FIRED, { position: { x: 300, y: 140 }, velocity: { x: 0, y: -400 }, rotation: 0, owner: 'player' });
+    gameEngine.step(20);
+
+    expect(hits).toEqual(['target']);
+  });
+});
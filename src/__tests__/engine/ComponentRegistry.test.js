@@ -0,0 +1,158 @@
+import { GameEngine } from '../../engine/GameEngine.js';
+import { Component } from '../../engine/Component.js';
+import { ComponentRegistry } from '../../engine/ComponentRegistry.js';
+import { TransformComponent } from '../../engine/components/TransformComponent.js';
+import { RenderComponent } from '../../engine/components/RenderComponent.js';
+import { LLMService } from '../../llm/LLMService.js';
+import { MockProvider } from '../../llm/providers/MockProvider.js';
+
+class ManaComponent extends Component {
+  constructor(options = {}) {
+    super();
+    this.mana = options.mana || 100;
+    this._regenTimer = 0;
+  }
+}
+
+describe('ComponentRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new ComponentRegistry();
+  });
+
+  it('should register the built-in components', () => {
+    expect(registry.getTypeNames()).toEqual([
+      'TransformComponent',
+      'RenderComponent',
+      'MovementComponent',
+      'PhysicsComponent',
+      'PlayerControllerComponent',
+      'ShooterControllerComponent',
+      'ScriptComponent',
+      'ColliderComponent',
+      'HealthComponent',
+      'DamageComponent',
+      'AIComponent'
+    ]);
+    expect(registry.getClass('TransformComponent')).toBe(TransformComponent);
+    expect(new ComponentRegistry({ builtIns: false }).getTypeNames()).toEqual([]);
+  });
+
+  it('should construct components by name from arguments, options or JSON', () => {
+    expect(registry.construct('TransformComponent', 5, 6).position).toEqual({ x: 5, y: 6 });
+    expect(registry.create('TransformComponent', { x: 7, y: 8 }).position).toEqual({ x: 7, y: 8 });
+
+    const json = new RenderComponent({ color: '#123456' }).toJSON();
+    const restored = registry.createFromJSON(json);
+    expect(restored).toBeInstanceOf(RenderComponent);
+    expect(restored.color).toBe('#123456');
+
+    expect(() => registry.create('LaserComponent')).toThrow('Unknown component type: LaserComponent');
+  });
+
+  it('should register third-party components and protect built-ins', () => {
+    registry.register(ManaComponent, { description: 'Spell points', properties: ['mana'] });
+
+    expect(registry.create('ManaComponent', { mana: 30 }).mana).toBe(30);
+    expect(registry.describe().find(type => type.name === 'ManaComponent').description).toBe('Spell points');
+    expect(registry.serialize(new ManaComponent())).toEqual({ enabled: true, mana: 100 });
+
+    class TransformComponent extends Component {}
+    expect(() => registry.register(TransformComponent)).toThrow('Cannot replace built-in component');
+    expect(() => registry.register(class {})).toThrow('must extend Component');
+    expect(registry.unregister('RenderComponent')).toBe(false);
+    expect(registry.unregister('ManaComponent')).toBe(true);
+  });
+
+  it('should define data-only components', () => {
+    const ShieldComponent = registry.define('ShieldComponent', { strength: 3, colors: ['#00F'] });
+
+    const shield = registry.create('ShieldComponent', { strength: 5 });
+    expect(shield).toBeInstanceOf(ShieldComponent);
+    expect(shield.strength).toBe(5);
+    expect(shield.colors).toEqual(['#00F']);
+    expect(shield.toJSON().type).toBe('ShieldComponent');
+
+    expect(() => registry.define('shield', {})).toThrow('Component name');
+  });
+
+  it('should rebuild entities from JSON through the entity manager', () => {
+    const gameEngine = new GameEngine({ componentRegistry: registry });
+    registry.register(ManaComponent);
+
+    const source = new GameEngine().createEntity('boss');
+    source.addComponent(new TransformComponent(1, 2));
+    source.addComponent(new ManaComponent({ mana: 40 }));
+    source.addTag('enemy');
+
+    const json = source.toJSON();
+    json.id = 'boss-copy';
+    const entity = gameEngine.entityManager.createEntityFromJSON(json);
+
+    expect(entity.getComponent('TransformComponent').position).toEqual({ x: 1, y: 2 });
+    expect(entity.getComponent('ManaComponent').mana).toBe(40);
+    expect(gameEngine.entityManager.getEntitiesByTag('enemy')).toEqual([entity]);
+
+    json.id = 'ghost';
+    json.components.LaserComponent = { type: 'LaserComponent', data: {} };
+    expect(() => gameEngine.entityManager.createEntityFromJSON(json)).toThrow('Unknown component type');
+    expect(gameEngine.getEntity('ghost')).toBeNull();
+  });
+
+  it('should expose registered components as sandbox constructors', async () => {
+    const gameEngine = new GameEngine({ componentRegistry: registry });
+    const llmService = new LLMService(gameEngine, {
+      llmProvider: new MockProvider({ includeDefaultRules: false }),
+      maxExecutionTime: 500
+    });
+    llmService.llmProvider.addRule(/.*/, `const ship = game.createEntity('ship');
+ship.addComponent(new TransformComponent(10, 20));
+ship.addComponent(new ShooterControllerComponent({ fireRate: 100 }));
+game.defineComponent('FuelComponent', { fuel: 50 });
+ship.addComponent(game.createComponent('FuelComponent', { fuel: 75 }));`);
+
+    const result = await llmService.processModificationRequest('Add a ship');
+
+    expect(result.executionResult.success).toBe(true);
+    const ship = gameEngine.getEntity('ship');
+    expect(ship.getComponent('TransformComponent').position).toEqual({ x: 10, y: 20 });
+    expect(ship.getComponent('ShooterControllerComponent').fireRate).toBe(100);
+    expect(ship.getComponent('FuelComponent').fuel).toBe(75);
+    expect(registry.has('FuelComponent')).toBe(true);
+  });
+
+  it('should keep generated definitions in their engine and undo them', async () => {
+    const gameEngine = new GameEngine();
+    const llmService = new LLMService(gameEngine, {
+      llmProvider: new MockProvider({ includeDefaultRules: false }),
+      maxExecutionTime: 500
+    });
+    llmService.llmProvider.addRule(/.*/, `game.defineComponent('FuelComponent', { fuel: 50 });
+game.createEntity('tank').addComponent(game.createComponent('FuelComponent'));`);
+
+    await llmService.processModificationRequest('Add a fuel tank');
+    expect(gameEngine.componentRegistry.has('FuelComponent')).toBe(true);
+    expect(new GameEngine().componentRegistry.has('FuelComponent')).toBe(false);
+
+    llmService.undoModification();
+    expect(gameEngine.componentRegistry.has('FuelComponent')).toBe(false);
+    expect(gameEngine.getEntity('tank')).toBeNull();
+
+    llmService.redoModification();
+    expect(gameEngine.componentRegistry.has('FuelComponent')).toBe(true);
+    expect(gameEngine.getEntity('tank').getComponent('FuelComponent').fuel).toBe(50);
+  });
+
+  it('should restore saved registrations', () => {
+    registry.register(ManaComponent);
+    const saved = registry.saveRegistrations();
+    registry.define('ShieldComponent', { strength: 3 });
+
+    registry.restoreRegistrations(saved);
+
+    expect(registry.has('ShieldComponent')).toBe(false);
+    expect(registry.has('ManaComponent')).toBe(true);
+    expect(registry.has('TransformComponent')).toBe(true);
+  });
+});
@@ -0,0 +1,130 @@
+import { jest } from '@jest/globals';
+import { GameEngine } from '../../engine/GameEngine.js';
+import { Component } from '../../engine/Component.js';
+import { ComponentUpdateSystem } from '../../engine/systems/ComponentUpdateSystem.js';
+import { MovementSystem } from '../../engine/systems/MovementSystem.js';
+import { TransformComponent } from '../../engine/components/TransformComponent.js';
+import { RenderComponent } from '../../engine/components/RenderComponent.js';
+import { MovementComponent } from '../../engine/components/MovementComponent.js';
+
+const calls = [];
+
+// Records the order components are updated in
+class RecorderComponent extends Component {
+  constructor(label) {
+    super();
+    this.label = label;
+  }
+
+  update() {
+    calls.push(this.label);
+  }
+}
+
+class AnimatedRecorder extends RecorderComponent {
+  static get updatePhase() {
+    return 'animation';
+  }
+}
+
+class InputRecorder extends RecorderComponent {
+  static get updatePhase() {
+    return 'input';
+  }
+}
+
+class PassiveRecorder extends RecorderComponent {
+  static get updatePhase() {
+    return null;
+  }
+}
+
+describe('ComponentUpdateSystem', () => {
+  let gameEngine;
+  let updateSystem;
+
+  beforeEach(() => {
+    calls.length = 0;
+    gameEngine = new GameEngine();
+    updateSystem = new ComponentUpdateSystem();
+    gameEngine.addSystem(updateSystem);
+    gameEngine.initialize();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should update components in phase order', () => {
+    gameEngine.createEntity('a').addComponent(new AnimatedRecorder('animation'));
+    gameEngine.createEntity('b').addComponent(new RecorderComponent('logic'));
+    gameEngine.createEntity('c').addComponent(new InputRecorder('input'));
+
+    updateSystem.update(16);
+
+    expect(calls).toEqual(['input', 'logic', 'animation']);
+  });
+
+  it('should let components opt out per class or per instance', () => {
+    const optedOut = new RecorderComponent('instance');
+    optedOut.autoUpdate = false;
+    const disabled = new InputRecorder('disabled');
+    disabled.disable();
+
+    gameEngine.createEntity('a').addComponent(optedOut);
+    gameEngine.createEntity('b').addComponent(new PassiveRecorder('class'));
+    gameEngine.createEntity('c').addComponent(disabled);
+    gameEngine.createEntity('d').addComponent(new RecorderComponent('included'));
+
+    updateSystem.update(16);
+
+    expect(calls).toEqual(['included']);
+  });
+
+  it('should expire render effects and advance animations', () => {
+    const render = new RenderComponent();
+    render.addAnimation('blink', { frames: [0, 1, 2], frameTime: 10, loop: true });
+    render.playAnimation('blink');
+    render.addEffect({ type: 'flash', duration: 5, startTime: gameEngine.totalTime - 10 });
+    gameEngine.createEntity('a').addComponent(render);
+
+    updateSystem.update(25);
+
+    expect(render.effects).toEqual([]);
+    expect(render.animationFrame).toBeGreaterThan(0);
+  });
+
+  it('should skip component types another system already updates', () => {
+    const entity = gameEngine.createEntity('mover');
+    entity.addComponent(new TransformComponent(0, 0));
+    const movement = new MovementComponent();
+    movement.setVelocity(60, 0);
+    entity.addComponent(movement);
+
+    // Without a MovementSystem the component integrates itself
+    updateSystem.update(1000);
+    expect(entity.getComponent('TransformComponent').position.x).toBeGreaterThan(0);
+
+    const movementSystem = new MovementSystem();
+    gameEngine.addSystem(movementSystem);
+    expect(updateSystem.getHandledComponentTypes().has('MovementComponent')).toBe(true);
+
+    movementSystem.disable();
+    expect(updateSystem.getHandledComponentTypes().has('MovementComponent')).toBe(false);
+  });
+
+  it('should keep updating other components when one throws', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const broken = new RecorderComponent('broken');
+    broken.update = () => { throw new Error('boom'); };
+    gameEngine.createEntity('a').addComponent(broken);
+    gameEngine.createEntity('b').addComponent(new RecorderComponent('ok'));
+
+    updateSystem.update(16);
+    updateSystem.update(16);
+
+    expect(calls).toEqual(['ok', 'ok']);
+    expect(updateSystem.stats.errors).toBe(2);
+    expect(console.warn).toHaveBeenCalledTimes(1);
+  });
+});
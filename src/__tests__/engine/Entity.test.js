@@ -1,5 +1,7 @@
 import { Entity } from '../../engine/Entity.js';
 import { Component } from '../../engine/Component.js';
+import { EntityManager } from '../../engine/EntityManager.js';
+import { TransformComponent } from '../../engine/components/TransformComponent.js';
 
 // Mock component for testing
 class MockComponent extends Component {
@@ -272,6 +274,74 @@ describe('Entity', () => {
     });
   });
 
+  describe('Hierarchy', () => {
+    let entityManager;
+    let ship;
+    let turret;
+
+    beforeEach(() => {
+      entityManager = new EntityManager();
+      ship = entityManager.createEntity('ship').addComponent(new TransformComponent(100, 50));
+      turret = entityManager.createEntity('turret').addComponent(new TransformComponent(10, 0));
+    });
+
+    it('should attach and detach children', () => {
+      ship.addChild(turret);
+
+      expect(turret.getParent()).toBe(ship);
+      expect(ship.getChildren()).toEqual([turret]);
+      expect(turret.getRoot()).toBe(ship);
+      expect(turret.isDescendantOf(ship)).toBe(true);
+      expect(turret.getComponent('TransformComponent').getWorldPosition()).toEqual({ x: 110, y: 50 });
+
+      // Detaching keeps the child where it is in the world
+      turret.detach();
+      expect(turret.getParent()).toBeNull();
+      expect(ship.getChildren()).toEqual([]);
+      expect(turret.getComponent('TransformComponent').position).toEqual({ x: 110, y: 50 });
+    });
+
+    it('should keep the world transform when asked to', () => {
+      turret.setParent(ship, { keepWorldTransform: true });
+
+      expect(turret.getComponent('TransformComponent').position).toEqual({ x: -90, y: -50 });
+      expect(turret.getComponent('TransformComponent').getWorldPosition()).toEqual({ x: 10, y: 0 });
+    });
+
+    it('should refuse cycles', () => {
+      ship.addChild(turret);
+
+      expect(() => turret.addChild(ship)).toThrow('it would create a cycle');
+      expect(() => ship.setParent(ship)).toThrow('it would create a cycle');
+    });
+
+    it('should destroy children with their parent', () => {
+      const barrel = entityManager.createEntity('barrel');
+      ship.addChild(turret);
+      turret.addChild(barrel);
+      expect(ship.getDescendants()).toEqual([turret, barrel]);
+
+      entityManager.destroyEntity('ship');
+      entityManager.processDestroyQueue();
+
+      expect(entityManager.getAllEntities()).toEqual([]);
+      expect(entityManager.getStats().entitiesDestroyed).toBe(3);
+    });
+
+    it('should serialize the tree and rebuild it from JSON', () => {
+      ship.addChild(turret);
+
+      expect(ship.toJSON()).toMatchObject({ parent: null, children: ['turret'] });
+      expect(turret.toJSON()).toMatchObject({ parent: 'ship', children: [] });
+
+      const copy = new EntityManager();
+      copy.createEntityFromJSON(ship.toJSON());
+      const restored = copy.createEntityFromJSON(turret.toJSON());
+      expect(restored.getParent()).toBe(copy.getEntity('ship'));
+      expect(restored.getComponent('TransformComponent').getWorldPosition()).toEqual({ x: 110, y: 50 });
+    });
+  });
+
   describe('Static Methods', () => {
     it('should generate unique IDs', () => {
       const id1 = Entity.generateId();
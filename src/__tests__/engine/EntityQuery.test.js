@@ -0,0 +1,166 @@
+import { jest } from '@jest/globals';
+import { EntityManager } from '../../engine/EntityManager.js';
+import { TransformComponent } from '../../engine/components/TransformComponent.js';
+import { RenderComponent } from '../../engine/components/RenderComponent.js';
+import { MovementComponent } from '../../engine/components/MovementComponent.js';
+import { GameEngine } from '../../engine/GameEngine.js';
+import { System } from '../../engine/System.js';
+import { LLMService } from '../../llm/LLMService.js';
+import { MockProvider } from '../../llm/providers/MockProvider.js';
+
+describe('EntityQuery', () => {
+  let entityManager;
+  let ship;
+  let rock;
+  let ghost;
+
+  beforeEach(() => {
+    entityManager = new EntityManager();
+
+    ship = entityManager.createEntity('ship');
+    ship.addComponent(new TransformComponent(0, 0));
+    ship.addComponent(new MovementComponent());
+    ship.addComponent(new RenderComponent());
+    ship.addTag('player');
+
+    rock = entityManager.createEntity('rock');
+    rock.addComponent(new TransformComponent(50, 0));
+    rock.addComponent(new RenderComponent());
+    rock.addTag('obstacle');
+
+    ghost = entityManager.createEntity('ghost');
+    ghost.addComponent(new TransformComponent(100, 0));
+    ghost.addComponent(new MovementComponent());
+    ghost.addTag('enemy');
+  });
+
+  const ids = entities => entities.map(entity => entity.id).sort();
+
+  it('should combine component, tag and predicate filters', () => {
+    expect(ids(entityManager.query().all('TransformComponent', 'MovementComponent').execute())).toEqual(['ghost', 'ship']);
+    expect(ids(entityManager.query().any('MovementComponent', 'RenderComponent').none('MovementComponent').execute())).toEqual(['rock']);
+    expect(ids(entityManager.query().all('TransformComponent').withoutTags('player').execute())).toEqual(['ghost', 'rock']);
+    expect(ids(entityManager.query().withTags('enemy').execute())).toEqual(['ghost']);
+    expect(ids(entityManager.query({
+      all: ['TransformComponent'],
+      where: entity => entity.getComponent('TransformComponent').position.x >= 50
+    }).execute())).toEqual(['ghost', 'rock']);
+  });
+
+  it('should share one cached view per filter set', () => {
+    const view = entityManager.query().all('MovementComponent', 'TransformComponent').view();
+
+    expect(entityManager.query({ all: ['TransformComponent', 'MovementComponent'] }).view()).toBe(view);
+    expect(entityManager.query().all('TransformComponent').view()).not.toBe(view);
+  });
+
+  it('should update live views incrementally and call hooks', () => {
+    const view = entityManager.query().all('TransformComponent').none('MovementComponent').view();
+    const added = [];
+    const removed = [];
+    view.onAdded(entity => added.push(entity.id));
+    const unsubscribe = view.onRemoved(entity => removed.push(entity.id));
+
+    expect(ids(view.getEntities())).toEqual(['rock']);
+
+    ghost.removeComponent('MovementComponent');
+    rock.addComponent(new MovementComponent());
+    entityManager.createEntity('wall').addComponent(new TransformComponent(0, 0));
+
+    expect(ids(view.getEntities())).toEqual(['ghost', 'wall']);
+    expect(added).toEqual(['ghost', 'wall']);
+    expect(removed).toEqual(['rock']);
+
+    unsubscribe();
+    entityManager.removeEntity('ghost');
+    expect(ids(view.getEntities())).toEqual(['wall']);
+    expect(removed).toEqual(['rock']);
+  });
+
+  it('should follow tag changes and leave inactive entities out', () => {
+    const view = entityManager.query().withTags('enemy').view();
+
+    rock.addTag('enemy');
+    ship.deactivate();
+    ship.addTag('enemy');
+    expect(ids(view.getEntities())).toEqual(['ghost', 'rock']);
+    expect(view.size).toBe(3);
+
+    ghost.removeTag('enemy');
+    entityManager.clear();
+    expect(view.size).toBe(0);
+  });
+
+  it('should evict unwatched views left behind by one-off queries', () => {
+    const gameEngine = new GameEngine({ fixedTimestep: true });
+    const movement = new System('MovementSystem');
+    movement.setRequiredComponents(['TransformComponent', 'MovementComponent']);
+    gameEngine.addSystem(movement);
+    gameEngine.initialize();
+    const views = gameEngine.entityManager.queryViews;
+    const watched = gameEngine.query().withTags('enemy').view();
+    watched.onAdded(() => {});
+    gameEngine.step();
+    const systemView = views.get(gameEngine.query({ all: movement.requiredComponents }).getKey());
+
+    for (let i = 0; i < 200; i++) {
+      gameEngine.query({ withTags: [`wave-${i}`] }).execute();
+      if (i % 10 === 0) {
+        gameEngine.step();
+      }
+    }
+
+    expect(views.size).toBeLessThanOrEqual(gameEngine.entityManager.maxQueryViews);
+    expect(views.get(watched.key)).toBe(watched);
+    expect(views.get(systemView.key)).toBe(systemView); // Used every frame, so never the least recent
+  });
+
+  it('should only re-check views that filter on the changed component or tag', () => {
+    const tagged = entityManager.query().withTags('enemy').view();
+    const moving = entityManager.query().all('MovementComponent').view();
+    const refresh = jest.spyOn(moving, 'refresh');
+
+    rock.addTag('enemy');
+    expect(refresh).not.toHaveBeenCalled();
+    expect(tagged.has(rock)).toBe(true);
+
+    rock.addComponent(new MovementComponent());
+    expect(refresh).toHaveBeenCalledTimes(1);
+    expect(moving.has(rock)).toBe(true);
+  });
+
+  it('should keep System.getRelevantEntities in sync', () => {
+    const movement = new System('MovementSystem');
+    movement.setRequiredComponents(['TransformComponent', 'MovementComponent']);
+    movement.initialize(entityManager);
+    const entity = entityManager.createEntity('mover');
+    entity.addComponent(new TransformComponent(0, 0));
+    entity.addComponent(new MovementComponent());
+
+    expect(movement.getRelevantEntities()).toContain(entity);
+
+    entity.removeComponent('MovementComponent');
+    expect(movement.getRelevantEntities()).not.toContain(entity);
+  });
+
+  it('should run queries from the sandbox', async () => {
+    const gameEngine = new GameEngine();
+    for (const [id, x] of [['a', 10], ['b', 200]]) {
+      const entity = gameEngine.createEntity(id);
+      entity.addComponent(new TransformComponent(x, 0));
+      entity.addTag('enemy');
+    }
+    const llmService = new LLMService(gameEngine, {
+      llmProvider: new MockProvider({ includeDefaultRules: false }),
+      maxExecutionTime: 500
+    });
+    llmService.llmProvider.addRule(/.*/, `game.query({ withTags: ['enemy'], where: e => e.getComponent('TransformComponent').position.x > 100 })
+  .forEach(e => e.addTag('far'));`);
+
+    const result = await llmService.processModificationRequest('Tag far enemies');
+
+    expect(result.executionResult.success).toBe(true);
+    expect(gameEngine.getEntity('b').hasTag('far')).toBe(true);
+    expect(gameEngine.getEntity('a').hasTag('far')).toBe(false);
+  });
+});
@@ -0,0 +1,117 @@
+import { jest } from '@jest/globals';
+import { EventBus, GameEvents } from '../../engine/EventBus.js';
+import { GameEngine } from '../../engine/GameEngine.js';
+import { ShooterSystem } from '../../engine/systems/ShooterSystem.js';
+import { TransformComponent } from '../../engine/components/TransformComponent.js';
+import { ShooterControllerComponent } from '../../engine/components/ShooterControllerComponent.js';
+
+describe('EventBus', () => {
+  let eventBus;
+
+  beforeEach(() => {
+    eventBus = new EventBus();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should deliver events to subscribers and stop after unsubscribing', () => {
+    const listener = jest.fn();
+    const unsubscribe = eventBus.on('custom:score', listener);
+
+    expect(eventBus.emit('custom:score', { score: 1 })).toBe(1);
+    unsubscribe();
+    expect(eventBus.emit('custom:score', { score: 2 })).toBe(0);
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith({ score: 1 }, expect.objectContaining({ topic: 'custom:score', deferred: false }));
+    expect(eventBus.getListenerCount()).toBe(0);
+  });
+
+  it('should support once-listeners and off', () => {
+    const once = jest.fn();
+    const regular = jest.fn();
+    eventBus.once('custom:ping', once);
+    eventBus.on('custom:ping', regular);
+
+    eventBus.emit('custom:ping');
+    eventBus.emit('custom:ping');
+    expect(eventBus.off('custom:ping', regular)).toBe(true);
+    expect(eventBus.off('custom:ping', regular)).toBe(false);
+
+    expect(once).toHaveBeenCalledTimes(1);
+    expect(regular).toHaveBeenCalledTimes(2);
+  });
+
+  it('should match wildcard patterns', () => {
+    expect(EventBus.matches('shooter:*', 'shooter:hit')).toBe(true);
+    expect(EventBus.matches('shooter:*', 'shooter:hit:critical')).toBe(false);
+    expect(EventBus.matches('shooter:**', 'shooter:hit:critical')).toBe(true);
+    expect(EventBus.matches('shooter:**', 'shooter')).toBe(false);
+    expect(EventBus.matches('*:hit', 'shooter:hit')).toBe(true);
+    expect(EventBus.matches('**', 'engine:started')).toBe(true);
+
+    expect(() => eventBus.on('shooter:*hit', () => {})).toThrow('Invalid event pattern');
+    expect(() => eventBus.emit('shooter:*')).toThrow('Invalid event topic');
+  });
+
+  it('should queue deferred events until flush', () => {
+    const listener = jest.fn();
+    eventBus.on('custom:*', listener);
+
+    eventBus.emit('custom:a', { n: 1 }, { deferred: true });
+    eventBus.emit('custom:b', { n: 2 }, { deferred: true });
+    expect(listener).not.toHaveBeenCalled();
+
+    expect(eventBus.flush()).toBe(2);
+    expect(listener.mock.calls.map(([payload, event]) => [event.topic, payload.n, event.deferred])).toEqual([
+      ['custom:a', 1, true],
+      ['custom:b', 2, true]
+    ]);
+    expect(eventBus.getStats()).toMatchObject({ emitted: 2, deferred: 2, queued: 0 });
+  });
+
+  it('should isolate failing listeners and stop runaway recursion', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const after = jest.fn();
+    eventBus.on('custom:boom', () => { throw new Error('boom'); });
+    eventBus.on('custom:boom', after);
+    eventBus.on('custom:echo', () => eventBus.emit('custom:echo'));
+
+    eventBus.emit('custom:boom');
+    eventBus.emit('custom:echo');
+
+    expect(after).toHaveBeenCalledTimes(1);
+    expect(eventBus.stats.listenerErrors).toBe(1);
+    expect(eventBus.stats.dropped).toBe(1);
+  });
+
+  it('should create bullets in Node when a shooter fires', () => {
+    const gameEngine = new GameEngine();
+    gameEngine.addSystem(new ShooterSystem());
+    gameEngine.initialize();
+
+    const hits = jest.fn();
+    gameEngine.eventBus.on(GameEvents.BULLET_CREATED, hits);
+
+    const player = gameEngine.createEntity('player');
+    player.addComponent(new TransformComponent(100, 500));
+    player.addComponent(new ShooterControllerComponent({ bulletOffset: { x: 0, y: -10 } }));
+
+    expect(player.getComponent('ShooterControllerComponent').tryShoot()).toBe(true);
+    expect(gameEngine.entityManager.getEntitiesByTag('bullet')).toHaveLength(0);
+
+    // Shots are delivered at the end of the frame
+    gameEngine.eventBus.flush();
+
+    const [bullet] = gameEngine.entityManager.getEntitiesByTag('bullet');
+    expect(bullet.getComponent('TransformComponent').position).toEqual({ x: 100, y: 490 });
+    expect(hits).toHaveBeenCalledWith({ bulletId: bullet.id, owner: 'player', team: 'player' }, expect.anything());
+
+    // Removing the system unsubscribes it
+    gameEngine.removeSystem('ShooterSystem');
+    expect(gameEngine.eventBus.getListenerCount(GameEvents.SHOT_FIRED)).toBe(0);
+  });
+});
@@ -0,0 +1,214 @@
+import { jest } from '@jest/globals';
+import { GameEngine } from '../../engine/GameEngine.js';
+import { System } from '../../engine/System.js';
+
+// Records the delta time of every update
+class RecorderSystem extends System {
+  constructor() {
+    super('RecorderSystem');
+    this.deltas = [];
+  }
+
+  getRelevantEntities() {
+    return [];
+  }
+
+  update(deltaTime) {
+    this.deltas.push(deltaTime);
+  }
+}
+
+describe('GameEngine timing', () => {
+  let recorder;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    recorder = new RecorderSystem();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should run a fixed number of steps per real second regardless of frame rate', () => {
+    const smooth = new GameEngine({ fixedTimestep: true, tickRate: 50 });
+    const choppy = new GameEngine({ fixedTimestep: true, tickRate: 50 });
+    const smoothRecorder = new RecorderSystem();
+    smooth.addSystem(smoothRecorder);
+    choppy.addSystem(recorder);
+
+    for (let i = 0; i < 100; i++) smooth.advance(10);
+    for (let i = 0; i < 25; i++) choppy.advance(40);
+
+    expect(smooth.tickCount).toBe(50);
+    expect(choppy.tickCount).toBe(50);
+    expect(smoothRecorder.deltas.every(delta => delta === 20)).toBe(true);
+    expect(recorder.deltas.every(delta => delta === 20)).toBe(true);
+    expect(smooth.totalTime).toBe(1000);
+  });
+
+  it('should carry leftover time over as the interpolation alpha', () => {
+    const gameEngine = new GameEngine({ fixedTimestep: true, tickRate: 50 });
+    gameEngine.addSystem(recorder);
+
+    expect(gameEngine.advance(15)).toBe(0);
+    expect(gameEngine.getInterpolationAlpha()).toBe(0.75);
+
+    expect(gameEngine.advance(10)).toBe(1);
+    expect(gameEngine.getInterpolationAlpha()).toBe(0.25);
+  });
+
+  it('should limit catch-up steps and drop the backlog', () => {
+    const gameEngine = new GameEngine({ fixedTimestep: true, tickRate: 50, maxStepsPerFrame: 3 });
+    gameEngine.addSystem(recorder);
+
+    expect(gameEngine.advance(1010)).toBe(3);
+    expect(gameEngine.droppedTime).toBe(940);
+    expect(gameEngine.accumulator).toBe(10);
+    expect(gameEngine.getPerformanceStats().engineStats).toMatchObject({ tickCount: 3, droppedTime: 940 });
+  });
+
+  it('should flush deferred events and destroyed entities after each step', () => {
+    const gameEngine = new GameEngine({ fixedTimestep: true, tickRate: 50 });
+    const received = [];
+    gameEngine.eventBus.on('custom:ping', payload => received.push(payload.tick));
+    gameEngine.onBeforeUpdate = () => gameEngine.eventBus.emit('custom:ping', { tick: gameEngine.tickCount }, { deferred: true });
+    gameEngine.createEntity('doomed');
+    gameEngine.destroyEntity('doomed');
+
+    gameEngine.advance(40);
+
+    expect(received).toEqual([1, 2]);
+    expect(gameEngine.getEntity('doomed')).toBeNull();
+  });
+
+  it('should keep variable steps capped by maxDeltaTime without a fixed timestep', () => {
+    const gameEngine = new GameEngine({ maxDeltaTime: 50 });
+    gameEngine.addSystem(recorder);
+    gameEngine.start();
+
+    gameEngine.gameLoop(gameEngine.lastFrameTime + 30);
+    gameEngine.gameLoop(gameEngine.lastFrameTime + 200);
+    gameEngine.stop();
+
+    expect(recorder.deltas).toEqual([30, 50]);
+    expect(gameEngine.getInterpolationAlpha()).toBe(1);
+    expect(() => gameEngine.setTickRate(0)).toThrow('Tick rate must be a positive number');
+  });
+
+  it('should keep ticking when started under Node', async () => {
+    const gameEngine = new GameEngine({ fixedTimestep: true, tickRate: 60 });
+    gameEngine.addSystem(recorder);
+    gameEngine.start();
+
+    await new Promise(resolve => setTimeout(resolve, 200));
+    gameEngine.stop();
+
+    expect(gameEngine.tickCount).toBeGreaterThan(0);
+    expect(Number.isFinite(gameEngine.accumulator)).toBe(true);
+    expect(recorder.deltas.every(delta => delta === 1000 / 60)).toBe(true);
+  });
+});
+
+describe('GameEngine time controls', () => {
+  let recorder;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    recorder = new RecorderSystem();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should scale simulated time in fixed timestep mode', () => {
+    const gameEngine = new GameEngine({ fixedTimestep: true, tickRate: 50 });
+    gameEngine.addSystem(recorder);
+    gameEngine.start();
+
+    gameEngine.setTimeScale(0.5);
+    for (let i = 0; i < 4; i++) gameEngine.gameLoop(gameEngine.lastFrameTime + 20);
+    expect(gameEngine.tickCount).toBe(2);
+
+    gameEngine.setTimeScale(2);
+    for (let i = 0; i < 4; i++) gameEngine.gameLoop(gameEngine.lastFrameTime + 20);
+    gameEngine.stop();
+
+    expect(gameEngine.tickCount).toBe(10);
+    expect(recorder.deltas.every(delta => delta === 20)).toBe(true);
+    expect(gameEngine.getPerformanceStats().engineStats.timeScale).toBe(2);
+  });
+
+  it('should split fast-forwarded variable steps by maxDeltaTime', () => {
+    const gameEngine = new GameEngine({ maxDeltaTime: 50, timeScale: 4 });
+    gameEngine.addSystem(recorder);
+    gameEngine.start();
+
+    gameEngine.gameLoop(gameEngine.lastFrameTime + 30);
+    gameEngine.setTimeScale(0);
+    gameEngine.gameLoop(gameEngine.lastFrameTime + 30);
+    gameEngine.stop();
+
+    expect(recorder.deltas).toEqual([40, 40, 40]);
+    expect(gameEngine.totalTime).toBe(120);
+  });
+
+  it('should restore the previous time scale after a timed change', () => {
+    const gameEngine = new GameEngine({ fixedTimestep: true, tickRate: 50 });
+    const changes = [];
+    gameEngine.eventBus.on('engine:timeScale', payload => changes.push(payload.timeScale));
+    gameEngine.start();
+
+    gameEngine.setTimeScale(2);
+    gameEngine.setTimeScale(0.25, { duration: 100 });
+    gameEngine.setTimeScale(0.5, { duration: 60 });
+    gameEngine.gameLoop(gameEngine.lastFrameTime + 40);
+    expect(gameEngine.timeScale).toBe(0.5);
+
+    gameEngine.gameLoop(gameEngine.lastFrameTime + 40);
+    gameEngine.stop();
+
+    expect(gameEngine.timeScale).toBe(2);
+    expect(gameEngine.timeScaleTimer).toBeNull();
+    expect(changes).toEqual([2, 0.25, 0.5, 2]);
+    expect(() => gameEngine.setTimeScale(-1)).toThrow('Time scale must be a number between 0 and 4');
+    expect(() => gameEngine.setTimeScale(1, { duration: 0 })).toThrow('positive number of milliseconds');
+  });
+
+  it('should restore a timed time scale while the loop is running', async () => {
+    const gameEngine = new GameEngine({ maxDeltaTime: 50 });
+    gameEngine.addSystem(recorder);
+    gameEngine.start();
+
+    gameEngine.setTimeScale(0.5, { duration: 50 });
+    await new Promise(resolve => setTimeout(resolve, 250));
+    gameEngine.stop();
+
+    expect(gameEngine.timeScale).toBe(1);
+    expect(gameEngine.timeScaleTimer).toBeNull();
+    expect(gameEngine.tickCount).toBeGreaterThan(0);
+    expect(recorder.deltas.every(delta => Number.isFinite(delta) && delta > 0)).toBe(true);
+  });
+
+  it('should step whole frames and pause a running engine', () => {
+    const gameEngine = new GameEngine({ fixedTimestep: true, tickRate: 50, timeScale: 0.5 });
+    gameEngine.addSystem(recorder);
+
+    expect(gameEngine.step()).toBe(1);
+    expect(gameEngine.step(3)).toBe(3);
+    expect(recorder.deltas).toEqual([20, 20, 20, 20]);
+
+    gameEngine.start();
+    gameEngine.advance(10);
+    gameEngine.step();
+    expect(gameEngine.paused).toBe(true);
+    expect(gameEngine.getInterpolationAlpha()).toBe(1);
+
+    gameEngine.gameLoop(gameEngine.lastFrameTime + 100);
+    gameEngine.stop();
+
+    expect(gameEngine.tickCount).toBe(5);
+    expect(() => gameEngine.step(0)).toThrow('Step count must be a positive integer');
+  });
+});
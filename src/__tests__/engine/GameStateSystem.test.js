@@ -0,0 +1,136 @@
+import { GameEngine } from '../../engine/GameEngine.js';
+import { GameStateSystem } from '../../engine/systems/GameStateSystem.js';
+import { HealthSystem } from '../../engine/systems/HealthSystem.js';
+import { TransformComponent } from '../../engine/components/TransformComponent.js';
+import { HealthComponent } from '../../engine/components/HealthComponent.js';
+import { LLMService } from '../../llm/LLMService.js';
+import { MockProvider } from '../../llm/providers/MockProvider.js';
+
+describe('GameStateSystem', () => {
+  let gameEngine;
+  let gameState;
+  let healthSystem;
+  let events;
+
+  /**
+   * Add a tagged entity with health
+   * @param {string} id - Entity ID
+   * @param {string[]} tags - Tags
+   * @param {Object} options - HealthComponent options
+   * @returns {Entity} - The entity
+   */
+  function addEntity(id, tags, options = {}) {
+    const entity = gameEngine.createEntity(id);
+    entity.addComponent(new TransformComponent(0, 0));
+    entity.addComponent(new HealthComponent({ maxHealth: 10, ...options }));
+    tags.forEach(tag => entity.addTag(tag));
+    return entity;
+  }
+
+  beforeEach(() => {
+    gameEngine = new GameEngine({ fixedTimestep: true });
+    healthSystem = new HealthSystem();
+    gameState = new GameStateSystem({ lives: 2 });
+    gameEngine.addSystem(healthSystem);
+    gameEngine.addSystem(gameState);
+    gameEngine.initialize();
+
+    events = [];
+    gameEngine.eventBus.on('game:*', (payload, event) => events.push({ topic: event.topic, ...payload }));
+  });
+
+  it('should only allow valid state transitions and pause the engine while paused', () => {
+    expect(gameState.setState('paused', 'key P')).toBe(true);
+    expect(gameEngine.paused).toBe(true);
+    expect(() => gameState.setState('victory')).toThrow('Cannot change game state from paused to victory');
+    expect(() => gameState.setState('loading')).toThrow('Unknown game state');
+
+    gameState.setState('playing');
+    expect(gameEngine.paused).toBe(false);
+    expect(events).toEqual([
+      { topic: 'game:state', state: 'paused', previous: 'playing', reason: 'key P' },
+      { topic: 'game:state', state: 'playing', previous: 'paused', reason: null }
+    ]);
+  });
+
+  it('should score kills and end the game when the player runs out of lives', () => {
+    addEntity('player', ['player'], { onDeath: ['respawn'] });
+    addEntity('grunt', ['enemy']);
+    addEntity('boss', ['enemy', 'boss']);
+    addEntity('spare', ['enemy']);
+
+    healthSystem.damage('grunt', 10);
+    healthSystem.damage('player', 5);
+    healthSystem.kill('boss');
+    expect(gameState.getState()).toMatchObject({ score: 110, lives: 2, stats: { enemiesDestroyed: 2, playerHits: 1 } });
+
+    healthSystem.kill('player');
+    gameEngine.step();
+    expect(gameState.lives).toBe(1);
+    healthSystem.kill('player');
+
+    expect(gameState.getState()).toMatchObject({ state: 'gameOver', lives: 0, highScore: 110 });
+    expect(events.map(event => event.topic)).toEqual(['game:score', 'game:score', 'game:lives', 'game:lives', 'game:state']);
+
+    // Nothing counts after the game is over
+    healthSystem.kill('spare');
+    expect(gameState.score).toBe(110);
+  });
+
+  it('should win once every enemy is killed and resume on the next level', () => {
+    addEntity('a', ['enemy']);
+    addEntity('b', ['enemy']);
+    gameEngine.step();
+    expect(gameState.state).toBe('playing'); // No kills yet
+
+    healthSystem.kill('a');
+    gameEngine.step();
+    expect(gameState.state).toBe('playing');
+
+    healthSystem.kill('b');
+    gameEngine.step();
+    expect(gameState.state).toBe('victory');
+
+    expect(gameState.nextLevel()).toBe(2);
+    expect(gameState.state).toBe('playing');
+    gameEngine.step();
+    expect(gameState.state).toBe('playing'); // The new level needs kills of its own
+  });
+
+  it('should count timers down in simulation time and keep state across snapshots', () => {
+    gameState.startTimer('wave', 100, { repeat: true });
+    gameState.startTimer('bonus', 1000);
+    gameState.setValue('combo', { count: 3 });
+
+    gameEngine.step(13); // ~217ms
+    expect(events.filter(event => event.topic === 'game:timer').map(event => event.name)).toEqual(['wave', 'wave']);
+    expect(gameState.getState().timers.bonus).toBeCloseTo(783, 0);
+
+    gameState.addScore(50);
+    const snapshot = gameEngine.createSnapshot();
+    gameState.reset();
+    expect(gameState.getState()).toMatchObject({ score: 0, lives: 2, timers: {}, values: {}, highScore: 50 });
+
+    gameEngine.restoreSnapshot(snapshot);
+    expect(gameState.getState()).toMatchObject({ score: 50, values: { combo: { count: 3 } } });
+    expect(Object.keys(gameState.getState().timers)).toEqual(['wave', 'bonus']);
+  });
+
+  it('should be readable and writable from generated code', async () => {
+    const llmService = new LLMService(gameEngine, {
+      llmProvider: new MockProvider({ includeDefaultRules: false }),
+      maxExecutionTime: 500
+    });
+    llmService.llmProvider.addRule(/.*/, `game.setLives(game.getGameState().lives + 1);
+game.addScore(25, 'bonus');
+game.setGameValue('wave', 4);
+game.startTimer('spawn', 2000, { repeat: true });`);
+
+    const result = await llmService.processModificationRequest('Give the player an extra life and 25 points');
+
+    expect(result.executionResult.success).toBe(true);
+    expect(gameState.getState()).toMatchObject({ lives: 3, score: 25, values: { wave: 4 }, timers: { spawn: 2000 } });
+    expect(events.find(event => event.topic === 'game:score')).toMatchObject({ delta: 25, reason: 'bonus' });
+    expect(llmService.contextBuilder.buildContext('test').gameplay.score).toBe(25);
+  });
+});
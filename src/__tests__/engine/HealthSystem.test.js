@@ -0,0 +1,191 @@
+import { GameEngine } from '../../engine/GameEngine.js';
+import { GameEvents } from '../../engine/EventBus.js';
+import { HealthSystem } from '../../engine/systems/HealthSystem.js';
+import { CollisionSystem } from '../../engine/systems/CollisionSystem.js';
+import { MovementSystem } from '../../engine/systems/MovementSystem.js';
+import { ShooterSystem } from '../../engine/systems/ShooterSystem.js';
+import { BehaviorSystem } from '../../engine/systems/BehaviorSystem.js';
+import { TransformComponent } from '../../engine/components/TransformComponent.js';
+import { HealthComponent } from '../../engine/components/HealthComponent.js';
+import { LLMService } from '../../llm/LLMService.js';
+import { MockProvider } from '../../llm/providers/MockProvider.js';
+
+describe('HealthSystem', () => {
+  let gameEngine;
+  let healthSystem;
+  let events;
+
+  /**
+   * Add an entity with health
+   * @param {string} id - Entity ID
+   * @param {Object} options - HealthComponent options
+   * @returns {Entity} - The entity
+   */
+  function addTarget(id, options = {}) {
+    const entity = gameEngine.createEntity(id);
+    entity.addComponent(new TransformComponent(50, 60));
+    entity.addComponent(new HealthComponent(options));
+    return entity;
+  }
+
+  beforeEach(() => {
+    gameEngine = new GameEngine({ fixedTimestep: true });
+    healthSystem = new HealthSystem();
+    gameEngine.addSystem(healthSystem);
+    gameEngine.initialize();
+
+    events = [];
+    gameEngine.eventBus.on('health:*', (payload, event) => events.push({ topic: event.topic, ...payload }));
+  });
+
+  it('should apply armor and invulnerability and regenerate after a delay', () => {
+    const target = addTarget('target', { maxHealth: 50, armor: 2, invulnerabilityTime: 100, regeneration: 10, regenerationDelay: 500 });
+    const health = target.getComponent('HealthComponent');
+
+    expect(healthSystem.damage(target, 10, { source: 'player', type: 'bullet' })).toBe(8);
+    expect(healthSystem.damage('target', 10)).toBe(0); // Invulnerable
+    expect(events).toEqual([{ topic: 'health:damaged', entityId: 'target', amount: 8, health: 42, maxHealth: 50, sourceId: 'player', type: 'bullet' }]);
+
+    gameEngine.step(10); // ~167ms: invulnerability over, still waiting to regenerate
+    expect(healthSystem.damage(target, 1)).toBe(0); // Armor absorbs it all
+    expect(health.health).toBe(42);
+
+    gameEngine.step(60); // One second later: regenerating at 10 per second
+    expect(health.health).toBeGreaterThan(42);
+    expect(health.health).toBeLessThan(50);
+  });
+
+  it('should publish health:died and run death handlers in order', () => {
+    gameEngine.prefabRegistry.register({ name: 'coin', tags: ['loot'], components: { TransformComponent: {} } });
+    const target = addTarget('target', { maxHealth: 10, loot: [{ prefab: 'coin' }, { prefab: 'coin', chance: 0 }], onDeath: ['drop', 'mark', 'destroy'] });
+    healthSystem.registerDeathHandler('mark', entity => entity.addTag('marked'));
+
+    let seenAlive = false;
+    gameEngine.eventBus.on(GameEvents.ENTITY_DIED, ({ entityId }) => {
+      seenAlive = gameEngine.getEntity(entityId) !== null;
+    });
+
+    expect(healthSystem.damage(target, 25, { source: 'player' })).toBe(10);
+    expect(seenAlive).toBe(true);
+    expect(target.hasTag('marked')).toBe(true);
+    expect(events.map(event => event.topic)).toEqual(['health:damaged', 'health:died']);
+    expect(events[1]).toMatchObject({ entityId: 'target', position: { x: 50, y: 60 }, sourceId: 'player' });
+    expect(healthSystem.damage(target, 5)).toBe(0); // Already dead
+
+    gameEngine.step();
+    expect(gameEngine.getEntity('target')).toBeNull();
+    const coins = gameEngine.entityManager.getEntitiesByTag('loot');
+    expect(coins).toHaveLength(1);
+    expect(coins[0].getComponent('TransformComponent').position).toEqual({ x: 50, y: 60 });
+  });
+
+  it('should respawn entities at their spawn point', () => {
+    const player = addTarget('player', { maxHealth: 30, onDeath: ['respawn'], respawnDelay: 500, invulnerabilityTime: 1000 });
+    gameEngine.step(); // Records the spawn point
+    player.getComponent('TransformComponent').setPosition(300, 300);
+
+    healthSystem.kill(player);
+    expect(player.isActive()).toBe(false);
+    expect(healthSystem.getConfiguration().respawning).toEqual(['player']);
+
+    gameEngine.step(35); // ~583ms
+    expect(player.isActive()).toBe(true);
+    expect(player.getComponent('TransformComponent').position).toEqual({ x: 50, y: 60 });
+    expect(player.getComponent('HealthComponent').health).toBe(30);
+    expect(player.getComponent('HealthComponent').isInvulnerable()).toBe(true);
+    expect(events.map(event => event.topic)).toEqual(['health:died', 'health:respawned']);
+  });
+
+  it('should respawn children of moved parents at their world spawn point', () => {
+    const ship = gameEngine.createEntity('ship');
+    ship.addComponent(new TransformComponent(100, 0));
+    const turret = addTarget('turret', { onDeath: ['respawn'], respawnDelay: 100 });
+    turret.setParent(ship);
+    gameEngine.step(); // Records the spawn point at (150, 60)
+    expect(turret.getComponent('HealthComponent').respawnPoint).toEqual({ x: 150, y: 60 });
+
+    ship.getComponent('TransformComponent').setPosition(200, 0);
+    healthSystem.kill(turret);
+    gameEngine.step(10);
+
+    expect(turret.getComponent('TransformComponent').getWorldPosition()).toEqual({ x: 150, y: 60 });
+    expect(turret.getComponent('TransformComponent').position).toEqual({ x: -50, y: 60 });
+    expect(events[0]).toMatchObject({ topic: 'health:died', position: { x: 250, y: 60 } });
+    expect(events[1]).toMatchObject({ topic: 'health:respawned', position: { x: 150, y: 60 } });
+  });
+
+  it('should kill entities whose health is set to zero directly', () => {
+    const target = addTarget('target');
+    target.getComponent('HealthComponent').health = 0;
+
+    gameEngine.step();
+    gameEngine.step();
+
+    expect(events.map(event => event.topic)).toEqual(['health:died']);
+    expect(gameEngine.getEntity('target')).toBeNull();
+  });
+
+  describe('damage sources', () => {
+    beforeEach(() => {
+      const movement = new MovementSystem();
+      movement.setGravityEnabled(false);
+      gameEngine.addSystem(movement);
+      gameEngine.addSystem(new CollisionSystem());
+      gameEngine.addSystem(new ShooterSystem());
+      gameEngine.initialize();
+    });
+
+    it('should take bullet damage until enemies die', () => {
+      gameEngine.spawn('player', { id: 'player', x: 500, y: 500 });
+      gameEngine.spawn('enemy-orange', { id: 'tough', x: 100, y: 100 });
+      const fire = () => gameEngine.eventBus.emit(GameEvents.SHOT_FIRED, {
+        position: { x: 100, y: 140 }, velocity: { x: 0, y: -400 }, rotation: 0, owner: 'player', damage: 10
+      });
+
+      fire();
+      gameEngine.step(10);
+      expect(gameEngine.getEntity('tough').getComponent('HealthComponent').health).toBe(10);
+
+      fire();
+      gameEngine.step(10);
+      expect(gameEngine.getEntity('tough')).toBeNull();
+      expect(events.filter(event => event.topic === 'health:died')).toEqual([
+        expect.objectContaining({ entityId: 'tough', sourceId: 'player', type: 'bullet' })
+      ]);
+    });
+
+    it('should deal contact damage once per contact', () => {
+      gameEngine.spawn('player', { id: 'player', x: 100, y: 100 });
+      gameEngine.spawn('enemy', { id: 'rammer', x: 110, y: 100 });
+
+      gameEngine.step(5);
+
+      expect(gameEngine.getEntity('player').getComponent('HealthComponent').health).toBe(80);
+      expect(gameEngine.getEntity('rammer').getComponent('HealthComponent').health).toBe(10);
+    });
+  });
+
+  it('should let generated code deal damage and react to deaths', async () => {
+    gameEngine.addSystem(new BehaviorSystem());
+    gameEngine.initialize();
+    addTarget('boss', { maxHealth: 40, onDeath: [] });
+    const llmService = new LLMService(gameEngine, {
+      llmProvider: new MockProvider({ includeDefaultRules: false }),
+      maxExecutionTime: 500
+    });
+    llmService.llmProvider.addRule(/.*/, `game.onEvent('boss-down', 'health:died', function (death, event, game) {
+  game.getEntity(death.entityId).addTag('defeated');
+});
+game.damage('boss', 15, { type: 'poison' });
+game.heal(game.getEntity('boss'), 5);
+game.damage('boss', 100);`);
+
+    const result = await llmService.processModificationRequest('Poison the boss, then finish it');
+
+    expect(result.executionResult.success).toBe(true);
+    expect(events.map(event => `${event.topic} ${event.type || ''}`.trim())).toEqual([
+      'health:damaged poison', 'health:healed', 'health:damaged script', 'health:died script'
+    ]);
+    expect(gameEngine.getEntity('boss').hasTag('defeated')).toBe(true);
+  });
+});
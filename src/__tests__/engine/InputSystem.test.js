@@ -0,0 +1,162 @@
+import { jest } from '@jest/globals';
+import { EntityManager } from '../../engine/EntityManager.js';
+import { GameEngine } from '../../engine/GameEngine.js';
+import { InputSystem } from '../../engine/systems/InputSystem.js';
+import { ComponentUpdateSystem } from '../../engine/systems/ComponentUpdateSystem.js';
+import { PlayerControllerComponent } from '../../engine/components/PlayerControllerComponent.js';
+import { ShooterControllerComponent } from '../../engine/components/ShooterControllerComponent.js';
+
+describe('InputSystem', () => {
+  let entityManager;
+  let inputSystem;
+  let player;
+  let controller;
+
+  beforeEach(() => {
+    entityManager = new EntityManager();
+    inputSystem = new InputSystem();
+    inputSystem.initialize(entityManager);
+
+    player = entityManager.createEntity('player');
+    controller = new PlayerControllerComponent();
+    player.addComponent(controller);
+  });
+
+  describe('entity lookup', () => {
+    it('should find entities once a controller is added', () => {
+      expect(inputSystem.getRelevantEntities()).toEqual([player]);
+    });
+
+    it('should drop entities when the controller is removed', () => {
+      player.removeComponent('PlayerControllerComponent');
+
+      expect(inputSystem.getRelevantEntities()).toEqual([]);
+    });
+  });
+
+  describe('queueInput', () => {
+    it('should require a client ID', () => {
+      expect(() => inputSystem.queueInput('', { type: 'keydown', code: 'KeyA' })).toThrow();
+    });
+
+    it('should accept single events and batches', () => {
+      expect(inputSystem.queueInput('a', { type: 'keydown', code: 'KeyA' })).toBe(1);
+      expect(inputSystem.queueInput('a', {
+        events: [
+          { type: 'keyup', code: 'KeyA' },
+          { type: 'mousemove', x: 10, y: 20 }
+        ]
+      })).toBe(2);
+    });
+
+    it('should reject malformed events', () => {
+      expect(inputSystem.queueInput('a', { type: 'keydown', code: 'Key A!' })).toBe(0);
+      expect(inputSystem.queueInput('a', { type: 'mousedown', button: 9 })).toBe(0);
+      expect(inputSystem.queueInput('a', { type: 'mousemove', x: 'left' })).toBe(0);
+      expect(inputSystem.queueInput('a', { type: 'eval', code: 'x' })).toBe(0);
+    });
+
+    it('should cap each client\'s queue', () => {
+      inputSystem = new InputSystem({ maxQueuedEvents: 2 });
+      const events = Array.from({ length: 5 }, () => ({ type: 'keydown', code: 'KeyA' }));
+
+      expect(inputSystem.queueInput('a', { events })).toBe(2);
+      expect(inputSystem.queueInput('b', { events })).toBe(2);
+      expect(inputSystem.getInfo().queuedEvents).toBe(4);
+    });
+
+    it('should not let one client flooding input starve the others', () => {
+      inputSystem = new InputSystem({ maxQueuedEvents: 3 });
+      inputSystem.initialize(entityManager);
+      const flood = Array.from({ length: 100 }, (_, i) => ({ type: 'mousemove', x: i, y: 0 }));
+      inputSystem.queueInput('flooder', { events: flood });
+      inputSystem.queueInput('flooder', { events: flood });
+
+      expect(inputSystem.queueInput('b', { type: 'keydown', code: 'KeyW' })).toBe(1);
+      inputSystem.removeClient('flooder');
+
+      const order = inputSystem.drainQueues().map(({ clientId, event }) => `${clientId}:${event.type}`);
+      expect(order).toEqual([
+        'flooder:mousemove', 'b:keydown',
+        'flooder:mousemove',
+        'flooder:mousemove',
+        'flooder:disconnect'
+      ]);
+    });
+  });
+
+  describe('processing', () => {
+    it('should apply queued input on the next frame only', () => {
+      inputSystem.queueInput('a', { type: 'keydown', code: 'KeyD' });
+      expect(controller.inputState.keys.has('KeyD')).toBe(false);
+
+      inputSystem.update(16);
+
+      expect(controller.inputState.keys.has('KeyD')).toBe(true);
+      expect(controller.getMovementInput()).toEqual({ x: 1, y: 0 });
+      expect(inputSystem.getClientInput('a').keys).toEqual(['KeyD']);
+    });
+
+    it('should ignore clients that do not own the controller', () => {
+      controller.clientId = 'owner';
+
+      inputSystem.queueInput('intruder', { type: 'keydown', code: 'KeyD' });
+      inputSystem.update(16);
+      expect(controller.inputState.keys.has('KeyD')).toBe(false);
+
+      inputSystem.queueInput('owner', { type: 'keydown', code: 'KeyD' });
+      inputSystem.update(16);
+      expect(controller.inputState.keys.has('KeyD')).toBe(true);
+    });
+
+    it('should keep a key held while another client still holds it', () => {
+      inputSystem.queueInput('a', { type: 'keydown', code: 'KeyW' });
+      inputSystem.queueInput('b', { type: 'keydown', code: 'KeyW' });
+      inputSystem.queueInput('a', { type: 'keyup', code: 'KeyW' });
+      inputSystem.update(16);
+
+      expect(controller.inputState.keys.has('KeyW')).toBe(true);
+    });
+
+    it('should release held input when a client disconnects', () => {
+      inputSystem.queueInput('a', { type: 'keydown', code: 'KeyW' });
+      inputSystem.queueInput('a', { type: 'mousedown', button: 0, x: 5, y: 5 });
+      inputSystem.update(16);
+
+      inputSystem.removeClient('a');
+      inputSystem.update(16);
+
+      expect(controller.inputState.keys.size).toBe(0);
+      expect(controller.inputState.mouse.buttons.size).toBe(0);
+      expect(inputSystem.getClientInput('a')).toBeNull();
+    });
+
+    it('should drive shooter controllers', () => {
+      const shooter = new ShooterControllerComponent();
+      player.addComponent(shooter);
+
+      inputSystem.queueInput('a', { type: 'keydown', code: 'Space' });
+      inputSystem.update(16);
+      expect(shooter.isPressingShoot).toBe(true);
+
+      inputSystem.queueInput('a', { type: 'keyup', code: 'Space' });
+      inputSystem.update(16);
+      expect(shooter.isPressingShoot).toBe(false);
+    });
+
+    it('should update player controllers once per frame alongside the ComponentUpdateSystem', () => {
+      const gameEngine = new GameEngine({ fixedTimestep: true });
+      gameEngine.addSystem(new InputSystem());
+      gameEngine.addSystem(new ComponentUpdateSystem());
+      gameEngine.initialize();
+
+      const entity = gameEngine.createEntity('pilot');
+      const pilot = new PlayerControllerComponent();
+      entity.addComponent(pilot);
+      const update = jest.spyOn(pilot, 'update');
+
+      gameEngine.step(3);
+      expect(update).toHaveBeenCalledTimes(3);
+    });
+  });
+});
@@ -0,0 +1,46 @@
+import { GameEngine } from '../../engine/GameEngine.js';
+import { MovementSystem } from '../../engine/systems/MovementSystem.js';
+import { ComponentUpdateSystem } from '../../engine/systems/ComponentUpdateSystem.js';
+import { TransformComponent } from '../../engine/components/TransformComponent.js';
+import { MovementComponent } from '../../engine/components/MovementComponent.js';
+
+describe('MovementSystem', () => {
+  /**
+   * Create an engine with a MovementSystem and one moving entity
+   * @param {Object} options - MovementSystem options
+   * @returns {Object} - { gameEngine, entity }
+   */
+  function createWorld(options = {}) {
+    const gameEngine = new GameEngine({ fixedTimestep: true });
+    gameEngine.addSystem(new MovementSystem(options));
+    gameEngine.addSystem(new ComponentUpdateSystem());
+    gameEngine.initialize();
+
+    const entity = gameEngine.createEntity('mover');
+    entity.addComponent(new TransformComponent(0, 0));
+    entity.addComponent(new MovementComponent({ velocity: { x: 60, y: 0 }, affectedByFriction: false, affectedByDrag: false }));
+    return { gameEngine, entity };
+  }
+
+  it('should integrate each MovementComponent once per frame', () => {
+    const { gameEngine, entity } = createWorld();
+
+    gameEngine.step(60); // One second at 60 px/s
+
+    expect(entity.getComponent('TransformComponent').position.x).toBeCloseTo(60, 5);
+  });
+
+  it('should apply gravity unless it is turned off for top-down worlds', () => {
+    const sideOn = createWorld();
+    sideOn.entity.getComponent('MovementComponent').affectedByFriction = true;
+    const topDown = createWorld({ gravity: false });
+    topDown.entity.getComponent('MovementComponent').affectedByFriction = true;
+
+    sideOn.gameEngine.step(10);
+    topDown.gameEngine.step(10);
+
+    expect(sideOn.entity.getComponent('TransformComponent').position.y).toBeGreaterThan(0);
+    expect(topDown.entity.getComponent('TransformComponent').position.y).toBe(0);
+    expect(topDown.gameEngine.getSystem('MovementSystem').getConfiguration().enableGravity).toBe(false);
+  });
+});
@@ -0,0 +1,138 @@
+import Matter from 'matter-js';
+import { EntityManager } from '../../engine/EntityManager.js';
+import { PhysicsSystem } from '../../engine/systems/PhysicsSystem.js';
+import { PhysicsComponent } from '../../engine/components/PhysicsComponent.js';
+import { TransformComponent } from '../../engine/components/TransformComponent.js';
+
+describe('PhysicsSystem', () => {
+  let entityManager;
+  let physicsSystem;
+
+  const createBody = (id, x, y, options = {}) => {
+    const entity = entityManager.createEntity(id);
+    entity.addComponent(new TransformComponent(x, y));
+    entity.addComponent(new PhysicsComponent(options));
+    return entity;
+  };
+
+  const runFrames = (frames) => {
+    for (let i = 0; i < frames; i++) {
+      physicsSystem.update(1000 / 60);
+    }
+  };
+
+  beforeEach(() => {
+    entityManager = new EntityManager();
+    physicsSystem = new PhysicsSystem();
+    physicsSystem.initialize(entityManager);
+  });
+
+  afterEach(() => {
+    physicsSystem.destroy();
+  });
+
+  it('should create bodies from component shape and properties', () => {
+    const ball = createBody('ball', 100, 50, { shape: 'circle', radius: 10, restitution: 0.9 });
+
+    runFrames(1);
+
+    const physics = ball.getComponent('PhysicsComponent');
+    const body = physicsSystem.getBody('ball');
+    expect(physics.isInitialized).toBe(true);
+    expect(physics.body).toBe(body);
+    expect(body.circleRadius).toBe(10);
+    expect(body.restitution).toBe(0.9);
+  });
+
+  it('should apply gravity and sync positions back to the transform', () => {
+    const box = createBody('box', 0, 0);
+
+    runFrames(30);
+
+    expect(box.getComponent('TransformComponent').position.y).toBeGreaterThan(0);
+  });
+
+  it('should let bodies opt out of gravity', () => {
+    const floating = createBody('floating', 0, 0, { affectedByGravity: false });
+
+    runFrames(30);
+
+    expect(floating.getComponent('TransformComponent').position.y).toBeCloseTo(0, 3);
+  });
+
+  it('should keep static bodies in place', () => {
+    const ground = createBody('ground', 0, 100, { bodyType: 'static', width: 400, height: 20 });
+
+    runFrames(30);
+
+    expect(ground.getComponent('TransformComponent').position.y).toBe(100);
+  });
+
+  it('should follow transforms moved outside of physics', () => {
+    const box = createBody('box', 0, 0, { affectedByGravity: false });
+    runFrames(1);
+
+    box.getComponent('TransformComponent').setPosition(200, 300);
+    runFrames(1);
+
+    const body = physicsSystem.getBody('box');
+    expect(body.position.x).toBeCloseTo(200, 3);
+    expect(body.position.y).toBeCloseTo(300, 3);
+  });
+
+  it('should place bodies of child entities in world space', () => {
+    const ship = entityManager.createEntity('ship');
+    ship.addComponent(new TransformComponent(100, 50));
+    const pod = createBody('pod', 10, 0, { affectedByGravity: false });
+    pod.setParent(ship);
+    runFrames(1);
+
+    const body = physicsSystem.getBody('pod');
+    expect(body.position.x).toBeCloseTo(110, 3);
+    expect(body.position.y).toBeCloseTo(50, 3);
+
+    // Moving the parent carries the body along without changing the local position
+    ship.getComponent('TransformComponent').setPosition(200, 100);
+    runFrames(1);
+    expect(body.position.x).toBeCloseTo(210, 3);
+    expect(body.position.y).toBeCloseTo(100, 3);
+    expect(pod.getComponent('TransformComponent').position.x).toBeCloseTo(10, 3);
+    expect(pod.getComponent('TransformComponent').position.y).toBeCloseTo(0, 3);
+
+    // Bodies moved by physics write back through the parent
+    Matter.Body.setPosition(body, { x: 250, y: 120 });
+    runFrames(1);
+    expect(pod.getComponent('TransformComponent').position.x).toBeCloseTo(50, 3);
+    expect(pod.getComponent('TransformComponent').position.y).toBeCloseTo(20, 3);
+  });
+
+  it('should dispatch collision callbacks to both components', () => {
+    const started = [];
+    createBody('ball', 0, 0, {
+      onCollisionStart: (otherBody) => started.push(['ball', otherBody.label])
+    });
+    createBody('ground', 0, 60, {
+      bodyType: 'static',
+      width: 400,
+      height: 20,
+      onCollisionStart: (otherBody) => started.push(['ground', otherBody.label])
+    });
+
+    runFrames(60);
+
+    expect(started).toContainEqual(['ball', 'ground']);
+    expect(started).toContainEqual(['ground', 'ball']);
+  });
+
+  it('should remove bodies when the entity is removed', () => {
+    createBody('box', 0, 0);
+    runFrames(1);
+    expect(physicsSystem.world.bodies).toHaveLength(1);
+
+    entityManager.removeEntity('box');
+    runFrames(1);
+
+    expect(physicsSystem.world.bodies).toHaveLength(0);
+    expect(physicsSystem.getBody('box')).toBeNull();
+  });
+});
@@ -0,0 +1,111 @@
+import { GameEngine } from '../../engine/GameEngine.js';
+import { PrefabRegistry } from '../../engine/PrefabRegistry.js';
+import { LLMService } from '../../llm/LLMService.js';
+import { MockProvider } from '../../llm/providers/MockProvider.js';
+
+describe('PrefabRegistry', () => {
+  let gameEngine;
+
+  beforeEach(() => {
+    gameEngine = new GameEngine();
+  });
+
+  it('should register the built-in prefabs', () => {
+    const names = new PrefabRegistry().getNames();
+
+    expect(names).toEqual(expect.arrayContaining(['player', 'enemy', 'enemy-red', 'bullet', 'formation', 'barrier']));
+    expect(new PrefabRegistry({ builtIns: false }).getNames()).toEqual([]);
+  });
+
+  it('should spawn a configured entity with overrides', () => {
+    const enemy = gameEngine.spawn('enemy', {
+      id: 'e1',
+      x: 30,
+      y: 40,
+      tags: ['elite'],
+      components: { RenderComponent: { color: '#00FF00' } }
+    });
+
+    expect(gameEngine.getEntity('e1')).toBe(enemy);
+    expect(enemy.getComponent('TransformComponent').position).toEqual({ x: 30, y: 40 });
+    expect(enemy.getComponent('RenderComponent').color).toBe('#00FF00');
+    expect(enemy.hasTag('enemy')).toBe(true);
+    expect(enemy.hasTag('elite')).toBe(true);
+  });
+
+  it('should inherit from other prefabs', () => {
+    const registry = gameEngine.prefabRegistry;
+    registry.register({
+      name: 'ghost',
+      extends: 'enemy-red',
+      tags: ['ghost'],
+      components: { RenderComponent: { width: 10 }, PhysicsComponent: null }
+    });
+
+    const resolved = registry.resolve('ghost');
+    expect(resolved.tags).toEqual(expect.arrayContaining(['enemy', 'ghost']));
+    expect(resolved.components.RenderComponent.width).toBe(10);
+    expect(resolved.components.RenderComponent.color).toBe(registry.resolve('enemy-red').components.RenderComponent.color);
+    expect(resolved.components.PhysicsComponent).toBeUndefined();
+    expect(registry.describe().find(prefab => prefab.name === 'ghost').extends).toBe('enemy-red');
+  });
+
+  it('should reject inheritance cycles and invalid prefabs', () => {
+    const registry = new PrefabRegistry({ builtIns: false });
+    registry.register({ name: 'a', extends: 'b' });
+    registry.register({ name: 'b', extends: 'a' });
+
+    expect(() => registry.resolve('a')).toThrow('inheritance cycle');
+    expect(() => registry.register({ name: 'a' })).toThrow('already registered');
+    expect(() => registry.register({ name: 'bad name!' })).toThrow();
+  });
+
+  it('should spawn children attached to the new entity', () => {
+    gameEngine.prefabRegistry.load({
+      prefabs: [
+        { name: 'hull', tags: ['ship'], components: { TransformComponent: {} }, children: [{ prefab: 'gun', id: 'gun', x: 5 }] },
+        { name: 'gun', components: { TransformComponent: {} } }
+      ]
+    });
+
+    const hull = gameEngine.spawn('hull', { id: 'ship', x: 100, y: 50 });
+    const gun = gameEngine.getEntity('ship-gun');
+
+    expect(gun.getParent()).toBe(hull);
+    expect(gun.getComponent('TransformComponent').getWorldPosition()).toEqual({ x: 105, y: 50 });
+  });
+
+  it('should not leave a half-built entity when a spawn fails', () => {
+    const count = gameEngine.entityManager.getAllEntities().length;
+
+    expect(() => gameEngine.spawn('enemy', { parent: 'missing' })).toThrow('Parent entity not found');
+    expect(() => gameEngine.spawn('enemy', { components: { NoSuchComponent: {} } })).toThrow();
+    expect(() => gameEngine.spawn('nothing')).toThrow('Unknown prefab');
+    expect(gameEngine.entityManager.getAllEntities().length).toBe(count);
+  });
+
+  it('should load a whole file or nothing', () => {
+    const registry = new PrefabRegistry({ builtIns: false });
+
+    expect(() => registry.load([{ name: 'ok' }, { name: 42 }])).toThrow();
+    expect(registry.has('ok')).toBe(false);
+    expect(registry.load([{ name: 'ok' }])).toEqual(['ok']);
+  });
+
+  it('should spawn and define prefabs from the sandbox', async () => {
+    const llmService = new LLMService(gameEngine, {
+      llmProvider: new MockProvider({ includeDefaultRules: false }),
+      maxExecutionTime: 500
+    });
+    llmService.llmProvider.addRule(/.*/, `game.definePrefab({ name: 'mine', tags: ['hazard'], components: { TransformComponent: {}, RenderComponent: { color: '#FF00FF' } } });
+game.spawn('mine', { id: 'mine-1', x: 12, y: 34 });`);
+
+    const result = await llmService.processModificationRequest('Add a mine');
+
+    expect(result.executionResult.success).toBe(true);
+    const mine = gameEngine.getEntity('mine-1');
+    expect(mine.hasTag('hazard')).toBe(true);
+    expect(mine.getComponent('TransformComponent').position).toEqual({ x: 12, y: 34 });
+    expect(gameEngine.prefabRegistry.has('mine')).toBe(true);
+  });
+});
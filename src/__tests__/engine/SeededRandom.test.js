@@ -0,0 +1,104 @@
+import { jest } from '@jest/globals';
+import { SeededRandom } from '../../engine/SeededRandom.js';
+import { GameEngine } from '../../engine/GameEngine.js';
+import { WorldSnapshot } from '../../engine/WorldSnapshot.js';
+import { LLMService } from '../../llm/LLMService.js';
+import { MockProvider } from '../../llm/providers/MockProvider.js';
+
+const draw = (stream, count) => Array.from({ length: count }, () => stream.next());
+
+describe('SeededRandom', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should produce the same sequence for the same seed', () => {
+    const a = new SeededRandom(42);
+    const b = new SeededRandom('42');
+    const c = new SeededRandom(43);
+
+    const sequence = draw(a.stream(), 5);
+    expect(draw(b.stream(), 5)).toEqual(sequence);
+    expect(draw(c.stream(), 5)).not.toEqual(sequence);
+    expect(sequence.every(value => value >= 0 && value < 1)).toBe(true);
+  });
+
+  it('should keep named streams independent', () => {
+    const a = new SeededRandom(7);
+    const b = new SeededRandom(7);
+
+    draw(a.stream('physics'), 10);
+    expect(draw(a.stream('sandbox'), 3)).toEqual(draw(b.stream('sandbox'), 3));
+  });
+
+  it('should resume from a saved state', () => {
+    const random = new SeededRandom(1);
+    draw(random.stream('sandbox'), 4);
+
+    const state = random.getState();
+    const expected = draw(random.stream('sandbox'), 3);
+
+    const restored = new SeededRandom();
+    restored.setState(JSON.parse(JSON.stringify(state)));
+    expect(restored.seed).toBe(1);
+    expect(draw(restored.stream('sandbox'), 3)).toEqual(expected);
+  });
+
+  it('should draw integers, picks and chances from the stream', () => {
+    const stream = new SeededRandom(5).stream();
+
+    for (let i = 0; i < 50; i++) {
+      const value = stream.int(1, 6);
+      expect(Number.isInteger(value) && value >= 1 && value <= 6).toBe(true);
+    }
+    expect(['a', 'b']).toContain(stream.pick(['a', 'b']));
+    expect(stream.pick([])).toBeUndefined();
+    expect(stream.chance(0)).toBe(false);
+    expect(stream.color()).toMatch(/^hsl\(\d+, 70%, 50%\)$/);
+  });
+
+  describe('with GameEngine', () => {
+    it('should generate the same entity IDs for the same seed', () => {
+      const ids = seed => {
+        const gameEngine = new GameEngine({ seed });
+        return [gameEngine.createEntity().id, gameEngine.createEntity().id];
+      };
+
+      expect(ids('level-1')).toEqual(ids('level-1'));
+      expect(ids('level-1')[0]).not.toBe(ids('level-1')[1]);
+      expect(ids('level-1')).not.toEqual(ids('level-2'));
+    });
+
+    it('should save the random state in snapshots', () => {
+      const gameEngine = new GameEngine({ seed: 99 });
+      const stream = gameEngine.random.stream('spawner');
+      draw(stream, 2);
+
+      const snapshot = WorldSnapshot.fromJSON(JSON.parse(JSON.stringify(gameEngine.createSnapshot().toJSON())), () => null);
+      const expected = draw(stream, 3);
+
+      gameEngine.restoreSnapshot(snapshot);
+      expect(draw(gameEngine.random.stream('spawner'), 3)).toEqual(expected);
+    });
+
+    it('should seed the sandbox random functions and Math.random', async () => {
+      const run = async () => {
+        const gameEngine = new GameEngine({ seed: 2024 });
+        const llmService = new LLMService(gameEngine, { llmProvider: new MockProvider(), maxExecutionTime: 200 });
+        const execution = await llmService.executeGeneratedCode(
+          'return [game.random(), game.randomInt(1, 100), game.randomColor(), Math.random(), Math.floor(Math.PI)];',
+          {}
+        );
+        return execution.result;
+      };
+
+      const first = await run();
+      expect(first[4]).toBe(3);
+      expect(await run()).toEqual(first);
+    });
+  });
+});
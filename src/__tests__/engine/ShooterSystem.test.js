@@ -0,0 +1,166 @@
+import { GameEngine } from '../../engine/GameEngine.js';
+import { ShooterSystem } from '../../engine/systems/ShooterSystem.js';
+import { MovementSystem } from '../../engine/systems/MovementSystem.js';
+import { CollisionSystem } from '../../engine/systems/CollisionSystem.js';
+import { HealthSystem } from '../../engine/systems/HealthSystem.js';
+import { AISystem } from '../../engine/systems/AISystem.js';
+import { TransformComponent } from '../../engine/components/TransformComponent.js';
+import { RenderComponent } from '../../engine/components/RenderComponent.js';
+import { ShooterControllerComponent } from '../../engine/components/ShooterControllerComponent.js';
+import { AIComponent } from '../../engine/components/AIComponent.js';
+import { LLMService } from '../../llm/LLMService.js';
+import { MockProvider } from '../../llm/providers/MockProvider.js';
+
+describe('ShooterSystem', () => {
+  let gameEngine;
+  let shooterSystem;
+  let hits;
+
+  /**
+   * Add a tagged target without a collider (hit by distance)
+   * @param {string} id - Entity ID
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   * @param {string} tag - Tag
+   * @returns {Entity} - The entity
+   */
+  function addTarget(id, x, y, tag) {
+    const entity = gameEngine.createEntity(id);
+    entity.addComponent(new TransformComponent(x, y));
+    entity.addComponent(new RenderComponent({ width: 30, height: 20 }));
+    entity.addTag(tag);
+    return entity;
+  }
+
+  /**
+   * Fire a bullet straight from generated data
+   * @param {Object} shot - SHOT_FIRED payload overrides
+   * @returns {Object} - Tracked bullet data
+   */
+  function fire(shot) {
+    shooterSystem.createBullet({ position: { x: 100, y: 300 }, velocity: { x: 0, y: -400 }, rotation: 0, owner: 'player', ...shot });
+    return Array.from(shooterSystem.bullets.values()).pop();
+  }
+
+  beforeEach(() => {
+    gameEngine = new GameEngine({ fixedTimestep: true });
+    shooterSystem = new ShooterSystem();
+    const movementSystem = new MovementSystem();
+    movementSystem.setGravityEnabled(false);
+    gameEngine.addSystem(new AISystem());
+    gameEngine.addSystem(movementSystem);
+    gameEngine.addSystem(new CollisionSystem());
+    gameEngine.addSystem(shooterSystem);
+    gameEngine.addSystem(new HealthSystem());
+    gameEngine.initialize();
+
+    hits = [];
+    gameEngine.eventBus.on('shooter:hit', payload => hits.push(payload));
+  });
+
+  it('should let enemy bullets hit the player but not other enemies', () => {
+    const player = gameEngine.spawn('player', { id: 'player', x: 400, y: 550 });
+    const gunner = gameEngine.spawn('enemy', {
+      id: 'gunner',
+      x: 400,
+      y: 300,
+      components: {
+        ShooterControllerComponent: { fireMode: 'manual', damage: 20, shootDirection: { x: 0, y: 1 }, bulletOffset: { x: 0, y: 15 } }
+      }
+    });
+    const shield = gameEngine.spawn('enemy', { id: 'shield', x: 400, y: 420 });
+
+    expect(gunner.getComponent('ShooterControllerComponent').fire()).toBe(true);
+    gameEngine.step();
+    const [bullet] = gameEngine.entityManager.getEntitiesByTag('bullet');
+    expect(bullet.getComponent('RenderComponent').color).toBe('#FF4040'); // The enemy-bullet prefab
+    expect(shooterSystem.bullets.get(bullet.id).team).toBe('enemy');
+
+    gameEngine.step(60);
+    expect(hits).toEqual([expect.objectContaining({ owner: 'gunner', team: 'enemy', targetId: 'player' })]);
+    expect(player.getComponent('HealthComponent').health).toBe(80);
+    expect(shield.getComponent('HealthComponent').health).toBe(10);
+    expect(shooterSystem.bullets.size).toBe(0);
+  });
+
+  it('should follow hit rules and pierce through targets', () => {
+    addTarget('a', 100, 250, 'enemy');
+    addTarget('b', 100, 200, 'enemy');
+    addTarget('c', 100, 150, 'enemy');
+    addTarget('crate', 100, 100, 'crate');
+
+    fire({ pierce: 1 });
+    gameEngine.step(30);
+    expect(hits.map(hit => hit.targetId)).toEqual(['a', 'b']);
+
+    // Crates only get hit once the rule says so
+    shooterSystem.setHitRule('player', ['crate']);
+    fire({ position: { x: 100, y: 180 } });
+    gameEngine.step(30);
+    expect(hits.map(hit => hit.targetId)).toEqual(['a', 'b', 'crate']);
+    expect(gameEngine.createSnapshot().systems.ShooterSystem.config.hitRules.player).toEqual(['crate']);
+    expect(() => shooterSystem.setHitRule('player', 'enemy')).toThrow('array of tags');
+  });
+
+  it('should bounce off the arena edges and expire by range and lifetime', () => {
+    const bouncer = fire({ position: { x: 790, y: 300 }, velocity: { x: 400, y: 0 }, bounces: 1 });
+    const ranged = fire({ position: { x: 100, y: 500 }, velocity: { x: 0, y: -400 }, range: 100 });
+    const shortLived = fire({ position: { x: 400, y: 500 }, velocity: { x: 0, y: -100 }, lifetime: 100 });
+
+    gameEngine.step(3);
+    expect(bouncer.entity.getComponent('MovementComponent').velocity.x).toBeLessThan(0);
+    expect(bouncer.bounces).toBe(0);
+    expect(shooterSystem.bullets.has(ranged.id)).toBe(true);
+
+    gameEngine.step(15); // 300ms: past the range and the lifetime
+    expect(shooterSystem.bullets.has(ranged.id)).toBe(false);
+    expect(ranged.distance).toBeGreaterThan(100);
+    expect(shooterSystem.bullets.has(shortLived.id)).toBe(false);
+    expect(shooterSystem.bullets.has(bouncer.id)).toBe(true);
+
+    // Out of bounces, it leaves the arena
+    gameEngine.step(150);
+    expect(shooterSystem.bullets.has(bouncer.id)).toBe(false);
+  });
+
+  it('should fire from the AI and ignore keys in manual mode', () => {
+    const player = addTarget('player', 300, 500, 'player');
+    const turret = addTarget('turret', 100, 100, 'enemy');
+    const shooter = new ShooterControllerComponent({ fireMode: 'manual', fireRate: 1000, bulletOffset: { x: 0, y: 0 } });
+    turret.addComponent(shooter);
+
+    shooter.handleKeyDown({ code: 'Space' });
+    expect(shooter.canShoot).toBe(true);
+
+    turret.addComponent(new AIComponent({ shoot: { tag: 'player', range: 100 } }));
+    gameEngine.step();
+    expect(shooterSystem.bullets.size).toBe(0); // Out of range
+
+    turret.getComponent('AIComponent').shoot = { tag: 'player', aim: true };
+    gameEngine.step();
+    const [bullet] = shooterSystem.bullets.values();
+    const velocity = bullet.entity.getComponent('MovementComponent').velocity;
+    const target = player.getComponent('TransformComponent').position;
+    expect(velocity.y / velocity.x).toBeCloseTo((target.y - 100) / (target.x - 100), 5);
+
+    gameEngine.step(10);
+    expect(shooterSystem.bullets.size).toBe(1); // Still limited by the fire rate
+  });
+
+  it('should arm enemies from the "Create enemy shooting" example', async () => {
+    gameEngine.spawn('player', { id: 'player' });
+    gameEngine.spawn('enemy', { id: 'grunt', x: 400, y: 100 });
+    const llmService = new LLMService(gameEngine, {
+      llmProvider: new MockProvider(),
+      maxExecutionTime: 500
+    });
+
+    const result = await llmService.processModificationRequest('Create enemy shooting - they fire bullets downward');
+
+    expect(result.executionResult.success).toBe(true);
+    const grunt = gameEngine.getEntity('grunt');
+    expect(grunt.getComponent('ShooterControllerComponent')).toMatchObject({ fireMode: 'manual', shootDirection: { x: 0, y: 1 } });
+    expect(grunt.getComponent('AIComponent').shoot).toEqual({ tag: 'player', rate: 0.1 });
+    expect(gameEngine.entityManager.getEntitiesByTag('enemy')).toHaveLength(1); // Not the add-enemy rule
+  });
+});
@@ -0,0 +1,94 @@
+import { SpatialHash } from '../../engine/SpatialHash.js';
+import { SeededRandom } from '../../engine/SeededRandom.js';
+
+describe('SpatialHash', () => {
+  let hash;
+
+  beforeEach(() => {
+    hash = new SpatialHash({ cellSize: 50 });
+    hash.update('a', { x: 0, y: 0, width: 10, height: 10 });
+    hash.update('b', { x: 100, y: 0, width: 10, height: 10 });
+    hash.update('c', { x: 40, y: 40, width: 120, height: 20 }); // Spans several cells
+  });
+
+  it('should find items overlapping a rectangle', () => {
+    expect(hash.queryRect({ x: -5, y: -5, width: 20, height: 20 }).sort()).toEqual(['a']);
+    expect(hash.queryRect({ x: 90, y: 0, width: 30, height: 50 }).sort()).toEqual(['b', 'c']);
+    expect(hash.queryRect({ x: 0, y: 0, width: 200, height: 100 }, key => key !== 'c').sort()).toEqual(['a', 'b']);
+  });
+
+  it('should find items within a radius', () => {
+    expect(hash.queryRadius(5, 5, 1).sort()).toEqual(['a']);
+    expect(hash.queryRadius(105, 25, 16).sort()).toEqual(['b', 'c']);
+    expect(hash.queryRadius(300, 300, 50)).toEqual([]);
+  });
+
+  it('should move and remove items', () => {
+    hash.update('a', { x: 500, y: 500, width: 10, height: 10 });
+    expect(hash.queryRadius(5, 5, 1)).toEqual([]);
+    expect(hash.queryRadius(505, 505, 1)).toEqual(['a']);
+
+    expect(hash.remove('c')).toBe(true);
+    expect(hash.queryRect({ x: 40, y: 40, width: 10, height: 10 })).toEqual([]);
+    expect(hash.size).toBe(2);
+  });
+
+  it('should return the nearest items in order', () => {
+    expect(hash.nearest(0, 0, 2).map(hit => hit.key)).toEqual(['a', 'c']);
+    expect(hash.nearest(105, -100, 1)[0].key).toBe('b');
+    expect(hash.nearest(0, 0, 10)).toHaveLength(3);
+    expect(new SpatialHash().nearest(0, 0, 1)).toEqual([]);
+  });
+
+  it('should cast rays to the first hit', () => {
+    const hit = hash.raycast({ x: -50, y: 5 }, { x: 1, y: 0 });
+    expect(hit.key).toBe('a');
+    expect(hit.distance).toBeCloseTo(50);
+    expect(hit.point).toEqual({ x: 0, y: 5 });
+
+    expect(hash.raycast({ x: -50, y: 5 }, { x: 1, y: 0 }, 40)).toBeNull();
+    expect(hash.raycast({ x: 105, y: 200 }, { x: 0, y: -1 }).key).toBe('c');
+    expect(hash.raycast({ x: 105, y: 200 }, { x: 0, y: -1 }, Infinity, key => key !== 'c').key).toBe('b');
+    expect(hash.raycast({ x: 0, y: 300 }, { x: 0, y: 1 })).toBeNull();
+  });
+
+  it('should match a brute-force search', () => {
+    const random = new SeededRandom(7).stream('test');
+    const items = [];
+    for (let i = 0; i < 300; i++) {
+      const bounds = { x: random.range(-500, 500), y: random.range(-500, 500), width: random.range(0, 40), height: random.range(0, 40) };
+      items.push([`item-${i}`, bounds]);
+      hash.update(`item-${i}`, bounds);
+    }
+    const all = [...items, ['a', hash.getBounds('a')], ['b', hash.getBounds('b')], ['c', hash.getBounds('c')]];
+
+    for (let i = 0; i < 20; i++) {
+      const x = random.range(-500, 500);
+      const y = random.range(-500, 500);
+      const dist = bounds => Math.hypot(Math.max(bounds.x - x, 0, x - bounds.x - bounds.width), Math.max(bounds.y - y, 0, y - bounds.y - bounds.height));
+
+      const expectedNear = all.filter(([, bounds]) => dist(bounds) <= 60).map(([key]) => key).sort();
+      expect(hash.queryRadius(x, y, 60).sort()).toEqual(expectedNear);
+
+      const expectedNearest = all.map(([, bounds]) => dist(bounds)).sort((a, b) => a - b).slice(0, 5);
+      hash.nearest(x, y, 5).forEach((hit, index) => expect(hit.distance).toBeCloseTo(expectedNearest[index]));
+
+      // Slab test against every item
+      const angle = random.range(0, Math.PI * 2);
+      const dir = { x: Math.cos(angle), y: Math.sin(angle) };
+      const enter = bounds => {
+        const tx = [(bounds.x - x) / dir.x, (bounds.x + bounds.width - x) / dir.x].sort((a, b) => a - b);
+        const ty = [(bounds.y - y) / dir.y, (bounds.y + bounds.height - y) / dir.y].sort((a, b) => a - b);
+        const near = Math.max(tx[0], ty[0], 0);
+        return near <= Math.min(tx[1], ty[1]) ? near : Infinity;
+      };
+      const expectedHit = Math.min(...all.map(([, bounds]) => enter(bounds)));
+      const hit = hash.raycast({ x, y }, dir);
+      if (expectedHit === Infinity) {
+        expect(hit).toBeNull();
+      } else {
+        expect(hit.distance).toBeCloseTo(expectedHit);
+      }
+    }
+  });
+});
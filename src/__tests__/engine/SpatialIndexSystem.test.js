@@ -0,0 +1,126 @@
+import { GameEngine } from '../../engine/GameEngine.js';
+import { SpatialIndexSystem } from '../../engine/systems/SpatialIndexSystem.js';
+import { TransformComponent } from '../../engine/components/TransformComponent.js';
+import { RenderComponent } from '../../engine/components/RenderComponent.js';
+import { LLMService } from '../../llm/LLMService.js';
+import { MockProvider } from '../../llm/providers/MockProvider.js';
+
+/**
+ * Add an entity with a 20x20 square centered on a position
+ * @param {GameEngine} gameEngine - Engine to add to
+ * @param {string} id - Entity ID
+ * @param {number} x - Center X
+ * @param {number} y - Center Y
+ * @param {string} tag - Optional tag
+ * @returns {Entity} - The entity
+ */
+function addSquare(gameEngine, id, x, y, tag = null) {
+  const entity = gameEngine.createEntity(id);
+  entity.addComponent(new TransformComponent(x, y));
+  entity.addComponent(new RenderComponent({ width: 20, height: 20 }));
+  if (tag) {
+    entity.addTag(tag);
+  }
+  return entity;
+}
+
+describe('SpatialIndexSystem', () => {
+  let gameEngine;
+  let spatialIndex;
+
+  beforeEach(() => {
+    gameEngine = new GameEngine({ fixedTimestep: true });
+    spatialIndex = new SpatialIndexSystem();
+    gameEngine.addSystem(spatialIndex);
+    gameEngine.initialize();
+
+    addSquare(gameEngine, 'near', 100, 100, 'enemy');
+    addSquare(gameEngine, 'far', 400, 100, 'enemy');
+    addSquare(gameEngine, 'wall', 200, 100);
+    gameEngine.step();
+  });
+
+  const ids = entities => entities.map(entity => entity.id).sort();
+
+  it('should index entity bounds and answer queries with filters', () => {
+    expect(ids(spatialIndex.queryRadius(100, 100, 5))).toEqual(['near']);
+    expect(ids(spatialIndex.queryRect({ x: 0, y: 0, width: 250, height: 200 }))).toEqual(['near', 'wall']);
+    expect(ids(spatialIndex.queryRect({ x: 0, y: 0, width: 500, height: 200 }, { tag: 'enemy' }))).toEqual(['far', 'near']);
+    expect(ids(spatialIndex.nearest(350, 100, 2))).toEqual(['far', 'wall']);
+    expect(ids(spatialIndex.nearest(350, 100, 1, { filter: entity => entity.id !== 'far' }))).toEqual(['wall']);
+  });
+
+  it('should cast rays against entity bounds', () => {
+    const hit = spatialIndex.raycast({ x: 0, y: 100 }, { x: 1, y: 0 }, { tag: 'enemy', filter: entity => entity.id !== 'near' });
+
+    expect(hit.entity.id).toBe('far');
+    expect(hit.distance).toBeCloseTo(390);
+    expect(spatialIndex.raycast({ x: 0, y: 100 }, { x: 1, y: 0 }, { maxDistance: 50 })).toBeNull();
+  });
+
+  it('should follow moves and removals', () => {
+    gameEngine.getEntity('near').getComponent('TransformComponent').setPosition(600, 600);
+    gameEngine.entityManager.removeEntity('far');
+    gameEngine.step();
+
+    expect(spatialIndex.queryRadius(100, 100, 5)).toEqual([]);
+    expect(ids(spatialIndex.queryRadius(600, 600, 5))).toEqual(['near']);
+    expect(spatialIndex.hash.has('far')).toBe(false);
+  });
+
+  it('should answer spatial queries from the sandbox', async () => {
+    const llmService = new LLMService(gameEngine, {
+      llmProvider: new MockProvider({ includeDefaultRules: false }),
+      maxExecutionTime: 500
+    });
+    llmService.llmProvider.addRule(/.*/, `const target = game.nearest(390, 90, 1, { tag: 'enemy' })[0];
+target.addTag('targeted');
+const hit = game.raycast({ x: 0, y: 100 }, { x: 1, y: 0 });
+hit.entity.addTag('first');
+game.queryRadius(200, 100, 10).forEach(e => e.addTag('center'));`);
+
+    const result = await llmService.processModificationRequest('Mark targets');
+
+    expect(result.executionResult.success).toBe(true);
+    expect(gameEngine.getEntity('far').hasTag('targeted')).toBe(true);
+    expect(gameEngine.getEntity('near').hasTag('first')).toBe(true);
+    expect(gameEngine.getEntity('wall').hasTag('center')).toBe(true);
+  });
+
+  describe('scaling', () => {
+    it('should only check nearby entities among thousands', () => {
+      const random = gameEngine.random.stream('benchmark');
+      const count = 5000;
+      for (let i = 0; i < count; i++) {
+        addSquare(gameEngine, `e${i}`, random.range(0, 4000), random.range(0, 4000), 'enemy');
+      }
+      gameEngine.step();
+
+      const points = Array.from({ length: 200 }, () => ({ x: random.range(0, 4000), y: random.range(0, 4000) }));
+      const entities = gameEngine.entityManager.getEntitiesByTag('enemy');
+
+      // The old approach: check every entity for every query
+      const expected = points.map(({ x, y }) => entities.filter(entity => {
+        const bounds = spatialIndex.getEntityBounds(entity);
+        const dx = Math.max(bounds.x - x, 0, x - bounds.x - bounds.width);
+        const dy = Math.max(bounds.y - y, 0, y - bounds.y - bounds.height);
+        return Math.sqrt(dx * dx + dy * dy) <= 50;
+      }).length);
+      const found = points.map(({ x, y }) => spatialIndex.queryRadius(x, y, 50, { tag: 'enemy' }).length);
+
+      // A query only checks the items listed in the cells its square overlaps
+      const { hash } = spatialIndex;
+      const candidates = points.map(({ x, y }) => {
+        const keys = new Set();
+        hash.forEachCell(hash.getCellRange({ x: x - 50, y: y - 50, width: 100, height: 100 }), cellKey => {
+          for (const key of hash.cells.get(cellKey) || []) keys.add(key);
+        });
+        return keys.size;
+      });
+
+      expect(found).toEqual(expected);
+      expect(found.reduce((sum, n) => sum + n, 0)).toBeGreaterThan(0);
+      expect(Math.max(...candidates)).toBeLessThan(count / 50);
+    });
+  });
+});
@@ -1,4 +1,5 @@
 import { TransformComponent } from '../../engine/components/TransformComponent.js';
+import { Entity } from '../../engine/Entity.js';
 
 describe('TransformComponent', () => {
   let transform;
@@ -122,6 +123,20 @@ describe('TransformComponent', () => {
     });
   });
 
+  describe('Interpolation', () => {
+    it('should interpolate between the previous and current step', () => {
+      transform.setPosition(0, 0);
+      transform.setPosition(10, 20);
+      transform.setRotation(0);
+      transform.setRotation(Math.PI);
+
+      expect(transform.getInterpolatedPosition(0)).toEqual({ x: 0, y: 0 });
+      expect(transform.getInterpolatedPosition(0.5)).toEqual({ x: 5, y: 10 });
+      expect(transform.getInterpolatedPosition(1)).toEqual({ x: 10, y: 20 });
+      expect(transform.getInterpolatedRotation(0.5)).toBeCloseTo(Math.PI / 2);
+    });
+  });
+
   describe('Distance Calculations', () => {
     let otherTransform;
 
@@ -247,6 +262,40 @@ describe('TransformComponent', () => {
     });
   });
 
+  describe('World Space', () => {
+    it('should compose parent position, rotation and scale', () => {
+      const parent = new Entity('parent').addComponent(new TransformComponent(100, 100, Math.PI / 2, 2, 2));
+      const child = new Entity('child').addComponent(new TransformComponent(10, 0, 0.25));
+      parent.addChild(child);
+
+      const childTransform = child.getComponent('TransformComponent');
+      const world = childTransform.getWorldPosition();
+      expect(world.x).toBeCloseTo(100);
+      expect(world.y).toBeCloseTo(120);
+      expect(childTransform.getWorldRotation()).toBeCloseTo(Math.PI / 2 + 0.25);
+      expect(childTransform.getWorldScale()).toEqual({ x: 2, y: 2 });
+    });
+
+    it('should convert world positions back to local ones', () => {
+      const parent = new Entity('parent').addComponent(new TransformComponent(50, -20, Math.PI / 3, 2, 0.5));
+      const child = new Entity('child').addComponent(new TransformComponent());
+      parent.addChild(child);
+
+      const childTransform = child.getComponent('TransformComponent');
+      childTransform.setWorldPosition(75, 40);
+      const world = childTransform.getWorldPosition();
+      expect(world.x).toBeCloseTo(75);
+      expect(world.y).toBeCloseTo(40);
+    });
+
+    it('should use world space for root entities', () => {
+      transform.setPosition(5, 6);
+
+      expect(transform.getParentTransform()).toBeNull();
+      expect(transform.getWorldPosition()).toEqual({ x: 5, y: 6 });
+    });
+  });
+
   describe('Edge Cases', () => {
     it('should handle zero distance calculations', () => {
       const sameTransform = new TransformComponent(0, 0);
@@ -0,0 +1,113 @@
+import { GameEngine } from '../../engine/GameEngine.js';
+import { WorldSnapshot } from '../../engine/WorldSnapshot.js';
+import { Component } from '../../engine/Component.js';
+import { TransformComponent } from '../../engine/components/TransformComponent.js';
+import { RenderComponent } from '../../engine/components/RenderComponent.js';
+import { MovementSystem } from '../../engine/systems/MovementSystem.js';
+
+// Component defined at runtime, like one created by generated code
+class HealthComponent extends Component {
+  constructor(options = {}) {
+    super();
+    this.health = options.health || 100;
+    this.onDeath = options.onDeath || null;
+  }
+}
+
+describe('WorldSnapshot', () => {
+  let gameEngine;
+
+  beforeEach(() => {
+    gameEngine = new GameEngine();
+
+    const player = gameEngine.createEntity('player');
+    player.addComponent(new TransformComponent(10, 20));
+    player.addComponent(new RenderComponent({ color: '#00FF00' }));
+    player.addTag('player');
+  });
+
+  it('should restore entities, components and tags', () => {
+    const snapshot = gameEngine.createSnapshot();
+
+    const player = gameEngine.getEntity('player');
+    player.getComponent('TransformComponent').setPosition(500, 500);
+    player.getComponent('RenderComponent').color = '#FF0000';
+    player.removeTag('player');
+    gameEngine.createEntity('extra');
+
+    gameEngine.restoreSnapshot(snapshot);
+
+    const restored = gameEngine.getEntity('player');
+    expect(restored).not.toBe(player);
+    expect(restored.getComponent('TransformComponent').position).toEqual({ x: 10, y: 20 });
+    expect(restored.getComponent('RenderComponent').color).toBe('#00FF00');
+    expect(restored.getComponent('RenderComponent').animations).toBeInstanceOf(Map);
+    expect(restored.hasTag('player')).toBe(true);
+    expect(gameEngine.getEntity('extra')).toBeNull();
+    expect(gameEngine.entityManager.getEntitiesByTag('player')).toEqual([restored]);
+  });
+
+  it('should not share state between the snapshot and the live world', () => {
+    const snapshot = gameEngine.createSnapshot();
+
+    gameEngine.restoreSnapshot(snapshot);
+    gameEngine.getEntity('player').getComponent('TransformComponent').position.x = 999;
+    gameEngine.restoreSnapshot(snapshot);
+
+    expect(gameEngine.getEntity('player').getComponent('TransformComponent').position.x).toBe(10);
+  });
+
+  it('should restore runtime-defined components and their callbacks', () => {
+    const onDeath = () => 'dead';
+    gameEngine.getEntity('player').addComponent(new HealthComponent({ health: 30, onDeath }));
+    const snapshot = gameEngine.createSnapshot();
+
+    gameEngine.getEntity('player').removeComponent('HealthComponent');
+    gameEngine.restoreSnapshot(snapshot);
+
+    const health = gameEngine.getEntity('player').getComponent('HealthComponent');
+    expect(health).toBeInstanceOf(HealthComponent);
+    expect(health.health).toBe(30);
+    expect(health.onDeath).toBe(onDeath);
+  });
+
+  it('should restore system configuration', () => {
+    const movementSystem = new MovementSystem();
+    gameEngine.addSystem(movementSystem);
+    const snapshot = gameEngine.createSnapshot();
+
+    movementSystem.setGravity(0, 50);
+    movementSystem.disable();
+    gameEngine.restoreSnapshot(snapshot);
+
+    expect(movementSystem.getConfiguration().gravity).toEqual({ x: 0, y: 980 });
+    expect(movementSystem.isEnabled()).toBe(true);
+  });
+
+  it('should keep entity stats consistent across restores', () => {
+    const snapshot = gameEngine.createSnapshot();
+
+    gameEngine.restoreSnapshot(snapshot);
+    gameEngine.restoreSnapshot(snapshot);
+
+    const stats = gameEngine.entityManager.getStats();
+    expect(stats.totalEntities).toBe(1);
+    expect(stats.activeEntities).toBe(1);
+  });
+
+  it('should restore entity hierarchies, also through JSON', () => {
+    // The child is created before its parent, so the restore has to link them afterwards
+    const shield = gameEngine.createEntity('shield');
+    shield.addComponent(new TransformComponent(0, -15));
+    gameEngine.getEntity('player').addChild(shield);
+    const snapshot = gameEngine.createSnapshot();
+
+    gameEngine.getEntity('shield').detach();
+    gameEngine.restoreSnapshot(WorldSnapshot.fromJSON(JSON.parse(JSON.stringify(snapshot.toJSON())), type => gameEngine.componentRegistry.getClass(type)));
+
+    const player = gameEngine.getEntity('player');
+    expect(gameEngine.getEntity('shield').getParent()).toBe(player);
+    expect(player.getChildren().map(child => child.id)).toEqual(['shield']);
+    expect(gameEngine.getEntity('shield').getComponent('TransformComponent').getWorldPosition()).toEqual({ x: 10, y: 5 });
+  });
+});
@@ -0,0 +1,141 @@
+import { jest } from '@jest/globals';
+import { CodeExecutor } from '../../execution/CodeExecutor.js';
+import { LLMService } from '../../llm/LLMService.js';
+import { GameEngine } from '../../engine/GameEngine.js';
+
+describe('CodeExecutor', () => {
+  let executor;
+
+  beforeEach(() => {
+    executor = new CodeExecutor({ timeout: 200 });
+  });
+
+  describe('execute', () => {
+    it('should return the value of the executed code', async () => {
+      const result = await executor.execute('return 1 + 2;');
+
+      expect(result.success).toBe(true);
+      expect(result.result).toBe(3);
+    });
+
+    it('should expose context values to the sandbox', async () => {
+      const result = await executor.execute('return game.value * 2;', { game: { value: 21 } });
+
+      expect(result.success).toBe(true);
+      expect(result.result).toBe(42);
+    });
+
+    it('should interrupt synchronous loops with the VM timeout', async () => {
+      const code = 'let i = 0; while (i >= 0) { i++; }';
+      const result = await executor.execute(code);
+
+      expect(result.success).toBe(false);
+      expect(result.error.type).toBe('timeout');
+    });
+
+    it('should honour a per-call timeout', async () => {
+      const code = 'let i = 0; while (i >= 0) { i++; }';
+      const startTime = Date.now();
+      const result = await executor.execute(code, {}, { timeout: 50 });
+
+      expect(result.success).toBe(false);
+      expect(Date.now() - startTime).toBeLessThan(1000);
+    });
+
+    it('should not expose host globals', async () => {
+      const result = await executor.execute('return typeof process;');
+
+      expect(result.success).toBe(true);
+      expect(result.result).toBe('undefined');
+    });
+
+    it('should call context functions through the sandbox bridge', async () => {
+      const spawn = jest.fn((name, position) => ({ name, x: position.x * 2 }));
+      const result = await executor.execute('return spawn("enemy", { x: 5 }).x;', { spawn });
+
+      expect(result.success).toBe(true);
+      expect(result.result).toBe(10);
+      expect(spawn).toHaveBeenCalledWith('enemy', { x: 5 });
+    });
+
+    it('should reject host objects in the context', () => {
+      class Host {}
+
+      expect(() => executor.validateContext({ game: { host: new Host() } }))
+        .toThrow('Context values must be plain data or functions: game.host');
+    });
+
+    it('should stop code that exceeds the memory limit', async () => {
+      const limited = new CodeExecutor({ timeout: 5000, maxMemory: 16 * 1024 * 1024 });
+      const code = 'const chunks = []; for (let i = 0; i < 1e6; i++) { chunks.push(new Array(100000).fill(i)); }';
+      const result = await limited.execute(code);
+
+      expect(result.success).toBe(false);
+      expect(result.error.type).toBe('memory_limit');
+    });
+  });
+});
+
+describe('LLMService sandboxed execution', () => {
+  let llmService;
+  let gameEngine;
+
+  beforeEach(() => {
+    gameEngine = new GameEngine();
+    llmService = new LLMService(gameEngine, { provider: 'mock', maxExecutionTime: 200 });
+  });
+
+  it('should run generated code through the CodeExecutor', async () => {
+    const executeSpy = jest.spyOn(llmService.codeExecutor, 'execute');
+
+    const result = await llmService.executeGeneratedCode(
+      'const entity = game.createEntity("sandboxed"); entity.addTag("test");',
+      {}
+    );
+
+    expect(result.success).toBe(true);
+    expect(executeSpy).toHaveBeenCalledTimes(1);
+    expect(gameEngine.getEntity('sandboxed').hasTag('test')).toBe(true);
+  });
+
+  it('should stop runaway generated code', async () => {
+    const result = await llmService.executeGeneratedCode('let i = 0; while (i >= 0) { i++; }', {});
+
+    expect(result.success).toBe(false);
+    expect(result.error.type).toBe('execution_timeout');
+  });
+
+  it('should not let generated code reach the host through the game API', async () => {
+    gameEngine.createEntity('target');
+    const code = `
+      const ctor = 'constr' + 'uctor';
+      const results = [];
+      const entity = game.getEntity('target');
+      results.push(entity.entityManager === undefined ? 'hidden' : 'exposed');
+      results.push(Object.keys(entity).join(','));
+      try {
+        results.push(game.getEntity[ctor]('return typeof process')());
+      } catch (error) {
+        results.push('blocked');
+      }
+      try {
+        const species = function (executor) {
+          executor(() => {}, () => {});
+          return results.push(typeof (this[ctor][ctor]('return typeof process'))());
+        };
+        class Evil extends Promise {}
+        Object.defineProperty(Evil, Symbol.species, { value: species });
+        Evil.resolve(1).then(() => {});
+      } catch (error) {
+        results.push('blocked');
+      }
+      return results;
+    `;
+    const result = await llmService.executeGeneratedCode(code, {});
+
+    expect(result.success).toBe(true);
+    expect(result.result[0]).toBe('hidden');
+    expect(result.result[1]).toBe('id');
+    expect(result.result.slice(2)).not.toContain('object');
+  });
+});
@@ -199,13 +199,28 @@ describe('GameContextBuilder', () => {
     it('should return component type information', () => {
       const componentTypes = contextBuilder.getComponentTypes();
 
-      expect(componentTypes).toHaveLength(5);
+      expect(componentTypes).toHaveLength(11);
       
       const transformType = componentTypes.find(c => c.name === 'TransformComponent');
       expect(transformType).toBeDefined();
       expect(transformType.description).toContain('position');
       expect(transformType.properties).toContain('position');
       expect(transformType.methods).toContain('setPosition');
+
+      expect(componentTypes.find(c => c.name === 'ScriptComponent')).toBeDefined();
+      expect(componentTypes.find(c => c.name === 'ShooterControllerComponent')).toBeDefined();
+    });
+  });
+
+  describe('getPrefabs', () => {
+    it('should list the prefabs that can be spawned', () => {
+      const prefabs = contextBuilder.getPrefabs();
+
+      const enemyRed = prefabs.find(prefab => prefab.name === 'enemy-red');
+      expect(enemyRed.extends).toBe('enemy');
+      expect(enemyRed.tags).toContain('enemy');
+      expect(enemyRed.components).toContain('RenderComponent');
+      expect(contextBuilder.buildContext('spawn an enemy').prefabs).toEqual(prefabs);
     });
   });
 
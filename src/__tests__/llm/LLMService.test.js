@@ -42,7 +42,7 @@ describe('LLMService', () => {
 
     // Create LLMService with mocked dependencies
     llmService = new LLMService(gameEngine);
-    llmService.geminiClient = mockGeminiClient;
+    llmService.llmProvider = mockGeminiClient;
     llmService.contextBuilder = mockContextBuilder;
   });
 
@@ -318,7 +318,7 @@ describe('LLMService', () => {
       expect(stats.successfulExecutions).toBe(8);
       expect(stats.successRate).toBe(80);
       expect(stats.totalTokensUsed).toBe(500);
-      expect(stats.geminiStats).toBeDefined();
+      expect(stats.providerStats).toBeDefined();
     });
 
     it('should manage execution history', () => {
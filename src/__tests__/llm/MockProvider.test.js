@@ -0,0 +1,103 @@
+import { jest } from '@jest/globals';
+import { MockProvider } from '../../llm/providers/MockProvider.js';
+import { OpenAICompatibleProvider } from '../../llm/providers/OpenAICompatibleProvider.js';
+import { createLLMProvider } from '../../llm/providers/index.js';
+
+describe('MockProvider', () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = new MockProvider();
+  });
+
+  it('should return the same code for the same request', async () => {
+    const first = await provider.generateGameCode('Make the player faster', {});
+    const second = await provider.generateGameCode('Make the player faster', {});
+
+    expect(first.success).toBe(true);
+    expect(first.code).toContain('moveSpeed');
+    expect(second.code).toBe(first.code);
+  });
+
+  it('should prefer custom rules over the defaults', async () => {
+    provider.addRule(/faster/, 'console.log("custom");', 'Custom rule');
+    const result = await provider.generateGameCode('Make the player faster', {});
+
+    expect(result.code).toBe('console.log("custom");');
+    expect(result.explanation).toBe('Custom rule');
+  });
+
+  it('should fall back to a no-op for unknown requests', async () => {
+    const result = await provider.generateGameCode('Write me a poem', {});
+
+    expect(result.success).toBe(true);
+    expect(result.code).toContain('no canned response');
+  });
+
+  it('should track request statistics', async () => {
+    await provider.generateGameCode('Change the enemy colour', {});
+    const stats = provider.getStats();
+
+    expect(stats.provider).toBe('mock');
+    expect(stats.requestCount).toBe(1);
+  });
+});
+
+describe('OpenAICompatibleProvider', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should call the chat completions endpoint', async () => {
+    const fetchSpy = jest.spyOn(global, 'fetch').mockResolvedValue({
+      ok: true,
+      json: async () => ({
+        model: 'llama3.1',
+        choices: [{ message: { content: 'Done.\n\n```javascript\nconsole.log(1);\n```' }, finish_reason: 'stop' }],
+        usage: { completion_tokens: 12 }
+      })
+    });
+
+    const provider = new OpenAICompatibleProvider({ baseUrl: 'http://llm.local/v1/', apiKey: 'secret' });
+    const result = await provider.generateGameCode('Log something', {});
+
+    const [url, request] = fetchSpy.mock.calls[0];
+    expect(url).toBe('http://llm.local/v1/chat/completions');
+    expect(request.headers.Authorization).toBe('Bearer secret');
+    expect(JSON.parse(request.body).model).toBe('llama3.1');
+    expect(result.code).toBe('console.log(1);');
+  });
+
+  it('should surface HTTP errors', async () => {
+    jest.spyOn(global, 'fetch').mockResolvedValue({ ok: false, status: 500, statusText: 'Server Error' });
+    const provider = new OpenAICompatibleProvider();
+
+    await expect(provider.generateContent('Hello')).rejects.toThrow('HTTP 500');
+  });
+});
+
+describe('createLLMProvider', () => {
+  it('should use the mock provider when no API key is configured', () => {
+    expect(createLLMProvider({}, {})).toBeInstanceOf(MockProvider);
+  });
+
+  it('should honour LLM_PROVIDER and related variables', () => {
+    const provider = createLLMProvider({}, {
+      LLM_PROVIDER: 'openai',
+      LLM_MODEL: 'qwen2.5-coder',
+      OPENAI_BASE_URL: 'http://localhost:1234/v1'
+    });
+
+    expect(provider).toBeInstanceOf(OpenAICompatibleProvider);
+    expect(provider.model).toBe('qwen2.5-coder');
+    expect(provider.baseUrl).toBe('http://localhost:1234/v1');
+  });
+
+  it('should let explicit options override the environment', () => {
+    expect(createLLMProvider({ provider: 'mock' }, { LLM_PROVIDER: 'openai' })).toBeInstanceOf(MockProvider);
+  });
+
+  it('should reject unknown providers', () => {
+    expect(() => createLLMProvider({ provider: 'nope' }, {})).toThrow('Unknown LLM provider');
+  });
+});
@@ -0,0 +1,83 @@
+import { LLMService } from '../../llm/LLMService.js';
+import { GameEngine } from '../../engine/GameEngine.js';
+import { MockProvider } from '../../llm/providers/MockProvider.js';
+
+describe('LLMService modification tracking and undo/redo', () => {
+  let gameEngine;
+  let llmService;
+
+  // Make the mock LLM answer the next request with the given code
+  const generate = (code) => {
+    llmService.llmProvider.addRule(/.*/, code, 'test');
+  };
+
+  beforeEach(() => {
+    gameEngine = new GameEngine();
+    gameEngine.createEntity('player').addTag('player');
+    llmService = new LLMService(gameEngine, {
+      llmProvider: new MockProvider({ includeDefaultRules: false }),
+      maxExecutionTime: 200
+    });
+  });
+
+  it('should undo and redo an applied modification', async () => {
+    generate('game.createEntity("enemy").addTag("enemy");');
+    await llmService.processModificationRequest('Add an enemy');
+    expect(gameEngine.getEntity('enemy')).not.toBeNull();
+
+    const undo = llmService.undoModification();
+    expect(undo.userRequest).toBe('Add an enemy');
+    expect(undo.canRedo).toBe(true);
+    expect(gameEngine.getEntity('enemy')).toBeNull();
+    expect(gameEngine.getEntity('player').hasTag('player')).toBe(true);
+
+    const redo = llmService.redoModification();
+    expect(redo.canUndo).toBe(true);
+    expect(gameEngine.getEntity('enemy').hasTag('enemy')).toBe(true);
+  });
+
+  it('should roll back code that fails partway through', async () => {
+    generate('game.createEntity("half-done"); game.getEntity("player").addTag("changed"); undefinedHelper();');
+
+    const result = await llmService.processModificationRequest('Add a helper');
+
+    expect(result.executionResult.success).toBe(false);
+    expect(result.executionResult.rolledBack).toBe(true);
+    expect(gameEngine.getEntity('half-done')).toBeNull();
+    expect(gameEngine.getEntity('player').hasTag('changed')).toBe(false);
+    expect(llmService.getUndoState().canUndo).toBe(false);
+  });
+
+  it('should clear redo history after a new modification', async () => {
+    generate('game.createEntity("first");');
+    await llmService.processModificationRequest('First');
+    llmService.undoModification();
+
+    generate('game.createEntity("second");');
+    await llmService.processModificationRequest('Second');
+
+    expect(llmService.getUndoState().canRedo).toBe(false);
+    expect(() => llmService.redoModification()).toThrow('Nothing to redo');
+  });
+
+  it('should report the diff and feed it into the next context', async () => {
+    generate('game.createEntity("enemy"); game.getEntity("player").addTag("hero");');
+    const result = await llmService.processModificationRequest('Add an enemy');
+
+    expect(result.executionResult.changes.entitiesCreated).toEqual(['enemy']);
+    expect(result.executionResult.changes.tagsAdded).toEqual([{ entityId: 'player', tag: 'hero' }]);
+    expect(result.executionResult.entitiesModified).toEqual(['enemy', 'player']);
+    expect(result.changeSummary).toContain('Created entity enemy');
+
+    const context = llmService.contextBuilder.buildContext('Next request');
+    expect(context.recentChanges).toHaveLength(1);
+    expect(context.recentChanges[0].userRequest).toBe('Add an enemy');
+
+    llmService.undoModification();
+    expect(llmService.contextBuilder.getRecentChanges()).toHaveLength(0);
+  });
+
+  it('should throw when there is nothing to undo', () => {
+    expect(() => llmService.undoModification()).toThrow('Nothing to undo');
+  });
+});
@@ -0,0 +1,171 @@
+import { ModificationPlan } from '../../llm/ModificationPlan.js';
+import { LLMService } from '../../llm/LLMService.js';
+import { MockProvider } from '../../llm/providers/MockProvider.js';
+import { GameEngine } from '../../engine/GameEngine.js';
+import { PhysicsSystem } from '../../engine/systems/PhysicsSystem.js';
+import { TransformComponent } from '../../engine/components/TransformComponent.js';
+import { RenderComponent } from '../../engine/components/RenderComponent.js';
+
+describe('ModificationPlan', () => {
+  let gameEngine;
+
+  beforeEach(() => {
+    gameEngine = new GameEngine();
+
+    const player = gameEngine.createEntity('player');
+    player.addComponent(new TransformComponent(10, 20));
+    player.addComponent(new RenderComponent({ color: '#00FF00' }));
+    player.addTag('player');
+
+    for (let i = 0; i < 2; i++) {
+      const enemy = gameEngine.createEntity(`enemy-${i}`);
+      enemy.addComponent(new RenderComponent({ color: '#FFFFFF' }));
+      enemy.addTag('enemy');
+    }
+  });
+
+  it('should parse plans from JSON text, objects and arrays', () => {
+    const operations = [{ op: 'addTag', entity: 'player', tag: 'hero' }];
+
+    expect(ModificationPlan.parse(JSON.stringify({ operations })).operations).toEqual(operations);
+    expect(ModificationPlan.parse({ operations, explanation: 'Hero' }).explanation).toBe('Hero');
+    expect(ModificationPlan.parse(operations).operations).toEqual(operations);
+    expect(() => ModificationPlan.parse('{ not json')).toThrow('Invalid modification plan JSON');
+  });
+
+  it('should report schema violations', () => {
+    const plan = ModificationPlan.parse([
+      { op: 'explode' },
+      { op: 'addTag', tag: 'hero' },
+      { op: 'addComponent', entity: 'player', component: 'LaserComponent' },
+      { op: 'setProperty', entity: 'player', component: 'RenderComponent', property: '__proto__.x', value: 1 },
+      { op: 'destroyByTag', tag: 'enemy', extra: true }
+    ]);
+
+    expect(plan.validate()).toEqual([
+      'operations[0]: unknown op "explode"',
+      'operations[1]: addTag needs exactly one of "entity" or "withTag"',
+      'operations[2]: unknown component "LaserComponent"',
+      'operations[3]: invalid property path "__proto__.x"',
+      'operations[4]: unexpected field "extra" for destroyByTag'
+    ]);
+  });
+
+  it('should apply operations through the engine API', () => {
+    gameEngine.addSystem(new PhysicsSystem());
+    gameEngine.initialize();
+
+    const plan = ModificationPlan.parse([
+      {
+        op: 'createEntity',
+        id: 'boss',
+        tags: ['enemy', 'boss'],
+        components: { TransformComponent: { x: 100, y: 50 }, RenderComponent: { color: '#FF0000' } }
+      },
+      { op: 'setProperty', withTag: 'enemy', component: 'RenderComponent', property: 'color', value: '#FF00FF' },
+      { op: 'setProperty', entity: 'player', component: 'TransformComponent', property: 'position.x', value: 42 },
+      { op: 'addTag', entity: 'player', tag: 'hero' },
+      { op: 'setSystemConfig', system: 'PhysicsSystem', config: { gravity: { x: 0, y: 2 } } },
+      { op: 'destroyByTag', tag: 'boss' }
+    ]);
+
+    const results = plan.apply(gameEngine);
+
+    expect(results[0]).toEqual({ op: 'createEntity', entityId: 'boss' });
+    expect(results[1].count).toBe(3);
+    expect(gameEngine.getEntity('enemy-0').getComponent('RenderComponent').color).toBe('#FF00FF');
+    expect(gameEngine.getEntity('player').getComponent('TransformComponent').position.x).toBe(42);
+    expect(gameEngine.getEntity('player').hasTag('hero')).toBe(true);
+    expect(gameEngine.getSystem('PhysicsSystem').getConfiguration().gravity).toEqual({ x: 0, y: 2 });
+
+    // Plans remove entities right away instead of at the end of the frame
+    expect(gameEngine.getEntity('boss')).toBeNull();
+  });
+
+  it('should refuse unknown properties and mismatched types', () => {
+    const unknown = ModificationPlan.parse([
+      { op: 'setProperty', entity: 'player', component: 'RenderComponent', property: 'colour', value: '#000' }
+    ]);
+    const mistyped = ModificationPlan.parse([
+      { op: 'setProperty', entity: 'player', component: 'RenderComponent', property: 'width', value: 'wide' }
+    ]);
+
+    expect(() => unknown.apply(gameEngine)).toThrow('Unknown property RenderComponent.colour');
+    expect(() => mistyped.apply(gameEngine)).toThrow('RenderComponent.width must be a number');
+  });
+
+  it('should describe operations for previews', () => {
+    const plan = ModificationPlan.parse([
+      { op: 'createEntity', id: 'boss', tags: ['enemy'], components: { RenderComponent: {} } },
+      { op: 'setProperty', withTag: 'enemy', component: 'RenderComponent', property: 'color', value: '#F00' }
+    ]);
+
+    expect(plan.describe()).toEqual([
+      'Create entity boss with RenderComponent tagged enemy',
+      'Set all "enemy" entities.RenderComponent.color = "#F00"'
+    ]);
+  });
+
+  describe('with LLMService', () => {
+    let llmService;
+
+    beforeEach(() => {
+      llmService = new LLMService(gameEngine, {
+        llmProvider: new MockProvider(),
+        maxExecutionTime: 200
+      });
+    });
+
+    it('should apply plans returned by the provider and allow undo', async () => {
+      const result = await llmService.processModificationRequest('Change the enemy colour');
+
+      expect(result.format).toBe('plan');
+      expect(result.generatedCode).toBeNull();
+      expect(result.plan.operations).toHaveLength(1);
+      expect(result.changeSummary).toContain('enemy-0.RenderComponent.color: "#FFFFFF" → "#FF00FF"');
+
+      llmService.undoModification();
+      expect(gameEngine.getEntity('enemy-0').getComponent('RenderComponent').color).toBe('#FFFFFF');
+    });
+
+    it('should report and undo entities a plan destroys', async () => {
+      const result = await llmService.applyModificationPlan([
+        { op: 'destroyByTag', tag: 'enemy' },
+        { op: 'destroyEntity', entity: 'player' }
+      ]);
+
+      expect(result.executionResult.changes.entitiesDestroyed).toEqual(['enemy-0', 'enemy-1', 'player']);
+      expect(result.changeSummary).toContain('Destroyed entity player');
+
+      llmService.undoModification();
+      expect(gameEngine.getEntity('enemy-1')).not.toBeNull();
+      expect(gameEngine.getEntity('player').hasTag('player')).toBe(true);
+    });
+
+    it('should roll back a plan that fails partway through', async () => {
+      const result = await llmService.applyModificationPlan([
+        { op: 'addTag', entity: 'player', tag: 'hero' },
+        { op: 'destroyEntity', entity: 'ghost' }
+      ]);
+
+      expect(result.executionResult.success).toBe(false);
+      expect(result.executionResult.rolledBack).toBe(true);
+      expect(result.executionResult.error.message).toContain('Operation 2 (destroyEntity) failed');
+      expect(gameEngine.getEntity('player').hasTag('hero')).toBe(false);
+    });
+
+    it('should replay stored plans and preview them without applying', async () => {
+      const stored = (await llmService.processModificationRequest('Change the enemy colour')).plan;
+      llmService.undoModification();
+
+      const preview = llmService.previewModificationPlan(stored);
+      expect(preview.valid).toBe(true);
+      expect(preview.operations).toEqual(['Set all "enemy" entities.RenderComponent.color = "#FF00FF"']);
+      expect(gameEngine.getEntity('enemy-1').getComponent('RenderComponent').color).toBe('#FFFFFF');
+
+      await llmService.applyModificationPlan(stored, { userRequest: 'Replay' });
+      expect(gameEngine.getEntity('enemy-1').getComponent('RenderComponent').color).toBe('#FF00FF');
+      expect(llmService.getUndoState().undoRequests.map(entry => entry.userRequest)).toEqual(['Replay']);
+    });
+  });
+});
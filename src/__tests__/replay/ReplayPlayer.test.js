@@ -0,0 +1,146 @@
+import { jest } from '@jest/globals';
+import { GameEngine } from '../../engine/GameEngine.js';
+import { InputSystem } from '../../engine/systems/InputSystem.js';
+import { BehaviorSystem } from '../../engine/systems/BehaviorSystem.js';
+import { ComponentUpdateSystem } from '../../engine/systems/ComponentUpdateSystem.js';
+import { MovementSystem } from '../../engine/systems/MovementSystem.js';
+import { ShooterSystem } from '../../engine/systems/ShooterSystem.js';
+import { TransformComponent } from '../../engine/components/TransformComponent.js';
+import { RenderComponent } from '../../engine/components/RenderComponent.js';
+import { MovementComponent } from '../../engine/components/MovementComponent.js';
+import { PlayerControllerComponent } from '../../engine/components/PlayerControllerComponent.js';
+import { ShooterControllerComponent } from '../../engine/components/ShooterControllerComponent.js';
+import { LLMService } from '../../llm/LLMService.js';
+import { MockProvider } from '../../llm/providers/MockProvider.js';
+import { SessionRecorder } from '../../replay/SessionRecorder.js';
+import { ReplayPlayer } from '../../replay/ReplayPlayer.js';
+
+// Enemies drift by a random amount every frame, so replays depend on the seeded RNG
+const WANDER_CODE = `game.addBehavior('wander', { tag: 'enemy' }, function (entity, dt, game) {
+  entity.getComponent('TransformComponent').translate(game.randomInt(-3, 3), 0);
+});`;
+
+/**
+ * Build an engine with the server's systems
+ * @param {Function} onEventQueued - Input recording hook
+ * @returns {Object} - { gameEngine, inputSystem, llmService }
+ */
+function createSession(onEventQueued = null) {
+  const gameEngine = new GameEngine({ fixedTimestep: true, tickRate: 50, seed: 'replay-test' });
+  const inputSystem = new InputSystem({ onEventQueued });
+  const movementSystem = new MovementSystem();
+  movementSystem.setGravityEnabled(false);
+
+  gameEngine.addSystem(inputSystem);
+  gameEngine.addSystem(new BehaviorSystem());
+  gameEngine.addSystem(new ComponentUpdateSystem());
+  gameEngine.addSystem(movementSystem);
+  gameEngine.addSystem(new ShooterSystem());
+  gameEngine.initialize();
+
+  const llmProvider = new MockProvider();
+  llmProvider.addRule(/wander/, WANDER_CODE, 'Enemies wander');
+  const llmService = new LLMService(gameEngine, { llmProvider, maxExecutionTime: 500 });
+
+  return { gameEngine, inputSystem, llmService };
+}
+
+/**
+ * Create a player and a few enemies
+ * @param {GameEngine} gameEngine - Engine to fill
+ */
+function createWorld(gameEngine) {
+  const player = gameEngine.createEntity('player');
+  player.addComponent(new TransformComponent(400, 550));
+  player.addComponent(new MovementComponent({ maxSpeed: 300 }));
+  player.addComponent(new PlayerControllerComponent({ moveSpeed: 1 }));
+  player.addComponent(new ShooterControllerComponent({ fireRate: 100, autoFire: true, shootKeys: ['Space'] }));
+  player.addTag('player');
+
+  for (let i = 0; i < 3; i++) {
+    const enemy = gameEngine.createEntity(`enemy-${i}`);
+    enemy.addComponent(new TransformComponent(100 + i * 100, 100));
+    enemy.addComponent(new RenderComponent({ color: '#FFFFFF' }));
+    enemy.addTag('enemy');
+  }
+}
+
+describe('ReplayPlayer', () => {
+  let original;
+  let recorder;
+  let replay;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    original = createSession((clientId, event) => recorder.recordInput(clientId, event));
+    createWorld(original.gameEngine);
+    recorder = new SessionRecorder(original.gameEngine);
+    recorder.start();
+
+    const { gameEngine, inputSystem, llmService } = original;
+    gameEngine.advance(100);
+    inputSystem.queueInput('p1', { events: [{ type: 'keydown', code: 'ArrowRight' }, { type: 'keydown', code: 'Space' }] });
+    gameEngine.advance(250);
+    recorder.recordModification(await llmService.processModificationRequest('Make the enemies wander'));
+    gameEngine.advance(300);
+    recorder.recordModification(await llmService.processModificationRequest('Change the enemy colour'));
+    inputSystem.queueInput('p1', { type: 'keyup', code: 'Space' });
+    gameEngine.advance(200);
+    recorder.recordUndoRedo('undo', llmService.undoModification().requestId);
+    gameEngine.advance(150);
+
+    // Round-trip through JSON like an exported replay file
+    replay = JSON.parse(JSON.stringify(recorder.stop()));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should record inputs, modifications and undos with their ticks', () => {
+    expect(replay.start.tick).toBe(0);
+    expect(replay.end.tick).toBe(original.gameEngine.tickCount);
+    expect(replay.entries.map(entry => entry.type)).toEqual(['input', 'input', 'modification', 'modification', 'input', 'undo']);
+    expect(replay.entries[0]).toMatchObject({ tick: 5, clientId: 'p1', event: { type: 'keydown', code: 'ArrowRight' } });
+    expect(replay.entries[2]).toMatchObject({ format: 'code', code: WANDER_CODE });
+    expect(replay.entries[3]).toMatchObject({ format: 'plan', code: null });
+  });
+
+  it('should reproduce the recorded session exactly', async () => {
+    const replayed = createSession();
+    const result = await new ReplayPlayer(replayed.gameEngine, { llmService: replayed.llmService }).play(replay);
+
+    expect(result.matched).toBe(true);
+    expect(result.checksum).toBe(replay.end.checksum);
+    expect(replayed.gameEngine.tickCount).toBe(original.gameEngine.tickCount);
+
+    const position = id => replayed.gameEngine.getEntity(id).getComponent('TransformComponent').position;
+    const originalPosition = id => original.gameEngine.getEntity(id).getComponent('TransformComponent').position;
+    expect(position('player')).toEqual(originalPosition('player'));
+    expect(position('enemy-1')).toEqual(originalPosition('enemy-1'));
+    expect(position('enemy-1')).not.toEqual({ x: 200, y: 100 });
+
+    // The bullets have left the world by the end, but both sessions fired the same ones
+    const shooter = engine => engine.getSystem('ShooterSystem').getConfiguration();
+    expect(shooter(original.gameEngine).nextBulletId).toBeGreaterThan(1);
+    expect(shooter(replayed.gameEngine)).toEqual(shooter(original.gameEngine));
+  });
+
+  it('should report a replay that diverges from the recording', async () => {
+    replay.entries[0].event.code = 'ArrowLeft';
+
+    const replayed = createSession();
+    const result = await new ReplayPlayer(replayed.gameEngine, { llmService: replayed.llmService }).play(replay);
+
+    expect(result.matched).toBe(false);
+  });
+
+  it('should refuse data that is not a replay', async () => {
+    const player = new ReplayPlayer(createSession().gameEngine);
+
+    await expect(player.play({ format: 'something-else' })).rejects.toThrow('Not a replay file');
+    await expect(player.play(replay)).rejects.toThrow('needs an LLMService');
+  });
+});
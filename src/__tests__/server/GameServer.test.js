@@ -0,0 +1,65 @@
+import { jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { GameServer } from '../../server/index.js';
+
+describe('GameServer', () => {
+  let directory;
+  let server;
+
+  beforeEach(async () => {
+    // The server's periodic broadcasts use intervals; keep them from outliving the test
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'server-'));
+    server = new GameServer({
+      recordSessions: false,
+      prefabsDirectory: directory,
+      worldsDirectory: path.join(directory, 'worlds'),
+      replaysDirectory: path.join(directory, 'replays')
+    });
+    await server.prefabsLoaded; // The demo world is built right after
+  });
+
+  afterEach(async () => {
+    server.gameEngine.stop();
+    server.io.close();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('should rebuild the demo world on every reset', async () => {
+    server.gameEngine.start();
+    server.gameEngine.destroyEntity('barrier-0');
+    server.gameEngine.componentRegistry.define('FuelComponent', { fuel: 50 });
+
+    await server.resetGame();
+    await server.resetGame();
+
+    const entityManager = server.gameEngine.entityManager;
+    expect(server.gameEngine.running).toBe(false);
+    expect(server.gameEngine.getEntity('player')).not.toBeNull();
+    expect(server.gameEngine.getEntity('barrier-0')).not.toBeNull();
+    expect(entityManager.getAllEntities()).toHaveLength(21);
+    expect(entityManager.entitiesToDestroy.size).toBe(0);
+    expect(server.gameEngine.componentRegistry.has('FuelComponent')).toBe(false);
+  });
+
+  it('should let overlapping resets finish without colliding', async () => {
+    await Promise.all([server.resetGame(), server.resetGame()]);
+
+    expect(server.gameEngine.entityManager.getAllEntities()).toHaveLength(21);
+  });
+
+  it('should reject a failed rebuild instead of crashing', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(server, 'buildDemoWorld').mockImplementation(() => {
+      throw new Error('No player prefab');
+    });
+
+    await expect(server.resetGame()).rejects.toThrow('No player prefab');
+    expect(console.error).toHaveBeenCalledWith('❌ Failed to reset game:', expect.any(Error));
+  });
+});
@@ -0,0 +1,56 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { GameEngine } from '../../engine/GameEngine.js';
+import { TransformComponent } from '../../engine/components/TransformComponent.js';
+import { SessionRecorder } from '../../replay/SessionRecorder.js';
+import { ReplayStore } from '../../server/ReplayStore.js';
+
+describe('ReplayStore', () => {
+  let directory;
+  let replayStore;
+
+  const recordReplay = () => {
+    const gameEngine = new GameEngine({ fixedTimestep: true, tickRate: 50, seed: 1 });
+    gameEngine.initialize();
+    gameEngine.createEntity('player').addComponent(new TransformComponent(10, 20));
+
+    const recorder = new SessionRecorder(gameEngine);
+    recorder.start({ description: 'Recorded' });
+    gameEngine.advance(100);
+    recorder.recordInput('p1', { type: 'keydown', code: 'Space' });
+    gameEngine.advance(100);
+    return recorder.stop();
+  };
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'replays-'));
+    replayStore = new ReplayStore({ directory });
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('should save, list, read and delete replays', async () => {
+    const replay = recordReplay();
+
+    const saved = await replayStore.save('run-1', replay, { description: 'First run' });
+    expect(saved).toMatchObject({ name: 'run-1', description: 'First run', version: 1, entryCount: 1, ticks: 10 });
+
+    const read = await new ReplayStore({ directory }).read('run-1');
+    expect(read.entries).toEqual(replay.entries);
+    expect(read.end.checksum).toBe(replay.end.checksum);
+
+    expect((await replayStore.list()).map(summary => summary.name)).toEqual(['run-1']);
+
+    await replayStore.delete('run-1');
+    expect(await replayStore.list()).toEqual([]);
+    await expect(replayStore.read('run-1')).rejects.toMatchObject({ code: 'REPLAY_NOT_FOUND' });
+  });
+
+  it('should reject unsafe names and data that is not a replay', async () => {
+    await expect(replayStore.save('../escape', recordReplay())).rejects.toMatchObject({ code: 'INVALID_REPLAY_NAME' });
+    await expect(replayStore.save('broken', { entries: [] })).rejects.toThrow('Not a replay file');
+  });
+});
@@ -0,0 +1,118 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { GameEngine } from '../../engine/GameEngine.js';
+import { Component } from '../../engine/Component.js';
+import { MovementSystem } from '../../engine/systems/MovementSystem.js';
+import { BehaviorSystem } from '../../engine/systems/BehaviorSystem.js';
+import { TransformComponent } from '../../engine/components/TransformComponent.js';
+import { RenderComponent } from '../../engine/components/RenderComponent.js';
+import { ShooterControllerComponent } from '../../engine/components/ShooterControllerComponent.js';
+import { ComponentRegistry } from '../../engine/ComponentRegistry.js';
+import { WorldStore } from '../../server/WorldStore.js';
+
+// Component defined at runtime, like one created by generated code
+class ManaComponent extends Component {
+  constructor(options = {}) {
+    super();
+    this.mana = options.mana || 100;
+  }
+}
+
+describe('WorldStore', () => {
+  let directory;
+  let worldStore;
+
+  const createEngine = (componentRegistry) => {
+    const gameEngine = new GameEngine({ componentRegistry });
+    gameEngine.addSystem(new MovementSystem());
+    gameEngine.addSystem(new BehaviorSystem());
+    gameEngine.initialize();
+    return gameEngine;
+  };
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'worlds-'));
+    worldStore = new WorldStore({ directory });
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('should save a world and load it into a fresh engine', async () => {
+    const gameEngine = createEngine();
+    const player = gameEngine.createEntity('player');
+    player.addComponent(new TransformComponent(10, 20));
+    player.addComponent(new RenderComponent({ color: '#00FF00' }));
+    player.addComponent(new ShooterControllerComponent({ shootKeys: ['Space'] }));
+    player.addTag('player');
+    gameEngine.getSystem('MovementSystem').setGravityEnabled(false);
+    gameEngine.getSystem('BehaviorSystem').addTagBehavior('spin', 'player', 'function (entity, dt) {}');
+
+    const saved = await worldStore.save('level-1', gameEngine, { description: 'First level' });
+    expect(saved).toMatchObject({ name: 'level-1', description: 'First level', version: 1, entityCount: 1 });
+
+    // A new store and engine, as after a server restart
+    const restarted = createEngine();
+    const loaded = await new WorldStore({ directory }).load('level-1', restarted);
+
+    const restored = restarted.getEntity('player');
+    expect(loaded.skippedComponents).toEqual([]);
+    expect(restored.getComponent('TransformComponent').position).toEqual({ x: 10, y: 20 });
+    expect(restored.getComponent('RenderComponent').color).toBe('#00FF00');
+    expect(restored.getComponent('ShooterControllerComponent').keyStates).toBeInstanceOf(Set);
+    expect(restored.hasTag('player')).toBe(true);
+    expect(restarted.getSystem('MovementSystem').getConfiguration().enableGravity).toBe(false);
+    expect(restarted.getSystem('BehaviorSystem').listBehaviors().map(b => b.name)).toEqual(['spin']);
+  });
+
+  it('should list, overwrite and delete worlds', async () => {
+    const gameEngine = createEngine();
+    gameEngine.createEntity('a');
+
+    await worldStore.save('alpha', gameEngine);
+    await worldStore.save('beta', gameEngine);
+    gameEngine.createEntity('b');
+    await worldStore.save('alpha', gameEngine, { description: 'Updated' });
+
+    const worlds = await worldStore.list();
+    expect(worlds.map(world => world.name).sort()).toEqual(['alpha', 'beta']);
+    expect(worlds.find(world => world.name === 'alpha')).toMatchObject({ description: 'Updated', entityCount: 2 });
+
+    await worldStore.delete('beta');
+    expect((await worldStore.list()).map(world => world.name)).toEqual(['alpha']);
+    await expect(worldStore.delete('beta')).rejects.toMatchObject({ code: 'WORLD_NOT_FOUND' });
+  });
+
+  it('should skip components whose class is not available', async () => {
+    const gameEngine = createEngine();
+    const boss = gameEngine.createEntity('boss');
+    boss.addComponent(new TransformComponent(1, 2));
+    boss.addComponent(new ManaComponent({ mana: 50 }));
+    await worldStore.save('boss', gameEngine);
+
+    const loaded = await worldStore.load('boss', createEngine());
+    expect(loaded.skippedComponents).toEqual([{ entityId: 'boss', type: 'ManaComponent' }]);
+
+    // Registered component types can be restored
+    const registry = new ComponentRegistry();
+    registry.register(ManaComponent);
+    const restarted = createEngine(registry);
+    await worldStore.load('boss', restarted);
+    expect(restarted.getEntity('boss').getComponent('ManaComponent').mana).toBe(50);
+  });
+
+  it('should reject invalid names, unknown files and newer format versions', async () => {
+    await expect(worldStore.save('../escape', createEngine())).rejects.toMatchObject({ code: 'INVALID_WORLD_NAME' });
+    await expect(worldStore.load('missing', createEngine())).rejects.toThrow('World not found: missing');
+
+    await fs.writeFile(path.join(directory, 'future.json'), JSON.stringify({
+      format: 'dynamic-game-world',
+      version: 99,
+      name: 'future',
+      world: { entities: [], systems: {} }
+    }));
+    await expect(worldStore.load('future', createEngine())).rejects.toThrow('unsupported format version 99');
+  });
+});
@@ -32,6 +32,8 @@ function App() {
   const [activePanel, setActivePanel] = useState('chat'); // 'chat', 'stats', 'entities'
   const [showStats, setShowStats] = useState(true);
   const [notifications, setNotifications] = useState([]);
+  const [undoState, setUndoState] = useState({ canUndo: false, canRedo: false });
+  const [lastModification, setLastModification] = useState(null);
 
   // Socket event handlers
   useEffect(() => {
@@ -46,6 +48,7 @@ function App() {
     socket.on('game:modification:complete', handleModificationComplete);
     socket.on('game:modification:error', handleModificationError);
     socket.on('game:safety:violation', handleSafetyViolation);
+    socket.on('game:modification:history', handleModificationHistory);
 
     // Error handling
     socket.on('game:error', handleGameError);
@@ -57,6 +60,7 @@ function App() {
       socket.off('game:modification:complete');
       socket.off('game:modification:error');
       socket.off('game:safety:violation');
+      socket.off('game:modification:history');
       socket.off('game:error');
     };
   }, [socket, updateGameState, updateStats]);
@@ -84,6 +88,19 @@ function App() {
   }, [addNotification]);
 
   const handleModificationComplete = useCallback((data) => {
+    setLastModification(data.result);
+
+    if (data.result.executionResult?.rolledBack) {
+      addNotification({
+        type: 'error',
+        title: 'Modification Rolled Back',
+        message: `Generated code failed, world restored: ${data.result.executionResult.error?.message || 'unknown error'}`,
+        icon: '⏪'
+      });
+      return;
+    }
+
+    setUndoState({ canUndo: true, canRedo: false });
     addNotification({
       type: 'success',
       title: 'Modification Complete',
@@ -92,6 +109,16 @@ function App() {
     });
   }, [addNotification]);
 
+  const handleModificationHistory = useCallback((data) => {
+    setUndoState({ canUndo: data.canUndo, canRedo: data.canRedo });
+    addNotification({
+      type: 'info',
+      title: data.action === 'undo' ? 'Modification Undone' : 'Modification Redone',
+      message: `"${data.userRequest}"`,
+      icon: data.action === 'undo' ? '↩️' : '↪️'
+    });
+  }, [addNotification]);
+
   const handleModificationError = useCallback((data) => {
     addNotification({
       type: 'error',
@@ -135,6 +162,7 @@ function App() {
   const handleGameReset = useCallback(() => {
     if (socket) {
       socket.emit('game:reset');
+      setUndoState({ canUndo: false, canRedo: false });
       addNotification({
         type: 'info',
         title: 'Game Reset',
@@ -144,6 +172,37 @@ function App() {
     }
   }, [socket, addNotification]);
 
+  const handleStep = useCallback(() => {
+    if (socket) {
+      socket.emit('game:step', { count: 1 });
+    }
+  }, [socket]);
+
+  const handleSpeedChange = useCallback((timeScale) => {
+    if (socket) {
+      socket.emit('game:speed', { timeScale });
+    }
+  }, [socket]);
+
+  const handleUndo = useCallback(() => {
+    if (socket) {
+      socket.emit('game:modification:undo');
+    }
+  }, [socket]);
+
+  const handleRedo = useCallback(() => {
+    if (socket) {
+      socket.emit('game:modification:redo');
+    }
+  }, [socket]);
+
+  // Player input handler - the server applies input on its next frame
+  const handlePlayerInput = useCallback((input) => {
+    if (socket) {
+      socket.emit('game:input', input);
+    }
+  }, [socket]);
+
   // Chat message handler
   const handleSendMessage = useCallback((message) => {
     if (socket && message.trim()) {
@@ -210,6 +269,13 @@ function App() {
             onStart={handleGameStart}
             onStop={handleGameStop}
             onReset={handleGameReset}
+            onStep={handleStep}
+            onSpeedChange={handleSpeedChange}
+            timeScale={gameState.timeScale ?? 1}
+            onUndo={handleUndo}
+            onRedo={handleRedo}
+            canUndo={undoState.canUndo}
+            canRedo={undoState.canRedo}
           />
           
           <button
@@ -227,6 +293,7 @@ function App() {
         <div className="flex-1 flex flex-col">
           <GameCanvas 
             gameState={gameState}
+            onInput={handlePlayerInput}
             className="flex-1"
           />
           
@@ -258,7 +325,7 @@ function App() {
               
               {/* Quick Help */}
               <div className="text-xs text-cyan-300 flex items-center gap-4">
-                <span>🎮 No Controls Yet - Use AI Chat Below!</span>
+                <span>🎮 Click the game, then use your controls</span>
                 <span>💬 Type: "Add WASD movement to player"</span>
                 <span>🔫 Then: "Add shooting with spacebar"</span>
               </div>
@@ -269,6 +336,7 @@ function App() {
               {activePanel === 'chat' && (
                 <ChatInterface
                   onSendMessage={handleSendMessage}
+                  lastResult={lastModification}
                   connected={connected}
                   className="h-full"
                 />
@@ -19,6 +19,7 @@ function App() {
     loading,
     error: connectionError,
     sendLLMInstruction,
+    sendPlayerInput,
     startGame,
     stopGame,
     checkHealth
@@ -38,6 +39,7 @@ function App() {
   const [activePanel, setActivePanel] = useState('chat');
   const [showStats, setShowStats] = useState(true);
   const [notifications, setNotifications] = useState([]);
+  const [lastModification, setLastModification] = useState(null);
 
   // Initialize connection on mount
   useEffect(() => {
@@ -122,6 +124,11 @@ function App() {
     }
   }, [stopGame, startGame, refreshGameState, addNotification]);
 
+  // Player input handler - fire and forget, the next poll shows the result
+  const handlePlayerInput = useCallback((input) => {
+    sendPlayerInput(input).catch(() => {});
+  }, [sendPlayerInput]);
+
   // Chat message handler
   const handleSendMessage = useCallback(async (message) => {
     if (message.trim()) {
@@ -136,6 +143,9 @@ function App() {
         const result = await sendLLMInstruction(message, {
           gameState: gameState
         });
+        if (result) {
+          setLastModification(result);
+        }
 
         addNotification({
           type: 'success',
@@ -253,6 +263,7 @@ function App() {
         <div className="flex-1 flex flex-col">
           <GameCanvas 
             gameState={gameState}
+            onInput={handlePlayerInput}
             className="flex-1"
           />
           
@@ -295,6 +306,7 @@ function App() {
               {activePanel === 'chat' && (
                 <ChatInterface
                   onSendMessage={handleSendMessage}
+                  lastResult={lastModification}
                   connected={connected}
                   loading={loading}
                   className="h-full"
@@ -3,7 +3,7 @@ import React, { useState, useRef, useEffect } from 'react';
 /**
  * ChatInterface - Natural language input for game modifications
  */
-function ChatInterface({ onSendMessage, connected, loading = false, className = '' }) {
+function ChatInterface({ onSendMessage, lastResult = null, connected, loading = false, className = '' }) {
   const [message, setMessage] = useState('');
   const [messageHistory, setMessageHistory] = useState([]);
   const [isTyping, setIsTyping] = useState(false);
@@ -53,6 +53,23 @@ function ChatInterface({ onSendMessage, connected, loading = false, className =
     inputRef.current?.focus();
   };
 
+  // Show the outcome of each modification, including what it changed
+  useEffect(() => {
+    if (!lastResult) return;
+
+    const rolledBack = lastResult.executionResult?.rolledBack;
+    setMessageHistory(prev => [...prev, {
+      id: lastResult.id || Date.now(),
+      text: rolledBack
+        ? `Generated code failed and was rolled back: ${lastResult.executionResult.error?.message || 'unknown error'}`
+        : lastResult.explanation || `Applied: "${lastResult.userRequest}"`,
+      changes: rolledBack ? [] : (lastResult.changeSummary || []),
+      timestamp: lastResult.timestamp || Date.now(),
+      type: 'ai'
+    }]);
+    setIsTyping(false);
+  }, [lastResult]);
+
   // Auto-scroll to bottom when new messages arrive
   useEffect(() => {
     if (historyRef.current) {
@@ -173,6 +190,13 @@ function MessageBubble({ message }) {
         <div className="break-words">
           {message.text}
         </div>
+        {message.changes && message.changes.length > 0 && (
+          <ul className="mt-2 text-xs font-mono space-y-1 opacity-90">
+            {message.changes.map((line, index) => (
+              <li key={index} className="break-words">• {line}</li>
+            ))}
+          </ul>
+        )}
         <div className={`
           text-xs mt-1 opacity-75
           ${isUser ? 'text-blue-100' : 'text-muted'}
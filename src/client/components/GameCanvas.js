@@ -2,14 +2,19 @@ import React, { useRef, useEffect, useCallback, useState } from 'react';
 
 /**
  * GameCanvas - Renders the 2D game world using HTML5 Canvas
+ * Keyboard and mouse input is forwarded to the server through onInput;
+ * the camera is panned by dragging with the right mouse button
  */
-function GameCanvas({ gameState, className = '' }) {
+function GameCanvas({ gameState, onInput = null, className = '' }) {
   const canvasRef = useRef(null);
   const animationFrameRef = useRef(null);
   const [canvasSize, setCanvasSize] = useState({ width: 800, height: 600 });
   const [camera, setCamera] = useState({ x: 0, y: 0, zoom: 1 });
   const [showGrid, setShowGrid] = useState(true);
   const [showDebugInfo, setShowDebugInfo] = useState(false);
+  const pressedKeysRef = useRef(new Set());
+  const dragRef = useRef(null);
+  const lastMouseMoveRef = useRef(0);
 
   // Update canvas size on window resize
   useEffect(() => {
@@ -62,10 +67,13 @@ function GameCanvas({ gameState, className = '' }) {
       drawGrid(ctx, width, height);
     }
 
-    // Draw entities
+    // Draw entities (children are drawn inside their parent's transform)
     if (gameState.entities) {
+      const entitiesById = new Map(gameState.entities.map(entity => [entity.id, entity]));
       gameState.entities.forEach(entity => {
-        drawEntity(ctx, entity);
+        if (!entity.parent || !entitiesById.has(entity.parent)) {
+          drawEntity(ctx, entity, entitiesById, gameState.interpolationAlpha ?? 1);
+        }
       });
     }
 
@@ -142,15 +150,14 @@ function GameCanvas({ gameState, className = '' }) {
     ctx.stroke();
   };
 
-  // Draw individual entity
-  const drawEntity = (ctx, entity) => {
+  // Draw an entity and its children (transforms are local to the parent)
+  // alpha places the entity between its previous and current step (fixed timestep)
+  const drawEntity = (ctx, entity, entitiesById, alpha) => {
     const transform = entity.components?.TransformComponent?.data;
-    const render = entity.components?.RenderComponent?.data;
-
-    if (!transform || !render || !render.visible) return;
+    if (!transform) return;
 
-    const { position, rotation = 0, scale = { x: 1, y: 1 } } = transform;
-    const { color = '#ffffff', shape = 'rectangle', width = 32, height = 32, opacity = 1 } = render;
+    const { position, rotation = 0, scale = { x: 1, y: 1 } } = interpolateTransform(transform, alpha);
+    const render = entity.components?.RenderComponent?.data;
 
     ctx.save();
 
@@ -159,6 +166,42 @@ function GameCanvas({ gameState, className = '' }) {
     ctx.rotate(rotation);
     ctx.scale(scale.x, scale.y);
 
+    // An invisible parent (e.g. a formation) still moves its children
+    if (render && render.visible) {
+      drawShape(ctx, entity, render);
+    }
+
+    (entity.children || []).forEach(childId => {
+      const child = entitiesById.get(childId);
+      if (child) {
+        drawEntity(ctx, child, entitiesById, alpha);
+      }
+    });
+
+    ctx.restore();
+  };
+
+  // Blend a transform from its previous step towards its current one
+  const interpolateTransform = (transform, alpha) => {
+    const { position, previousPosition, rotation = 0, previousRotation } = transform;
+    if (alpha >= 1 || !previousPosition) return transform;
+
+    return {
+      ...transform,
+      position: {
+        x: previousPosition.x + (position.x - previousPosition.x) * alpha,
+        y: previousPosition.y + (position.y - previousPosition.y) * alpha
+      },
+      rotation: previousRotation === undefined ? rotation : previousRotation + (rotation - previousRotation) * alpha
+    };
+  };
+
+  // Draw an entity's shape in its local space
+  const drawShape = (ctx, entity, render) => {
+    const { color = '#ffffff', shape = 'rectangle', width = 32, height = 32, opacity = 1 } = render;
+
+    ctx.save();
+
     // Set opacity
     ctx.globalAlpha = opacity;
 
@@ -229,6 +272,12 @@ function GameCanvas({ gameState, className = '' }) {
     ctx.fillText(`Entities: ${gameState?.entities?.length || 0}`, 20, 45);
     ctx.fillText(`Camera: ${Math.round(camera.x)}, ${Math.round(camera.y)}`, 20, 60);
 
+    // Score, lives and level (from the server's GameStateSystem)
+    const gameplay = gameState?.gameplay;
+    if (gameplay) {
+      drawGameplay(ctx, width, height, gameplay);
+    }
+
     // Controls help
     if (showDebugInfo) {
       ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
@@ -237,16 +286,113 @@ function GameCanvas({ gameState, className = '' }) {
       ctx.fillStyle = 'white';
       ctx.font = '10px Inter, sans-serif';
       ctx.fillText('Controls:', width - 150, 25);
-      ctx.fillText('WASD: Move camera', width - 150, 40);
+      ctx.fillText('Right-drag: Pan camera', width - 150, 40);
       ctx.fillText('Scroll: Zoom', width - 150, 55);
       ctx.fillText('G: Toggle grid', width - 150, 70);
       ctx.fillText('I: Toggle debug', width - 150, 85);
     }
   };
 
-  // Handle mouse events for camera control
+  // Draw the score bar and the paused / game over / victory banner
+  const drawGameplay = (ctx, width, height, gameplay) => {
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    ctx.fillRect(width / 2 - 150, 10, 300, 28);
+
+    ctx.fillStyle = 'white';
+    ctx.font = 'bold 14px Inter, sans-serif';
+    ctx.textAlign = 'center';
+    const lives = gameplay.lives <= 5 ? '♥'.repeat(gameplay.lives) || '-' : `♥ x${gameplay.lives}`;
+    ctx.fillText(`Score ${gameplay.score}   Lives ${lives}   Level ${gameplay.level}`, width / 2, 29);
+
+    const banners = {
+      menu: { text: 'READY', color: '#FFFFFF' },
+      paused: { text: 'PAUSED', color: '#FFD700' },
+      gameOver: { text: 'GAME OVER', color: '#FF4040' },
+      victory: { text: 'VICTORY!', color: '#00FF7F' }
+    };
+    const banner = banners[gameplay.state];
+    if (banner) {
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+      ctx.fillRect(0, height / 2 - 50, width, 100);
+
+      ctx.fillStyle = banner.color;
+      ctx.font = 'bold 48px Inter, sans-serif';
+      ctx.fillText(banner.text, width / 2, height / 2 + 10);
+
+      ctx.fillStyle = 'white';
+      ctx.font = '14px Inter, sans-serif';
+      ctx.fillText(`Score ${gameplay.score}   High score ${gameplay.highScore}`, width / 2, height / 2 + 36);
+    }
+
+    ctx.textAlign = 'left';
+  };
+
+  // Check if an event target is a text field (chat input etc.)
+  const isTypingTarget = (target) => {
+    return !!target && (
+      target.tagName === 'INPUT' ||
+      target.tagName === 'TEXTAREA' ||
+      target.isContentEditable
+    );
+  };
+
+  // Convert a mouse event to world coordinates
+  const toWorldPosition = (event) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    const screenX = event.clientX - rect.left;
+    const screenY = event.clientY - rect.top;
+
+    return {
+      x: (screenX - (canvasSize.width / 2 - camera.x)) / camera.zoom,
+      y: (screenY - (canvasSize.height / 2 - camera.y)) / camera.zoom
+    };
+  };
+
+  const sendInput = (input) => {
+    if (onInput) {
+      onInput(input);
+    }
+  };
+
+  // Handle mouse events: right button pans the camera, others go to the game
   const handleMouseDown = (event) => {
-    // TODO: Implement mouse drag for camera panning
+    if (event.button === 2) {
+      dragRef.current = { x: event.clientX, y: event.clientY };
+      return;
+    }
+
+    sendInput({ type: 'mousedown', button: event.button, ...toWorldPosition(event) });
+  };
+
+  const handleMouseUp = (event) => {
+    if (event.button === 2) {
+      dragRef.current = null;
+      return;
+    }
+
+    sendInput({ type: 'mouseup', button: event.button, ...toWorldPosition(event) });
+  };
+
+  const handleMouseMove = (event) => {
+    if (dragRef.current) {
+      const dx = event.clientX - dragRef.current.x;
+      const dy = event.clientY - dragRef.current.y;
+      dragRef.current = { x: event.clientX, y: event.clientY };
+      setCamera(prev => ({ ...prev, x: prev.x - dx, y: prev.y - dy }));
+      return;
+    }
+
+    // Throttle mouse movement to ~20 updates per second
+    const now = Date.now();
+    if (now - lastMouseMoveRef.current < 50) return;
+    lastMouseMoveRef.current = now;
+
+    sendInput({ type: 'mousemove', ...toWorldPosition(event) });
+  };
+
+  const handleMouseLeave = () => {
+    dragRef.current = null;
   };
 
   const handleWheel = (event) => {
@@ -258,28 +404,23 @@ function GameCanvas({ gameState, className = '' }) {
     }));
   };
 
-  // Handle keyboard events for camera and debug controls
+  // Handle keyboard events: canvas hotkeys stay local, everything else is game input
   useEffect(() => {
+    const scrollKeys = ['Space', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'];
+
+    const releaseAllKeys = () => {
+      for (const code of pressedKeysRef.current) {
+        if (onInput) {
+          onInput({ type: 'keyup', code });
+        }
+      }
+      pressedKeysRef.current.clear();
+    };
+
     const handleKeyDown = (event) => {
-      const moveSpeed = 10 / camera.zoom;
-      
+      if (isTypingTarget(event.target)) return;
+
       switch (event.code) {
-        case 'KeyW':
-        case 'ArrowUp':
-          setCamera(prev => ({ ...prev, y: prev.y - moveSpeed }));
-          break;
-        case 'KeyS':
-        case 'ArrowDown':
-          setCamera(prev => ({ ...prev, y: prev.y + moveSpeed }));
-          break;
-        case 'KeyA':
-        case 'ArrowLeft':
-          setCamera(prev => ({ ...prev, x: prev.x - moveSpeed }));
-          break;
-        case 'KeyD':
-        case 'ArrowRight':
-          setCamera(prev => ({ ...prev, x: prev.x + moveSpeed }));
-          break;
         case 'KeyG':
           setShowGrid(prev => !prev);
           break;
@@ -290,12 +431,41 @@ function GameCanvas({ gameState, className = '' }) {
           // Reset camera
           setCamera({ x: 0, y: 0, zoom: 1 });
           break;
+        default:
+          if (!onInput) return;
+
+          // Keep the page from scrolling while playing
+          if (scrollKeys.includes(event.code)) {
+            event.preventDefault();
+          }
+
+          if (event.repeat || pressedKeysRef.current.has(event.code)) return;
+
+          pressedKeysRef.current.add(event.code);
+          onInput({ type: 'keydown', code: event.code });
+      }
+    };
+
+    const handleKeyUp = (event) => {
+      if (!pressedKeysRef.current.has(event.code)) return;
+
+      pressedKeysRef.current.delete(event.code);
+      if (onInput) {
+        onInput({ type: 'keyup', code: event.code });
       }
     };
 
     window.addEventListener('keydown', handleKeyDown);
-    return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [camera.zoom]);
+    window.addEventListener('keyup', handleKeyUp);
+    window.addEventListener('blur', releaseAllKeys);
+
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('keyup', handleKeyUp);
+      window.removeEventListener('blur', releaseAllKeys);
+      releaseAllKeys();
+    };
+  }, [onInput]);
 
   return (
     <div className={`relative bg-gray-900 ${className}`}>
@@ -303,6 +473,10 @@ function GameCanvas({ gameState, className = '' }) {
         ref={canvasRef}
         className="w-full h-full"
         onMouseDown={handleMouseDown}
+        onMouseUp={handleMouseUp}
+        onMouseMove={handleMouseMove}
+        onMouseLeave={handleMouseLeave}
+        onContextMenu={(event) => event.preventDefault()}
         onWheel={handleWheel}
         style={{ cursor: 'crosshair' }}
       />
@@ -341,7 +515,7 @@ function GameCanvas({ gameState, className = '' }) {
 
       {/* Help Text */}
       <div className="absolute bottom-4 right-4 text-xs text-muted">
-        WASD/Arrows: Move | Scroll: Zoom | G: Grid | I: Debug | R: Reset
+        WASD/Arrows: Move | Space: Shoot | Right-drag: Pan | Scroll: Zoom | G: Grid | I: Debug | R: Reset
       </div>
     </div>
   );
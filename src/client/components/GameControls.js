@@ -1,9 +1,25 @@
 import React from 'react';
 
+// Speeds offered in the speed selector (engine time scales)
+const SPEED_OPTIONS = [0.25, 0.5, 1, 2, 4];
+
 /**
  * GameControls - Basic game control buttons with gameplay instructions
  */
-function GameControls({ isRunning, onStart, onStop, onReset, disabled = false }) {
+function GameControls({
+  isRunning,
+  onStart,
+  onStop,
+  onReset,
+  onUndo = null,
+  onRedo = null,
+  canUndo = false,
+  canRedo = false,
+  onStep = null,
+  onSpeedChange = null,
+  timeScale = 1,
+  disabled = false
+}) {
   return (
     <div className="flex items-center gap-4">
       {/* Game Controls */}
@@ -36,6 +52,56 @@ function GameControls({ isRunning, onStart, onStop, onReset, disabled = false })
         >
           🔄 Reset
         </button>
+
+        {onStep && (
+          <button
+            onClick={onStep}
+            disabled={disabled || isRunning}
+            className="btn btn-secondary btn-sm"
+            title="Step one frame (stop the game first)"
+          >
+            ⏭️ Step
+          </button>
+        )}
+
+        {onSpeedChange && (
+          <select
+            value={timeScale}
+            onChange={(e) => onSpeedChange(Number(e.target.value))}
+            disabled={disabled}
+            className="btn btn-secondary btn-sm"
+            title="Game speed"
+          >
+            {!SPEED_OPTIONS.includes(timeScale) && (
+              <option value={timeScale}>{timeScale}x</option>
+            )}
+            {SPEED_OPTIONS.map(speed => (
+              <option key={speed} value={speed}>{speed}x</option>
+            ))}
+          </select>
+        )}
+
+        {onUndo && (
+          <button
+            onClick={onUndo}
+            disabled={disabled || !canUndo}
+            className="btn btn-secondary btn-sm"
+            title="Undo last AI modification"
+          >
+            ↩️ Undo
+          </button>
+        )}
+
+        {onRedo && (
+          <button
+            onClick={onRedo}
+            disabled={disabled || !canRedo}
+            className="btn btn-secondary btn-sm"
+            title="Redo AI modification"
+          >
+            ↪️ Redo
+          </button>
+        )}
       </div>
 
       {/* Gameplay Instructions */}
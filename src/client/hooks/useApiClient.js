@@ -8,6 +8,7 @@ export function useApiClient(baseUrl = null) {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const abortControllerRef = useRef(null);
+  const clientIdRef = useRef(`web-${Math.random().toString(36).slice(2, 10)}`);
 
   // Determine API base URL
   const apiUrl = baseUrl || (
@@ -133,18 +134,25 @@ export function useApiClient(baseUrl = null) {
   }, [apiRequest]);
 
   // Send player input
+  // Uses its own fetch so frequent input doesn't abort other pending requests
   const sendPlayerInput = useCallback(async (input) => {
     try {
-      const result = await apiRequest('/api/game/input', {
+      const response = await fetch(`${apiUrl}/api/game/input`, {
         method: 'POST',
-        body: JSON.stringify(input)
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ clientId: clientIdRef.current, ...input })
       });
-      return result;
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      return await response.json();
     } catch (err) {
       console.error('Failed to send player input:', err);
       throw err;
     }
-  }, [apiRequest]);
+  }, [apiUrl]);
 
   // Cleanup function
   const cleanup = useCallback(() => {
@@ -0,0 +1,299 @@
+/**
+ * ChangeTracker - Records what happens to the world while it is attached
+ * Structural changes (entities, components, tags) are reported by the
+ * EntityManager as they happen; field changes are found by comparing
+ * components against a WorldSnapshot taken when tracking started.
+ */
+export class ChangeTracker {
+  constructor(gameEngine, options = {}) {
+    this.gameEngine = gameEngine;
+    this.maxFieldChanges = options.maxFieldChanges || 100;
+
+    this.baseline = null; // WorldSnapshot taken at start
+    this.tracking = false;
+    this.reset();
+  }
+
+  /**
+   * Clear recorded events
+   */
+  reset() {
+    this.entitiesCreated = new Set();
+    this.entitiesDestroyed = new Set();
+    this.componentsAdded = new Map(); // "entityId:type" -> { entityId, type }
+    this.componentsRemoved = new Map();
+    this.tagsAdded = new Map(); // "entityId:tag" -> { entityId, tag }
+    this.tagsRemoved = new Map();
+    this.parentsChanged = new Map(); // entityId -> { entityId, oldParent, newParent }
+  }
+
+  /**
+   * Start tracking changes
+   * @param {WorldSnapshot} baseline - Snapshot to diff fields against (captured if omitted)
+   */
+  start(baseline = null) {
+    this.reset();
+    this.baseline = baseline || this.gameEngine.createSnapshot();
+    this.tracking = true;
+    this.gameEngine.entityManager.changeTracker = this;
+  }
+
+  /**
+   * Stop tracking and build the diff
+   * Destroys queued for the end of the frame are carried out first, so they
+   * are part of the diff (and of any snapshot taken afterwards).
+   * @returns {Object} - Structured diff of everything that changed
+   */
+  stop() {
+    const entityManager = this.gameEngine.entityManager;
+    if (entityManager.changeTracker === this) {
+      entityManager.processDestroyQueue();
+      entityManager.changeTracker = null;
+    }
+    this.tracking = false;
+
+    return this.getDiff();
+  }
+
+  /**
+   * Record an entity added to the world
+   * @param {Entity} entity - The new entity
+   */
+  recordEntityCreated(entity) {
+    this.entitiesCreated.add(entity.id);
+    this.entitiesDestroyed.delete(entity.id);
+  }
+
+  /**
+   * Record an entity removed from the world
+   * @param {Entity} entity - The removed entity
+   */
+  recordEntityDestroyed(entity) {
+    // Created and destroyed during the same run - nothing to report
+    if (this.entitiesCreated.delete(entity.id)) {
+      this.forgetEntity(entity.id);
+      return;
+    }
+    this.entitiesDestroyed.add(entity.id);
+  }
+
+  /**
+   * Record a component attached to an entity
+   * @param {Entity} entity - The entity
+   * @param {string} type - Component type
+   */
+  recordComponentAdded(entity, type) {
+    const key = `${entity.id}:${type}`;
+    if (!this.componentsRemoved.delete(key)) {
+      this.componentsAdded.set(key, { entityId: entity.id, type });
+    }
+  }
+
+  /**
+   * Record a component detached from an entity
+   * @param {Entity} entity - The entity
+   * @param {string} type - Component type
+   */
+  recordComponentRemoved(entity, type) {
+    const key = `${entity.id}:${type}`;
+    if (!this.componentsAdded.delete(key)) {
+      this.componentsRemoved.set(key, { entityId: entity.id, type });
+    }
+  }
+
+  /**
+   * Record a tag added to an entity
+   * @param {Entity} entity - The entity
+   * @param {string} tag - The tag
+   */
+  recordTagAdded(entity, tag) {
+    const key = `${entity.id}:${tag}`;
+    if (!this.tagsRemoved.delete(key)) {
+      this.tagsAdded.set(key, { entityId: entity.id, tag });
+    }
+  }
+
+  /**
+   * Record a tag removed from an entity
+   * @param {Entity} entity - The entity
+   * @param {string} tag - The tag
+   */
+  recordTagRemoved(entity, tag) {
+    const key = `${entity.id}:${tag}`;
+    if (!this.tagsAdded.delete(key)) {
+      this.tagsRemoved.set(key, { entityId: entity.id, tag });
+    }
+  }
+
+  /**
+   * Record an entity attached to or detached from a parent
+   * @param {Entity} entity - The entity
+   * @param {Entity|null} previousParent - Parent before the change
+   */
+  recordParentChanged(entity, previousParent) {
+    const existing = this.parentsChanged.get(entity.id);
+    const oldParent = existing ? existing.oldParent : (previousParent ? previousParent.id : null);
+    const newParent = entity.parent ? entity.parent.id : null;
+
+    // Moved back to where it started - nothing to report
+    if (oldParent === newParent) {
+      this.parentsChanged.delete(entity.id);
+      return;
+    }
+    this.parentsChanged.set(entity.id, { entityId: entity.id, oldParent, newParent });
+  }
+
+  /**
+   * Drop component and tag records for an entity
+   * @param {string} entityId - Entity ID
+   */
+  forgetEntity(entityId) {
+    this.parentsChanged.delete(entityId);
+    for (const records of [this.componentsAdded, this.componentsRemoved, this.tagsAdded, this.tagsRemoved]) {
+      for (const [key, record] of records) {
+        if (record.entityId === entityId) {
+          records.delete(key);
+        }
+      }
+    }
+  }
+
+  /**
+   * Build the diff of recorded events and changed fields
+   * @returns {Object} - Structured diff
+   */
+  getDiff() {
+    // Components of destroyed entities are implied by the destruction
+    const survives = (record) => !this.entitiesDestroyed.has(record.entityId);
+
+    return {
+      entitiesCreated: Array.from(this.entitiesCreated),
+      entitiesDestroyed: Array.from(this.entitiesDestroyed),
+      componentsAdded: Array.from(this.componentsAdded.values()).filter(survives),
+      componentsRemoved: Array.from(this.componentsRemoved.values()).filter(survives),
+      tagsAdded: Array.from(this.tagsAdded.values()).filter(survives),
+      tagsRemoved: Array.from(this.tagsRemoved.values()).filter(survives),
+      parentsChanged: Array.from(this.parentsChanged.values()).filter(survives),
+      fieldsChanged: this.getFieldChanges()
+    };
+  }
+
+  /**
+   * Compare components that existed at the start with their current values
+   * @returns {Object[]} - { entityId, component, field, oldValue, newValue }
+   */
+  getFieldChanges() {
+    const changes = [];
+    if (!this.baseline) return changes;
+
+    for (const entityData of this.baseline.entities) {
+      const entity = this.gameEngine.getEntity(entityData.id);
+      if (!entity) continue;
+
+      for (const componentData of entityData.components) {
+        const component = entity.getComponent(componentData.type);
+        if (!component || this.componentsAdded.has(`${entityData.id}:${componentData.type}`)) {
+          continue;
+        }
+
+        const before = componentData.json.data || {};
+        const after = component.toJSON().data || {};
+
+        for (const field of new Set([...Object.keys(before), ...Object.keys(after)])) {
+          const oldValue = ChangeTracker.toPlain(before[field]);
+          const newValue = ChangeTracker.toPlain(after[field]);
+          if (typeof oldValue === 'function' || typeof newValue === 'function') continue;
+          if (JSON.stringify(oldValue) === JSON.stringify(newValue)) continue;
+
+          changes.push({
+            entityId: entityData.id,
+            component: componentData.type,
+            field,
+            oldValue,
+            newValue
+          });
+
+          if (changes.length >= this.maxFieldChanges) {
+            return changes;
+          }
+        }
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Convert a value to JSON-safe data (Sets and Maps become arrays)
+   * @param {any} value - Value to convert
+   * @returns {any} - Plain value
+   */
+  static toPlain(value) {
+    if (value instanceof Set) {
+      return Array.from(value, item => ChangeTracker.toPlain(item));
+    }
+    if (value instanceof Map) {
+      return Array.from(value, ([key, item]) => [key, ChangeTracker.toPlain(item)]);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => ChangeTracker.toPlain(item));
+    }
+    if (value && typeof value === 'object') {
+      const prototype = Object.getPrototypeOf(value);
+      if (prototype !== Object.prototype && prototype !== null) {
+        return `[${value.constructor?.name || 'Object'}]`;
+      }
+
+      const plain = {};
+      for (const [key, item] of Object.entries(value)) {
+        plain[key] = ChangeTracker.toPlain(item);
+      }
+      return plain;
+    }
+    return value;
+  }
+
+  /**
+   * Check whether a diff contains any changes
+   * @param {Object} diff - Diff from getDiff()
+   * @returns {boolean} - True if nothing changed
+   */
+  static isEmpty(diff) {
+    return !diff || Object.values(diff).every(list => list.length === 0);
+  }
+
+  /**
+   * Describe a diff as short human-readable lines
+   * @param {Object} diff - Diff from getDiff()
+   * @param {number} limit - Maximum number of lines
+   * @returns {string[]} - Description lines
+   */
+  static describe(diff, limit = 10) {
+    if (!diff) return [];
+
+    const format = (value) => {
+      const text = JSON.stringify(value);
+      return text && text.length > 40 ? `${text.slice(0, 37)}...` : text;
+    };
+
+    const lines = [
+      ...diff.entitiesCreated.map(id => `Created entity ${id}`),
+      ...diff.entitiesDestroyed.map(id => `Destroyed entity ${id}`),
+      ...diff.componentsAdded.map(c => `Added ${c.type} to ${c.entityId}`),
+      ...diff.componentsRemoved.map(c => `Removed ${c.type} from ${c.entityId}`),
+      ...diff.tagsAdded.map(t => `Tagged ${t.entityId} as "${t.tag}"`),
+      ...diff.tagsRemoved.map(t => `Removed tag "${t.tag}" from ${t.entityId}`),
+      ...diff.parentsChanged.map(p =>
+        p.newParent ? `Attached ${p.entityId} to ${p.newParent}` : `Detached ${p.entityId} from ${p.oldParent}`
+      ),
+      ...diff.fieldsChanged.map(f =>
+        `${f.entityId}.${f.component}.${f.field}: ${format(f.oldValue)} → ${format(f.newValue)}`
+      )
+    ];
+
+    if (lines.length > limit) {
+      return [...lines.slice(0, limit), `...and ${lines.length - limit} more`];
+    }
+    return lines;
+  }
+}
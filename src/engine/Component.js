@@ -8,6 +8,16 @@ export class Component {
     this.enabled = true;
   }
 
+  /**
+   * Phase ComponentUpdateSystem calls update() in: 'input', 'logic', 'physics'
+   * or 'animation'. Return null to opt the whole class out; set
+   * `autoUpdate = false` on an instance to opt out just that component.
+   * @returns {string|null} - Update phase
+   */
+  static get updatePhase() {
+    return 'logic';
+  }
+
   /**
    * Called when this component is attached to an entity
    * @param {Entity} entity - The entity this component was attached to
@@ -25,7 +35,8 @@ export class Component {
   }
 
   /**
-   * Called every frame to update this component
+   * Called every frame to update this component (by ComponentUpdateSystem
+   * unless a system that updates this type is installed)
    * @param {number} deltaTime - Time elapsed since last frame in milliseconds
    */
   update(deltaTime) {
@@ -62,6 +73,32 @@ export class Component {
     return this.entity;
   }
 
+  /**
+   * Get the engine's event bus (through the entity's manager)
+   * @returns {EventBus|null} - The event bus or null if not attached to an engine
+   */
+  getEventBus() {
+    return this.entity?.entityManager?.eventBus || null;
+  }
+
+  /**
+   * Get a stream from the engine's seeded random number generator
+   * @param {string} stream - Stream name (defaults to the component type)
+   * @returns {RandomStream|null} - The stream or null if not attached to an engine
+   */
+  getRandom(stream = this.constructor.name) {
+    return this.entity?.entityManager?.random?.stream(stream) || null;
+  }
+
+  /**
+   * Get the simulation time (use instead of Date.now so replays match)
+   * @returns {number} - Time in milliseconds (wall-clock time if not attached to an engine)
+   */
+  getTime() {
+    const clock = this.entity?.entityManager?.clock;
+    return clock ? clock() : Date.now();
+  }
+
   /**
    * Get a sibling component from the same entity
    * @param {string} componentType - The type of component to get
@@ -0,0 +1,384 @@
+import { Component } from './Component.js';
+import { TransformComponent } from './components/TransformComponent.js';
+import { RenderComponent } from './components/RenderComponent.js';
+import { MovementComponent } from './components/MovementComponent.js';
+import { PhysicsComponent } from './components/PhysicsComponent.js';
+import { PlayerControllerComponent } from './components/PlayerControllerComponent.js';
+import { ShooterControllerComponent } from './components/ShooterControllerComponent.js';
+import { ScriptComponent } from './components/ScriptComponent.js';
+import { ColliderComponent } from './components/ColliderComponent.js';
+import { HealthComponent } from './components/HealthComponent.js';
+import { DamageComponent } from './components/DamageComponent.js';
+import { AIComponent } from './components/AIComponent.js';
+
+const COMPONENT_NAME_PATTERN = /^[A-Z]\w{0,63}Component$/;
+
+/**
+ * ComponentRegistry - Maps component type names to component classes
+ * Used to construct components by name (sandbox constructors, modification
+ * plans), rebuild them from JSON, describe them to the LLM and serialize
+ * them for clients.
+ *
+ * A registration is { ComponentClass, create, serialize, description, properties, methods }:
+ * - create(options) builds a component from a plain options object
+ * - serialize(component) returns the client-safe data for a component
+ */
+export class ComponentRegistry {
+  constructor(options = {}) {
+    this.types = new Map(); // type name -> registration
+
+    if (options.builtIns !== false) {
+      registerBuiltInComponents(this);
+    }
+  }
+
+  /**
+   * Register a component class
+   * @param {Function} ComponentClass - Component class (its name is the type name)
+   * @param {Object} definition - Optional create/serialize functions and LLM description
+   * @returns {Object} - The registration
+   */
+  register(ComponentClass, definition = {}) {
+    if (typeof ComponentClass !== 'function' || !(ComponentClass.prototype instanceof Component)) {
+      throw new Error('Component class must extend Component');
+    }
+
+    const name = ComponentClass.name;
+    const existing = this.types.get(name);
+    if (existing && existing.ComponentClass !== ComponentClass) {
+      if (existing.builtIn) {
+        throw new Error(`Cannot replace built-in component: ${name}`);
+      }
+      if (!definition.replace) {
+        throw new Error(`Component type already registered: ${name}`);
+      }
+    }
+
+    const registration = {
+      name,
+      ComponentClass,
+      create: definition.create || ((options = {}) => new ComponentClass(options)),
+      serialize: definition.serialize || ComponentRegistry.serializeProperties,
+      description: definition.description || '',
+      properties: definition.properties || [],
+      methods: definition.methods || [],
+      builtIn: definition.builtIn === true
+    };
+
+    this.types.set(name, registration);
+    return registration;
+  }
+
+  /**
+   * Define and register a data-only component (e.g. from generated code)
+   * @param {string} name - Type name, e.g. 'HealthComponent'
+   * @param {Object} fields - Field names and default values (JSON data)
+   * @param {Object} definition - Optional { description }
+   * @returns {Function} - The new component class
+   */
+  define(name, fields = {}, definition = {}) {
+    if (typeof name !== 'string' || !COMPONENT_NAME_PATTERN.test(name)) {
+      throw new Error('Component name must look like "HealthComponent"');
+    }
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+      throw new Error('Component fields must be an object of default values');
+    }
+
+    const defaults = JSON.stringify(fields);
+    const fieldNames = Object.keys(fields);
+
+    const DataComponent = class extends Component {
+      constructor(options = {}) {
+        super();
+        Object.assign(this, JSON.parse(defaults));
+
+        for (const field of fieldNames) {
+          if (options[field] !== undefined) {
+            this[field] = options[field];
+          }
+        }
+      }
+    };
+    Object.defineProperty(DataComponent, 'name', { value: name });
+
+    this.register(DataComponent, {
+      description: definition.description || `Custom component (${fieldNames.join(', ') || 'no fields'})`,
+      properties: fieldNames,
+      replace: true
+    });
+    return DataComponent;
+  }
+
+  /**
+   * Remove a registration (built-in components can't be removed)
+   * @param {string} name - Type name
+   * @returns {boolean} - True if removed
+   */
+  unregister(name) {
+    const registration = this.types.get(name);
+    if (!registration || registration.builtIn) {
+      return false;
+    }
+    return this.types.delete(name);
+  }
+
+  /**
+   * Copy the registrations that aren't built in (e.g. for a world snapshot)
+   * @returns {Map} - Type name -> registration
+   */
+  saveRegistrations() {
+    return new Map(Array.from(this.types).filter(([, registration]) => !registration.builtIn));
+  }
+
+  /**
+   * Put back registrations from saveRegistrations, dropping types registered since
+   * @param {Map} saved - Type name -> registration
+   */
+  restoreRegistrations(saved) {
+    for (const [name, registration] of this.types) {
+      if (!registration.builtIn && !saved.has(name)) {
+        this.types.delete(name);
+      }
+    }
+    for (const [name, registration] of saved) {
+      this.types.set(name, registration);
+    }
+  }
+
+  /**
+   * Check if a type is registered
+   * @param {string} name - Type name
+   * @returns {boolean} - True if registered
+   */
+  has(name) {
+    return this.types.has(name);
+  }
+
+  /**
+   * Get a registration
+   * @param {string} name - Type name
+   * @returns {Object|null} - Registration or null
+   */
+  get(name) {
+    return this.types.get(name) || null;
+  }
+
+  /**
+   * Get the class registered for a type
+   * @param {string} name - Type name
+   * @returns {Function|null} - Component class or null
+   */
+  getClass(name) {
+    return this.types.get(name)?.ComponentClass || null;
+  }
+
+  /**
+   * Get all registered type names
+   * @returns {string[]} - Type names in registration order
+   */
+  getTypeNames() {
+    return Array.from(this.types.keys());
+  }
+
+  /**
+   * Construct a component with its constructor arguments
+   * @param {string} name - Type name
+   * @param {...any} args - Constructor arguments
+   * @returns {Component} - New component
+   */
+  construct(name, ...args) {
+    return new (this.require(name).ComponentClass)(...args);
+  }
+
+  /**
+   * Create a component from a plain options object
+   * @param {string} name - Type name
+   * @param {Object} options - Component options
+   * @returns {Component} - New component
+   */
+  create(name, options = {}) {
+    return this.require(name).create(options || {});
+  }
+
+  /**
+   * Rebuild a component from Component.toJSON output
+   * @param {Object} json - { type, enabled, data }
+   * @returns {Component} - New component
+   */
+  createFromJSON(json) {
+    const component = new (this.require(json?.type).ComponentClass)();
+    component.fromJSON(json);
+    return component;
+  }
+
+  /**
+   * Get client-safe data for a component
+   * @param {Component} component - Component to serialize
+   * @param {string} type - Type name (defaults to the class name)
+   * @returns {Object} - Serializable data
+   */
+  serialize(component, type = component.constructor.name) {
+    const registration = this.types.get(type);
+    return registration
+      ? registration.serialize(component)
+      : ComponentRegistry.serializeProperties(component);
+  }
+
+  /**
+   * Describe registered components for LLM context
+   * @returns {Array} - { name, description, properties, methods } per type
+   */
+  describe() {
+    return Array.from(this.types.values(), registration => ({
+      name: registration.name,
+      description: registration.description,
+      properties: registration.properties,
+      methods: registration.methods
+    }));
+  }
+
+  /**
+   * Get a registration or throw if the type is unknown
+   * @param {string} name - Type name
+   * @returns {Object} - Registration
+   */
+  require(name) {
+    const registration = this.types.get(name);
+    if (!registration) {
+      throw new Error(`Unknown component type: ${name}`);
+    }
+    return registration;
+  }
+
+  /**
+   * Default serializer: own data properties, skipping the entity link,
+   * functions and private (_) fields
+   * @param {Component} component - Component to serialize
+   * @returns {Object} - Serializable data
+   */
+  static serializeProperties(component) {
+    const data = {};
+    for (const key of Object.keys(component)) {
+      if (key !== 'entity' && typeof component[key] !== 'function' && !key.startsWith('_')) {
+        data[key] = component[key];
+      }
+    }
+    return data;
+  }
+}
+
+/**
+ * Register the engine's built-in components
+ * @param {ComponentRegistry} registry - Registry to fill
+ */
+export function registerBuiltInComponents(registry) {
+  registry.register(TransformComponent, {
+    builtIn: true,
+    create: (options = {}) =>
+      new TransformComponent(options.x, options.y, options.rotation, options.scaleX, options.scaleY),
+    serialize: (component) => ({
+      position: component.position,
+      rotation: component.rotation,
+      scale: component.scale,
+      // Previous step, so renderers can interpolate with the interpolation alpha
+      previousPosition: component.previousPosition,
+      previousRotation: component.previousRotation
+    }),
+    description: 'Handles position, rotation, and scale',
+    properties: ['position', 'rotation', 'scale'],
+    methods: ['setPosition', 'translate', 'setRotation', 'rotate']
+  });
+
+  registry.register(RenderComponent, {
+    builtIn: true,
+    serialize: (component) => ({
+      visible: component.visible,
+      color: component.color,
+      shape: component.shape,
+      width: component.width,
+      height: component.height,
+      opacity: component.opacity
+    }),
+    description: 'Handles visual rendering',
+    properties: ['visible', 'color', 'shape', 'width', 'height', 'opacity'],
+    methods: ['setVisible', 'setColor', 'setSize', 'addAnimation']
+  });
+
+  registry.register(MovementComponent, {
+    builtIn: true,
+    serialize: (component) => ({
+      velocity: component.velocity,
+      maxSpeed: component.maxSpeed,
+      canMove: component.canMove
+    }),
+    description: 'Handles entity movement and physics',
+    properties: ['velocity', 'maxSpeed', 'canMove', 'friction'],
+    methods: ['move', 'jump', 'addForce', 'stop']
+  });
+
+  registry.register(PhysicsComponent, {
+    builtIn: true,
+    description: 'Integrates with physics engine',
+    properties: ['bodyType', 'mass', 'friction', 'restitution'],
+    methods: ['setPosition', 'applyForce', 'setVelocity']
+  });
+
+  registry.register(PlayerControllerComponent, {
+    builtIn: true,
+    description: 'Handles user input',
+    properties: ['keyBindings', 'moveSpeed', 'isMoving'],
+    methods: ['isActionPressed', 'getMovementInput']
+  });
+
+  registry.register(ShooterControllerComponent, {
+    builtIn: true,
+    description: 'Fires bullets on shoot keys, automatically (fireMode auto) or when told to (fireMode manual: fire/fireAt from AI or scripts); bullets carry a team, pierce, bounces, lifetime and range',
+    properties: ['fireRate', 'bulletSpeed', 'damage', 'shootKeys', 'autoFire', 'fireMode', 'team', 'pierce', 'bounces', 'lifetime', 'range', 'shootDirection', 'bulletOffset'],
+    methods: ['fire', 'fireAt', 'setShootDirection', 'setAutoFire']
+  });
+
+  registry.register(ScriptComponent, {
+    builtIn: true,
+    serialize: (component) => ({
+      scripts: Array.from(component.scripts.values(), script => ({
+        name: script.name,
+        enabled: script.enabled,
+        lastError: script.lastError
+      }))
+    }),
+    description: 'Per-frame behavior scripts (add them with game.addBehavior)',
+    properties: ['scripts'],
+    methods: ['hasScript', 'getScript', 'removeScript']
+  });
+
+  registry.register(ColliderComponent, {
+    builtIn: true,
+    description: 'Collision shape for the CollisionSystem (aabb, circle or polygon; sized from RenderComponent by default) with a layer, a mask of layers it hits and isTrigger/isStatic flags',
+    properties: ['shape', 'width', 'height', 'radius', 'points', 'offset', 'layer', 'mask', 'isTrigger', 'isStatic'],
+    methods: ['setLayer', 'canCollideWith', 'getWorldShape']
+  });
+
+  registry.register(HealthComponent, {
+    builtIn: true,
+    description: 'Hit points for the HealthSystem with armor, invulnerability after hits, regeneration and onDeath handlers (drop, destroy, respawn)',
+    properties: ['health', 'maxHealth', 'armor', 'invulnerabilityTime', 'regeneration', 'regenerationDelay', 'onDeath', 'loot', 'respawnDelay', 'respawnPoint'],
+    methods: ['isDead', 'isInvulnerable', 'setInvulnerable', 'getFraction']
+  });
+
+  registry.register(DamageComponent, {
+    builtIn: true,
+    description: 'Damages entities with health that its ColliderComponent touches',
+    properties: ['amount', 'type', 'interval', 'targetTags', 'destroyOnHit'],
+    methods: ['canDamage']
+  });
+
+  registry.register(AIComponent, {
+    builtIn: true,
+    description: 'Steering for the AISystem: one behavior (idle, formation, patrol, seek, flee, pursue, wander) with options, or states that switch behaviors on transitions (set it with game.setAI)',
+    properties: ['behavior', 'options', 'states', 'initialState', 'maxAcceleration', 'shoot', 'state', 'stateTime'],
+    methods: ['getActiveBehavior', 'setBehavior', 'setState']
+  });
+}
+
+// Shared registry for entity managers and plans used without an engine
+export const componentRegistry = new ComponentRegistry();
@@ -8,6 +8,9 @@ export class Entity {
     this.components = new Map();
     this.active = true;
     this.tags = new Set();
+    this.parent = null; // Parent entity; a TransformComponent is then relative to the parent's
+    this.children = new Set(); // Child entities, destroyed with this entity
+    this.entityManager = null; // Set by EntityManager so indices stay in sync
   }
 
   /**
@@ -38,6 +41,11 @@ export class Entity {
       component.onAttach(this);
     }
 
+    // Keep the manager's component index in sync
+    if (this.entityManager) {
+      this.entityManager.onComponentAdded(this, componentType);
+    }
+
     return this;
   }
 
@@ -55,7 +63,13 @@ export class Entity {
       }
       
       component.entity = null;
-      return this.components.delete(componentType);
+      this.components.delete(componentType);
+
+      if (this.entityManager) {
+        this.entityManager.onComponentRemoved(this, componentType);
+      }
+
+      return true;
     }
     return false;
   }
@@ -101,7 +115,14 @@ export class Entity {
    * @returns {Entity} - Returns this entity for method chaining
    */
   addTag(tag) {
+    if (this.tags.has(tag)) return this;
+
     this.tags.add(tag);
+
+    if (this.entityManager) {
+      this.entityManager.onTagAdded(this, tag);
+    }
+
     return this;
   }
 
@@ -111,7 +132,13 @@ export class Entity {
    * @returns {boolean} - True if tag was removed
    */
   removeTag(tag) {
-    return this.tags.delete(tag);
+    const removed = this.tags.delete(tag);
+
+    if (removed && this.entityManager) {
+      this.entityManager.onTagRemoved(this, tag);
+    }
+
+    return removed;
   }
 
   /**
@@ -123,6 +150,140 @@ export class Entity {
     return this.tags.has(tag);
   }
 
+  /**
+   * Attach this entity to a parent, or detach it with null
+   * By default the TransformComponent keeps its values, so they become
+   * relative to the new parent; keepWorldTransform keeps the entity where it
+   * is on screen instead.
+   * @param {Entity|null} parent - New parent entity or null
+   * @param {Object} options - { keepWorldTransform }
+   * @returns {Entity} - Returns this entity for method chaining
+   */
+  setParent(parent, options = {}) {
+    if (parent === this.parent) return this;
+
+    if (parent) {
+      if (!(parent instanceof Entity)) {
+        throw new Error('Parent must be an entity');
+      }
+      if (parent === this || parent.isDescendantOf(this)) {
+        throw new Error(`Cannot attach ${this.id} to ${parent.id}: it would create a cycle`);
+      }
+      if (parent.entityManager !== this.entityManager) {
+        throw new Error(`Cannot attach ${this.id} to ${parent.id}: they belong to different worlds`);
+      }
+    }
+
+    const transform = this.getComponent('TransformComponent');
+    const world = options.keepWorldTransform && transform ? transform.getWorldTransform() : null;
+
+    const previousParent = this.parent;
+    if (previousParent) {
+      previousParent.children.delete(this);
+    }
+    this.parent = parent || null;
+    if (this.parent) {
+      this.parent.children.add(this);
+    }
+
+    if (world) {
+      transform.setWorldTransform(world);
+    }
+
+    if (this.entityManager) {
+      this.entityManager.onParentChanged(this, previousParent);
+    }
+
+    return this;
+  }
+
+  /**
+   * Attach a child entity
+   * @param {Entity} child - Entity to attach
+   * @param {Object} options - { keepWorldTransform } (see setParent)
+   * @returns {Entity} - Returns this entity for method chaining
+   */
+  addChild(child, options = {}) {
+    child.setParent(this, options);
+    return this;
+  }
+
+  /**
+   * Detach a child entity, keeping it where it is in the world
+   * @param {Entity} child - Child to detach
+   * @param {Object} options - { keepWorldTransform } (defaults to true)
+   * @returns {boolean} - True if the entity was a child of this entity
+   */
+  removeChild(child, options = {}) {
+    if (!child || child.parent !== this) return false;
+
+    child.setParent(null, { keepWorldTransform: options.keepWorldTransform !== false });
+    return true;
+  }
+
+  /**
+   * Detach this entity from its parent, keeping it where it is in the world
+   * @returns {Entity} - Returns this entity for method chaining
+   */
+  detach() {
+    if (this.parent) {
+      this.parent.removeChild(this);
+    }
+    return this;
+  }
+
+  /**
+   * Get the parent entity
+   * @returns {Entity|null} - Parent or null for a root entity
+   */
+  getParent() {
+    return this.parent;
+  }
+
+  /**
+   * Get the direct children
+   * @returns {Entity[]} - Child entities in attach order
+   */
+  getChildren() {
+    return Array.from(this.children);
+  }
+
+  /**
+   * Get all children, grandchildren and so on (depth first)
+   * @returns {Entity[]} - Descendant entities
+   */
+  getDescendants() {
+    const descendants = [];
+    for (const child of this.children) {
+      descendants.push(child, ...child.getDescendants());
+    }
+    return descendants;
+  }
+
+  /**
+   * Get the top-most ancestor
+   * @returns {Entity} - Root entity (this entity if it has no parent)
+   */
+  getRoot() {
+    let root = this;
+    while (root.parent) {
+      root = root.parent;
+    }
+    return root;
+  }
+
+  /**
+   * Check if this entity is below another one in the hierarchy
+   * @param {Entity} entity - Possible ancestor
+   * @returns {boolean} - True if entity is a parent, grandparent...
+   */
+  isDescendantOf(entity) {
+    for (let ancestor = this.parent; ancestor; ancestor = ancestor.parent) {
+      if (ancestor === entity) return true;
+    }
+    return false;
+  }
+
   /**
    * Activate this entity
    */
@@ -160,6 +321,16 @@ export class Entity {
     this.components.clear();
     this.tags.clear();
     this.active = false;
+
+    // Unlink from the hierarchy (EntityManager removes the children themselves)
+    if (this.parent) {
+      this.parent.children.delete(this);
+      this.parent = null;
+    }
+    for (const child of this.children) {
+      child.parent = null;
+    }
+    this.children.clear();
   }
 
   /**
@@ -176,6 +347,8 @@ export class Entity {
       id: this.id,
       active: this.active,
       tags: Array.from(this.tags),
+      parent: this.parent ? this.parent.id : null,
+      children: Array.from(this.children, child => child.id),
       components: componentData
     };
   }
@@ -1,15 +1,26 @@
 import { Entity } from './Entity.js';
+import { EntityQuery, EntityView } from './EntityQuery.js';
+import { componentRegistry } from './ComponentRegistry.js';
+import { PrefabRegistry } from './PrefabRegistry.js';
 
 /**
  * EntityManager class - Manages all entities in the game world
  * Provides efficient querying and management of entities and their components
  */
 export class EntityManager {
-  constructor() {
+  constructor(options = {}) {
     this.entities = new Map(); // entityId -> Entity
+    this.componentRegistry = options.componentRegistry || componentRegistry;
+    this.prefabRegistry = options.prefabRegistry || new PrefabRegistry(); // Named entity templates
+    this.eventBus = options.eventBus || null; // Set by GameEngine
+    this.random = options.random || null; // Engine's SeededRandom, used for generated entity IDs
+    this.clock = options.clock || null; // () => simulation time in ms, set by GameEngine
     this.entityTags = new Map(); // tag -> Set<entityId>
     this.componentIndex = new Map(); // componentType -> Set<entityId>
     this.entitiesToDestroy = new Set(); // Entities marked for destruction
+    this.queryViews = new Map(); // query key -> EntityView, least recently used first
+    this.maxQueryViews = options.maxQueryViews || 64; // Unwatched views beyond this are evicted
+    this.changeTracker = null; // Set by ChangeTracker while recording changes
     
     // Performance tracking
     this.stats = {
@@ -26,11 +37,75 @@ export class EntityManager {
    * @returns {Entity} - The created entity
    */
   createEntity(id = null) {
-    const entity = new Entity(id);
+    const entity = new Entity(id || this.generateEntityId());
     this.addEntity(entity);
     return entity;
   }
 
+  /**
+   * Generate an unused entity ID from the engine's "entities" random stream
+   * so the same seed always produces the same IDs
+   * @returns {string|null} - Entity ID, or null to let Entity generate one
+   */
+  generateEntityId() {
+    if (!this.random) return null;
+
+    const stream = this.random.stream('entities');
+    let id;
+    do {
+      id = `entity_${stream.uint32().toString(36)}_${stream.uint32().toString(36)}`;
+    } while (this.entities.has(id));
+    return id;
+  }
+
+  /**
+   * Create an entity from Entity.toJSON output
+   * @param {Object} json - { id, active, tags, components }
+   * @returns {Entity} - The created entity
+   */
+  createEntityFromJSON(json) {
+    if (json.id && this.entities.has(json.id)) {
+      throw new Error(`Entity with ID ${json.id} already exists`);
+    }
+
+    // Build every component first so an unknown type doesn't leave a half-built entity
+    const components = Object.entries(json.components || {}).map(([type, componentJson]) =>
+      this.componentRegistry.createFromJSON({ type, ...componentJson })
+    );
+
+    const entity = this.createEntity(json.id || null);
+    for (const component of components) {
+      entity.addComponent(component);
+    }
+    for (const tag of json.tags || []) {
+      entity.addTag(tag);
+    }
+    if (json.active === false) {
+      entity.deactivate();
+    }
+
+    // Parents must be created before their children
+    if (json.parent) {
+      const parent = this.getEntity(json.parent);
+      if (!parent) {
+        console.warn(`Parent ${json.parent} of ${entity.id} not found, creating it as a root entity`);
+      } else {
+        entity.setParent(parent);
+      }
+    }
+    return entity;
+  }
+
+  /**
+   * Create an entity (and its child entities) from a registered prefab
+   * @param {string} name - Prefab name
+   * @param {Object} overrides - { id, x, y, rotation, tags, components, parent } (see PrefabRegistry)
+   * @returns {Entity} - The spawned entity
+   */
+  spawnPrefab(name, overrides = {}) {
+    return this.prefabRegistry.spawn(this, name, overrides);
+  }
+
   /**
    * Add an existing entity to the manager
    * @param {Entity} entity - Entity to add
@@ -42,6 +117,11 @@ export class EntityManager {
     }
 
     this.entities.set(entity.id, entity);
+    entity.entityManager = this;
+
+    if (this.changeTracker) {
+      this.changeTracker.recordEntityCreated(entity);
+    }
     this.stats.totalEntities++;
     this.stats.entitiesCreated++;
     
@@ -54,6 +134,8 @@ export class EntityManager {
     
     // Index entity components
     this.indexEntityComponents(entity);
+
+    this.refreshQueryViews(entity);
   }
 
   /**
@@ -65,22 +147,34 @@ export class EntityManager {
     const entity = this.entities.get(entityId);
     if (!entity) return false;
 
+    // Children are destroyed with their parent
+    for (const child of entity.getChildren()) {
+      this.removeEntity(child.id);
+    }
+
     // Remove from indices
     this.removeFromIndices(entity);
     
-    // Destroy the entity
+    // Destroy the entity (destroy() deactivates it, so check first)
+    const wasActive = entity.isActive();
+    entity.entityManager = null;
     entity.destroy();
     
     // Remove from main collection
     this.entities.delete(entityId);
+    this.entitiesToDestroy.delete(entityId);
     
     this.stats.totalEntities--;
     this.stats.entitiesDestroyed++;
     
-    if (entity.isActive()) {
+    if (wasActive) {
       this.stats.activeEntities--;
     }
 
+    if (this.changeTracker) {
+      this.changeTracker.recordEntityDestroyed(entity);
+    }
+
     return true;
   }
 
@@ -110,33 +204,106 @@ export class EntityManager {
   }
 
   /**
-   * Get entities with specific components
-   * @param {string[]} componentTypes - Array of component type names
-   * @returns {Entity[]} - Array of matching entities
+   * Start a query (see EntityQuery)
+   * @param {Object} filters - Optional { all, any, none, withTags, withoutTags, where }
+   * @returns {EntityQuery} - Query builder
    */
-  getEntitiesWithComponents(componentTypes) {
-    if (componentTypes.length === 0) {
-      return this.getActiveEntities();
+  query(filters = {}) {
+    return new EntityQuery(this, filters);
+  }
+
+  /**
+   * Get the cached live view for a query's component and tag filters
+   * The first request builds the view from the indices; after that it is
+   * updated incrementally. Views nobody listens to are evicted least recently
+   * used first once there are more than maxQueryViews, so one-off queries
+   * don't pile up; keep a listener on a view to hold on to it.
+   * @param {EntityQuery} query - Query to get the view for
+   * @returns {EntityView} - The view
+   */
+  getQueryView(query) {
+    const key = query.getKey();
+    let view = this.queryViews.get(key);
+    if (view) {
+      // Move to the most recently used end
+      this.queryViews.delete(key);
+      this.queryViews.set(key, view);
+      return view;
     }
 
-    // Start with entities that have the first component
-    let candidateIds = this.componentIndex.get(componentTypes[0]);
-    if (!candidateIds) return [];
+    view = new EntityView(key, query.getFilters());
+    for (const entity of this.getQueryCandidates(view)) {
+      if (view.matches(entity)) {
+        view.members.add(entity);
+      }
+    }
+    this.queryViews.set(key, view);
+    this.evictQueryViews();
+    return view;
+  }
 
-    // Intersect with entities that have each additional component
-    for (let i = 1; i < componentTypes.length; i++) {
-      const componentIds = this.componentIndex.get(componentTypes[i]);
-      if (!componentIds) return [];
-      
-      candidateIds = new Set([...candidateIds].filter(id => componentIds.has(id)));
-      
-      if (candidateIds.size === 0) return [];
+  /**
+   * Drop the least recently used unwatched views beyond maxQueryViews
+   */
+  evictQueryViews() {
+    let excess = this.queryViews.size - this.maxQueryViews;
+    for (const [key, view] of this.queryViews) {
+      if (excess <= 0) break;
+      if (view.watched) continue;
+
+      this.queryViews.delete(key);
+      excess--;
+    }
+  }
+
+  /**
+   * Get the smallest indexed set of entities that can match a new view
+   * @param {EntityView} view - View being built
+   * @returns {Iterable<Entity>} - Candidate entities
+   */
+  getQueryCandidates(view) {
+    const indexed = [
+      ...view.all.map(type => this.componentIndex.get(type) || new Set()),
+      ...view.withTags.map(tag => this.entityTags.get(tag) || new Set())
+    ];
+    if (indexed.length === 0) {
+      return this.entities.values();
     }
 
-    // Convert IDs to entities and filter for active ones
-    return Array.from(candidateIds)
-      .map(id => this.entities.get(id))
-      .filter(entity => entity && entity.isActive());
+    const smallest = indexed.reduce((best, ids) => (ids.size < best.size ? ids : best));
+    return Array.from(smallest, id => this.entities.get(id)).filter(Boolean);
+  }
+
+  /**
+   * Re-check an entity against the cached views
+   * @param {Entity} entity - Entity whose components or tags changed
+   * @param {string} name - Component type or tag that changed (omit to check every view)
+   */
+  refreshQueryViews(entity, name = null) {
+    for (const view of this.queryViews.values()) {
+      if (name === null || view.dependsOn(name)) {
+        view.refresh(entity);
+      }
+    }
+  }
+
+  /**
+   * Remove an entity from every cached view
+   * @param {Entity} entity - Entity leaving the world
+   */
+  removeFromQueryViews(entity) {
+    for (const view of this.queryViews.values()) {
+      view.remove(entity);
+    }
+  }
+
+  /**
+   * Get entities with specific components
+   * @param {string[]} componentTypes - Array of component type names
+   * @returns {Entity[]} - Array of matching entities
+   */
+  getEntitiesWithComponents(componentTypes) {
+    return this.query({ all: componentTypes }).execute();
   }
 
   /**
@@ -145,18 +312,9 @@ export class EntityManager {
    * @returns {Entity[]} - Array of matching entities
    */
   getEntitiesWithAnyComponent(componentTypes) {
-    const entityIds = new Set();
-    
-    for (const componentType of componentTypes) {
-      const componentIds = this.componentIndex.get(componentType);
-      if (componentIds) {
-        componentIds.forEach(id => entityIds.add(id));
-      }
-    }
+    if (componentTypes.length === 0) return [];
 
-    return Array.from(entityIds)
-      .map(id => this.entities.get(id))
-      .filter(entity => entity && entity.isActive());
+    return this.query({ any: componentTypes }).execute();
   }
 
   /**
@@ -223,6 +381,104 @@ export class EntityManager {
   updateEntityIndices(entity) {
     this.removeFromComponentIndex(entity);
     this.indexEntityComponents(entity);
+    this.refreshQueryViews(entity);
+  }
+
+  /**
+   * Called by an entity after a component was attached
+   * @param {Entity} entity - Entity that changed
+   * @param {string} componentType - Type of the added component
+   */
+  onComponentAdded(entity, componentType) {
+    if (!this.componentIndex.has(componentType)) {
+      this.componentIndex.set(componentType, new Set());
+    }
+    this.componentIndex.get(componentType).add(entity.id);
+
+    this.refreshQueryViews(entity, componentType);
+
+    if (this.changeTracker) {
+      this.changeTracker.recordComponentAdded(entity, componentType);
+    }
+  }
+
+  /**
+   * Called by an entity after a component was detached
+   * @param {Entity} entity - Entity that changed
+   * @param {string} componentType - Type of the removed component
+   */
+  onComponentRemoved(entity, componentType) {
+    const componentSet = this.componentIndex.get(componentType);
+    if (componentSet) {
+      componentSet.delete(entity.id);
+      if (componentSet.size === 0) {
+        this.componentIndex.delete(componentType);
+      }
+    }
+
+    this.refreshQueryViews(entity, componentType);
+
+    if (this.changeTracker) {
+      this.changeTracker.recordComponentRemoved(entity, componentType);
+    }
+  }
+
+  /**
+   * Called by an entity after it was attached to or detached from a parent
+   * @param {Entity} entity - Entity that changed
+   * @param {Entity|null} previousParent - Parent before the change
+   */
+  onParentChanged(entity, previousParent) {
+    if (this.changeTracker) {
+      this.changeTracker.recordParentChanged(entity, previousParent);
+    }
+  }
+
+  /**
+   * Get entities without a parent
+   * @returns {Entity[]} - Root entities
+   */
+  getRootEntities() {
+    return Array.from(this.entities.values()).filter(entity => !entity.parent);
+  }
+
+  /**
+   * Called by an entity after a tag was added
+   * @param {Entity} entity - Entity that changed
+   * @param {string} tag - Added tag
+   */
+  onTagAdded(entity, tag) {
+    if (!this.entityTags.has(tag)) {
+      this.entityTags.set(tag, new Set());
+    }
+    this.entityTags.get(tag).add(entity.id);
+
+    this.refreshQueryViews(entity, tag);
+
+    if (this.changeTracker) {
+      this.changeTracker.recordTagAdded(entity, tag);
+    }
+  }
+
+  /**
+   * Called by an entity after a tag was removed
+   * @param {Entity} entity - Entity that changed
+   * @param {string} tag - Removed tag
+   */
+  onTagRemoved(entity, tag) {
+    const tagSet = this.entityTags.get(tag);
+    if (tagSet) {
+      tagSet.delete(entity.id);
+      if (tagSet.size === 0) {
+        this.entityTags.delete(tag);
+      }
+    }
+
+    this.refreshQueryViews(entity, tag);
+
+    if (this.changeTracker) {
+      this.changeTracker.recordTagRemoved(entity, tag);
+    }
   }
 
   /**
@@ -258,6 +514,7 @@ export class EntityManager {
   removeFromIndices(entity) {
     this.removeFromTagIndex(entity);
     this.removeFromComponentIndex(entity);
+    this.removeFromQueryViews(entity);
   }
 
   /**
@@ -312,8 +569,10 @@ export class EntityManager {
    * Clear all entities
    */
   clear() {
-    // Destroy all entities
+    // Destroy all entities (views stay cached, since systems may hold them)
     for (const entity of this.entities.values()) {
+      this.removeFromQueryViews(entity);
+      entity.entityManager = null;
       entity.destroy();
     }
 
@@ -345,6 +604,9 @@ export class EntityManager {
       componentIndex: Object.fromEntries(
         Array.from(this.componentIndex.entries()).map(([type, ids]) => [type, ids.size])
       ),
+      queryViews: Object.fromEntries(
+        Array.from(this.queryViews.entries()).map(([key, view]) => [key, view.size])
+      ),
       destroyQueue: this.entitiesToDestroy.size
     };
   }
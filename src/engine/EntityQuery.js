@@ -0,0 +1,324 @@
+/**
+ * Copy a list of names, accepting single names and nested arrays
+ * @param {Array} names - Names or arrays of names
+ * @returns {string[]} - Flat list of names
+ */
+function flattenNames(names) {
+  return names.flat(Infinity).filter(name => name !== undefined && name !== null);
+}
+
+/**
+ * Sort and de-duplicate names for query keys
+ * @param {string[]} names - Names
+ * @returns {string[]} - Sorted unique names
+ */
+function normalizeNames(names) {
+  return Array.from(new Set(names)).sort();
+}
+
+/**
+ * EntityView - Live set of the entities matching a query's component and tag filters
+ * Views are cached by EntityManager and kept up to date incrementally as
+ * components and tags change, so reading one costs O(matches) instead of a
+ * scan of the world. Inactive entities stay members but are left out of
+ * getEntities().
+ */
+export class EntityView {
+  constructor(key, filters) {
+    this.key = key;
+    this.all = filters.all; // Component types every match has
+    this.any = filters.any; // Component types a match has at least one of
+    this.none = filters.none; // Component types no match has
+    this.withTags = filters.withTags; // Tags every match has
+    this.withoutTags = filters.withoutTags; // Tags no match has
+    this.names = new Set([...this.all, ...this.any, ...this.none, ...this.withTags, ...this.withoutTags]);
+
+    this.members = new Set(); // Matching entities in the order they started matching
+    this.cache = null; // Array copy of members, rebuilt after changes
+    this.addedListeners = [];
+    this.removedListeners = [];
+  }
+
+  /**
+   * Check an entity against the view's filters (ignores the active flag)
+   * @param {Entity} entity - Entity to check
+   * @returns {boolean} - True if the entity belongs in the view
+   */
+  matches(entity) {
+    return this.all.every(type => entity.hasComponent(type)) &&
+      (this.any.length === 0 || this.any.some(type => entity.hasComponent(type))) &&
+      !this.none.some(type => entity.hasComponent(type)) &&
+      this.withTags.every(tag => entity.hasTag(tag)) &&
+      !this.withoutTags.some(tag => entity.hasTag(tag));
+  }
+
+  /**
+   * Check if adding or removing a component type or tag can change membership
+   * @param {string} name - Component type or tag
+   * @returns {boolean} - True if a filter mentions it
+   */
+  dependsOn(name) {
+    return this.names.has(name);
+  }
+
+  /**
+   * Add or remove an entity after its components or tags changed
+   * @param {Entity} entity - Entity that changed
+   */
+  refresh(entity) {
+    const matches = this.matches(entity);
+    if (matches && !this.members.has(entity)) {
+      this.members.add(entity);
+      this.cache = null;
+      this.notify(this.addedListeners, entity);
+    } else if (!matches && this.members.has(entity)) {
+      this.remove(entity);
+    }
+  }
+
+  /**
+   * Remove an entity (it left the world or stopped matching)
+   * @param {Entity} entity - Entity to remove
+   */
+  remove(entity) {
+    if (this.members.delete(entity)) {
+      this.cache = null;
+      this.notify(this.removedListeners, entity);
+    }
+  }
+
+  /**
+   * Get the active matching entities
+   * @returns {Entity[]} - New array of entities
+   */
+  getEntities() {
+    if (!this.cache) {
+      this.cache = Array.from(this.members);
+    }
+    return this.cache.filter(entity => entity.isActive());
+  }
+
+  /**
+   * Check if an entity is in the view
+   * @param {Entity} entity - Entity to check
+   * @returns {boolean} - True if it matches (active or not)
+   */
+  has(entity) {
+    return this.members.has(entity);
+  }
+
+  /**
+   * Number of matching entities, active or not
+   * @returns {number} - Member count
+   */
+  get size() {
+    return this.members.size;
+  }
+
+  /**
+   * Whether anything listens for changes (watched views are never evicted)
+   * @returns {boolean} - True if there are added or removed listeners
+   */
+  get watched() {
+    return this.addedListeners.length > 0 || this.removedListeners.length > 0;
+  }
+
+  /**
+   * Call a function whenever an entity starts matching
+   * @param {Function} listener - (entity) => void
+   * @returns {Function} - Call to unsubscribe
+   */
+  onAdded(listener) {
+    this.addedListeners.push(listener);
+    return () => this.removeListener(this.addedListeners, listener);
+  }
+
+  /**
+   * Call a function whenever an entity stops matching or leaves the world
+   * @param {Function} listener - (entity) => void
+   * @returns {Function} - Call to unsubscribe
+   */
+  onRemoved(listener) {
+    this.removedListeners.push(listener);
+    return () => this.removeListener(this.removedListeners, listener);
+  }
+
+  /**
+   * Remove a listener
+   * @param {Function[]} listeners - Listener list
+   * @param {Function} listener - Listener to remove
+   */
+  removeListener(listeners, listener) {
+    const index = listeners.indexOf(listener);
+    if (index !== -1) {
+      listeners.splice(index, 1);
+    }
+  }
+
+  /**
+   * Call listeners, logging failures so one bad hook doesn't break the others
+   * @param {Function[]} listeners - Listeners to call
+   * @param {Entity} entity - Entity that was added or removed
+   */
+  notify(listeners, entity) {
+    for (const listener of [...listeners]) {
+      try {
+        listener(entity);
+      } catch (error) {
+        console.error(`❌ Query listener for ${this.key} failed:`, error.message);
+      }
+    }
+  }
+}
+
+/**
+ * EntityQuery - Builder for entity queries, created by EntityManager.query()
+ * Chain all/any/none for component types, withTags/withoutTags for tags and
+ * where for predicates, then call execute() for the matching entities or
+ * view() for the cached live view. Predicates aren't part of the view (component
+ * data changes without notifying the manager), so they run when the query
+ * is executed.
+ */
+export class EntityQuery {
+  constructor(entityManager, filters = {}) {
+    this.entityManager = entityManager;
+    this.filters = { all: [], any: [], none: [], withTags: [], withoutTags: [] };
+    this.predicates = [];
+
+    for (const name of Object.keys(this.filters)) {
+      if (filters[name] !== undefined) {
+        this[name](filters[name]);
+      }
+    }
+    if (filters.where) {
+      this.where(filters.where);
+    }
+  }
+
+  /**
+   * Require every listed component type
+   * @param {...string} types - Component types
+   * @returns {EntityQuery} - This query
+   */
+  all(...types) {
+    this.filters.all.push(...flattenNames(types));
+    return this;
+  }
+
+  /**
+   * Require at least one of the listed component types
+   * @param {...string} types - Component types
+   * @returns {EntityQuery} - This query
+   */
+  any(...types) {
+    this.filters.any.push(...flattenNames(types));
+    return this;
+  }
+
+  /**
+   * Exclude entities with any of the listed component types
+   * @param {...string} types - Component types
+   * @returns {EntityQuery} - This query
+   */
+  none(...types) {
+    this.filters.none.push(...flattenNames(types));
+    return this;
+  }
+
+  /**
+   * Require every listed tag
+   * @param {...string} tags - Tags
+   * @returns {EntityQuery} - This query
+   */
+  withTags(...tags) {
+    this.filters.withTags.push(...flattenNames(tags));
+    return this;
+  }
+
+  /**
+   * Exclude entities with any of the listed tags
+   * @param {...string} tags - Tags
+   * @returns {EntityQuery} - This query
+   */
+  withoutTags(...tags) {
+    this.filters.withoutTags.push(...flattenNames(tags));
+    return this;
+  }
+
+  /**
+   * Keep only entities for which a predicate returns true
+   * @param {Function} predicate - (entity) => boolean
+   * @returns {EntityQuery} - This query
+   */
+  where(predicate) {
+    if (typeof predicate !== 'function') {
+      throw new Error('Query predicate must be a function');
+    }
+    this.predicates.push(predicate);
+    return this;
+  }
+
+  /**
+   * Get the sorted component and tag filters
+   * @returns {Object} - { all, any, none, withTags, withoutTags }
+   */
+  getFilters() {
+    return Object.fromEntries(
+      Object.entries(this.filters).map(([name, names]) => [name, normalizeNames(names)])
+    );
+  }
+
+  /**
+   * Get the cache key for the query's component and tag filters
+   * @returns {string} - Key shared by queries with the same filters
+   */
+  getKey() {
+    return JSON.stringify(this.getFilters());
+  }
+
+  /**
+   * Get the cached live view for the component and tag filters
+   * @returns {EntityView} - The view
+   */
+  view() {
+    return this.entityManager.getQueryView(this);
+  }
+
+  /**
+   * Get the active entities matching every filter and predicate
+   * @returns {Entity[]} - Matching entities
+   */
+  execute() {
+    const entities = this.view().getEntities();
+    return this.predicates.length === 0
+      ? entities
+      : entities.filter(entity => this.predicates.every(predicate => predicate(entity)));
+  }
+
+  /**
+   * Get the first matching entity
+   * @returns {Entity|null} - The entity or null
+   */
+  first() {
+    return this.execute()[0] || null;
+  }
+
+  /**
+   * Count the matching entities
+   * @returns {number} - Number of matches
+   */
+  count() {
+    return this.execute().length;
+  }
+
+  /**
+   * Check a single entity against every filter and predicate
+   * @param {Entity} entity - Entity to check
+   * @returns {boolean} - True if it matches
+   */
+  matches(entity) {
+    return entity.isActive() &&
+      this.view().matches(entity) &&
+      this.predicates.every(predicate => predicate(entity));
+  }
+}
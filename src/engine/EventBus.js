@@ -0,0 +1,278 @@
+/**
+ * Well-known engine event topics and their payloads
+ * Topics are "namespace:name" strings; generated code should publish its own
+ * events under "custom:" (e.g. "custom:scoreChanged").
+ */
+export const GameEvents = {
+  ENGINE_STARTED: 'engine:started', // {}
+  ENGINE_STOPPED: 'engine:stopped', // {}
+  TIME_SCALE_CHANGED: 'engine:timeScale', // { timeScale, previous, duration }
+  SHOT_FIRED: 'shooter:fired', // { position, velocity, rotation, owner, damage, team, pierce, bounces, lifetime, range }
+  BULLET_CREATED: 'shooter:bulletCreated', // { bulletId, owner, team }
+  BULLET_HIT: 'shooter:hit', // { bulletId, owner, team, targetId, position }
+  COLLISION_ENTER: 'collision:enter', // { entityA, entityB, trigger, normal, depth }
+  COLLISION_STAY: 'collision:stay', // { entityA, entityB, trigger, normal, depth }
+  COLLISION_EXIT: 'collision:exit', // { entityA, entityB, trigger }
+  HEALTH_DAMAGED: 'health:damaged', // { entityId, amount, health, maxHealth, sourceId, type }
+  HEALTH_HEALED: 'health:healed', // { entityId, amount, health, maxHealth }
+  ENTITY_DIED: 'health:died', // { entityId, tags, position, sourceId, type }
+  ENTITY_RESPAWNED: 'health:respawned', // { entityId, position }
+  GAME_STATE_CHANGED: 'game:state', // { state, previous, reason }
+  SCORE_CHANGED: 'game:score', // { score, delta, reason }
+  LIVES_CHANGED: 'game:lives', // { lives, delta }
+  LEVEL_CHANGED: 'game:level', // { level, previous }
+  TIMER_EXPIRED: 'game:timer', // { name, level }
+  AI_STATE_CHANGED: 'ai:state' // { entityId, state, previous }
+};
+
+const TOPIC_PATTERN = /^[\w-]+(:[\w-]+)*$/;
+const SUBSCRIPTION_PATTERN = /^(\*\*|\*|[\w-]+)(:(\*\*|\*|[\w-]+))*$/;
+
+/**
+ * EventBus - Publish/subscribe hub owned by the GameEngine
+ * Listeners subscribe to a topic or a wildcard pattern, where "*" matches one
+ * topic segment and "**" matches one or more ("shooter:*", "**"). Events are
+ * delivered immediately, or queued and delivered when the engine flushes the
+ * bus at the end of the frame.
+ */
+export class EventBus {
+  constructor(options = {}) {
+    this.listeners = new Map(); // pattern -> [{ listener, once }]
+    this.queue = []; // Deferred events waiting for flush()
+    this.maxQueueSize = options.maxQueueSize || 1000;
+    this.maxDepth = options.maxDepth || 16; // Max nested emits (listeners emitting events)
+    this.depth = 0;
+
+    this.stats = {
+      emitted: 0,
+      delivered: 0,
+      deferred: 0,
+      dropped: 0,
+      listenerErrors: 0
+    };
+  }
+
+  /**
+   * Subscribe to a topic or wildcard pattern
+   * @param {string} pattern - Topic or pattern ("shooter:hit", "shooter:*", "**")
+   * @param {Function} listener - listener(payload, event) where event is { topic, timestamp, deferred }
+   * @param {Object} options - { once } to unsubscribe after the first event
+   * @returns {Function} - Call to unsubscribe
+   */
+  on(pattern, listener, options = {}) {
+    EventBus.validatePattern(pattern);
+    if (typeof listener !== 'function') {
+      throw new Error('Event listener must be a function');
+    }
+
+    const record = { listener, once: options.once === true };
+    if (!this.listeners.has(pattern)) {
+      this.listeners.set(pattern, []);
+    }
+    this.listeners.get(pattern).push(record);
+
+    return () => this.removeRecord(pattern, record);
+  }
+
+  /**
+   * Subscribe for a single event
+   * @param {string} pattern - Topic or pattern
+   * @param {Function} listener - listener(payload, event)
+   * @returns {Function} - Call to unsubscribe
+   */
+  once(pattern, listener) {
+    return this.on(pattern, listener, { once: true });
+  }
+
+  /**
+   * Unsubscribe a listener
+   * @param {string} pattern - Pattern it was subscribed with
+   * @param {Function} listener - The listener
+   * @returns {boolean} - True if the listener was subscribed
+   */
+  off(pattern, listener) {
+    const record = this.listeners.get(pattern)?.find(entry => entry.listener === listener);
+    return record ? this.removeRecord(pattern, record) : false;
+  }
+
+  /**
+   * Publish an event
+   * @param {string} topic - Event topic (no wildcards)
+   * @param {Object} payload - Event data
+   * @param {Object} options - { deferred } to deliver at the end of the frame
+   * @returns {number} - Listeners called (0 when deferred)
+   */
+  emit(topic, payload = {}, options = {}) {
+    EventBus.validateTopic(topic);
+    this.stats.emitted++;
+
+    if (options.deferred) {
+      if (this.queue.length >= this.maxQueueSize) {
+        this.stats.dropped++;
+        return 0;
+      }
+
+      this.queue.push({ topic, payload, timestamp: Date.now() });
+      this.stats.deferred++;
+      return 0;
+    }
+
+    return this.deliver({ topic, payload, timestamp: Date.now(), deferred: false });
+  }
+
+  /**
+   * Deliver queued events (called by the engine at the end of each frame)
+   * Events queued while flushing wait for the next flush
+   * @returns {number} - Events delivered
+   */
+  flush() {
+    const events = this.queue;
+    this.queue = [];
+
+    for (const event of events) {
+      this.deliver({ ...event, deferred: true });
+    }
+    return events.length;
+  }
+
+  /**
+   * Call every listener whose pattern matches the event topic
+   * @param {Object} event - { topic, payload, timestamp, deferred }
+   * @returns {number} - Listeners called
+   */
+  deliver(event) {
+    if (this.depth >= this.maxDepth) {
+      this.stats.dropped++;
+      console.warn(`⚠️ Event "${event.topic}" dropped: listeners are emitting events recursively`);
+      return 0;
+    }
+
+    // Copy matching listeners first so listeners can (un)subscribe while we deliver
+    const matches = [];
+    for (const [pattern, records] of this.listeners) {
+      if (EventBus.matches(pattern, event.topic)) {
+        matches.push(...records.map(record => [pattern, record]));
+      }
+    }
+
+    const { payload, ...info } = event;
+    this.depth++;
+    try {
+      for (const [pattern, record] of matches) {
+        if (record.once) {
+          this.removeRecord(pattern, record);
+        }
+
+        try {
+          record.listener(payload, info);
+          this.stats.delivered++;
+        } catch (error) {
+          this.stats.listenerErrors++;
+          console.error(`❌ Listener for "${event.topic}" failed:`, error.message);
+        }
+      }
+    } finally {
+      this.depth--;
+    }
+
+    return matches.length;
+  }
+
+  /**
+   * Remove a listener record
+   * @param {string} pattern - Subscription pattern
+   * @param {Object} record - Listener record
+   * @returns {boolean} - True if removed
+   */
+  removeRecord(pattern, record) {
+    const records = this.listeners.get(pattern);
+    const index = records ? records.indexOf(record) : -1;
+    if (index === -1) return false;
+
+    records.splice(index, 1);
+    if (records.length === 0) {
+      this.listeners.delete(pattern);
+    }
+    return true;
+  }
+
+  /**
+   * Count listeners, optionally for one pattern
+   * @param {string} pattern - Optional subscription pattern
+   * @returns {number} - Listener count
+   */
+  getListenerCount(pattern = null) {
+    if (pattern !== null) {
+      return this.listeners.get(pattern)?.length || 0;
+    }
+
+    let count = 0;
+    for (const records of this.listeners.values()) {
+      count += records.length;
+    }
+    return count;
+  }
+
+  /**
+   * Remove all listeners and queued events
+   */
+  clear() {
+    this.listeners.clear();
+    this.queue = [];
+  }
+
+  /**
+   * Get bus statistics
+   * @returns {Object} - Stats with listener and queue counts
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      listeners: this.getListenerCount(),
+      queued: this.queue.length
+    };
+  }
+
+  /**
+   * Check if a subscription pattern matches a topic
+   * @param {string} pattern - Subscription pattern
+   * @param {string} topic - Event topic
+   * @returns {boolean} - True if it matches
+   */
+  static matches(pattern, topic) {
+    if (pattern === topic || pattern === '**') return true;
+
+    const patternParts = pattern.split(':');
+    const topicParts = topic.split(':');
+
+    for (let i = 0; i < patternParts.length; i++) {
+      if (patternParts[i] === '**') {
+        return topicParts.length > i; // Matches one or more remaining segments
+      }
+      if (i >= topicParts.length || (patternParts[i] !== '*' && patternParts[i] !== topicParts[i])) {
+        return false;
+      }
+    }
+    return patternParts.length === topicParts.length;
+  }
+
+  /**
+   * Validate an event topic
+   * @param {string} topic - Event topic
+   */
+  static validateTopic(topic) {
+    if (typeof topic !== 'string' || topic.length > 128 || !TOPIC_PATTERN.test(topic)) {
+      throw new Error(`Invalid event topic: ${topic} (use "namespace:name")`);
+    }
+  }
+
+  /**
+   * Validate a subscription pattern
+   * @param {string} pattern - Topic or wildcard pattern
+   */
+  static validatePattern(pattern) {
+    if (typeof pattern !== 'string' || pattern.length > 128 || !SUBSCRIPTION_PATTERN.test(pattern)) {
+      throw new Error(`Invalid event pattern: ${pattern}`);
+    }
+  }
+}
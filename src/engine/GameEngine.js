@@ -7,9 +7,9 @@ if (isNode) {
     now: () => Date.now()
   };
   
-  // Polyfill for requestAnimationFrame in Node.js
+  // Polyfill for requestAnimationFrame in Node.js (passes a timestamp like the browser does)
   global.requestAnimationFrame = (callback) => {
-    return setTimeout(callback, 1000 / 60); // 60 FPS
+    return setTimeout(() => callback(performance.now()), 1000 / 60); // 60 FPS
   };
   
   global.cancelAnimationFrame = (id) => {
@@ -18,6 +18,11 @@ if (isNode) {
 }
 
 import { EntityManager } from './EntityManager.js';
+import { WorldSnapshot } from './WorldSnapshot.js';
+import { ComponentRegistry } from './ComponentRegistry.js';
+import { EventBus, GameEvents } from './EventBus.js';
+import { SeededRandom } from './SeededRandom.js';
+import { PrefabRegistry } from './PrefabRegistry.js';
 
 /**
  * GameEngine class - Core engine that manages the game loop, systems, and entities
@@ -26,7 +31,17 @@ import { EntityManager } from './EntityManager.js';
 export class GameEngine {
   constructor(options = {}) {
     // Core components
-    this.entityManager = new EntityManager();
+    this.componentRegistry = options.componentRegistry || new ComponentRegistry(); // type name -> component class (per engine, so runtime definitions stay in one world)
+    this.eventBus = options.eventBus || new EventBus(); // Gameplay events for components, systems and the server
+    this.random = options.random || new SeededRandom(options.seed); // Seeded RNG with named streams
+    this.prefabRegistry = options.prefabRegistry || new PrefabRegistry(); // Named entity templates
+    this.entityManager = new EntityManager({
+      componentRegistry: this.componentRegistry,
+      prefabRegistry: this.prefabRegistry,
+      eventBus: this.eventBus,
+      random: this.random,
+      clock: () => this.totalTime
+    });
     this.systems = new Map(); // systemName -> System
     this.systemOrder = []; // Array of system names in execution order
     
@@ -41,6 +56,24 @@ export class GameEngine {
     this.maxDeltaTime = options.maxDeltaTime || 50; // Max 50ms per frame
     this.lastFrameTime = 0;
     this.deltaTime = 0;
+
+    // Fixed timestep: systems always step by fixedDeltaTime, as many times as real time requires
+    this.fixedTimestep = options.fixedTimestep === true;
+    this.tickRate = options.tickRate || this.targetFPS; // Simulation steps per second
+    this.fixedDeltaTime = 1000 / this.tickRate;
+    this.maxStepsPerFrame = options.maxStepsPerFrame || 5; // Catch-up limit, avoids the "spiral of death"
+    this.accumulator = 0; // Real time not simulated yet
+    this.interpolationAlpha = 1; // How far rendering is between the last two steps (0-1)
+    this.tickCount = 0;
+    this.droppedTime = 0; // Time discarded by the catch-up limit
+
+    // Time scaling: 0.5 is half speed, 2 is fast-forward, 0 freezes the simulation
+    this.maxTimeScale = options.maxTimeScale || 4;
+    this.timeScale = 1;
+    this.timeScaleTimer = null; // { remaining, restoreTo } while a timed time scale is active
+    if (options.timeScale !== undefined) {
+      this.setTimeScale(options.timeScale);
+    }
     
     // Performance tracking
     this.performanceStats = {
@@ -96,6 +129,7 @@ export class GameEngine {
     }
 
     this.systems.set(system.name, system);
+    system.gameEngine = this;
     
     // Insert system in correct priority order
     this.insertSystemInOrder(system);
@@ -120,6 +154,7 @@ export class GameEngine {
 
     // Clean up system
     system.destroy();
+    system.gameEngine = null;
     
     // Remove from collections
     this.systems.delete(systemName);
@@ -177,8 +212,10 @@ export class GameEngine {
     this.running = true;
     this.paused = false;
     this.lastFrameTime = performance.now();
+    this.accumulator = 0;
     
     console.log('▶️ Starting game engine...');
+    this.eventBus.emit(GameEvents.ENGINE_STARTED);
     this.rafId = requestAnimationFrame(this.gameLoop);
   }
 
@@ -196,6 +233,7 @@ export class GameEngine {
     }
 
     console.log('⏹️ Game engine stopped');
+    this.eventBus.emit(GameEvents.ENGINE_STOPPED);
   }
 
   /**
@@ -213,21 +251,20 @@ export class GameEngine {
     if (this.paused) {
       this.paused = false;
       this.lastFrameTime = performance.now(); // Reset timing
+      this.accumulator = 0; // Time spent paused is never simulated
       console.log('▶️ Game engine resumed');
     }
   }
 
   /**
    * Main game loop
-   * @param {number} currentTime - Current timestamp from RAF
+   * @param {number} currentTime - Current timestamp from RAF (defaults to now)
    */
-  gameLoop(currentTime) {
+  gameLoop(currentTime = performance.now()) {
     if (!this.running) return;
 
-    // Calculate delta time
-    this.deltaTime = Math.min(currentTime - this.lastFrameTime, this.maxDeltaTime);
+    const elapsed = currentTime - this.lastFrameTime;
     this.lastFrameTime = currentTime;
-    this.totalTime += this.deltaTime;
     this.frameCount++;
 
     // Skip frame if paused
@@ -240,25 +277,22 @@ export class GameEngine {
     const frameStartTime = performance.now();
 
     try {
-      // Pre-update callback
-      if (this.onBeforeUpdate) {
-        this.onBeforeUpdate(this.deltaTime);
-      }
-
-      // Update all systems
-      this.updateSystems(this.deltaTime);
-
-      // Process entity destruction queue
-      this.entityManager.processDestroyQueue();
-
-      // Post-update callback
-      if (this.onAfterUpdate) {
-        this.onAfterUpdate(this.deltaTime);
+      this.updateTimeScale(elapsed);
+
+      if (this.fixedTimestep) {
+        this.advance(elapsed * this.timeScale);
+      } else {
+        // Fast-forward splits the frame so no step is longer than maxDeltaTime
+        const scaled = Math.min(elapsed, this.maxDeltaTime) * this.timeScale;
+        const steps = Math.ceil(scaled / this.maxDeltaTime);
+        for (let i = 0; i < steps; i++) {
+          this.tick(scaled / steps);
+        }
       }
 
       // Performance tracking
       if (this.enablePerformanceTracking) {
-        this.updatePerformanceStats(performance.now() - frameStartTime);
+        this.updatePerformanceStats(performance.now() - frameStartTime, this.fixedTimestep ? elapsed : this.deltaTime);
       }
 
     } catch (error) {
@@ -275,6 +309,158 @@ export class GameEngine {
     this.rafId = requestAnimationFrame(this.gameLoop);
   }
 
+  /**
+   * Simulate elapsed time in fixed steps (fixed timestep mode)
+   * Leftover time carries over to the next frame and sets the interpolation alpha.
+   * At most maxStepsPerFrame steps run; any further backlog is dropped.
+   * @param {number} elapsed - Time to simulate in milliseconds (the game loop passes real time times timeScale)
+   * @returns {number} - Steps run
+   */
+  advance(elapsed) {
+    this.accumulator += Math.max(0, elapsed);
+
+    let steps = 0;
+    while (this.accumulator >= this.fixedDeltaTime && steps < this.maxStepsPerFrame) {
+      this.accumulator -= this.fixedDeltaTime;
+      steps++;
+      this.tick(this.fixedDeltaTime);
+    }
+
+    // Too far behind to catch up: keep only the partial step
+    if (this.accumulator >= this.fixedDeltaTime) {
+      const dropped = this.accumulator - (this.accumulator % this.fixedDeltaTime);
+      this.accumulator -= dropped;
+      this.droppedTime += dropped;
+
+      if (this.debugMode) {
+        console.warn(`⚠️ Simulation fell behind, dropped ${dropped.toFixed(1)}ms`);
+      }
+    }
+
+    this.interpolationAlpha = this.accumulator / this.fixedDeltaTime;
+    return steps;
+  }
+
+  /**
+   * Advance the simulation by whole frames, e.g. to debug behaviors frame by frame
+   * A running engine is paused first. Steps are always one frame long
+   * (fixedDeltaTime, or 1000 / targetFPS without a fixed timestep) whatever the time scale.
+   * @param {number} count - Number of frames to step
+   * @returns {number} - Steps run
+   */
+  step(count = 1) {
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error('Step count must be a positive integer');
+    }
+
+    if (this.running && !this.paused) {
+      this.pause();
+    }
+
+    const deltaTime = this.fixedTimestep ? this.fixedDeltaTime : 1000 / this.targetFPS;
+    for (let i = 0; i < count; i++) {
+      this.tick(deltaTime);
+    }
+
+    // Render exactly the stepped state
+    this.accumulator = 0;
+    this.interpolationAlpha = 1;
+    return count;
+  }
+
+  /**
+   * Run one simulation step: systems, entity destruction and deferred events
+   * @param {number} deltaTime - Step length in milliseconds (defaults to fixedDeltaTime)
+   */
+  tick(deltaTime = this.fixedDeltaTime) {
+    this.deltaTime = deltaTime;
+    this.totalTime += deltaTime;
+    this.tickCount++;
+
+    // Pre-update callback
+    if (this.onBeforeUpdate) {
+      this.onBeforeUpdate(deltaTime);
+    }
+
+    // Update all systems
+    this.updateSystems(deltaTime);
+
+    // Process entity destruction queue
+    this.entityManager.processDestroyQueue();
+
+    // Deliver events deferred to the end of the frame
+    this.eventBus.flush();
+
+    // Post-update callback
+    if (this.onAfterUpdate) {
+      this.onAfterUpdate(deltaTime);
+    }
+  }
+
+  /**
+   * Change the simulation rate (fixed timestep mode)
+   * @param {number} tickRate - Steps per second
+   */
+  setTickRate(tickRate) {
+    if (!Number.isFinite(tickRate) || tickRate <= 0) {
+      throw new Error('Tick rate must be a positive number');
+    }
+
+    this.tickRate = tickRate;
+    this.fixedDeltaTime = 1000 / tickRate;
+    this.accumulator = 0;
+  }
+
+  /**
+   * Change how fast simulated time passes relative to real time
+   * With a duration the scale is temporary (e.g. bullet-time): the previous
+   * scale comes back after that much real time, not counting time paused.
+   * @param {number} timeScale - Scale between 0 and maxTimeScale (1 is normal speed)
+   * @param {Object} options - { duration } in real milliseconds
+   */
+  setTimeScale(timeScale, options = {}) {
+    if (!Number.isFinite(timeScale) || timeScale < 0 || timeScale > this.maxTimeScale) {
+      throw new Error(`Time scale must be a number between 0 and ${this.maxTimeScale}`);
+    }
+
+    const duration = options.duration;
+    if (duration !== undefined && (!Number.isFinite(duration) || duration <= 0)) {
+      throw new Error('Time scale duration must be a positive number of milliseconds');
+    }
+
+    // A timed scale set during another one still restores the scale from before both
+    const restoreTo = this.timeScaleTimer ? this.timeScaleTimer.restoreTo : this.timeScale;
+    this.timeScaleTimer = duration !== undefined ? { remaining: duration, restoreTo } : null;
+
+    const previous = this.timeScale;
+    this.timeScale = timeScale;
+    if (timeScale !== previous) {
+      this.eventBus.emit(GameEvents.TIME_SCALE_CHANGED, { timeScale, previous, duration: duration ?? null });
+    }
+  }
+
+  /**
+   * Count down a timed time scale
+   * @param {number} elapsed - Real time since the last frame in milliseconds
+   */
+  updateTimeScale(elapsed) {
+    if (!this.timeScaleTimer) return;
+
+    this.timeScaleTimer.remaining -= elapsed;
+    if (this.timeScaleTimer.remaining <= 0) {
+      this.setTimeScale(this.timeScaleTimer.restoreTo);
+    }
+  }
+
+  /**
+   * Get how far rendering is between the previous and current step
+   * Renderers draw previous + (current - previous) * alpha; always 1 without a fixed timestep
+   * @returns {number} - Alpha between 0 and 1
+   */
+  getInterpolationAlpha() {
+    return this.fixedTimestep ? this.interpolationAlpha : 1;
+  }
+
   /**
    * Update all systems in priority order
    * @param {number} deltaTime - Time elapsed since last frame
@@ -300,10 +486,11 @@ export class GameEngine {
   /**
    * Update performance statistics
    * @param {number} frameTime - Time taken for this frame
+   * @param {number} frameInterval - Time since the previous frame
    */
-  updatePerformanceStats(frameTime) {
+  updatePerformanceStats(frameTime, frameInterval = this.deltaTime) {
     this.performanceStats.frameTime = frameTime;
-    this.performanceStats.fps = 1000 / this.deltaTime;
+    this.performanceStats.fps = 1000 / frameInterval;
     this.performanceStats.entityCount = this.entityManager.getStats().activeEntities;
 
     // Track frame history for average FPS
@@ -326,6 +513,16 @@ export class GameEngine {
     return this.entityManager.createEntity(id);
   }
 
+  /**
+   * Spawn an entity from a registered prefab
+   * @param {string} name - Prefab name
+   * @param {Object} overrides - { id, x, y, rotation, tags, components, parent }
+   * @returns {Entity} - The spawned entity
+   */
+  spawn(name, overrides = {}) {
+    return this.entityManager.spawnPrefab(name, overrides);
+  }
+
   /**
    * Destroy an entity
    * @param {string} entityId - Entity ID to destroy
@@ -352,6 +549,33 @@ export class GameEngine {
     return this.entityManager.getEntitiesWithComponents(componentTypes);
   }
 
+  /**
+   * Start an entity query (see EntityQuery)
+   * @param {Object} filters - Optional { all, any, none, withTags, withoutTags, where }
+   * @returns {EntityQuery} - Query builder
+   */
+  query(filters = {}) {
+    return this.entityManager.query(filters);
+  }
+
+  /**
+   * Capture the current world (entities and system configuration)
+   * @param {string} label - Optional snapshot label
+   * @returns {WorldSnapshot} - The snapshot
+   */
+  createSnapshot(label = null) {
+    return WorldSnapshot.capture(this, label);
+  }
+
+  /**
+   * Replace the current world with a snapshot
+   * @param {WorldSnapshot} snapshot - Snapshot to restore
+   */
+  restoreSnapshot(snapshot) {
+    snapshot.restore(this);
+    console.log(`⏪ World restored to snapshot${snapshot.label ? ` ${snapshot.label}` : ''}`);
+  }
+
   /**
    * Get performance statistics
    * @returns {Object} - Performance stats
@@ -366,7 +590,14 @@ export class GameEngine {
         paused: this.paused,
         frameCount: this.frameCount,
         totalTime: this.totalTime,
-        targetFPS: this.targetFPS
+        targetFPS: this.targetFPS,
+        seed: this.random.seed,
+        fixedTimestep: this.fixedTimestep,
+        tickRate: this.tickRate,
+        tickCount: this.tickCount,
+        droppedTime: this.droppedTime,
+        interpolationAlpha: this.getInterpolationAlpha(),
+        timeScale: this.timeScale
       }
     };
   }
@@ -381,7 +612,10 @@ export class GameEngine {
       running: this.running,
       paused: this.paused,
       frameCount: this.frameCount,
+      tickCount: this.tickCount,
       totalTime: this.totalTime,
+      timeScale: this.timeScale,
+      seed: this.random.seed,
       systems: Array.from(this.systems.values()).map(system => system.getInfo()),
       entities: this.entityManager.getDebugInfo()
     };
@@ -392,7 +626,9 @@ export class GameEngine {
    */
   resetStats() {
     this.frameCount = 0;
+    this.tickCount = 0;
     this.totalTime = 0;
+    this.droppedTime = 0;
     this.performanceStats.frameHistory = [];
     
     // Reset system stats
@@ -0,0 +1,408 @@
+const PREFAB_NAME_PATTERN = /^[A-Za-z][\w-]{0,63}$/;
+
+/**
+ * Check for a plain object (not an array, class instance or null)
+ * @param {any} value - Value to check
+ * @returns {boolean} - True for plain objects
+ */
+function isPlainObject(value) {
+  if (!value || typeof value !== 'object') return false;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * Deep merge plain objects; arrays and other values in the override replace the base
+ * @param {any} base - Base value
+ * @param {any} override - Override value (undefined keeps the base)
+ * @returns {any} - Merged copy
+ */
+function mergeOptions(base, override) {
+  if (override === undefined) return cloneOptions(base);
+  if (!isPlainObject(base) || !isPlainObject(override)) return cloneOptions(override);
+
+  const merged = cloneOptions(base);
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = mergeOptions(base[key], value);
+  }
+  return merged;
+}
+
+/**
+ * Copy plain data so spawned components never share option objects
+ * @param {any} value - Value to copy
+ * @returns {any} - Copy
+ */
+function cloneOptions(value) {
+  if (Array.isArray(value)) return value.map(cloneOptions);
+  if (!isPlainObject(value)) return value;
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = cloneOptions(item);
+  }
+  return copy;
+}
+
+/**
+ * PrefabRegistry - Named entity templates ("prefabs") that can be spawned
+ * A prefab lists components by type with the options object passed to
+ * ComponentRegistry.create, plus tags and child prefabs:
+ *
+ *   { name: 'enemy', extends: 'ship', description: '...', tags: ['enemy'],
+ *     components: { RenderComponent: { color: '#FF0040' }, MovementComponent: { maxSpeed: 100 } },
+ *     children: [{ prefab: 'turret', id: 'gun', x: 0, y: -10 }] }
+ *
+ * A prefab that extends another one merges its component options into the
+ * parent's (null removes a component), adds its tags and replaces children.
+ * Spawn overrides use the same shape plus id, x, y, rotation and parent.
+ */
+export class PrefabRegistry {
+  constructor(options = {}) {
+    this.prefabs = new Map(); // name -> definition
+
+    if (options.builtIns !== false) {
+      registerBuiltInPrefabs(this);
+    }
+  }
+
+  /**
+   * Register a prefab
+   * @param {Object} definition - { name, extends, description, tags, components, children }
+   * @param {Object} options - { replace } to overwrite an existing prefab
+   * @returns {Object} - The stored definition
+   */
+  register(definition, options = {}) {
+    const prefab = PrefabRegistry.validate(definition);
+    if (this.prefabs.has(prefab.name) && !options.replace) {
+      throw new Error(`Prefab already registered: ${prefab.name}`);
+    }
+
+    this.prefabs.set(prefab.name, prefab);
+    return prefab;
+  }
+
+  /**
+   * Register prefabs from parsed JSON (one prefab, an array, or { prefabs: [...] })
+   * Existing prefabs with the same names are replaced.
+   * @param {Object|Array} data - Prefab data
+   * @returns {string[]} - Names of the registered prefabs
+   */
+  load(data) {
+    const definitions = Array.isArray(data) ? data : (Array.isArray(data?.prefabs) ? data.prefabs : [data]);
+
+    // Validate everything first so a bad file doesn't register half its prefabs
+    const prefabs = definitions.map(definition => PrefabRegistry.validate(definition));
+    for (const prefab of prefabs) {
+      this.prefabs.set(prefab.name, prefab);
+    }
+    return prefabs.map(prefab => prefab.name);
+  }
+
+  /**
+   * Remove a prefab
+   * @param {string} name - Prefab name
+   * @returns {boolean} - True if removed
+   */
+  unregister(name) {
+    return this.prefabs.delete(name);
+  }
+
+  /**
+   * Check if a prefab is registered
+   * @param {string} name - Prefab name
+   * @returns {boolean} - True if registered
+   */
+  has(name) {
+    return this.prefabs.has(name);
+  }
+
+  /**
+   * Get a prefab definition as registered (without inherited values)
+   * @param {string} name - Prefab name
+   * @returns {Object|null} - Definition or null
+   */
+  get(name) {
+    return this.prefabs.get(name) || null;
+  }
+
+  /**
+   * Get all prefab names
+   * @returns {string[]} - Names in registration order
+   */
+  getNames() {
+    return Array.from(this.prefabs.keys());
+  }
+
+  /**
+   * Get a prefab with everything it inherits merged in
+   * @param {string} name - Prefab name
+   * @param {string[]} chain - Prefabs already being resolved (cycle detection)
+   * @returns {Object} - { name, description, tags, components, children }
+   */
+  resolve(name, chain = []) {
+    const prefab = this.prefabs.get(name);
+    if (!prefab) {
+      throw new Error(`Unknown prefab: ${name}`);
+    }
+    if (chain.includes(name)) {
+      throw new Error(`Prefab inheritance cycle: ${[...chain, name].join(' -> ')}`);
+    }
+
+    const base = prefab.extends
+      ? this.resolve(prefab.extends, [...chain, name])
+      : { tags: [], components: {}, children: [], description: '' };
+
+    return {
+      name,
+      description: prefab.description || base.description,
+      tags: Array.from(new Set([...base.tags, ...prefab.tags])),
+      components: PrefabRegistry.mergeComponents(base.components, prefab.components),
+      children: prefab.children ? cloneOptions(prefab.children) : base.children
+    };
+  }
+
+  /**
+   * Spawn a prefab into a world
+   * @param {EntityManager} entityManager - World to spawn into
+   * @param {string} name - Prefab name
+   * @param {Object} overrides - { id, x, y, rotation, tags, components, parent }
+   * @returns {Entity} - The spawned entity (children are attached to it)
+   */
+  spawn(entityManager, name, overrides = {}) {
+    const prefab = this.resolve(name);
+    const components = PrefabRegistry.mergeComponents(prefab.components, overrides.components || {});
+
+    // Position shorthands
+    if (overrides.x !== undefined || overrides.y !== undefined || overrides.rotation !== undefined) {
+      components.TransformComponent = mergeOptions(components.TransformComponent || {}, {
+        x: overrides.x,
+        y: overrides.y,
+        rotation: overrides.rotation
+      });
+    }
+
+    // Check everything and build every component first so a bad option doesn't leave a half-built entity
+    if (overrides.id && entityManager.getEntity(overrides.id)) {
+      throw new Error(`Entity with ID ${overrides.id} already exists`);
+    }
+    const parent = typeof overrides.parent === 'string' ? entityManager.getEntity(overrides.parent) : overrides.parent;
+    if (overrides.parent && !parent) {
+      throw new Error(`Parent entity not found: ${overrides.parent}`);
+    }
+    const registry = entityManager.componentRegistry;
+    const built = Object.entries(components).map(([type, options]) => registry.create(type, options));
+
+    const entity = entityManager.createEntity(overrides.id || null);
+    for (const component of built) {
+      entity.addComponent(component);
+    }
+    for (const tag of [...prefab.tags, ...(overrides.tags || [])]) {
+      entity.addTag(tag);
+    }
+    if (parent) {
+      entity.setParent(parent);
+    }
+
+    for (const child of prefab.children) {
+      const { prefab: childPrefab, id, ...childOverrides } = child;
+      this.spawn(entityManager, childPrefab, {
+        ...childOverrides,
+        id: id ? `${entity.id}-${id}` : null,
+        parent: entity
+      });
+    }
+
+    return entity;
+  }
+
+  /**
+   * Describe prefabs for LLM context
+   * @returns {Array} - { name, description, extends, tags, components, children } per prefab
+   */
+  describe() {
+    return this.getNames().map(name => {
+      const prefab = this.resolve(name);
+      return {
+        name,
+        description: prefab.description,
+        extends: this.prefabs.get(name).extends || null,
+        tags: prefab.tags,
+        components: Object.keys(prefab.components),
+        children: prefab.children.map(child => child.prefab)
+      };
+    });
+  }
+
+  /**
+   * Merge component option maps (null in the override removes a component)
+   * @param {Object} base - type -> options
+   * @param {Object} override - type -> options or null
+   * @returns {Object} - Merged type -> options
+   */
+  static mergeComponents(base, override) {
+    const merged = cloneOptions(base);
+    for (const [type, options] of Object.entries(override)) {
+      if (options === null) {
+        delete merged[type];
+      } else {
+        merged[type] = mergeOptions(merged[type] || {}, options);
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * Check a prefab definition and copy it into its stored form
+   * @param {Object} definition - Prefab definition
+   * @returns {Object} - { name, extends, description, tags, components, children }
+   */
+  static validate(definition) {
+    if (!isPlainObject(definition)) {
+      throw new Error('Prefab definition must be an object');
+    }
+
+    const { name, description = '', tags = [], components = {}, children = null } = definition;
+    if (typeof name !== 'string' || !PREFAB_NAME_PATTERN.test(name)) {
+      throw new Error('Prefab name must start with a letter and use only letters, numbers, "_" or "-"');
+    }
+    if (definition.extends !== undefined && definition.extends !== null && typeof definition.extends !== 'string') {
+      throw new Error(`Prefab ${name}: extends must be a prefab name`);
+    }
+    if (!Array.isArray(tags) || !tags.every(tag => typeof tag === 'string')) {
+      throw new Error(`Prefab ${name}: tags must be an array of strings`);
+    }
+    if (!isPlainObject(components) || !Object.values(components).every(options => options === null || isPlainObject(options))) {
+      throw new Error(`Prefab ${name}: components must map component types to option objects`);
+    }
+    if (children !== null && (!Array.isArray(children) || !children.every(child => isPlainObject(child) && typeof child.prefab === 'string'))) {
+      throw new Error(`Prefab ${name}: children must be an array of { prefab, ...overrides }`);
+    }
+
+    return {
+      name,
+      extends: definition.extends || null,
+      description: typeof description === 'string' ? description : '',
+      tags: [...tags],
+      components: cloneOptions(components),
+      children: children ? cloneOptions(children) : null
+    };
+  }
+}
+
+/**
+ * Register the engine's built-in prefabs (the Space Invaders demo and shooter entities)
+ * @param {PrefabRegistry} registry - Registry to fill
+ */
+export function registerBuiltInPrefabs(registry) {
+  registry.register({
+    name: 'bullet',
+    description: 'Small yellow projectile (spawned by ShooterSystem, set MovementComponent.velocity)',
+    tags: ['bullet'],
+    components: {
+      TransformComponent: {},
+      RenderComponent: { color: '#FFD700', shape: 'circle', width: 4, height: 4, visible: true },
+      // Bullets fly straight until their range, lifetime or a hit ends them
+      MovementComponent: { affectedByFriction: false, affectedByDrag: false },
+      ColliderComponent: { shape: 'circle', layer: 'bullets', mask: ['enemies', 'player', 'barriers'], isTrigger: true }
+    }
+  });
+
+  registry.register({
+    name: 'enemy-bullet',
+    extends: 'bullet',
+    description: 'Red projectile fired by enemies (used by ShooterSystem for the "enemy" team)',
+    components: {
+      RenderComponent: { color: '#FF4040', width: 6, height: 6 }
+    }
+  });
+
+  registry.register({
+    name: 'hit-effect',
+    description: 'Short-lived explosion circle shown where a bullet hits',
+    tags: ['effect'],
+    components: {
+      TransformComponent: {},
+      RenderComponent: { color: '#FF6B6B', shape: 'circle', width: 16, height: 16, opacity: 0.8 }
+    }
+  });
+
+  registry.register({
+    name: 'player',
+    description: 'Green player ship with WASD/arrow movement and spacebar shooting',
+    tags: ['player'],
+    components: {
+      TransformComponent: { x: 400, y: 550 },
+      RenderComponent: { color: '#00FF00', width: 40, height: 20, shape: 'rectangle' },
+      MovementComponent: { maxSpeed: 300, friction: 0.1 },
+      PlayerControllerComponent: {
+        moveSpeed: 1.0,
+        moveLeft: ['KeyA', 'ArrowLeft'],
+        moveRight: ['KeyD', 'ArrowRight'],
+        moveUp: ['KeyW', 'ArrowUp'],
+        moveDown: ['KeyS', 'ArrowDown']
+      },
+      ShooterControllerComponent: {
+        fireRate: 200,
+        bulletSpeed: 500,
+        shootKeys: ['Space'],
+        autoFire: false,
+        shootDirection: { x: 0, y: -1 },
+        bulletOffset: { x: 0, y: -25 }
+      },
+      ColliderComponent: { layer: 'player', mask: ['enemies', 'bullets'] },
+      HealthComponent: { maxHealth: 100, invulnerabilityTime: 1000, onDeath: ['respawn'], respawnDelay: 2000 }
+    }
+  });
+
+  registry.register({
+    name: 'enemy',
+    description: 'Space Invaders enemy (yellow, dies in one hit; see enemy-red and enemy-orange)',
+    tags: ['enemy'],
+    components: {
+      TransformComponent: {},
+      RenderComponent: { color: '#FFFF00', width: 30, height: 20, shape: 'rectangle' },
+      MovementComponent: { maxSpeed: 100 },
+      ColliderComponent: { layer: 'enemies', mask: ['bullets', 'player'], isTrigger: true },
+      HealthComponent: { maxHealth: 10 },
+      DamageComponent: { amount: 20, targetTags: ['player'] }
+    }
+  });
+
+  registry.register({
+    name: 'enemy-orange',
+    extends: 'enemy',
+    description: 'Middle row enemy (two hits)',
+    components: { RenderComponent: { color: '#FFA500' }, HealthComponent: { maxHealth: 20 } }
+  });
+
+  registry.register({
+    name: 'enemy-red',
+    extends: 'enemy',
+    description: 'Top row enemy (hardest, three hits)',
+    components: { RenderComponent: { color: '#FF0040' }, HealthComponent: { maxHealth: 30 } }
+  });
+
+  registry.register({
+    name: 'formation',
+    description: 'Invisible parent that marches its child entities as a unit, stepping down at the edges',
+    tags: ['formation'],
+    components: {
+      TransformComponent: {},
+      // The AISystem sets the velocity every frame, so friction and drag stay off
+      MovementComponent: { maxSpeed: 100, affectedByFriction: false, affectedByDrag: false },
+      AIComponent: { behavior: 'formation', options: { speed: 50, stepDown: 20, speedIncrease: 5 } }
+    }
+  });
+
+  registry.register({
+    name: 'barrier',
+    description: 'Green shield block',
+    tags: ['barrier'],
+    components: {
+      TransformComponent: {},
+      RenderComponent: { color: '#00FF00', width: 60, height: 40, shape: 'rectangle' },
+      ColliderComponent: { layer: 'barriers', mask: ['bullets', 'player'], isStatic: true }
+    }
+  });
+}
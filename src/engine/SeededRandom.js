@@ -0,0 +1,185 @@
+/**
+ * Hash a seed and stream name into a 32-bit stream state (FNV-1a)
+ * @param {string} text - Text to hash
+ * @returns {number} - 32-bit hash
+ */
+function hashString(text) {
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * RandomStream - One independent sequence of pseudo-random numbers (mulberry32)
+ * Its whole state is a single 32-bit integer, so it can be saved and restored.
+ */
+export class RandomStream {
+  constructor(name, state) {
+    this.name = name;
+    this.state = state >>> 0;
+  }
+
+  /**
+   * Get the next number
+   * @returns {number} - Float in [0, 1)
+   */
+  next() {
+    return this.uint32() / 4294967296;
+  }
+
+  /**
+   * Get the next 32-bit unsigned integer
+   * @returns {number} - Integer in [0, 2^32)
+   */
+  uint32() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return (t ^ (t >>> 14)) >>> 0;
+  }
+
+  /**
+   * Get a float in a range
+   * @param {number} min - Minimum (inclusive)
+   * @param {number} max - Maximum (exclusive)
+   * @returns {number} - Float in [min, max)
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Get an integer in a range
+   * @param {number} min - Minimum (inclusive)
+   * @param {number} max - Maximum (inclusive)
+   * @returns {number} - Integer in [min, max]
+   */
+  int(min, max) {
+    return Math.floor(this.next() * (max - min + 1)) + min;
+  }
+
+  /**
+   * Return true with a given probability
+   * @param {number} probability - Chance between 0 and 1
+   * @returns {boolean} - Result
+   */
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  /**
+   * Pick a random array element
+   * @param {Array} items - Items to pick from
+   * @returns {any} - An element, or undefined for an empty array
+   */
+  pick(items) {
+    return items.length > 0 ? items[Math.floor(this.next() * items.length)] : undefined;
+  }
+
+  /**
+   * Get a random saturated color
+   * @returns {string} - CSS hsl() color
+   */
+  color() {
+    return `hsl(${Math.floor(this.next() * 360)}, 70%, 50%)`;
+  }
+}
+
+/**
+ * SeededRandom - Seedable random number service owned by the GameEngine
+ * Each named stream ("sandbox", "entities", a system name...) has its own
+ * sequence derived from the seed, so drawing from one stream never shifts
+ * another. The same seed and the same inputs always give the same numbers.
+ */
+export class SeededRandom {
+  constructor(seed = null) {
+    this.streams = new Map(); // name -> RandomStream
+    this.setSeed(seed);
+  }
+
+  /**
+   * Reseed every stream
+   * @param {number|string|null} seed - Seed, or null for a random one (kept in this.seed so the session can be replayed)
+   */
+  setSeed(seed = null) {
+    if (seed === null || seed === undefined) {
+      seed = Math.floor(Math.random() * 4294967296);
+    }
+    if (typeof seed !== 'number' && typeof seed !== 'string') {
+      throw new Error('Random seed must be a number or string');
+    }
+
+    this.seed = seed;
+    for (const stream of this.streams.values()) {
+      stream.state = this.getInitialState(stream.name);
+    }
+  }
+
+  /**
+   * Get a named stream, creating it on first use
+   * @param {string} name - Stream name
+   * @returns {RandomStream} - The stream
+   */
+  stream(name = 'default') {
+    if (typeof name !== 'string' || name.length === 0) {
+      throw new Error('Random stream name must be a non-empty string');
+    }
+
+    let stream = this.streams.get(name);
+    if (!stream) {
+      stream = new RandomStream(name, this.getInitialState(name));
+      this.streams.set(name, stream);
+    }
+    return stream;
+  }
+
+  /**
+   * Get the next number from the default stream
+   * @returns {number} - Float in [0, 1)
+   */
+  next() {
+    return this.stream().next();
+  }
+
+  /**
+   * Get the state a stream starts in for the current seed
+   * @param {string} name - Stream name
+   * @returns {number} - 32-bit state
+   */
+  getInitialState(name) {
+    return hashString(`${this.seed}:${name}`);
+  }
+
+  /**
+   * Capture the seed and every stream's position
+   * @returns {Object} - { seed, streams: { name: state } }
+   */
+  getState() {
+    const streams = {};
+    for (const [name, stream] of this.streams) {
+      streams[name] = stream.state;
+    }
+    return { seed: this.seed, streams };
+  }
+
+  /**
+   * Restore a state from getState (streams it doesn't list start over from the seed)
+   * @param {Object} state - { seed, streams }
+   */
+  setState(state) {
+    if (!state || typeof state !== 'object') {
+      throw new Error('Random state must be an object');
+    }
+
+    this.setSeed(state.seed);
+    for (const [name, value] of Object.entries(state.streams || {})) {
+      if (Number.isInteger(value)) {
+        this.stream(name).state = value >>> 0;
+      }
+    }
+  }
+}
@@ -0,0 +1,400 @@
+/**
+ * Distance from a point to an axis-aligned rectangle (0 inside it)
+ * @param {number} x - Point X
+ * @param {number} y - Point Y
+ * @param {Object} bounds - { x, y, width, height }
+ * @returns {number} - Distance
+ */
+function distanceToBounds(x, y, bounds) {
+  const dx = Math.max(bounds.x - x, 0, x - (bounds.x + bounds.width));
+  const dy = Math.max(bounds.y - y, 0, y - (bounds.y + bounds.height));
+  return Math.sqrt(dx * dx + dy * dy);
+}
+
+/**
+ * Distance along a ray to where it enters a rectangle (slab test)
+ * @param {Object} origin - { x, y }
+ * @param {Object} direction - Normalized { x, y }
+ * @param {Object} bounds - { x, y, width, height }
+ * @returns {number|null} - Distance (0 if the origin is inside) or null if missed
+ */
+function rayToBounds(origin, direction, bounds) {
+  let near = 0;
+  let far = Infinity;
+
+  for (const [o, d, min, size] of [
+    [origin.x, direction.x, bounds.x, bounds.width],
+    [origin.y, direction.y, bounds.y, bounds.height]
+  ]) {
+    if (d === 0) {
+      if (o < min || o > min + size) return null;
+      continue;
+    }
+    let t1 = (min - o) / d;
+    let t2 = (min + size - o) / d;
+    if (t1 > t2) [t1, t2] = [t2, t1];
+    near = Math.max(near, t1);
+    far = Math.min(far, t2);
+    if (near > far) return null;
+  }
+
+  return near;
+}
+
+/**
+ * SpatialHash - Uniform grid of square cells for broad-phase spatial queries
+ * Items are axis-aligned bounds ({ x, y, width, height }) stored under a key;
+ * an item is listed in every cell it overlaps. The grid is unbounded (cells
+ * live in a Map), so it works for any world size. Queries take an optional
+ * filter(key) and check the real bounds, not just the cells.
+ */
+export class SpatialHash {
+  constructor(options = {}) {
+    this.cellSize = options.cellSize || 64;
+    this.cells = new Map(); // "cx,cy" -> Set<key>
+    this.items = new Map(); // key -> { bounds, range }
+
+    // Cell range that has ever held items (bounds the nearest() search)
+    this.extent = null;
+  }
+
+  /**
+   * Number of stored items
+   * @returns {number} - Item count
+   */
+  get size() {
+    return this.items.size;
+  }
+
+  /**
+   * Insert an item or move it to new bounds
+   * @param {*} key - Item key (e.g. an entity ID)
+   * @param {Object} bounds - { x, y, width, height }
+   */
+  update(key, bounds) {
+    const range = this.getCellRange(bounds);
+    const item = this.items.get(key);
+
+    if (item) {
+      item.bounds = { ...bounds };
+      if (SpatialHash.sameRange(item.range, range)) return;
+
+      this.forEachCell(item.range, cellKey => this.removeFromCell(cellKey, key));
+      item.range = range;
+    } else {
+      this.items.set(key, { bounds: { ...bounds }, range });
+    }
+
+    this.forEachCell(range, cellKey => {
+      if (!this.cells.has(cellKey)) {
+        this.cells.set(cellKey, new Set());
+      }
+      this.cells.get(cellKey).add(key);
+    });
+    this.growExtent(range);
+  }
+
+  /**
+   * Remove an item
+   * @param {*} key - Item key
+   * @returns {boolean} - True if it was stored
+   */
+  remove(key) {
+    const item = this.items.get(key);
+    if (!item) return false;
+
+    this.forEachCell(item.range, cellKey => this.removeFromCell(cellKey, key));
+    this.items.delete(key);
+    return true;
+  }
+
+  /**
+   * Check if an item is stored
+   * @param {*} key - Item key
+   * @returns {boolean} - True if stored
+   */
+  has(key) {
+    return this.items.has(key);
+  }
+
+  /**
+   * Get an item's stored bounds
+   * @param {*} key - Item key
+   * @returns {Object|null} - { x, y, width, height } or null
+   */
+  getBounds(key) {
+    return this.items.get(key)?.bounds || null;
+  }
+
+  /**
+   * Remove every item
+   */
+  clear() {
+    this.cells.clear();
+    this.items.clear();
+    this.extent = null;
+  }
+
+  /**
+   * Find items whose bounds overlap a rectangle
+   * @param {Object} rect - { x, y, width, height }
+   * @param {Function} filter - Optional (key) => boolean
+   * @returns {Array} - Keys
+   */
+  queryRect(rect, filter = null) {
+    const found = [];
+    const seen = new Set();
+
+    this.forEachCell(this.getCellRange(rect), cellKey => {
+      for (const key of this.cells.get(cellKey) || []) {
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        const bounds = this.items.get(key).bounds;
+        if (SpatialHash.overlaps(bounds, rect) && (!filter || filter(key))) {
+          found.push(key);
+        }
+      }
+    });
+
+    return found;
+  }
+
+  /**
+   * Find items whose bounds come within a radius of a point
+   * @param {number} x - Center X
+   * @param {number} y - Center Y
+   * @param {number} radius - Search radius
+   * @param {Function} filter - Optional (key) => boolean
+   * @returns {Array} - Keys
+   */
+  queryRadius(x, y, radius, filter = null) {
+    const square = { x: x - radius, y: y - radius, width: radius * 2, height: radius * 2 };
+    return this.queryRect(square, key =>
+      distanceToBounds(x, y, this.items.get(key).bounds) <= radius && (!filter || filter(key))
+    );
+  }
+
+  /**
+   * Find the closest items to a point, nearest first
+   * Searches rings of cells outwards and stops once no unvisited cell can be closer.
+   * @param {number} x - Point X
+   * @param {number} y - Point Y
+   * @param {number} count - Maximum number of items
+   * @param {Function} filter - Optional (key) => boolean
+   * @returns {Array} - [{ key, distance }]
+   */
+  nearest(x, y, count = 1, filter = null) {
+    if (count <= 0 || !this.extent) return [];
+
+    const cx = Math.floor(x / this.cellSize);
+    const cy = Math.floor(y / this.cellSize);
+    const maxRing = Math.max(
+      cx - this.extent.minX, this.extent.maxX - cx,
+      cy - this.extent.minY, this.extent.maxY - cy,
+      0
+    );
+
+    const found = [];
+    const seen = new Set();
+    for (let ring = 0; ring <= maxRing; ring++) {
+      this.forEachRingCell(cx, cy, ring, cellKey => {
+        for (const key of this.cells.get(cellKey) || []) {
+          if (seen.has(key)) continue;
+          seen.add(key);
+
+          if (!filter || filter(key)) {
+            found.push({ key, distance: distanceToBounds(x, y, this.items.get(key).bounds) });
+          }
+        }
+      });
+
+      // Items in later rings are at least `ring` whole cells away
+      if (found.length >= count) {
+        found.sort((a, b) => a.distance - b.distance);
+        if (found[count - 1].distance <= ring * this.cellSize) break;
+      }
+    }
+
+    return found.sort((a, b) => a.distance - b.distance).slice(0, count);
+  }
+
+  /**
+   * Cast a ray and find the first item it hits
+   * Walks the cells along the ray (DDA) and stops at the first cell that
+   * starts beyond the closest hit.
+   * @param {Object} origin - { x, y }
+   * @param {Object} direction - { x, y } (normalized here)
+   * @param {number} maxDistance - Ray length
+   * @param {Function} filter - Optional (key) => boolean
+   * @returns {Object|null} - { key, distance, point } or null
+   */
+  raycast(origin, direction, maxDistance = Infinity, filter = null) {
+    const length = Math.sqrt(direction.x * direction.x + direction.y * direction.y);
+    if (length === 0 || !this.extent) return null;
+
+    const dir = { x: direction.x / length, y: direction.y / length };
+    const size = this.cellSize;
+    let cx = Math.floor(origin.x / size);
+    let cy = Math.floor(origin.y / size);
+    const stepX = Math.sign(dir.x);
+    const stepY = Math.sign(dir.y);
+
+    // Distance along the ray to the next vertical / horizontal cell border
+    const boundary = (cell, step, o, d) => (step > 0 ? ((cell + 1) * size - o) / d : (cell * size - o) / d);
+    let nextX = stepX === 0 ? Infinity : boundary(cx, stepX, origin.x, dir.x);
+    let nextY = stepY === 0 ? Infinity : boundary(cy, stepY, origin.y, dir.y);
+    const deltaX = stepX === 0 ? Infinity : size / Math.abs(dir.x);
+    const deltaY = stepY === 0 ? Infinity : size / Math.abs(dir.y);
+
+    let best = null;
+    let cellStart = 0;
+    const tested = new Set();
+
+    while (cellStart <= maxDistance && (!best || cellStart <= best.distance)) {
+      for (const key of this.cells.get(`${cx},${cy}`) || []) {
+        if (tested.has(key)) continue;
+        tested.add(key);
+
+        const distance = rayToBounds(origin, dir, this.items.get(key).bounds);
+        if (distance !== null && distance <= maxDistance &&
+            (!best || distance < best.distance) && (!filter || filter(key))) {
+          best = { key, distance };
+        }
+      }
+
+      // Stop once the ray has left every cell that ever held items
+      if (this.isPastExtent(cx, cy, stepX, stepY)) break;
+
+      if (nextX < nextY) {
+        cellStart = nextX;
+        nextX += deltaX;
+        cx += stepX;
+      } else {
+        cellStart = nextY;
+        nextY += deltaY;
+        cy += stepY;
+      }
+    }
+
+    if (!best) return null;
+    return {
+      ...best,
+      point: { x: origin.x + dir.x * best.distance, y: origin.y + dir.y * best.distance }
+    };
+  }
+
+  /**
+   * Get the cells a rectangle overlaps
+   * @param {Object} rect - { x, y, width, height }
+   * @returns {Object} - { minX, minY, maxX, maxY } in cell coordinates
+   */
+  getCellRange(rect) {
+    return {
+      minX: Math.floor(rect.x / this.cellSize),
+      minY: Math.floor(rect.y / this.cellSize),
+      maxX: Math.floor((rect.x + Math.max(rect.width, 0)) / this.cellSize),
+      maxY: Math.floor((rect.y + Math.max(rect.height, 0)) / this.cellSize)
+    };
+  }
+
+  /**
+   * Call a function for every cell key in a range
+   * @param {Object} range - { minX, minY, maxX, maxY }
+   * @param {Function} callback - (cellKey) => void
+   */
+  forEachCell(range, callback) {
+    for (let cx = range.minX; cx <= range.maxX; cx++) {
+      for (let cy = range.minY; cy <= range.maxY; cy++) {
+        callback(`${cx},${cy}`);
+      }
+    }
+  }
+
+  /**
+   * Call a function for every cell on the square ring around a cell
+   * @param {number} cx - Center cell X
+   * @param {number} cy - Center cell Y
+   * @param {number} ring - Ring index (0 is the center cell)
+   * @param {Function} callback - (cellKey) => void
+   */
+  forEachRingCell(cx, cy, ring, callback) {
+    if (ring === 0) {
+      callback(`${cx},${cy}`);
+      return;
+    }
+    for (let x = cx - ring; x <= cx + ring; x++) {
+      callback(`${x},${cy - ring}`);
+      callback(`${x},${cy + ring}`);
+    }
+    for (let y = cy - ring + 1; y <= cy + ring - 1; y++) {
+      callback(`${cx - ring},${y}`);
+      callback(`${cx + ring},${y}`);
+    }
+  }
+
+  /**
+   * Remove a key from a cell, dropping the cell when it empties
+   * @param {string} cellKey - Cell key
+   * @param {*} key - Item key
+   */
+  removeFromCell(cellKey, key) {
+    const cell = this.cells.get(cellKey);
+    if (!cell) return;
+
+    cell.delete(key);
+    if (cell.size === 0) {
+      this.cells.delete(cellKey);
+    }
+  }
+
+  /**
+   * Grow the occupied cell range to include a range
+   * @param {Object} range - { minX, minY, maxX, maxY }
+   */
+  growExtent(range) {
+    if (!this.extent) {
+      this.extent = { ...range };
+      return;
+    }
+    this.extent.minX = Math.min(this.extent.minX, range.minX);
+    this.extent.minY = Math.min(this.extent.minY, range.minY);
+    this.extent.maxX = Math.max(this.extent.maxX, range.maxX);
+    this.extent.maxY = Math.max(this.extent.maxY, range.maxY);
+  }
+
+  /**
+   * Check if a ray walking in a direction can't reach occupied cells any more
+   * @param {number} cx - Current cell X
+   * @param {number} cy - Current cell Y
+   * @param {number} stepX - X step direction
+   * @param {number} stepY - Y step direction
+   * @returns {boolean} - True if the walk can stop
+   */
+  isPastExtent(cx, cy, stepX, stepY) {
+    const extent = this.extent;
+    return (stepX >= 0 && cx > extent.maxX) || (stepX <= 0 && cx < extent.minX) ||
+      (stepY >= 0 && cy > extent.maxY) || (stepY <= 0 && cy < extent.minY);
+  }
+
+  /**
+   * Check if two cell ranges are equal
+   * @param {Object} a - First range
+   * @param {Object} b - Second range
+   * @returns {boolean} - True if equal
+   */
+  static sameRange(a, b) {
+    return a.minX === b.minX && a.minY === b.minY && a.maxX === b.maxX && a.maxY === b.maxY;
+  }
+
+  /**
+   * Check if two rectangles overlap (touching edges count)
+   * @param {Object} a - { x, y, width, height }
+   * @param {Object} b - { x, y, width, height }
+   * @returns {boolean} - True if they overlap
+   */
+  static overlaps(a, b) {
+    return a.x <= b.x + b.width && b.x <= a.x + a.width &&
+      a.y <= b.y + b.height && b.y <= a.y + a.height;
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * StateMachine - Small finite state machine for switching behaviors
+ * States are plain data so they can come from JSON:
+ *
+ *   new StateMachine({
+ *     patrol: { transitions: [{ to: 'chase', when: 'targetWithin', tag: 'player', distance: 200 }] },
+ *     chase: { transitions: [{ to: 'patrol', after: 3000 }] }
+ *   }, { initial: 'patrol', conditions: { targetWithin: (transition, context) => ... } })
+ *
+ * A transition fires when its `after` time (ms in the current state) has
+ * passed and its `when` condition holds; `when` is a function or the name of
+ * a condition. The first transition that fires wins.
+ */
+export class StateMachine {
+  constructor(states = {}, options = {}) {
+    this.states = states; // name -> { transitions: [{ to, when, after, ...params }], ...data }
+    this.conditions = options.conditions || {}; // name -> condition(transition, context, machine)
+    this.onChange = options.onChange || null; // onChange(state, previous, context)
+
+    const initial = options.initial || Object.keys(states)[0] || null;
+    if (initial !== null && !this.states[initial]) {
+      throw new Error(`Unknown state: ${initial}`);
+    }
+    this.state = initial;
+    this.time = 0; // ms in the current state
+  }
+
+  /**
+   * Get the current state's definition
+   * @returns {Object|null} - State definition or null
+   */
+  getDefinition() {
+    return this.state !== null ? this.states[this.state] : null;
+  }
+
+  /**
+   * Switch to a state
+   * @param {string} name - State name
+   * @param {Object} context - Passed to onChange
+   * @returns {boolean} - True if the state changed
+   */
+  setState(name, context = null) {
+    if (!this.states[name]) {
+      throw new Error(`Unknown state: ${name}`);
+    }
+    if (name === this.state) return false;
+
+    const previous = this.state;
+    this.state = name;
+    this.time = 0;
+    if (this.onChange) {
+      this.onChange(name, previous, context);
+    }
+    return true;
+  }
+
+  /**
+   * Advance time in the current state and take the first transition that fires
+   * @param {number} deltaTime - Time elapsed since last frame in milliseconds
+   * @param {Object} context - Passed to conditions
+   * @returns {string|null} - Current state after the update
+   */
+  update(deltaTime, context = null) {
+    const definition = this.getDefinition();
+    if (!definition) return this.state;
+
+    this.time += deltaTime;
+    for (const transition of definition.transitions || []) {
+      if (this.shouldTransition(transition, context)) {
+        this.setState(transition.to, context);
+        break;
+      }
+    }
+    return this.state;
+  }
+
+  /**
+   * Check if a transition fires
+   * @param {Object} transition - { to, when, after }
+   * @param {Object} context - Passed to the condition
+   * @returns {boolean} - True if it fires
+   */
+  shouldTransition(transition, context) {
+    if (transition.after !== undefined && this.time < transition.after) return false;
+    if (transition.when === undefined) return transition.after !== undefined;
+
+    const condition = typeof transition.when === 'function' ? transition.when : this.conditions[transition.when];
+    if (!condition) {
+      throw new Error(`Unknown condition: ${transition.when}`);
+    }
+    return Boolean(condition(transition, context, this));
+  }
+
+  /**
+   * Check state definitions: every transition needs a known target
+   * @param {Object} states - name -> state definition
+   * @param {string[]} conditionNames - Known condition names (null skips the check)
+   */
+  static validate(states, conditionNames = null) {
+    if (!states || typeof states !== 'object' || Array.isArray(states)) {
+      throw new Error('States must be an object of name -> state');
+    }
+
+    for (const [name, state] of Object.entries(states)) {
+      const transitions = state?.transitions || [];
+      if (!Array.isArray(transitions)) {
+        throw new Error(`State ${name}: transitions must be an array`);
+      }
+      for (const transition of transitions) {
+        if (!states[transition?.to]) {
+          throw new Error(`State ${name}: transition to unknown state ${transition?.to}`);
+        }
+        if (typeof transition.when === 'string' && conditionNames && !conditionNames.includes(transition.when)) {
+          throw new Error(`State ${name}: unknown condition ${transition.when} (use ${conditionNames.join(', ')})`);
+        }
+      }
+    }
+  }
+}
@@ -9,6 +9,8 @@ export class System {
     this.priority = 0; // Lower numbers execute first
     this.requiredComponents = []; // Component types this system needs
     this.entityManager = null; // Set by engine when system is added
+    this.gameEngine = null; // Owning GameEngine, set by GameEngine.addSystem
+    this.updatesComponents = []; // Component types whose per-frame update this system performs
     
     // Performance tracking
     this.lastUpdateTime = 0;
@@ -25,6 +27,33 @@ export class System {
     this.onInitialize();
   }
 
+  /**
+   * Get the engine's event bus
+   * @returns {EventBus|null} - The event bus or null before initialization
+   */
+  getEventBus() {
+    return this.entityManager?.eventBus || null;
+  }
+
+  /**
+   * Get a stream from the engine's seeded random number generator
+   * Use this instead of Math.random so sessions can be reproduced.
+   * @param {string} stream - Stream name (defaults to the system name)
+   * @returns {RandomStream|null} - The stream or null before initialization
+   */
+  getRandom(stream = this.name) {
+    return this.entityManager?.random?.stream(stream) || null;
+  }
+
+  /**
+   * Get the simulation time (advances only when the engine steps, so replays match)
+   * @returns {number} - Time in milliseconds (wall-clock time before initialization)
+   */
+  getTime() {
+    const clock = this.entityManager?.clock;
+    return clock ? clock() : Date.now();
+  }
+
   /**
    * Override in subclasses for custom initialization
    */
@@ -67,8 +96,9 @@ export class System {
    */
   getRelevantEntities() {
     if (!this.entityManager) return [];
-    
-    return this.entityManager.getEntitiesWithComponents(this.requiredComponents);
+
+    // Served from the manager's cached live view for these components
+    return this.entityManager.query({ all: this.requiredComponents }).execute();
   }
 
   /**
@@ -0,0 +1,335 @@
+/**
+ * WorldSnapshot - In-memory copy of the game world used for undo/rollback
+ * Entities are captured with Entity.toJSON and rebuilt with Component.fromJSON.
+ * Component classes and callbacks are kept by reference, so components defined
+ * at runtime (e.g. by generated code) can be restored too. The engine's
+ * component registrations are kept as well, so restoring drops definitions made since.
+ */
+export class WorldSnapshot {
+  constructor(entities = [], systems = {}, label = null) {
+    this.entities = entities;
+    this.systems = systems;
+    this.label = label;
+    this.random = null; // SeededRandom state, so replays continue the same random sequences
+    this.componentTypes = null; // Non-built-in component registrations (in-memory snapshots only)
+    this.timestamp = Date.now();
+  }
+
+  /**
+   * Capture the current state of a game engine
+   * @param {GameEngine} gameEngine - Engine to capture
+   * @param {string} label - Optional label (e.g. request ID)
+   * @returns {WorldSnapshot} - The snapshot
+   */
+  static capture(gameEngine, label = null) {
+    const entities = gameEngine.entityManager.getAllEntities().map(entity => {
+      const json = entity.toJSON();
+
+      return {
+        id: json.id,
+        active: json.active,
+        tags: json.tags,
+        parent: json.parent,
+        components: Array.from(entity.components.entries()).map(([type, component]) => ({
+          type,
+          ComponentClass: component.constructor,
+          json: WorldSnapshot.cloneValue(json.components[type]),
+          callbacks: WorldSnapshot.getCallbacks(component)
+        }))
+      };
+    });
+
+    const systems = {};
+    for (const system of gameEngine.systems.values()) {
+      systems[system.name] = {
+        enabled: system.enabled,
+        config: typeof system.getConfiguration === 'function'
+          ? WorldSnapshot.cloneValue(system.getConfiguration())
+          : null
+      };
+    }
+
+    const snapshot = new WorldSnapshot(entities, systems, label);
+    snapshot.random = gameEngine.random ? gameEngine.random.getState() : null;
+    snapshot.componentTypes = gameEngine.componentRegistry ? gameEngine.componentRegistry.saveRegistrations() : null;
+    return snapshot;
+  }
+
+  /**
+   * Replace the engine's world with this snapshot
+   * @param {GameEngine} gameEngine - Engine to restore into
+   */
+  restore(gameEngine) {
+    const entityManager = gameEngine.entityManager;
+
+    // Destroy current entities (components detach and release their resources)
+    for (const entity of entityManager.getAllEntities()) {
+      entityManager.removeEntity(entity.id);
+    }
+
+    for (const entityData of this.entities) {
+      const entity = entityManager.createEntity(entityData.id);
+
+      for (const componentData of entityData.components) {
+        entity.addComponent(this.restoreComponent(componentData));
+      }
+
+      for (const tag of entityData.tags) {
+        entity.addTag(tag);
+      }
+
+      if (!entityData.active) {
+        entity.deactivate();
+      }
+    }
+
+    // Rebuild the hierarchy once every entity exists (local transforms are restored as-is)
+    for (const entityData of this.entities) {
+      const parent = entityData.parent ? entityManager.getEntity(entityData.parent) : null;
+      if (parent) {
+        entityManager.getEntity(entityData.id).setParent(parent);
+      }
+    }
+
+    // Restore system configuration for systems that still exist
+    for (const [name, systemData] of Object.entries(this.systems)) {
+      const system = gameEngine.getSystem(name);
+      if (!system) continue;
+
+      if (systemData.enabled) {
+        system.enable();
+      } else {
+        system.disable();
+      }
+
+      if (systemData.config && typeof system.applyConfiguration === 'function') {
+        system.applyConfiguration(WorldSnapshot.cloneValue(systemData.config));
+      }
+    }
+
+    if (this.random && gameEngine.random) {
+      gameEngine.random.setState(this.random);
+    }
+
+    if (this.componentTypes && gameEngine.componentRegistry) {
+      gameEngine.componentRegistry.restoreRegistrations(this.componentTypes);
+    }
+  }
+
+  /**
+   * Rebuild a component from captured data
+   * @param {Object} componentData - Captured component data
+   * @returns {Component} - New component instance
+   */
+  restoreComponent(componentData) {
+    const component = new componentData.ComponentClass();
+    component.fromJSON(WorldSnapshot.cloneValue(componentData.json));
+    Object.assign(component, componentData.callbacks);
+    return component;
+  }
+
+  /**
+   * Get function-valued properties (callbacks) of a component
+   * @param {Component} component - Component to inspect
+   * @returns {Object} - Map of property name to function
+   */
+  static getCallbacks(component) {
+    const callbacks = {};
+    for (const key of Object.keys(component)) {
+      if (typeof component[key] === 'function') {
+        callbacks[key] = component[key];
+      }
+    }
+    return callbacks;
+  }
+
+  /**
+   * Deep copy plain data (objects, arrays, Sets, Maps). Functions and class
+   * instances are kept by reference.
+   * @param {any} value - Value to copy
+   * @returns {any} - Copied value
+   */
+  static cloneValue(value) {
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => WorldSnapshot.cloneValue(item));
+    }
+
+    if (value instanceof Set) {
+      return new Set(Array.from(value, item => WorldSnapshot.cloneValue(item)));
+    }
+
+    if (value instanceof Map) {
+      return new Map(Array.from(value, ([key, item]) => [key, WorldSnapshot.cloneValue(item)]));
+    }
+
+    const prototype = Object.getPrototypeOf(value);
+    if (prototype !== Object.prototype && prototype !== null) {
+      return value;
+    }
+
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+      copy[key] = WorldSnapshot.cloneValue(item);
+    }
+    return copy;
+  }
+
+  /**
+   * Convert the snapshot to plain JSON data (e.g. for saving to disk)
+   * Component classes and callbacks can't be serialized, so components are
+   * stored by type name and rebuilt from a type -> class lookup on load
+   * @returns {Object} - JSON-safe snapshot data
+   */
+  toJSON() {
+    return {
+      label: this.label,
+      timestamp: this.timestamp,
+      entities: this.entities.map(entityData => ({
+        id: entityData.id,
+        active: entityData.active,
+        tags: [...entityData.tags],
+        parent: entityData.parent || null,
+        components: entityData.components.map(componentData => ({
+          type: componentData.type,
+          json: WorldSnapshot.encodeValue(componentData.json)
+        }))
+      })),
+      systems: WorldSnapshot.encodeValue(this.systems),
+      random: this.random
+    };
+  }
+
+  /**
+   * Rebuild a snapshot from data produced by toJSON
+   * Components whose type can't be resolved are skipped and listed in
+   * snapshot.skippedComponents
+   * @param {Object} data - Snapshot data
+   * @param {Function} resolveComponent - (type) => component class or null
+   * @returns {WorldSnapshot} - The snapshot
+   */
+  static fromJSON(data, resolveComponent) {
+    const skippedComponents = [];
+
+    const entities = (data.entities || []).map(entityData => ({
+      id: entityData.id,
+      active: entityData.active !== false,
+      tags: entityData.tags || [],
+      parent: entityData.parent || null,
+      components: (entityData.components || []).flatMap(componentData => {
+        const ComponentClass = resolveComponent(componentData.type);
+        if (!ComponentClass) {
+          skippedComponents.push({ entityId: entityData.id, type: componentData.type });
+          return [];
+        }
+
+        return [{
+          type: componentData.type,
+          ComponentClass,
+          json: WorldSnapshot.decodeValue(componentData.json),
+          callbacks: {}
+        }];
+      })
+    }));
+
+    const snapshot = new WorldSnapshot(entities, WorldSnapshot.decodeValue(data.systems || {}), data.label || null);
+    snapshot.timestamp = data.timestamp || snapshot.timestamp;
+    snapshot.random = data.random || null;
+    snapshot.skippedComponents = skippedComponents;
+    return snapshot;
+  }
+
+  /**
+   * Encode a value as JSON-safe data. Sets and Maps become tagged objects,
+   * functions and class instances are dropped.
+   * @param {any} value - Value to encode
+   * @returns {any} - Encoded value
+   */
+  static encodeValue(value) {
+    if (typeof value === 'function') {
+      return undefined;
+    }
+
+    if (typeof value === 'number' && !Number.isFinite(value)) {
+      return null;
+    }
+
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => {
+        const encoded = WorldSnapshot.encodeValue(item);
+        return encoded === undefined ? null : encoded;
+      });
+    }
+
+    if (value instanceof Set) {
+      return { $set: WorldSnapshot.encodeValue(Array.from(value)) };
+    }
+
+    if (value instanceof Map) {
+      return { $map: WorldSnapshot.encodeValue(Array.from(value)) };
+    }
+
+    const prototype = Object.getPrototypeOf(value);
+    if (prototype !== Object.prototype && prototype !== null) {
+      return undefined;
+    }
+
+    const encoded = {};
+    for (const [key, item] of Object.entries(value)) {
+      const encodedItem = WorldSnapshot.encodeValue(item);
+      if (encodedItem !== undefined) {
+        encoded[key] = encodedItem;
+      }
+    }
+    return encoded;
+  }
+
+  /**
+   * Decode a value produced by encodeValue
+   * @param {any} value - Encoded value
+   * @returns {any} - Decoded value
+   */
+  static decodeValue(value) {
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => WorldSnapshot.decodeValue(item));
+    }
+
+    if (Array.isArray(value.$set) && Object.keys(value).length === 1) {
+      return new Set(value.$set.map(item => WorldSnapshot.decodeValue(item)));
+    }
+
+    if (Array.isArray(value.$map) && Object.keys(value).length === 1) {
+      return new Map(value.$map.map(([key, item]) => [key, WorldSnapshot.decodeValue(item)]));
+    }
+
+    const decoded = {};
+    for (const [key, item] of Object.entries(value)) {
+      decoded[key] = WorldSnapshot.decodeValue(item);
+    }
+    return decoded;
+  }
+
+  /**
+   * Get a summary of the snapshot
+   * @returns {Object} - Summary
+   */
+  getInfo() {
+    return {
+      label: this.label,
+      timestamp: this.timestamp,
+      entityCount: this.entities.length,
+      systems: Object.keys(this.systems)
+    };
+  }
+}
@@ -0,0 +1,95 @@
+import { Component } from '../Component.js';
+import { GameEvents } from '../EventBus.js';
+
+/**
+ * Copy JSON data so components never share option objects
+ * @param {any} value - Value to copy
+ * @returns {any} - Copy
+ */
+function copyData(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * AIComponent - Steering behavior for the AISystem, optionally switched by a state machine
+ * Plain data, so it can come from prefabs and generated code:
+ *
+ *   { behavior: 'patrol', options: { waypoints: [{ x: 100, y: 100 }, { x: 300, y: 100 }] } }
+ *
+ *   { initialState: 'patrol', states: {
+ *       patrol: { behavior: 'patrol', options: { ... }, transitions: [{ to: 'chase', when: 'targetWithin', tag: 'player', distance: 150 }] },
+ *       chase: { behavior: 'pursue', options: { tag: 'player', speed: 120 }, transitions: [{ to: 'patrol', when: 'targetBeyond', tag: 'player', distance: 300 }] } } }
+ *
+ * Behaviors: idle, formation, patrol, seek, flee, pursue, wander (see AISystem).
+ * `shoot` (on the component or a state) fires the entity's ShooterControllerComponent:
+ *
+ *   { behavior: 'idle', shoot: { tag: 'player', range: 400, rate: 0.5, aim: true } }
+ */
+export class AIComponent extends Component {
+  // The AISystem runs behaviors
+  static get updatePhase() {
+    return null;
+  }
+
+  constructor(options = {}) {
+    super();
+
+    this.behavior = options.behavior || 'idle'; // Used when there are no states
+    this.options = copyData(options.options) || {};
+    this.states = options.states ? copyData(options.states) : null; // name -> { behavior, options, transitions }
+    this.initialState = options.initialState || (this.states ? Object.keys(this.states)[0] : null);
+    this.maxAcceleration = options.maxAcceleration ?? null; // px/s²; null sets the velocity directly
+    this.shoot = copyData(options.shoot) || null; // { tag, targetId, range, rate (shots/s), aim } or null
+
+    // State
+    this.state = this.initialState;
+    this.stateTime = 0; // ms in the current state
+    this.memory = {}; // Behavior scratch data (march direction, waypoint index, wander angle)
+  }
+
+  /**
+   * Get the behavior that runs now
+   * @returns {Object} - { behavior, options, shoot }
+   */
+  getActiveBehavior() {
+    const state = this.states && this.state ? this.states[this.state] : null;
+    if (state) {
+      return { behavior: state.behavior || 'idle', options: state.options || {}, shoot: state.shoot ?? this.shoot };
+    }
+    return { behavior: this.behavior, options: this.options, shoot: this.shoot };
+  }
+
+  /**
+   * Replace the behavior (and drop any states)
+   * @param {string} behavior - Behavior name
+   * @param {Object} options - Behavior options
+   */
+  setBehavior(behavior, options = {}) {
+    this.behavior = behavior;
+    this.options = copyData(options) || {};
+    this.states = null;
+    this.initialState = null;
+    this.state = null;
+    this.stateTime = 0;
+    this.memory = {};
+  }
+
+  /**
+   * Switch state machine state
+   * @param {string} state - State name
+   * @returns {boolean} - True if the state changed
+   */
+  setState(state) {
+    if (!this.states || !this.states[state]) {
+      throw new Error(`Unknown AI state: ${state}`);
+    }
+    if (state === this.state) return false;
+
+    const previous = this.state;
+    this.state = state;
+    this.stateTime = 0;
+    this.memory = {};
+    this.getEventBus()?.emit(GameEvents.AI_STATE_CHANGED, { entityId: this.entity?.id || null, state, previous }, { deferred: true });
+    return true;
+  }
+}
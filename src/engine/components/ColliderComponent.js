@@ -0,0 +1,116 @@
+import { Component } from '../Component.js';
+
+/**
+ * ColliderComponent - Collision shape, layer and mask for the CollisionSystem
+ * Shapes are 'aabb' (axis-aligned box, ignores rotation), 'circle' or
+ * 'polygon' (convex, points relative to the entity). Without an explicit
+ * size the box/circle follows the entity's RenderComponent, so resizing the
+ * sprite resizes the collider. Two colliders interact when each one's mask
+ * contains the other's layer ("*" matches every layer). Trigger colliders
+ * only report overlaps; solid ones are also pushed apart (static ones never move).
+ */
+export class ColliderComponent extends Component {
+  // Data only: the CollisionSystem reads it
+  static get updatePhase() {
+    return null;
+  }
+
+  constructor(options = {}) {
+    super();
+
+    this.shape = options.shape || 'aabb'; // aabb, circle, polygon
+    this.width = options.width ?? null; // null = RenderComponent width
+    this.height = options.height ?? null; // null = RenderComponent height
+    this.radius = options.radius ?? null; // null = half the RenderComponent width
+    this.points = (options.points || []).map(point => ({ x: point.x, y: point.y }));
+    this.offset = { x: options.offset?.x || 0, y: options.offset?.y || 0 };
+
+    this.layer = options.layer || 'default';
+    this.mask = options.mask ? [...options.mask] : ['*']; // Layers this collider interacts with
+    this.isTrigger = options.isTrigger === true;
+    this.isStatic = options.isStatic === true;
+  }
+
+  /**
+   * Check if this collider and another one can interact
+   * @param {ColliderComponent} other - Other collider
+   * @returns {boolean} - True if each mask accepts the other's layer
+   */
+  canCollideWith(other) {
+    return ColliderComponent.maskAccepts(this.mask, other.layer) &&
+      ColliderComponent.maskAccepts(other.mask, this.layer);
+  }
+
+  /**
+   * Set the layer and mask
+   * @param {string} layer - Layer name
+   * @param {string[]} mask - Layers to interact with (defaults to the current mask)
+   */
+  setLayer(layer, mask = this.mask) {
+    this.layer = layer;
+    this.mask = [...mask];
+  }
+
+  /**
+   * Get the box size, falling back to the RenderComponent (or 32x32)
+   * @returns {Object} - { width, height }
+   */
+  getSize() {
+    const render = this.getSiblingComponent('RenderComponent');
+    return {
+      width: this.width ?? render?.width ?? 32,
+      height: this.height ?? render?.height ?? 32
+    };
+  }
+
+  /**
+   * Get the shape in world space
+   * @returns {Object|null} - { type: 'circle', x, y, radius } or { type: 'polygon', points }, null without a transform
+   */
+  getWorldShape() {
+    const transform = this.getSiblingComponent('TransformComponent');
+    if (!transform) return null;
+
+    const scale = transform.getWorldScale();
+
+    switch (this.shape) {
+      case 'circle': {
+        const center = transform.localToWorld(this.offset);
+        const radius = this.radius ?? this.getSize().width / 2;
+        return { type: 'circle', x: center.x, y: center.y, radius: radius * Math.max(Math.abs(scale.x), Math.abs(scale.y)) };
+      }
+
+      case 'polygon':
+        return {
+          type: 'polygon',
+          points: this.points.map(point => transform.localToWorld({ x: point.x + this.offset.x, y: point.y + this.offset.y }))
+        };
+
+      default: { // aabb
+        const center = transform.localToWorld(this.offset);
+        const size = this.getSize();
+        const halfWidth = (size.width * Math.abs(scale.x)) / 2;
+        const halfHeight = (size.height * Math.abs(scale.y)) / 2;
+        return {
+          type: 'polygon',
+          points: [
+            { x: center.x - halfWidth, y: center.y - halfHeight },
+            { x: center.x + halfWidth, y: center.y - halfHeight },
+            { x: center.x + halfWidth, y: center.y + halfHeight },
+            { x: center.x - halfWidth, y: center.y + halfHeight }
+          ]
+        };
+      }
+    }
+  }
+
+  /**
+   * Check if a mask accepts a layer
+   * @param {string[]} mask - Layer names or "*"
+   * @param {string} layer - Layer name
+   * @returns {boolean} - True if accepted
+   */
+  static maskAccepts(mask, layer) {
+    return mask.includes('*') || mask.includes(layer);
+  }
+}
@@ -0,0 +1,33 @@
+import { Component } from '../Component.js';
+
+/**
+ * DamageComponent - Damage dealt to entities with health on contact
+ * Needs a ColliderComponent: the HealthSystem applies the damage when the
+ * CollisionSystem reports a collision:enter (and every `interval` ms while
+ * the contact lasts, if set).
+ */
+export class DamageComponent extends Component {
+  // Data only: the HealthSystem reads it
+  static get updatePhase() {
+    return null;
+  }
+
+  constructor(options = {}) {
+    super();
+
+    this.amount = options.amount ?? 10;
+    this.type = options.type || 'contact'; // Passed along in health:damaged events
+    this.interval = options.interval || 0; // ms between hits while touching (0 = once per contact)
+    this.targetTags = options.targetTags ? [...options.targetTags] : []; // Empty = any entity with health
+    this.destroyOnHit = options.destroyOnHit === true;
+  }
+
+  /**
+   * Check if this component damages an entity
+   * @param {Entity} target - Entity touched
+   * @returns {boolean} - True if the target has one of the target tags (or no tags are set)
+   */
+  canDamage(target) {
+    return this.targetTags.length === 0 || this.targetTags.some(tag => target.hasTag(tag));
+  }
+}
@@ -0,0 +1,124 @@
+import { Component } from '../Component.js';
+
+/**
+ * HealthComponent - Hit points, armor, invulnerability and regeneration
+ * Damage goes through the HealthSystem (bullets, DamageComponent contacts and
+ * game.damage() in generated code), which publishes health:damaged and
+ * health:died events and then runs the onDeath handlers in order:
+ * 'drop' spawns the loot prefabs, 'destroy' removes the entity and 'respawn'
+ * brings it back at its spawn point after respawnDelay.
+ */
+export class HealthComponent extends Component {
+  // Regeneration and respawns are run by the HealthSystem
+  static get updatePhase() {
+    return null;
+  }
+
+  constructor(options = {}) {
+    super();
+
+    this.maxHealth = options.maxHealth ?? options.health ?? 100;
+    this.health = options.health ?? this.maxHealth;
+    this.armor = options.armor || 0; // Flat reduction per hit
+    this.invulnerabilityTime = options.invulnerabilityTime || 0; // ms of immunity after a hit
+    this.regeneration = options.regeneration || 0; // Health per second
+    this.regenerationDelay = options.regenerationDelay || 0; // ms after a hit before regenerating
+
+    this.onDeath = options.onDeath ? [].concat(options.onDeath) : ['drop', 'destroy'];
+    this.loot = (options.loot || []).map(drop => ({ prefab: drop.prefab, chance: drop.chance ?? 1 }));
+    this.respawnDelay = options.respawnDelay || 0; // ms
+    this.respawnPoint = options.respawnPoint ? { x: options.respawnPoint.x, y: options.respawnPoint.y } : null; // World position; null = where it was first seen
+
+    // State
+    this.invulnerableUntil = 0;
+    this.lastDamageTime = null; // Simulation time of the last hit
+    this.diedAt = null; // Simulation time of death (set once the death handlers ran)
+    this.respawnAt = null; // Simulation time of a pending respawn
+  }
+
+  /**
+   * Check if the entity is out of health
+   * @returns {boolean} - True if dead
+   */
+  isDead() {
+    return this.health <= 0;
+  }
+
+  /**
+   * Check if the entity is immune to damage right now
+   * @returns {boolean} - True while invulnerable
+   */
+  isInvulnerable() {
+    return this.getTime() < this.invulnerableUntil;
+  }
+
+  /**
+   * Make the entity immune to damage for a while
+   * @param {number} duration - Duration in milliseconds
+   */
+  setInvulnerable(duration) {
+    this.invulnerableUntil = Math.max(this.invulnerableUntil, this.getTime() + duration);
+  }
+
+  /**
+   * Take damage after armor (use HealthSystem.damage to also publish events and run death handlers)
+   * @param {number} amount - Raw damage
+   * @returns {number} - Health actually lost
+   */
+  takeDamage(amount) {
+    if (this.isDead() || this.isInvulnerable() || !(amount > 0)) return 0;
+
+    const lost = Math.min(this.health, Math.max(0, amount - this.armor));
+    if (lost <= 0) return 0;
+
+    this.health -= lost;
+    this.lastDamageTime = this.getTime();
+    if (this.invulnerabilityTime > 0) {
+      this.setInvulnerable(this.invulnerabilityTime);
+    }
+    return lost;
+  }
+
+  /**
+   * Restore health (dead entities stay dead until they respawn)
+   * @param {number} amount - Health to restore
+   * @returns {number} - Health actually restored
+   */
+  heal(amount) {
+    if (this.isDead() || !(amount > 0)) return 0;
+
+    const restored = Math.min(amount, this.maxHealth - this.health);
+    this.health += restored;
+    return restored;
+  }
+
+  /**
+   * Regenerate health over time
+   * @param {number} deltaTime - Time elapsed since last frame in milliseconds
+   * @returns {number} - Health restored
+   */
+  regenerate(deltaTime) {
+    if (this.regeneration <= 0 || this.health >= this.maxHealth) return 0;
+    if (this.lastDamageTime !== null && this.getTime() - this.lastDamageTime < this.regenerationDelay) return 0;
+
+    return this.heal(this.regeneration * deltaTime / 1000);
+  }
+
+  /**
+   * Bring the entity back to full health
+   */
+  reset() {
+    this.health = this.maxHealth;
+    this.lastDamageTime = null;
+    this.diedAt = null;
+    this.respawnAt = null;
+  }
+
+  /**
+   * Get health as a fraction of max health
+   * @returns {number} - 0 to 1
+   */
+  getFraction() {
+    return this.maxHealth > 0 ? this.health / this.maxHealth : 0;
+  }
+}
@@ -5,6 +5,11 @@ import { Component } from '../Component.js';
  * Works with TransformComponent to provide movement functionality
  */
 export class MovementComponent extends Component {
+  // Only runs without a MovementSystem
+  static get updatePhase() {
+    return 'physics';
+  }
+
   constructor(options = {}) {
     super();
     
@@ -1,3 +1,4 @@
+import Matter from 'matter-js';
 import { Component } from '../Component.js';
 
 /**
@@ -5,6 +6,11 @@ import { Component } from '../Component.js';
  * Provides collision detection, physics simulation, and body management
  */
 export class PhysicsComponent extends Component {
+  // Only runs without a PhysicsSystem
+  static get updatePhase() {
+    return 'physics';
+  }
+
   constructor(options = {}) {
     super();
     
@@ -17,6 +23,8 @@ export class PhysicsComponent extends Component {
     this.width = options.width || 32;
     this.height = options.height || 32;
     this.radius = options.radius || 16;
+    this.sides = options.sides || 6; // Regular polygon sides
+    this.vertices = options.vertices || null; // Custom convex polygon [{ x, y }, ...]
     
     // Physical properties
     this.mass = options.mass || 1;
@@ -71,9 +79,16 @@ export class PhysicsComponent extends Component {
   updateBodyProperties() {
     if (!this.body) return;
 
+    // Update body type (only on change - Matter.js saves the dynamic mass when made static)
+    const shouldBeStatic = this.bodyType === 'static';
+    if (this.body.isStatic !== shouldBeStatic) {
+      Matter.Body.setStatic(this.body, shouldBeStatic);
+    }
+
     // Update physical properties
-    this.body.mass = this.mass;
-    this.body.density = this.density;
+    if (!shouldBeStatic) {
+      Matter.Body.setMass(this.body, this.mass);
+    }
     this.body.friction = this.friction;
     this.body.frictionAir = this.frictionAir;
     this.body.restitution = this.restitution;
@@ -81,13 +96,6 @@ export class PhysicsComponent extends Component {
     // Update collision properties
     this.body.isSensor = this.isSensor;
     this.body.collisionFilter = { ...this.collisionFilter };
-    
-    // Update body type
-    if (this.bodyType === 'static') {
-      Matter.Body.setStatic(this.body, true);
-    } else {
-      Matter.Body.setStatic(this.body, false);
-    }
   }
 
   /**
@@ -255,19 +263,19 @@ export class PhysicsComponent extends Component {
     const transform = this.getSiblingComponent('TransformComponent');
     if (!transform) return;
 
-    // Update transform from physics body
+    // Update transform from physics body (bodies are in world space)
     const pos = this.getPosition();
     const rot = this.getRotation();
     
     // Only update if position/rotation actually changed to avoid feedback loops
     if (Math.abs(pos.x - this.previousPosition.x) > 0.001 ||
         Math.abs(pos.y - this.previousPosition.y) > 0.001) {
-      transform.setPosition(pos.x, pos.y);
+      transform.setWorldPosition(pos.x, pos.y);
       this.previousPosition = { ...pos };
     }
     
     if (Math.abs(rot - this.previousAngle) > 0.001) {
-      transform.setRotation(rot);
+      transform.setWorldTransform({ rotation: rot });
       this.previousAngle = rot;
     }
   }
@@ -308,6 +316,8 @@ export class PhysicsComponent extends Component {
         width: this.width,
         height: this.height,
         radius: this.radius,
+        sides: this.sides,
+        vertices: this.vertices,
         mass: this.mass,
         density: this.density,
         friction: this.friction,
@@ -325,4 +335,15 @@ export class PhysicsComponent extends Component {
       }
     };
   }
+
+  /**
+   * Restore physics settings from JSON data
+   * The body itself is recreated by the physics system
+   * @param {Object} data - JSON data to restore from
+   */
+  fromJSON(data) {
+    const { position, rotation, velocity, angularVelocity, ...settings } = data.data || {};
+
+    super.fromJSON({ ...data, data: settings });
+  }
 } 
\ No newline at end of file
@@ -5,6 +5,11 @@ import { Component } from '../Component.js';
  * Translates keyboard/mouse input into entity actions
  */
 export class PlayerControllerComponent extends Component {
+  // Turns input into movement before movement is integrated
+  static get updatePhase() {
+    return 'input';
+  }
+
   constructor(options = {}) {
     super();
     
@@ -42,6 +47,9 @@ export class PlayerControllerComponent extends Component {
     this.enableMouse = options.enableMouse !== false;
     this.enableGamepad = options.enableGamepad || false;
     
+    // Owning client for server-fed input (null accepts input from any client)
+    this.clientId = options.clientId || null;
+    
     // Movement state
     this.isMoving = false;
     this.isRunning = false;
@@ -138,8 +146,8 @@ export class PlayerControllerComponent extends Component {
     // Add to input buffer
     this.addToInputBuffer('keydown', event.code);
     
-    // Prevent default for game keys
-    if (this.isGameKey(event.code)) {
+    // Prevent default for game keys (server-fed events have no default action)
+    if (this.isGameKey(event.code) && typeof event.preventDefault === 'function') {
       event.preventDefault();
     }
   }
@@ -199,7 +207,7 @@ export class PlayerControllerComponent extends Component {
     this.inputBuffer.push({
       type,
       key,
-      timestamp: Date.now()
+      timestamp: this.getTime()
     });
   }
 
@@ -238,7 +246,7 @@ export class PlayerControllerComponent extends Component {
     const keys = this.keyBindings[action];
     if (!keys) return false;
     
-    const now = Date.now();
+    const now = this.getTime();
     return this.inputBuffer.some(input => 
       input.type === 'keydown' &&
       keys.includes(input.key) &&
@@ -277,7 +285,7 @@ export class PlayerControllerComponent extends Component {
     super.update(deltaTime);
     
     // Clean up old input buffer entries
-    const now = Date.now();
+    const now = this.getTime();
     this.inputBuffer = this.inputBuffer.filter(input => 
       (now - input.timestamp) < this.bufferDuration
     );
@@ -363,6 +371,7 @@ export class PlayerControllerComponent extends Component {
         enableKeyboard: this.enableKeyboard,
         enableMouse: this.enableMouse,
         enableGamepad: this.enableGamepad,
+        clientId: this.clientId,
         isMoving: this.isMoving,
         isRunning: this.isRunning,
         lastMoveDirection: this.lastMoveDirection
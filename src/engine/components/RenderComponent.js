@@ -5,6 +5,11 @@ import { Component } from '../Component.js';
  * Contains information about how an entity should be drawn
  */
 export class RenderComponent extends Component {
+  // Animations and effect expiry, after everything has moved
+  static get updatePhase() {
+    return 'animation';
+  }
+
   constructor(options = {}) {
     super();
     
@@ -146,7 +151,7 @@ export class RenderComponent extends Component {
   addEffect(effect) {
     this.effects.push({
       duration: effect.duration || 1000,
-      startTime: Date.now(),
+      startTime: this.getTime(),
       ...effect
     });
   }
@@ -155,7 +160,7 @@ export class RenderComponent extends Component {
    * Remove expired effects
    */
   updateEffects() {
-    const now = Date.now();
+    const now = this.getTime();
     this.effects = this.effects.filter(effect => {
       const elapsed = now - effect.startTime;
       return elapsed < effect.duration;
@@ -217,8 +222,9 @@ export class RenderComponent extends Component {
    * @returns {Object} - Bounds { x, y, width, height }
    */
   getBounds(transform) {
-    const x = transform.position.x + this.offset.x;
-    const y = transform.position.y + this.offset.y;
+    const position = transform.getWorldPosition();
+    const x = position.x + this.offset.x;
+    const y = position.y + this.offset.y;
     
     switch (this.shape) {
       case 'circle':
@@ -273,4 +279,17 @@ export class RenderComponent extends Component {
       }
     };
   }
+
+  /**
+   * Restore render state from JSON data
+   * @param {Object} data - JSON data to restore from
+   */
+  fromJSON(data) {
+    super.fromJSON(data);
+
+    // Animations are serialized as [name, animation] pairs
+    if (Array.isArray(this.animations)) {
+      this.animations = new Map(this.animations);
+    }
+  }
 } 
\ No newline at end of file
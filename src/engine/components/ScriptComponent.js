@@ -0,0 +1,123 @@
+import { Component } from '../Component.js';
+
+/**
+ * ScriptComponent - Named per-frame scripts attached to a single entity
+ * Scripts are stored as source so they survive snapshots, undo and
+ * serialization; BehaviorSystem compiles and runs them in the sandbox
+ */
+export class ScriptComponent extends Component {
+  constructor(options = {}) {
+    super();
+
+    // Script name -> script record (see ScriptComponent.createScript)
+    this.scripts = new Map();
+
+    for (const [name, source] of Object.entries(options.scripts || {})) {
+      this.addScript(name, source);
+    }
+  }
+
+  /**
+   * Create a script record
+   * @param {string} name - Script name
+   * @param {string} source - Source of an update(entity, dt, game) function
+   * @param {Object} options - { budget } per-frame CPU budget in milliseconds
+   * @returns {Object} - Script record
+   */
+  static createScript(name, source, options = {}) {
+    return {
+      name,
+      source,
+      budget: options.budget || null, // null uses the system default
+      enabled: true,
+      runs: 0,
+      errorCount: 0,
+      consecutiveErrors: 0,
+      consecutiveOverruns: 0,
+      lastError: null,
+      disabledReason: null
+    };
+  }
+
+  /**
+   * Add or replace a script
+   * @param {string} name - Script name
+   * @param {string} source - Source of an update(entity, dt, game) function
+   * @param {Object} options - Script options
+   * @returns {Object} - The script record
+   */
+  addScript(name, source, options = {}) {
+    const script = ScriptComponent.createScript(name, source, options);
+    this.scripts.set(name, script);
+    return script;
+  }
+
+  /**
+   * Remove a script
+   * @param {string} name - Script name
+   * @returns {boolean} - True if the script existed
+   */
+  removeScript(name) {
+    return this.scripts.delete(name);
+  }
+
+  /**
+   * Get a script record
+   * @param {string} name - Script name
+   * @returns {Object|null} - Script record or null
+   */
+  getScript(name) {
+    return this.scripts.get(name) || null;
+  }
+
+  /**
+   * Check if a script is attached
+   * @param {string} name - Script name
+   * @returns {boolean} - True if attached
+   */
+  hasScript(name) {
+    return this.scripts.has(name);
+  }
+
+  /**
+   * Re-enable a script disabled after errors and clear its error streak
+   * @param {string} name - Script name
+   * @returns {boolean} - True if the script exists
+   */
+  enableScript(name) {
+    const script = this.scripts.get(name);
+    if (!script) return false;
+
+    script.enabled = true;
+    script.consecutiveErrors = 0;
+    script.consecutiveOverruns = 0;
+    script.disabledReason = null;
+    return true;
+  }
+
+  /**
+   * Get a JSON representation of this component
+   * @returns {Object} - JSON representation
+   */
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      data: {
+        // Serialized as [name, script] pairs
+        scripts: Array.from(this.scripts, ([name, script]) => [name, { ...script }])
+      }
+    };
+  }
+
+  /**
+   * Restore scripts from JSON data
+   * @param {Object} data - JSON data to restore from
+   */
+  fromJSON(data) {
+    super.fromJSON(data);
+
+    if (Array.isArray(this.scripts)) {
+      this.scripts = new Map(this.scripts.map(([name, script]) => [name, { ...script }]));
+    }
+  }
+}
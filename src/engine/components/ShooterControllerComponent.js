@@ -1,7 +1,12 @@
 import { Component } from '../Component.js';
+import { GameEvents } from '../EventBus.js';
 
 /**
  * ShooterControllerComponent - Handles shooting mechanics and controls
+ * fireMode decides what pulls the trigger: 'keys' (shoot keys), 'auto'
+ * (fires whenever ready, e.g. turrets) or 'manual' (only fire()/fireAt(),
+ * called by the AISystem or generated code). Projectiles carry the team and
+ * the pierce, bounce, lifetime and range settings to the ShooterSystem.
  */
 export class ShooterControllerComponent extends Component {
   constructor(options = {}) {
@@ -10,8 +15,20 @@ export class ShooterControllerComponent extends Component {
     // Shooting configuration
     this.fireRate = options.fireRate || 300; // milliseconds between shots
     this.bulletSpeed = options.bulletSpeed || 400;
+    this.damage = options.damage ?? 10; // Per bullet hit
     this.shootKeys = options.shootKeys || ['Space', 'KeyF'];
     this.autoFire = options.autoFire || false;
+    this.fireMode = options.fireMode || 'keys'; // 'keys', 'auto' or 'manual'
+
+    // Projectile settings
+    this.team = options.team || null; // null uses the owner's tags (see ShooterSystem.getTeam)
+    this.pierce = options.pierce || 0; // Extra targets a bullet passes through
+    this.bounces = options.bounces || 0; // Times a bullet bounces off the arena edges
+    this.lifetime = options.lifetime ?? 5000; // milliseconds
+    this.range = options.range ?? null; // Max travel distance (null for no limit)
+    
+    // Owning client for server-fed input (null accepts input from any client)
+    this.clientId = options.clientId || null;
     
     // Internal state
     this.lastShotTime = 0;
@@ -43,28 +60,42 @@ export class ShooterControllerComponent extends Component {
   }
 
   setupInputListeners() {
-    this.keyDownHandler = (event) => {
-      if (this.shootKeys.includes(event.code)) {
-        this.keyStates.add(event.code);
-        this.isPressingShoot = true;
-        event.preventDefault();
-        
-        // Shoot immediately on keydown
-        this.tryShoot();
-      }
-    };
-    
-    this.keyUpHandler = (event) => {
-      if (this.shootKeys.includes(event.code)) {
-        this.keyStates.delete(event.code);
-        this.isPressingShoot = this.shootKeys.some(key => this.keyStates.has(key));
-      }
-    };
+    this.keyDownHandler = (event) => this.handleKeyDown(event);
+    this.keyUpHandler = (event) => this.handleKeyUp(event);
     
     window.addEventListener('keydown', this.keyDownHandler);
     window.addEventListener('keyup', this.keyUpHandler);
   }
 
+  /**
+   * Handle key down events (from the browser or fed by the server's InputSystem)
+   * @param {Object} event - Keyboard event or { code } object
+   */
+  handleKeyDown(event) {
+    if (this.fireMode !== 'keys' || !this.shootKeys.includes(event.code)) return;
+
+    this.keyStates.add(event.code);
+    this.isPressingShoot = true;
+    
+    if (typeof event.preventDefault === 'function') {
+      event.preventDefault();
+    }
+    
+    // Shoot immediately on keydown
+    this.tryShoot();
+  }
+
+  /**
+   * Handle key up events (from the browser or fed by the server's InputSystem)
+   * @param {Object} event - Keyboard event or { code } object
+   */
+  handleKeyUp(event) {
+    if (!this.shootKeys.includes(event.code)) return;
+
+    this.keyStates.delete(event.code);
+    this.isPressingShoot = this.shootKeys.some(key => this.keyStates.has(key));
+  }
+
   removeInputListeners() {
     if (this.keyDownHandler) {
       window.removeEventListener('keydown', this.keyDownHandler);
@@ -75,64 +106,100 @@ export class ShooterControllerComponent extends Component {
   update(deltaTime) {
     super.update(deltaTime);
     
-    const currentTime = Date.now();
+    const currentTime = this.getTime();
     
     // Check if we can shoot again
     if (currentTime - this.lastShotTime >= this.fireRate) {
       this.canShoot = true;
     }
     
-    // Auto-fire if enabled and key is held
-    if (this.autoFire && this.isPressingShoot && this.canShoot) {
+    // Auto-fire if enabled and key is held, or whenever ready in auto mode
+    const holding = this.fireMode === 'keys' && this.autoFire && this.isPressingShoot;
+    if ((holding || this.fireMode === 'auto') && this.canShoot) {
       this.tryShoot();
     }
   }
 
-  tryShoot() {
+  /**
+   * Fire if the fire rate allows it
+   * @param {Object} direction - Unit direction { x, y } (defaults to shootDirection)
+   * @returns {boolean} - True if a bullet was fired
+   */
+  tryShoot(direction = this.shootDirection) {
     if (!this.canShoot) return false;
     
     const transform = this.getSiblingComponent('TransformComponent');
     if (!transform) return false;
     
-    // Calculate bullet spawn position
-    const spawnX = transform.position.x + this.bulletOffset.x;
-    const spawnY = transform.position.y + this.bulletOffset.y;
+    // Calculate bullet spawn position (bullets are root entities, so use world space)
+    const position = transform.getWorldPosition();
+    const spawnX = position.x + this.bulletOffset.x;
+    const spawnY = position.y + this.bulletOffset.y;
     
     // Calculate bullet velocity
     const velocity = {
-      x: this.shootDirection.x * this.bulletSpeed,
-      y: this.shootDirection.y * this.bulletSpeed
+      x: direction.x * this.bulletSpeed,
+      y: direction.y * this.bulletSpeed
     };
     
     // Fire the bullet
     this.fireBullet(spawnX, spawnY, velocity);
     
     this.canShoot = false;
-    this.lastShotTime = Date.now();
+    this.lastShotTime = this.getTime();
     
     return true;
   }
 
   fireBullet(x, y, velocity) {
-    // Create bullet creation event
     const bulletData = {
       position: { x, y },
       velocity: velocity,
       rotation: Math.atan2(velocity.y, velocity.x),
-      owner: this.entity.id
+      owner: this.entity.id,
+      damage: this.damage,
+      team: this.team,
+      pierce: this.pierce,
+      bounces: this.bounces,
+      lifetime: this.lifetime,
+      range: this.range
     };
     
-    // Dispatch bullet creation event
-    if (typeof window !== 'undefined') {
-      const event = new CustomEvent('shooterCreateBullet', {
-        detail: bulletData
-      });
-      window.dispatchEvent(event);
+    // ShooterSystem creates the bullet entity when the event is delivered at the end of the frame
+    const eventBus = this.getEventBus();
+    if (eventBus) {
+      eventBus.emit(GameEvents.SHOT_FIRED, bulletData, { deferred: true });
     }
     
     console.log(`🔫 ${this.entity.id} fired bullet at (${x.toFixed(1)}, ${y.toFixed(1)})`);
   }
 
+  /**
+   * Fire without a key press (for AI and generated code)
+   * @param {Object} direction - Unit direction { x, y } (defaults to shootDirection)
+   * @returns {boolean} - True if a bullet was fired
+   */
+  fire(direction = this.shootDirection) {
+    return this.tryShoot(direction);
+  }
+
+  /**
+   * Fire toward a world point
+   * @param {number} x - Target X
+   * @param {number} y - Target Y
+   * @returns {boolean} - True if a bullet was fired
+   */
+  fireAt(x, y) {
+    const transform = this.getSiblingComponent('TransformComponent');
+    if (!transform) return false;
+
+    const position = transform.getWorldPosition();
+    const dx = x - (position.x + this.bulletOffset.x);
+    const dy = y - (position.y + this.bulletOffset.y);
+    const length = Math.sqrt(dx * dx + dy * dy);
+    return length > 0 ? this.tryShoot({ x: dx / length, y: dy / length }) : this.tryShoot();
+  }
+
   // Set shooting direction (useful for different shooting patterns)
   setShootDirection(x, y) {
     this.shootDirection = { x, y };
@@ -149,8 +216,16 @@ export class ShooterControllerComponent extends Component {
       data: {
         fireRate: this.fireRate,
         bulletSpeed: this.bulletSpeed,
+        damage: this.damage,
         shootKeys: this.shootKeys,
         autoFire: this.autoFire,
+        fireMode: this.fireMode,
+        team: this.team,
+        pierce: this.pierce,
+        bounces: this.bounces,
+        lifetime: this.lifetime,
+        range: this.range,
+        clientId: this.clientId,
         shootDirection: this.shootDirection,
         bulletOffset: this.bulletOffset,
         canShoot: this.canShoot
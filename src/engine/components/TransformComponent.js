@@ -2,9 +2,16 @@ import { Component } from '../Component.js';
 
 /**
  * TransformComponent - Handles position, rotation, and scale
- * Essential component for any entity that has a position in the game world
+ * Essential component for any entity that has a position in the game world.
+ * Values are local: relative to the nearest ancestor entity with a transform,
+ * or world space for root entities. Use the getWorld* methods for world space.
  */
 export class TransformComponent extends Component {
+  // First, so previous* values are captured before movement and physics integrate
+  static get updatePhase() {
+    return 'input';
+  }
+
   constructor(x = 0, y = 0, rotation = 0, scaleX = 1, scaleY = 1) {
     super();
     
@@ -97,6 +104,153 @@ export class TransformComponent extends Component {
     return (this.rotation - this.previousRotation) / deltaTime;
   }
 
+  /**
+   * Get the position to render between the previous and current step
+   * @param {number} alpha - Interpolation alpha from GameEngine.getInterpolationAlpha()
+   * @returns {Object} - Interpolated position with x and y
+   */
+  getInterpolatedPosition(alpha) {
+    return {
+      x: this.previousPosition.x + (this.position.x - this.previousPosition.x) * alpha,
+      y: this.previousPosition.y + (this.position.y - this.previousPosition.y) * alpha
+    };
+  }
+
+  /**
+   * Get the rotation to render between the previous and current step
+   * @param {number} alpha - Interpolation alpha from GameEngine.getInterpolationAlpha()
+   * @returns {number} - Interpolated rotation in radians
+   */
+  getInterpolatedRotation(alpha) {
+    return this.previousRotation + (this.rotation - this.previousRotation) * alpha;
+  }
+
+  /**
+   * Get the transform of the nearest ancestor entity that has one
+   * @returns {TransformComponent|null} - Parent transform or null for world space
+   */
+  getParentTransform() {
+    for (let ancestor = this.entity?.parent; ancestor; ancestor = ancestor.parent) {
+      const transform = ancestor.getComponent('TransformComponent');
+      if (transform) return transform;
+    }
+    return null;
+  }
+
+  /**
+   * Get the position in world space
+   * @returns {Object} - World position with x and y
+   */
+  getWorldPosition() {
+    const parent = this.getParentTransform();
+    return parent ? parent.localToWorld(this.position) : { x: this.position.x, y: this.position.y };
+  }
+
+  /**
+   * Get the rotation in world space
+   * @returns {number} - World rotation in radians
+   */
+  getWorldRotation() {
+    const parent = this.getParentTransform();
+    return parent ? parent.getWorldRotation() + this.rotation : this.rotation;
+  }
+
+  /**
+   * Get the scale in world space
+   * @returns {Object} - World scale with x and y
+   */
+  getWorldScale() {
+    const parent = this.getParentTransform();
+    if (!parent) return { x: this.scale.x, y: this.scale.y };
+
+    const parentScale = parent.getWorldScale();
+    return { x: parentScale.x * this.scale.x, y: parentScale.y * this.scale.y };
+  }
+
+  /**
+   * Get position, rotation and scale in world space
+   * @returns {Object} - { position, rotation, scale }
+   */
+  getWorldTransform() {
+    return {
+      position: this.getWorldPosition(),
+      rotation: this.getWorldRotation(),
+      scale: this.getWorldScale()
+    };
+  }
+
+  /**
+   * Set local values so the entity ends up at a world transform
+   * @param {Object} world - { position, rotation, scale } (each optional)
+   */
+  setWorldTransform(world) {
+    const parent = this.getParentTransform();
+
+    if (world.scale) {
+      const parentScale = parent ? parent.getWorldScale() : { x: 1, y: 1 };
+      this.setScale(world.scale.x / (parentScale.x || 1), world.scale.y / (parentScale.y || 1));
+    }
+    if (world.rotation !== undefined) {
+      this.setRotation(parent ? world.rotation - parent.getWorldRotation() : world.rotation);
+    }
+    if (world.position) {
+      this.setWorldPosition(world.position.x, world.position.y);
+    }
+  }
+
+  /**
+   * Move the entity to a world position
+   * @param {number} x - World X coordinate
+   * @param {number} y - World Y coordinate
+   */
+  setWorldPosition(x, y) {
+    const parent = this.getParentTransform();
+    const local = parent ? parent.worldToLocal({ x, y }) : { x, y };
+    this.setPosition(local.x, local.y);
+  }
+
+  /**
+   * Convert a point from this transform's local space (where its children live) to world space
+   * @param {Object} point - Local point with x and y
+   * @returns {Object} - World point with x and y
+   */
+  localToWorld(point) {
+    const position = this.getWorldPosition();
+    const rotation = this.getWorldRotation();
+    const scale = this.getWorldScale();
+
+    const x = point.x * scale.x;
+    const y = point.y * scale.y;
+    const cos = Math.cos(rotation);
+    const sin = Math.sin(rotation);
+
+    return {
+      x: position.x + x * cos - y * sin,
+      y: position.y + x * sin + y * cos
+    };
+  }
+
+  /**
+   * Convert a world point to this transform's local space
+   * @param {Object} point - World point with x and y
+   * @returns {Object} - Local point with x and y
+   */
+  worldToLocal(point) {
+    const position = this.getWorldPosition();
+    const rotation = this.getWorldRotation();
+    const scale = this.getWorldScale();
+
+    const dx = point.x - position.x;
+    const dy = point.y - position.y;
+    const cos = Math.cos(-rotation);
+    const sin = Math.sin(-rotation);
+
+    return {
+      x: (dx * cos - dy * sin) / (scale.x || 1),
+      y: (dx * sin + dy * cos) / (scale.y || 1)
+    };
+  }
+
   /**
    * Get distance to another transform
    * @param {TransformComponent} other - Other transform component
@@ -0,0 +1,462 @@
+import { System } from '../System.js';
+import { StateMachine } from '../StateMachine.js';
+
+/**
+ * Get the length of a vector
+ * @param {Object} vector - { x, y }
+ * @returns {number} - Length
+ */
+function length(vector) {
+  return Math.sqrt(vector.x * vector.x + vector.y * vector.y);
+}
+
+/**
+ * Scale a vector to a length (zero vectors stay zero)
+ * @param {Object} vector - { x, y }
+ * @param {number} size - New length
+ * @returns {Object} - { x, y }
+ */
+function withLength(vector, size) {
+  const current = length(vector);
+  return current > 0 ? { x: vector.x / current * size, y: vector.y / current * size } : { x: 0, y: 0 };
+}
+
+/**
+ * AISystem - Runs AIComponent behaviors and state machines
+ * Each frame it advances an entity's state machine (if it has states), runs
+ * the active behavior and steers the MovementComponent toward the velocity
+ * the behavior wants. A `shoot` setting fires the ShooterControllerComponent. Runs before behavior scripts and movement, so scripts
+ * can still adjust what the AI decided. Add behaviors with registerBehavior
+ * and transition conditions with registerCondition.
+ */
+export class AISystem extends System {
+  constructor() {
+    super('AISystem');
+    this.priority = 4; // After input, before behavior scripts and movement
+    this.requiredComponents = ['AIComponent', 'TransformComponent'];
+
+    // name -> behavior(entity, options, ai, deltaTime) returning a desired velocity, or null to leave it alone
+    this.behaviors = new Map([
+      ['idle', () => ({ x: 0, y: 0 })],
+      ['formation', (entity, options, ai) => this.formation(entity, options, ai)],
+      ['patrol', (entity, options, ai) => this.patrol(entity, options, ai)],
+      ['seek', (entity, options) => this.seek(entity, options)],
+      ['flee', (entity, options) => this.flee(entity, options)],
+      ['pursue', (entity, options) => this.pursue(entity, options)],
+      ['wander', (entity, options, ai, deltaTime) => this.wander(entity, options, ai, deltaTime)]
+    ]);
+
+    // name -> condition(transition, { entity, ai }) for state machine transitions
+    this.conditions = {
+      targetWithin: (transition, context) => this.getTargetDistance(context.entity, transition) <= transition.distance,
+      targetBeyond: (transition, context) => this.getTargetDistance(context.entity, transition) > transition.distance,
+      healthBelow: (transition, context) => {
+        const health = context.entity.getComponent('HealthComponent');
+        return Boolean(health) && health.getFraction() < transition.fraction;
+      }
+    };
+
+    this.warnedBehaviors = new Set(); // Unknown behavior names already reported
+  }
+
+  /**
+   * Run AI for every entity
+   * @param {Entity[]} entities - Entities with AI
+   * @param {number} deltaTime - Time elapsed since last frame in milliseconds
+   */
+  process(entities, deltaTime) {
+    for (const entity of entities) {
+      const ai = entity.getComponent('AIComponent');
+      if (!ai.enabled) continue;
+
+      this.updateState(entity, ai, deltaTime);
+
+      const { behavior: name, options, shoot } = ai.getActiveBehavior();
+      if (shoot) {
+        this.shoot(entity, shoot, deltaTime);
+      }
+
+      const behavior = this.behaviors.get(name);
+      if (!behavior) {
+        if (!this.warnedBehaviors.has(name)) {
+          this.warnedBehaviors.add(name);
+          console.warn(`AISystem: unknown behavior "${name}" on ${entity.id}`);
+        }
+        continue;
+      }
+
+      const desired = behavior(entity, options, ai, deltaTime);
+      const movement = entity.getComponent('MovementComponent');
+      if (desired && movement) {
+        this.steer(movement, desired, ai, deltaTime);
+      }
+    }
+  }
+
+  /**
+   * Advance an entity's state machine
+   * @param {Entity} entity - Entity
+   * @param {AIComponent} ai - Its AI
+   * @param {number} deltaTime - Time elapsed since last frame in milliseconds
+   */
+  updateState(entity, ai, deltaTime) {
+    if (!ai.states || !ai.states[ai.state]) return;
+
+    const machine = new StateMachine(ai.states, { initial: ai.state, conditions: this.conditions });
+    machine.time = ai.stateTime;
+
+    try {
+      machine.update(deltaTime, { entity, ai });
+    } catch (error) {
+      console.warn(`AISystem: state machine of ${entity.id} failed:`, error.message);
+      return;
+    }
+
+    if (machine.state !== ai.state) {
+      ai.setState(machine.state);
+    } else {
+      ai.stateTime = machine.time;
+    }
+  }
+
+  /**
+   * Move a velocity toward the desired one (limited by the AI's maxAcceleration)
+   * @param {MovementComponent} movement - Movement to change
+   * @param {Object} desired - Desired velocity { x, y }
+   * @param {AIComponent} ai - AI settings
+   * @param {number} deltaTime - Time elapsed since last frame in milliseconds
+   */
+  steer(movement, desired, ai, deltaTime) {
+    let change = { x: desired.x - movement.velocity.x, y: desired.y - movement.velocity.y };
+    if (ai.maxAcceleration !== null) {
+      const maxChange = ai.maxAcceleration * deltaTime / 1000;
+      if (length(change) > maxChange) {
+        change = withLength(change, maxChange);
+      }
+    }
+
+    movement.velocity.x += change.x;
+    movement.velocity.y += change.y;
+  }
+
+  /**
+   * Fire the entity's shooter at a target in range
+   * @param {Entity} entity - Entity
+   * @param {Object} config - { tag, targetId, range, rate (average shots per second), aim }
+   * @param {number} deltaTime - Time elapsed since last frame in milliseconds
+   * @returns {boolean} - True if a bullet was fired
+   */
+  shoot(entity, config, deltaTime) {
+    const shooter = entity.getComponent('ShooterControllerComponent');
+    if (!shooter || !shooter.enabled || !shooter.canShoot) return false;
+
+    const target = this.findTarget(entity, config);
+    if (!target) return false;
+
+    const position = entity.getComponent('TransformComponent').getWorldPosition();
+    const targetPosition = target.getComponent('TransformComponent').getWorldPosition();
+    const distance = length({ x: targetPosition.x - position.x, y: targetPosition.y - position.y });
+    if (config.range !== undefined && distance > config.range) return false;
+    if (config.rate !== undefined && !this.getRandom('shoot').chance(config.rate * deltaTime / 1000)) return false;
+
+    return config.aim ? shooter.fireAt(targetPosition.x, targetPosition.y) : shooter.fire();
+  }
+
+  /**
+   * Space Invaders march: move sideways, step down and reverse when the group touches an edge
+   * @param {Entity} entity - Formation entity (its children move with it)
+   * @param {Object} options - { speed, stepDown, speedIncrease, bounds: { minX, maxX } }
+   * @param {AIComponent} ai - AI (memory holds the direction and current speed)
+   * @returns {Object} - Desired velocity
+   */
+  formation(entity, options, ai) {
+    const bounds = { minX: 20, maxX: 780, ...options.bounds };
+    const memory = ai.memory;
+    memory.direction = memory.direction || 1;
+    memory.speed = memory.speed ?? (options.speed ?? 50);
+
+    const extents = this.getGroupExtents(entity);
+    const atEdge = memory.direction > 0 ? extents.maxX >= bounds.maxX : extents.minX <= bounds.minX;
+    if (atEdge) {
+      memory.direction = -memory.direction;
+      memory.speed += options.speedIncrease || 0;
+      const transform = entity.getComponent('TransformComponent');
+      transform.setPosition(transform.position.x, transform.position.y + (options.stepDown ?? 20));
+    }
+
+    return { x: memory.direction * memory.speed, y: 0 };
+  }
+
+  /**
+   * Walk between waypoints (in the entity's parent space), looping or going back and forth
+   * @param {Entity} entity - Entity
+   * @param {Object} options - { waypoints: [{ x, y }], speed, loop, arriveDistance }
+   * @param {AIComponent} ai - AI (memory holds the waypoint index and direction)
+   * @returns {Object|null} - Desired velocity
+   */
+  patrol(entity, options, ai) {
+    const waypoints = options.waypoints || [];
+    if (waypoints.length === 0) return { x: 0, y: 0 };
+
+    const memory = ai.memory;
+    memory.waypoint = memory.waypoint ?? 0;
+    memory.step = memory.step || 1;
+
+    const position = entity.getComponent('TransformComponent').position;
+    let target = waypoints[memory.waypoint % waypoints.length];
+    if (length({ x: target.x - position.x, y: target.y - position.y }) <= (options.arriveDistance ?? 4)) {
+      if (waypoints.length === 1) return { x: 0, y: 0 };
+
+      if (options.loop === false) {
+        // Back and forth
+        if (memory.waypoint + memory.step < 0 || memory.waypoint + memory.step >= waypoints.length) {
+          memory.step = -memory.step;
+        }
+        memory.waypoint += memory.step;
+      } else {
+        memory.waypoint = (memory.waypoint + 1) % waypoints.length;
+      }
+      target = waypoints[memory.waypoint];
+    }
+
+    return withLength({ x: target.x - position.x, y: target.y - position.y }, options.speed ?? 80);
+  }
+
+  /**
+   * Head straight for the target
+   * @param {Entity} entity - Entity
+   * @param {Object} options - { tag, targetId, speed, arriveDistance }
+   * @returns {Object} - Desired velocity
+   */
+  seek(entity, options) {
+    const target = this.findTarget(entity, options);
+    if (!target) return { x: 0, y: 0 };
+
+    return this.seekPoint(entity, target.getComponent('TransformComponent').getWorldPosition(), options);
+  }
+
+  /**
+   * Head for the point where the target will be, from its current velocity
+   * @param {Entity} entity - Entity
+   * @param {Object} options - { tag, targetId, speed, arriveDistance, maxPrediction (seconds) }
+   * @returns {Object} - Desired velocity
+   */
+  pursue(entity, options) {
+    const target = this.findTarget(entity, options);
+    if (!target) return { x: 0, y: 0 };
+
+    const position = entity.getComponent('TransformComponent').getWorldPosition();
+    const targetPosition = target.getComponent('TransformComponent').getWorldPosition();
+    const velocity = target.getComponent('MovementComponent')?.velocity || { x: 0, y: 0 };
+    const distance = length({ x: targetPosition.x - position.x, y: targetPosition.y - position.y });
+    const lookAhead = Math.min(distance / (options.speed ?? 100), options.maxPrediction ?? 1);
+
+    return this.seekPoint(entity, {
+      x: targetPosition.x + velocity.x * lookAhead,
+      y: targetPosition.y + velocity.y * lookAhead
+    }, options);
+  }
+
+  /**
+   * Run from the target while it is within a distance
+   * @param {Entity} entity - Entity
+   * @param {Object} options - { tag, targetId, speed, distance }
+   * @returns {Object} - Desired velocity
+   */
+  flee(entity, options) {
+    const target = this.findTarget(entity, options);
+    if (!target) return { x: 0, y: 0 };
+
+    const position = entity.getComponent('TransformComponent').getWorldPosition();
+    const targetPosition = target.getComponent('TransformComponent').getWorldPosition();
+    const away = { x: position.x - targetPosition.x, y: position.y - targetPosition.y };
+    if (length(away) > (options.distance ?? Infinity)) return { x: 0, y: 0 };
+
+    return withLength(length(away) > 0 ? away : { x: 1, y: 0 }, options.speed ?? 100);
+  }
+
+  /**
+   * Drift in a slowly changing random direction, turning back toward the middle of the bounds
+   * @param {Entity} entity - Entity
+   * @param {Object} options - { speed, turnRate (radians per second), bounds: { minX, maxX, minY, maxY } }
+   * @param {AIComponent} ai - AI (memory holds the heading)
+   * @param {number} deltaTime - Time elapsed since last frame in milliseconds
+   * @returns {Object} - Desired velocity
+   */
+  wander(entity, options, ai, deltaTime) {
+    const random = this.getRandom('wander');
+    const memory = ai.memory;
+    if (memory.angle === undefined) {
+      memory.angle = random.range(0, Math.PI * 2);
+    }
+    memory.angle += random.range(-1, 1) * (options.turnRate ?? 2) * deltaTime / 1000;
+
+    const bounds = options.bounds;
+    if (bounds) {
+      const position = entity.getComponent('TransformComponent').position;
+      const outside = position.x < bounds.minX || position.x > bounds.maxX || position.y < bounds.minY || position.y > bounds.maxY;
+      if (outside) {
+        memory.angle = Math.atan2((bounds.minY + bounds.maxY) / 2 - position.y, (bounds.minX + bounds.maxX) / 2 - position.x);
+      }
+    }
+
+    const speed = options.speed ?? 60;
+    return { x: Math.cos(memory.angle) * speed, y: Math.sin(memory.angle) * speed };
+  }
+
+  /**
+   * Get the velocity toward a point, stopping inside the arrive distance
+   * @param {Entity} entity - Entity
+   * @param {Object} point - World point { x, y }
+   * @param {Object} options - { speed, arriveDistance }
+   * @returns {Object} - Desired velocity
+   */
+  seekPoint(entity, point, options) {
+    const position = entity.getComponent('TransformComponent').getWorldPosition();
+    const toward = { x: point.x - position.x, y: point.y - position.y };
+    if (length(toward) <= (options.arriveDistance ?? 0)) return { x: 0, y: 0 };
+
+    return withLength(toward, options.speed ?? 100);
+  }
+
+  /**
+   * Find a behavior's target: an entity by ID, or the nearest one with a tag (default "player")
+   * @param {Entity} entity - Entity looking for a target
+   * @param {Object} options - { targetId, tag }
+   * @returns {Entity|null} - Target or null
+   */
+  findTarget(entity, options) {
+    if (options.targetId) {
+      const target = this.entityManager.getEntity(options.targetId);
+      return target && target.isActive() && target.hasComponent('TransformComponent') ? target : null;
+    }
+
+    const position = entity.getComponent('TransformComponent').getWorldPosition();
+    let nearest = null;
+    let nearestDistance = Infinity;
+    for (const candidate of this.entityManager.getEntitiesByTag(options.tag || 'player')) {
+      const transform = candidate.getComponent('TransformComponent');
+      if (candidate === entity || !transform) continue;
+
+      const other = transform.getWorldPosition();
+      const distance = length({ x: other.x - position.x, y: other.y - position.y });
+      if (distance < nearestDistance) {
+        nearest = candidate;
+        nearestDistance = distance;
+      }
+    }
+    return nearest;
+  }
+
+  /**
+   * Get the distance to a behavior's target
+   * @param {Entity} entity - Entity
+   * @param {Object} options - { targetId, tag }
+   * @returns {number} - Distance (Infinity without a target)
+   */
+  getTargetDistance(entity, options) {
+    const target = this.findTarget(entity, options);
+    if (!target) return Infinity;
+
+    const position = entity.getComponent('TransformComponent').getWorldPosition();
+    const other = target.getComponent('TransformComponent').getWorldPosition();
+    return length({ x: other.x - position.x, y: other.y - position.y });
+  }
+
+  /**
+   * Get the horizontal extent of an entity and its descendants in world space
+   * @param {Entity} entity - Group root
+   * @returns {Object} - { minX, maxX }
+   */
+  getGroupExtents(entity) {
+    const extents = { minX: Infinity, maxX: -Infinity };
+    const visit = (member) => {
+      const transform = member.getComponent('TransformComponent');
+      const render = member.getComponent('RenderComponent');
+      if (transform && member.isActive()) {
+        const bounds = render ? render.getBounds(transform) : { ...transform.getWorldPosition(), width: 0 };
+        extents.minX = Math.min(extents.minX, bounds.x);
+        extents.maxX = Math.max(extents.maxX, bounds.x + bounds.width);
+      }
+      member.getChildren().forEach(visit);
+    };
+
+    // An invisible group root only counts when it has nothing else to go by
+    entity.getChildren().forEach(visit);
+    if (extents.minX === Infinity) {
+      visit(entity);
+    }
+    return extents;
+  }
+
+  /**
+   * Add or replace a behavior
+   * @param {string} name - Behavior name
+   * @param {Function} behavior - behavior(entity, options, ai, deltaTime) returning { x, y } velocity or null
+   */
+  registerBehavior(name, behavior) {
+    if (typeof name !== 'string' || name.length === 0 || typeof behavior !== 'function') {
+      throw new Error('A behavior needs a name and a function');
+    }
+    this.behaviors.set(name, behavior);
+    this.warnedBehaviors.delete(name);
+  }
+
+  /**
+   * Add or replace a state machine condition
+   * @param {string} name - Condition name
+   * @param {Function} condition - condition(transition, { entity, ai }) returning a boolean
+   */
+  registerCondition(name, condition) {
+    if (typeof name !== 'string' || name.length === 0 || typeof condition !== 'function') {
+      throw new Error('A condition needs a name and a function');
+    }
+    this.conditions[name] = condition;
+  }
+
+  /**
+   * Check AIComponent options against the known behaviors and conditions
+   * @param {Object} config - AIComponent options
+   */
+  validateConfig(config) {
+    if (!config || typeof config !== 'object') {
+      throw new Error('AI config must be an object');
+    }
+
+    const behaviors = config.states
+      ? Object.values(config.states).map(state => state?.behavior || 'idle')
+      : [config.behavior || 'idle'];
+    for (const behavior of behaviors) {
+      if (!this.behaviors.has(behavior)) {
+        throw new Error(`Unknown AI behavior: ${behavior} (use ${this.getBehaviorNames().join(', ')})`);
+      }
+    }
+
+    if (config.states) {
+      StateMachine.validate(config.states, Object.keys(this.conditions));
+      if (config.initialState && !config.states[config.initialState]) {
+        throw new Error(`Unknown initial AI state: ${config.initialState}`);
+      }
+    }
+  }
+
+  /**
+   * Get behavior names
+   * @returns {string[]} - Names
+   */
+  getBehaviorNames() {
+    return Array.from(this.behaviors.keys());
+  }
+
+  /**
+   * Get system information
+   * @returns {Object} - System info
+   */
+  getInfo() {
+    return {
+      ...super.getInfo(),
+      behaviors: this.getBehaviorNames(),
+      conditions: Object.keys(this.conditions)
+    };
+  }
+}
@@ -0,0 +1,621 @@
+import { System } from '../System.js';
+import { ScriptComponent } from '../components/ScriptComponent.js';
+import { CodeExecutor } from '../../execution/CodeExecutor.js';
+import { EventBus } from '../EventBus.js';
+
+// Sandbox globals for scripts compiled before setContext (one shared isolate per executor)
+const NO_CONTEXT = {};
+
+/**
+ * BehaviorSystem - Runs persistent per-frame scripts registered by generated code
+ * A script is an update(entity, dt, game) function attached either to one
+ * entity (through ScriptComponent) or to every entity with a tag. Scripts are
+ * compiled once into a sandbox isolate shared by all scripts and run under a
+ * hard per-call timeout plus soft CPU budgets; scripts that keep failing are disabled.
+ * Event handlers are scripts too: handler(payload, event, game) runs when an
+ * event matching its topic pattern is published on the engine's event bus.
+ */
+export class BehaviorSystem extends System {
+  constructor(options = {}) {
+    super('BehaviorSystem');
+    this.requiredComponents = ['ScriptComponent'];
+    this.priority = 5; // After input, before movement applies velocities
+
+    // CPU limits (milliseconds)
+    this.callTimeout = options.callTimeout || 50; // Hard limit, interrupts runaway scripts
+    this.scriptBudget = options.scriptBudget || 2; // Soft limit per script per frame
+    this.frameBudget = options.frameBudget || 8; // Soft limit for all scripts per frame
+
+    // Disable scripts after this many consecutive failing or over-budget frames
+    this.maxConsecutiveErrors = options.maxConsecutiveErrors || 5;
+    this.maxConsecutiveOverruns = options.maxConsecutiveOverruns || 30;
+
+    // Sandbox globals (game API, console, ...) shared with one-shot generated code
+    this.context = options.context || null;
+    this.executor = new CodeExecutor({ timeout: this.callTimeout });
+    this.runners = new Map(); // source -> compiled batch runner
+
+    // Behaviors attached by tag: name -> script record with a tag
+    this.tagBehaviors = new Map();
+
+    // Event handlers: name -> script record with a topic pattern
+    this.eventHandlers = new Map();
+    this.unsubscribeEvents = null;
+
+    // Rotates which script runs first so a tight frame budget doesn't starve the same ones
+    this.nextRunIndex = 0;
+
+    this.stats = {
+      runs: 0,
+      errors: 0,
+      skippedRuns: 0,
+      disabledScripts: 0
+    };
+  }
+
+  initialize(entityManager) {
+    super.initialize(entityManager);
+
+    // One subscription for all handlers, so snapshots can restore handlers without resubscribing
+    if (this.unsubscribeEvents) {
+      this.unsubscribeEvents();
+    }
+    const eventBus = this.getEventBus();
+    this.unsubscribeEvents = eventBus
+      ? eventBus.on('**', (payload, event) => this.handleEvent(payload, event))
+      : null;
+
+    console.log('🧠 BehaviorSystem initialized');
+  }
+
+  /**
+   * Set the sandbox globals scripts run with
+   * @param {Object} context - Execution context ({ game, console, Math, ... })
+   */
+  setContext(context) {
+    this.executor.releaseContext(this.context || NO_CONTEXT);
+    this.context = context;
+    this.runners.clear(); // Compiled runners captured the old context
+  }
+
+  /**
+   * Attach a behavior to every entity with a tag (current and future)
+   * @param {string} name - Behavior name
+   * @param {string} tag - Entity tag
+   * @param {string|Function} update - update(entity, dt, game) function or its source
+   * @param {Object} options - { budget } per-frame CPU budget in milliseconds
+   * @returns {Object} - Behavior info
+   */
+  addTagBehavior(name, tag, update, options = {}) {
+    this.validateName(name);
+    if (typeof tag !== 'string' || tag.length === 0) {
+      throw new Error('Behavior tag must be a non-empty string');
+    }
+
+    const source = this.compileSource(update);
+    const behavior = { ...ScriptComponent.createScript(name, source, options), tag };
+    this.tagBehaviors.set(name, behavior);
+
+    return this.describeScript(behavior, { tag });
+  }
+
+  /**
+   * Attach a behavior to a single entity (adds a ScriptComponent if needed)
+   * @param {string} name - Behavior name
+   * @param {Entity} entity - Target entity
+   * @param {string|Function} update - update(entity, dt, game) function or its source
+   * @param {Object} options - { budget } per-frame CPU budget in milliseconds
+   * @returns {Object} - Behavior info
+   */
+  addEntityBehavior(name, entity, update, options = {}) {
+    this.validateName(name);
+    if (!entity || typeof entity.getComponent !== 'function') {
+      throw new Error('Behavior target entity not found');
+    }
+
+    const source = this.compileSource(update);
+
+    let scripts = entity.getComponent('ScriptComponent');
+    if (!scripts) {
+      scripts = new ScriptComponent();
+      entity.addComponent(scripts);
+    }
+
+    const script = scripts.addScript(name, source, options);
+    return this.describeScript(script, { entityId: entity.id });
+  }
+
+  /**
+   * Run a handler whenever an event matching a topic pattern is published
+   * @param {string} name - Handler name
+   * @param {string} topic - Topic or wildcard pattern (e.g. "shooter:hit", "custom:*")
+   * @param {string|Function} handler - handler(payload, event, game) function or its source
+   * @param {Object} options - { budget } CPU budget per event in milliseconds
+   * @returns {Object} - Handler info
+   */
+  addEventHandler(name, topic, handler, options = {}) {
+    this.validateName(name);
+    EventBus.validatePattern(topic);
+
+    const source = this.compileSource(handler);
+    const eventHandler = { ...ScriptComponent.createScript(name, source, options), topic };
+    this.eventHandlers.set(name, eventHandler);
+
+    return this.describeScript(eventHandler, { topic });
+  }
+
+  /**
+   * Run a handler when an entity with one tag collides with an entity with another
+   * (needs the CollisionSystem). The handler gets the entities in tag order.
+   * @param {string} name - Handler name
+   * @param {string} tagA - Tag of the first entity
+   * @param {string} tagB - Tag of the other entity
+   * @param {string|Function} handler - handler(entity, other, game) function or its source
+   * @param {Object} options - { phase: 'enter' | 'stay' | 'exit', budget }
+   * @returns {Object} - Handler info
+   */
+  addCollisionHandler(name, tagA, tagB, handler, options = {}) {
+    this.validateName(name);
+    for (const tag of [tagA, tagB]) {
+      if (typeof tag !== 'string' || tag.length === 0) {
+        throw new Error('Collision handler tags must be non-empty strings');
+      }
+    }
+    const phase = options.phase || 'enter';
+    if (!['enter', 'stay', 'exit'].includes(phase)) {
+      throw new Error('Collision phase must be "enter", "stay" or "exit"');
+    }
+
+    const source = this.compileSource(handler);
+    const eventHandler = {
+      ...ScriptComponent.createScript(name, source, options),
+      topic: `collision:${phase}`,
+      tags: [tagA, tagB]
+    };
+    this.eventHandlers.set(name, eventHandler);
+
+    return this.describeScript(eventHandler, { topic: eventHandler.topic, tags: eventHandler.tags });
+  }
+
+  /**
+   * Order a collision's entities to match a handler's tags
+   * @param {string[]} tags - [tagA, tagB]
+   * @param {Object} payload - Collision payload { entityA, entityB }
+   * @returns {Entity[]|null} - [entity with tagA, entity with tagB] or null if they don't match
+   */
+  matchCollision(tags, payload) {
+    const a = this.entityManager?.getEntity(payload?.entityA);
+    const b = this.entityManager?.getEntity(payload?.entityB);
+    if (!a || !b) return null;
+
+    if (a.hasTag(tags[0]) && b.hasTag(tags[1])) return [a, b];
+    if (b.hasTag(tags[0]) && a.hasTag(tags[1])) return [b, a];
+    return null;
+  }
+
+  /**
+   * Remove an event handler
+   * @param {string} name - Handler name
+   * @returns {boolean} - True if the handler existed
+   */
+  removeEventHandler(name) {
+    const removed = this.eventHandlers.delete(name);
+    if (removed) {
+      this.pruneRunners();
+    }
+    return removed;
+  }
+
+  /**
+   * Run event handlers subscribed to an event
+   * @param {Object} payload - Event payload
+   * @param {Object} event - { topic, timestamp, deferred }
+   */
+  handleEvent(payload, event) {
+    for (const handler of this.eventHandlers.values()) {
+      if (!handler.enabled || !EventBus.matches(handler.topic, event.topic)) continue;
+
+      if (handler.tags) {
+        const pair = this.matchCollision(handler.tags, payload);
+        if (pair) {
+          this.runScript(handler, [pair[0]], pair[1]);
+        }
+      } else {
+        this.runScript(handler, [payload], event);
+      }
+    }
+  }
+
+  /**
+   * Remove behaviors (and event handlers) by name
+   * @param {string} name - Behavior name
+   * @param {Object} target - Optional { tag }, { entityId } or { topic } to limit removal
+   * @returns {number} - Number of behaviors removed
+   */
+  removeBehavior(name, target = {}) {
+    let removed = 0;
+    const only = target.tag ? 'tag' : target.entityId ? 'entityId' : target.topic ? 'topic' : null;
+
+    if (!only || only === 'topic') {
+      const handler = this.eventHandlers.get(name);
+      if (handler && (!target.topic || handler.topic === target.topic)) {
+        this.eventHandlers.delete(name);
+        removed++;
+      }
+    }
+
+    if (!only || only === 'tag') {
+      const behavior = this.tagBehaviors.get(name);
+      if (behavior && (!target.tag || behavior.tag === target.tag)) {
+        this.tagBehaviors.delete(name);
+        removed++;
+      }
+    }
+
+    if (!only || only === 'entityId') {
+      for (const entity of this.getScriptedEntities()) {
+        if (target.entityId && entity.id !== target.entityId) continue;
+
+        const scripts = entity.getComponent('ScriptComponent');
+        if (scripts.removeScript(name)) {
+          removed++;
+          if (scripts.scripts.size === 0) {
+            entity.removeComponent('ScriptComponent');
+          }
+        }
+      }
+    }
+
+    if (removed > 0) {
+      this.pruneRunners();
+    }
+    return removed;
+  }
+
+  /**
+   * Remove all tag behaviors and event handlers (entity scripts go away with their entities)
+   */
+  clearBehaviors() {
+    this.tagBehaviors.clear();
+    this.eventHandlers.clear();
+    this.pruneRunners();
+  }
+
+  /**
+   * Re-enable behaviors disabled after errors
+   * @param {string} name - Behavior name
+   * @returns {number} - Number of behaviors re-enabled
+   */
+  enableBehavior(name) {
+    let enabled = 0;
+
+    for (const behavior of [this.tagBehaviors.get(name), this.eventHandlers.get(name)]) {
+      if (behavior) {
+        behavior.enabled = true;
+        behavior.consecutiveErrors = 0;
+        behavior.consecutiveOverruns = 0;
+        behavior.disabledReason = null;
+        enabled++;
+      }
+    }
+
+    for (const entity of this.getScriptedEntities()) {
+      if (entity.getComponent('ScriptComponent').enableScript(name)) {
+        enabled++;
+      }
+    }
+
+    return enabled;
+  }
+
+  /**
+   * List all behaviors with their status
+   * @returns {Object[]} - Behavior info
+   */
+  listBehaviors() {
+    const behaviors = Array.from(this.tagBehaviors.values(), behavior =>
+      this.describeScript(behavior, { tag: behavior.tag })
+    );
+
+    for (const handler of this.eventHandlers.values()) {
+      behaviors.push(this.describeScript(handler, handler.tags ? { topic: handler.topic, tags: handler.tags } : { topic: handler.topic }));
+    }
+
+    for (const entity of this.getScriptedEntities()) {
+      for (const script of entity.getComponent('ScriptComponent').scripts.values()) {
+        behaviors.push(this.describeScript(script, { entityId: entity.id }));
+      }
+    }
+
+    return behaviors;
+  }
+
+  /**
+   * Run all enabled scripts
+   * @param {Entity[]} entities - Entities with a ScriptComponent
+   * @param {number} deltaTime - Time elapsed since last frame in milliseconds
+   */
+  process(entities, deltaTime) {
+    const runs = [];
+
+    for (const behavior of this.tagBehaviors.values()) {
+      if (!behavior.enabled) continue;
+
+      const targets = this.entityManager.getEntitiesByTag(behavior.tag);
+      if (targets.length > 0) {
+        runs.push({ script: behavior, entities: targets });
+      }
+    }
+
+    for (const entity of entities) {
+      const scripts = entity.getComponent('ScriptComponent');
+      if (!scripts.isEnabled()) continue;
+
+      for (const script of scripts.scripts.values()) {
+        if (script.enabled) {
+          runs.push({ script, entities: [entity] });
+        }
+      }
+    }
+
+    if (runs.length === 0) return;
+
+    const frameStart = performance.now();
+    const dt = deltaTime / 1000; // Scripts work in seconds, like MovementSystem
+    const start = this.nextRunIndex % runs.length;
+    this.nextRunIndex = 0;
+
+    for (let i = 0; i < runs.length; i++) {
+      const index = (start + i) % runs.length;
+
+      // Out of frame budget - skip the rest and start with them next frame
+      if (i > 0 && performance.now() - frameStart > this.frameBudget) {
+        this.stats.skippedRuns += runs.length - i;
+        this.nextRunIndex = index;
+        break;
+      }
+
+      this.runScript(runs[index].script, runs[index].entities, dt);
+    }
+  }
+
+  /**
+   * Run one script over its target entities
+   * @param {Object} script - Script record
+   * @param {Entity[]} entities - Target entities (event payloads for event handlers)
+   * @param {number|Object} dt - Time elapsed since last frame in seconds (the event for event handlers, the other entity for collision handlers)
+   */
+  runScript(script, entities, dt) {
+    const startTime = performance.now();
+    this.stats.runs++;
+    script.runs++;
+
+    let errors;
+    try {
+      errors = this.getRunner(script.source)(entities, dt);
+    } catch (error) {
+      // Compile error or hard timeout - the whole run failed
+      errors = [{ message: error.message }];
+    }
+
+    if (errors && errors.length > 0) {
+      this.recordFailure(script, errors[0].message);
+      return;
+    }
+    script.consecutiveErrors = 0;
+
+    // Soft budget: only a sustained overrun disables the script
+    const budget = script.budget || this.scriptBudget;
+    if (performance.now() - startTime > budget) {
+      script.consecutiveOverruns++;
+      if (script.consecutiveOverruns >= this.maxConsecutiveOverruns) {
+        this.disableScript(script, `exceeded its ${budget}ms budget for ${script.consecutiveOverruns} frames`);
+      }
+    } else {
+      script.consecutiveOverruns = 0;
+    }
+  }
+
+  /**
+   * Record a failed run and disable the script if it keeps failing
+   * @param {Object} script - Script record
+   * @param {string} message - Error message
+   */
+  recordFailure(script, message) {
+    this.stats.errors++;
+    script.errorCount++;
+    script.consecutiveErrors++;
+    script.lastError = message;
+
+    if (script.consecutiveErrors >= this.maxConsecutiveErrors) {
+      this.disableScript(script, `failed ${script.consecutiveErrors} frames in a row: ${message}`);
+    }
+  }
+
+  /**
+   * Disable a script
+   * @param {Object} script - Script record
+   * @param {string} reason - Why the script was disabled
+   */
+  disableScript(script, reason) {
+    script.enabled = false;
+    script.disabledReason = reason;
+    this.stats.disabledScripts++;
+    console.warn(`⚠️ Behavior "${script.name}" disabled - ${reason}`);
+  }
+
+  /**
+   * Get (compiling if needed) the sandboxed runner for a script
+   * The runner calls update once per entity inside a single sandbox call and
+   * returns per-entity errors instead of stopping at the first one
+   * @param {string} source - Source of the update function
+   * @returns {Function} - runner(entities, dt) -> errors
+   */
+  getRunner(source) {
+    let runner = this.runners.get(source);
+    if (!runner) {
+      // Scripts get the sandbox's own game global as their third argument
+      runner = this.executor.compileFunction(`function (entities, dt) {
+        const update = (${source});
+        const api = typeof game === 'undefined' ? undefined : game;
+        const errors = [];
+        for (let i = 0; i < entities.length; i++) {
+          try {
+            update(entities[i], dt, api);
+          } catch (error) {
+            errors.push({ index: i, message: error && error.message ? error.message : String(error) });
+          }
+        }
+        return errors;
+      }`, this.context || NO_CONTEXT, { timeout: this.callTimeout });
+      this.runners.set(source, runner);
+    }
+    return runner;
+  }
+
+  /**
+   * Turn an update function into source and check that it compiles
+   * Scripts are kept as source so they can be snapshotted and restored;
+   * they must not rely on variables from the code that registered them
+   * @param {string|Function} update - update(entity, dt, game) function or its source
+   * @returns {string} - Function source
+   */
+  compileSource(update) {
+    if (typeof update !== 'function' && typeof update !== 'string') {
+      throw new Error('Behavior update must be a function');
+    }
+
+    const source = String(update).trim();
+    this.getRunner(source); // Throws on syntax errors or unsafe code
+    return source;
+  }
+
+  /**
+   * Validate a behavior name
+   * @param {string} name - Behavior name
+   */
+  validateName(name) {
+    if (typeof name !== 'string' || !/^[\w-]{1,64}$/.test(name)) {
+      throw new Error('Behavior name must be 1-64 letters, digits, "_" or "-"');
+    }
+  }
+
+  /**
+   * Drop compiled runners no script uses any more
+   */
+  pruneRunners() {
+    const inUse = new Set(Array.from(this.tagBehaviors.values(), behavior => behavior.source));
+    for (const handler of this.eventHandlers.values()) {
+      inUse.add(handler.source);
+    }
+    for (const entity of this.getScriptedEntities()) {
+      for (const script of entity.getComponent('ScriptComponent').scripts.values()) {
+        inUse.add(script.source);
+      }
+    }
+
+    for (const source of this.runners.keys()) {
+      if (!inUse.has(source)) {
+        this.runners.delete(source);
+      }
+    }
+  }
+
+  /**
+   * Get entities with a ScriptComponent
+   * @returns {Entity[]} - Scripted entities
+   */
+  getScriptedEntities() {
+    return this.entityManager
+      ? this.entityManager.getEntitiesWithComponents(['ScriptComponent'])
+      : [];
+  }
+
+  /**
+   * Describe a script for listings
+   * @param {Object} script - Script record
+   * @param {Object} target - { tag } or { entityId }
+   * @returns {Object} - Script info
+   */
+  describeScript(script, target) {
+    return {
+      name: script.name,
+      ...target,
+      enabled: script.enabled,
+      budget: script.budget || this.scriptBudget,
+      runs: script.runs,
+      errorCount: script.errorCount,
+      lastError: script.lastError,
+      disabledReason: script.disabledReason,
+      source: script.source
+    };
+  }
+
+  /**
+   * Get system configuration (tag behaviors and event handlers are included so snapshots restore them)
+   * @returns {Object} - Configuration object
+   */
+  getConfiguration() {
+    return {
+      callTimeout: this.callTimeout,
+      scriptBudget: this.scriptBudget,
+      frameBudget: this.frameBudget,
+      tagBehaviors: Array.from(this.tagBehaviors.values(), behavior => ({ ...behavior })),
+      eventHandlers: Array.from(this.eventHandlers.values(), handler => ({ ...handler }))
+    };
+  }
+
+  /**
+   * Apply configuration to system
+   * @param {Object} config - Configuration object
+   */
+  applyConfiguration(config) {
+    if (config.scriptBudget !== undefined) {
+      this.scriptBudget = config.scriptBudget;
+    }
+
+    if (config.frameBudget !== undefined) {
+      this.frameBudget = config.frameBudget;
+    }
+
+    if (config.callTimeout !== undefined && config.callTimeout !== this.callTimeout) {
+      this.callTimeout = config.callTimeout;
+      this.executor.updateConfig({ timeout: this.callTimeout });
+      this.runners.clear();
+    }
+
+    if (Array.isArray(config.tagBehaviors)) {
+      this.tagBehaviors = new Map(config.tagBehaviors.map(behavior => [behavior.name, { ...behavior }]));
+    }
+
+    if (Array.isArray(config.eventHandlers)) {
+      this.eventHandlers = new Map(config.eventHandlers.map(handler => [handler.name, { ...handler }]));
+    }
+    this.pruneRunners();
+  }
+
+  /**
+   * Get system information
+   * @returns {Object} - System info
+   */
+  getInfo() {
+    return {
+      ...super.getInfo(),
+      tagBehaviors: this.tagBehaviors.size,
+      eventHandlers: this.eventHandlers.size,
+      compiledScripts: this.runners.size,
+      stats: { ...this.stats }
+    };
+  }
+
+  onDestroy() {
+    if (this.unsubscribeEvents) {
+      this.unsubscribeEvents();
+      this.unsubscribeEvents = null;
+    }
+    this.tagBehaviors.clear();
+    this.eventHandlers.clear();
+    this.runners.clear();
+    this.executor.releaseContext(this.context || NO_CONTEXT);
+  }
+}
@@ -0,0 +1,372 @@
+import { System } from '../System.js';
+import { SpatialHash } from '../SpatialHash.js';
+import { GameEvents } from '../EventBus.js';
+
+/**
+ * Get the axis-aligned bounds of a world shape
+ * @param {Object} shape - Circle or polygon shape
+ * @returns {Object} - { x, y, width, height }
+ */
+function getShapeBounds(shape) {
+  if (shape.type === 'circle') {
+    return { x: shape.x - shape.radius, y: shape.y - shape.radius, width: shape.radius * 2, height: shape.radius * 2 };
+  }
+
+  const xs = shape.points.map(point => point.x);
+  const ys = shape.points.map(point => point.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  return { x: minX, y: minY, width: Math.max(...xs) - minX, height: Math.max(...ys) - minY };
+}
+
+/**
+ * Get the center of a shape (polygon vertex average)
+ * @param {Object} shape - Circle or polygon shape
+ * @returns {Object} - { x, y }
+ */
+function getShapeCenter(shape) {
+  if (shape.type === 'circle') {
+    return { x: shape.x, y: shape.y };
+  }
+  const sum = shape.points.reduce((total, point) => ({ x: total.x + point.x, y: total.y + point.y }), { x: 0, y: 0 });
+  return { x: sum.x / shape.points.length, y: sum.y / shape.points.length };
+}
+
+/**
+ * Get the edge normals of a polygon (the separating axes it contributes)
+ * @param {Object[]} points - Polygon points
+ * @returns {Object[]} - Unit normals
+ */
+function getAxes(points) {
+  const axes = [];
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    const length = Math.hypot(b.x - a.x, b.y - a.y);
+    if (length > 0) {
+      axes.push({ x: -(b.y - a.y) / length, y: (b.x - a.x) / length });
+    }
+  }
+  return axes;
+}
+
+/**
+ * Project a shape onto an axis
+ * @param {Object} shape - Circle or polygon shape
+ * @param {Object} axis - Unit axis
+ * @returns {Object} - { min, max }
+ */
+function project(shape, axis) {
+  if (shape.type === 'circle') {
+    const center = shape.x * axis.x + shape.y * axis.y;
+    return { min: center - shape.radius, max: center + shape.radius };
+  }
+
+  let min = Infinity;
+  let max = -Infinity;
+  for (const point of shape.points) {
+    const value = point.x * axis.x + point.y * axis.y;
+    min = Math.min(min, value);
+    max = Math.max(max, value);
+  }
+  return { min, max };
+}
+
+/**
+ * CollisionSystem - Detects overlaps between ColliderComponents and reports them as events
+ * Broad phase: a SpatialHash of collider bounds. Narrow phase: separating axis
+ * tests for boxes, circles and convex polygons. Each frame it publishes
+ * collision:enter for new contacts, collision:stay for ongoing ones and
+ * collision:exit for ended ones (deferred to the end of the frame), and pushes
+ * overlapping solid colliders apart. Entities with a PhysicsComponent are
+ * left to the PhysicsSystem.
+ */
+export class CollisionSystem extends System {
+  constructor(options = {}) {
+    super('CollisionSystem');
+    this.priority = 13; // After movement and physics, before the spatial index and shooter
+    this.requiredComponents = ['ColliderComponent', 'TransformComponent'];
+
+    this.hash = new SpatialHash({ cellSize: options.cellSize || 64 });
+    this.emitStay = options.emitStay !== false; // collision:stay every frame while touching
+    this.contacts = new Map(); // pair key -> { entityA, entityB, trigger }
+
+    this.stats = {
+      pairsTested: 0,
+      contacts: 0
+    };
+  }
+
+  /**
+   * Detect contacts, resolve solid overlaps and publish events
+   * @param {Entity[]} entities - Entities with a collider
+   * @param {number} deltaTime - Time elapsed since last frame
+   */
+  process(entities, deltaTime) {
+    const colliders = [];
+    for (const entity of entities) {
+      const collider = entity.getComponent('ColliderComponent');
+      if (!collider.enabled) continue;
+
+      const shape = collider.getWorldShape();
+      if (!shape) continue;
+
+      colliders.push({ entity, collider, shape, index: colliders.length });
+    }
+
+    // Broad phase
+    this.hash.clear();
+    const byId = new Map();
+    for (const item of colliders) {
+      item.bounds = getShapeBounds(item.shape);
+      this.hash.update(item.entity.id, item.bounds);
+      byId.set(item.entity.id, item);
+    }
+
+    // Narrow phase (each pair once, in collider order so results are deterministic)
+    const current = new Map();
+    this.stats.pairsTested = 0;
+    for (const a of colliders) {
+      for (const id of this.hash.queryRect(a.bounds)) {
+        const b = byId.get(id);
+        if (b.index <= a.index || !a.collider.canCollideWith(b.collider)) continue;
+
+        this.stats.pairsTested++;
+        const hit = CollisionSystem.testShapes(a.shape, b.shape);
+        if (!hit) continue;
+
+        const trigger = a.collider.isTrigger || b.collider.isTrigger;
+        if (!trigger) {
+          this.separate(a, b, hit);
+        }
+        current.set(CollisionSystem.getPairKey(a.entity.id, b.entity.id), {
+          entityA: a.entity.id,
+          entityB: b.entity.id,
+          trigger,
+          normal: hit.normal,
+          depth: hit.depth
+        });
+      }
+    }
+
+    this.updateContacts(current);
+  }
+
+  /**
+   * Publish enter/stay/exit events by comparing this frame's contacts with the last frame's
+   * @param {Map} current - Pair key -> contact for this frame
+   */
+  updateContacts(current) {
+    const eventBus = this.getEventBus();
+
+    for (const [key, contact] of current) {
+      const topic = this.contacts.has(key) ? GameEvents.COLLISION_STAY : GameEvents.COLLISION_ENTER;
+      if (eventBus && (topic === GameEvents.COLLISION_ENTER || this.emitStay)) {
+        eventBus.emit(topic, { ...contact, normal: { ...contact.normal } }, { deferred: true });
+      }
+    }
+
+    for (const [key, contact] of this.contacts) {
+      if (!current.has(key) && eventBus) {
+        eventBus.emit(GameEvents.COLLISION_EXIT, {
+          entityA: contact.entityA,
+          entityB: contact.entityB,
+          trigger: contact.trigger
+        }, { deferred: true });
+      }
+    }
+
+    this.contacts = new Map(Array.from(current, ([key, contact]) => [key, {
+      entityA: contact.entityA,
+      entityB: contact.entityB,
+      trigger: contact.trigger
+    }]));
+    this.stats.contacts = this.contacts.size;
+  }
+
+  /**
+   * Push two overlapping solid colliders apart along the contact normal
+   * @param {Object} a - First collider entry
+   * @param {Object} b - Second collider entry
+   * @param {Object} hit - { normal (from a to b), depth }
+   */
+  separate(a, b, hit) {
+    const movableA = this.canMove(a);
+    const movableB = this.canMove(b);
+    if (!movableA && !movableB) return;
+
+    const share = movableA && movableB ? 0.5 : 1;
+    if (movableA) {
+      this.push(a.entity, hit.normal, -hit.depth * share);
+    }
+    if (movableB) {
+      this.push(b.entity, hit.normal, hit.depth * share);
+    }
+  }
+
+  /**
+   * Check if the system may move an entity to resolve an overlap
+   * @param {Object} item - Collider entry
+   * @returns {boolean} - True if movable
+   */
+  canMove(item) {
+    return !item.collider.isStatic && !item.entity.hasComponent('PhysicsComponent');
+  }
+
+  /**
+   * Move an entity along a normal and stop its velocity into the contact
+   * @param {Entity} entity - Entity to move
+   * @param {Object} normal - Unit normal
+   * @param {number} distance - Signed distance along the normal
+   */
+  push(entity, normal, distance) {
+    const transform = entity.getComponent('TransformComponent');
+    const position = transform.getWorldPosition();
+    transform.setWorldPosition(position.x + normal.x * distance, position.y + normal.y * distance);
+
+    const movement = entity.getComponent('MovementComponent');
+    if (movement) {
+      // distance points away from the contact, so velocity against it is moving into it
+      const into = movement.velocity.x * normal.x + movement.velocity.y * normal.y;
+      if (into * distance < 0) {
+        movement.velocity.x -= normal.x * into;
+        movement.velocity.y -= normal.y * into;
+      }
+    }
+  }
+
+  /**
+   * Get the entities an entity is currently touching
+   * @param {string} entityId - Entity ID
+   * @returns {string[]} - IDs of touching entities
+   */
+  getContacts(entityId) {
+    const ids = [];
+    for (const contact of this.contacts.values()) {
+      if (contact.entityA === entityId) ids.push(contact.entityB);
+      if (contact.entityB === entityId) ids.push(contact.entityA);
+    }
+    return ids;
+  }
+
+  /**
+   * Check if two entities are touching
+   * @param {string} entityIdA - First entity ID
+   * @param {string} entityIdB - Second entity ID
+   * @returns {boolean} - True if in contact since the last update
+   */
+  isTouching(entityIdA, entityIdB) {
+    return this.contacts.has(CollisionSystem.getPairKey(entityIdA, entityIdB));
+  }
+
+  /**
+   * Get system configuration (contacts are included so a restored world doesn't re-enter them)
+   * @returns {Object} - Configuration object
+   */
+  getConfiguration() {
+    return {
+      emitStay: this.emitStay,
+      contacts: Array.from(this.contacts.values(), contact => ({ ...contact }))
+    };
+  }
+
+  /**
+   * Apply configuration to system
+   * @param {Object} config - Configuration object
+   */
+  applyConfiguration(config) {
+    if (config.emitStay !== undefined) {
+      this.emitStay = config.emitStay;
+    }
+    if (Array.isArray(config.contacts)) {
+      this.contacts = new Map(config.contacts.map(contact => [
+        CollisionSystem.getPairKey(contact.entityA, contact.entityB),
+        { ...contact }
+      ]));
+    }
+  }
+
+  /**
+   * Get system information
+   * @returns {Object} - System info
+   */
+  getInfo() {
+    return {
+      ...super.getInfo(),
+      stats: { ...this.stats }
+    };
+  }
+
+  /**
+   * Get an order-independent key for a pair of entities
+   * @param {string} entityIdA - First entity ID
+   * @param {string} entityIdB - Second entity ID
+   * @returns {string} - Pair key
+   */
+  static getPairKey(entityIdA, entityIdB) {
+    return entityIdA < entityIdB ? `${entityIdA}|${entityIdB}` : `${entityIdB}|${entityIdA}`;
+  }
+
+  /**
+   * Test two world shapes for overlap (separating axis theorem)
+   * @param {Object} a - First shape
+   * @param {Object} b - Second shape
+   * @returns {Object|null} - { normal (unit, from a to b), depth } or null
+   */
+  static testShapes(a, b) {
+    if (a.type === 'circle' && b.type === 'circle') {
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      const distance = Math.hypot(dx, dy);
+      const depth = a.radius + b.radius - distance;
+      if (depth <= 0) return null;
+      return { normal: distance > 0 ? { x: dx / distance, y: dy / distance } : { x: 1, y: 0 }, depth };
+    }
+
+    const axes = [];
+    for (const shape of [a, b]) {
+      if (shape.type === 'polygon') {
+        axes.push(...getAxes(shape.points));
+      }
+    }
+
+    // A circle against a polygon also needs the axis towards the closest vertex
+    const circle = a.type === 'circle' ? a : b.type === 'circle' ? b : null;
+    if (circle) {
+      const polygon = circle === a ? b : a;
+      let closest = null;
+      let closestDistance = Infinity;
+      for (const point of polygon.points) {
+        const distance = Math.hypot(point.x - circle.x, point.y - circle.y);
+        if (distance < closestDistance) {
+          closest = point;
+          closestDistance = distance;
+        }
+      }
+      if (closest && closestDistance > 0) {
+        axes.push({ x: (closest.x - circle.x) / closestDistance, y: (closest.y - circle.y) / closestDistance });
+      }
+    }
+
+    let best = null;
+    for (const axis of axes) {
+      const projectionA = project(a, axis);
+      const projectionB = project(b, axis);
+      const overlap = Math.min(projectionA.max, projectionB.max) - Math.max(projectionA.min, projectionB.min);
+      if (overlap <= 0) return null; // Separating axis found
+
+      if (!best || overlap < best.depth) {
+        best = { normal: axis, depth: overlap };
+      }
+    }
+    if (!best) return null;
+
+    // Point the normal from a to b
+    const centerA = getShapeCenter(a);
+    const centerB = getShapeCenter(b);
+    const direction = (centerB.x - centerA.x) * best.normal.x + (centerB.y - centerA.y) * best.normal.y;
+    const normal = direction < 0 ? { x: -best.normal.x, y: -best.normal.y } : { x: best.normal.x, y: best.normal.y };
+
+    return { normal, depth: best.depth };
+  }
+}
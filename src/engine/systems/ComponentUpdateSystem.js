@@ -0,0 +1,137 @@
+import { System } from '../System.js';
+import { Component } from '../Component.js';
+
+// Update phases in the order they run each frame
+export const UPDATE_PHASES = ['input', 'logic', 'physics', 'animation'];
+
+/**
+ * ComponentUpdateSystem - Calls update(deltaTime) on components no other system ticks
+ * Every enabled component that overrides Component.update runs once per frame,
+ * grouped by its class's static updatePhase (default 'logic'). Components opt
+ * out with `static updatePhase = null` or per instance with `autoUpdate = false`.
+ * Component types listed in another enabled system's updatesComponents are
+ * skipped, so e.g. MovementComponent isn't integrated twice.
+ */
+export class ComponentUpdateSystem extends System {
+  constructor(options = {}) {
+    super('ComponentUpdateSystem');
+    this.priority = 8; // After input and behaviors, before movement and physics integrate
+
+    this.phases = options.phases || UPDATE_PHASES;
+
+    // Components that threw, so each failure is only logged once
+    this.failedComponents = new WeakSet();
+
+    this.stats = {
+      updates: 0,
+      errors: 0
+    };
+  }
+
+  /**
+   * Every active entity may have components to update
+   * @returns {Entity[]} - Active entities
+   */
+  getRelevantEntities() {
+    return this.entityManager ? this.entityManager.getActiveEntities() : [];
+  }
+
+  /**
+   * Update components phase by phase
+   * @param {Entity[]} entities - Active entities
+   * @param {number} deltaTime - Time elapsed since last frame in milliseconds
+   */
+  process(entities, deltaTime) {
+    const handledTypes = this.getHandledComponentTypes();
+    const phases = this.phases.map(() => []);
+
+    for (const entity of entities) {
+      for (const [type, component] of entity.components) {
+        if (handledTypes.has(type)) continue;
+
+        const phase = this.getUpdatePhase(component);
+        if (phase !== -1) {
+          phases[phase].push(component);
+        }
+      }
+    }
+
+    for (const components of phases) {
+      for (const component of components) {
+        // An earlier update may have disabled or removed it
+        if (!component.isEnabled() || !component.entity) continue;
+
+        this.updateComponent(component, deltaTime);
+      }
+    }
+  }
+
+  /**
+   * Update one component, isolating errors
+   * @param {Component} component - Component to update
+   * @param {number} deltaTime - Time elapsed since last frame in milliseconds
+   */
+  updateComponent(component, deltaTime) {
+    try {
+      component.update(deltaTime);
+      this.stats.updates++;
+    } catch (error) {
+      this.stats.errors++;
+
+      if (!this.failedComponents.has(component)) {
+        this.failedComponents.add(component);
+        console.warn(`⚠️ ${component.constructor.name}.update failed on ${component.entity?.id}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Get the index of the phase a component updates in
+   * @param {Component} component - Component to check
+   * @returns {number} - Phase index, or -1 if it doesn't take part
+   */
+  getUpdatePhase(component) {
+    if (component.autoUpdate === false || typeof component.update !== 'function' ||
+        component.update === Component.prototype.update) {
+      return -1;
+    }
+
+    const phase = component.constructor.updatePhase;
+    if (phase === null) {
+      return -1;
+    }
+
+    const index = this.phases.indexOf(phase === undefined ? 'logic' : phase);
+    return index === -1 ? this.phases.indexOf('logic') : index;
+  }
+
+  /**
+   * Get component types other enabled systems already update
+   * @returns {Set<string>} - Component type names
+   */
+  getHandledComponentTypes() {
+    const handled = new Set();
+    if (!this.gameEngine) return handled;
+
+    for (const system of this.gameEngine.systems.values()) {
+      if (system !== this && system.isEnabled()) {
+        for (const type of system.updatesComponents) {
+          handled.add(type);
+        }
+      }
+    }
+    return handled;
+  }
+
+  /**
+   * Get system information
+   * @returns {Object} - System info
+   */
+  getInfo() {
+    return {
+      ...super.getInfo(),
+      phases: this.phases,
+      stats: { ...this.stats }
+    };
+  }
+}
@@ -0,0 +1,379 @@
+import { System } from '../System.js';
+import { GameEvents } from '../EventBus.js';
+
+// Allowed state machine transitions
+const STATE_TRANSITIONS = {
+  menu: ['playing'],
+  playing: ['paused', 'gameOver', 'victory', 'menu'],
+  paused: ['playing', 'gameOver', 'menu'],
+  gameOver: ['playing', 'menu'],
+  victory: ['playing', 'menu']
+};
+
+/**
+ * GameStateSystem - Global game state: score, lives, level, timers and a
+ * state machine (menu, playing, paused, gameOver, victory)
+ * Driven by events while playing: enemy deaths (health:died) add points by
+ * tag, player deaths cost a life (no lives left is game over) and killing
+ * every enemy of the level is a victory. Timers count down in simulation
+ * time and publish game:timer when they run out. The paused state pauses the
+ * engine and playing resumes it. Every change is published as a game:* event.
+ */
+export class GameStateSystem extends System {
+  constructor(options = {}) {
+    super('GameStateSystem');
+    this.priority = 17; // After the HealthSystem
+
+    this.initialState = options.initialState || 'playing';
+    this.startLives = options.lives ?? 3;
+    this.pointsByTag = { enemy: 10, boss: 100, ...options.pointsByTag }; // Points for killing an entity with the tag (highest match)
+    this.playerTag = options.playerTag || 'player';
+    this.victoryTag = options.victoryTag === undefined ? 'enemy' : options.victoryTag; // null disables automatic victory
+
+    this.highScore = 0;
+    this.unsubscribeEvents = [];
+    this.reset();
+  }
+
+  /**
+   * Listen for deaths and hits
+   */
+  onInitialize() {
+    this.unsubscribeEvents.forEach(unsubscribe => unsubscribe());
+    const eventBus = this.getEventBus();
+    this.unsubscribeEvents = eventBus ? [
+      eventBus.on(GameEvents.ENTITY_DIED, death => this.handleDeath(death)),
+      eventBus.on(GameEvents.HEALTH_DAMAGED, hit => this.handleDamage(hit))
+    ] : [];
+
+    console.log('🏆 GameStateSystem initialized');
+  }
+
+  /**
+   * Game state isn't tied to entities
+   * @returns {Entity[]} - No entities
+   */
+  getRelevantEntities() {
+    return [];
+  }
+
+  /**
+   * Advance the game clock and timers and check for victory
+   * @param {Entity[]} entities - Unused
+   * @param {number} deltaTime - Time elapsed since last frame in milliseconds
+   */
+  process(entities, deltaTime) {
+    if (this.state !== 'playing') return;
+
+    this.playTime += deltaTime;
+    this.updateTimers(deltaTime);
+    this.checkVictory();
+  }
+
+  /**
+   * Start over: score, lives, level, timers and values go back to their start values (the high score is kept)
+   */
+  reset() {
+    this.state = this.initialState;
+    this.score = 0;
+    this.lives = this.startLives;
+    this.level = 1;
+    this.playTime = 0; // ms spent in the playing state
+    this.levelKills = 0; // Victory needs at least one kill, so an empty level isn't won at once
+    this.timers = new Map(); // name -> { remaining, duration, repeat }
+    this.values = {}; // Custom values set by generated code (e.g. combo, wave)
+    this.stats = {
+      enemiesDestroyed: 0,
+      playerHits: 0
+    };
+  }
+
+  /**
+   * Move the state machine to a new state
+   * @param {string} state - menu, playing, paused, gameOver or victory
+   * @param {string} reason - Why (passed along in the event)
+   * @returns {boolean} - True if the state changed
+   */
+  setState(state, reason = null) {
+    if (!STATE_TRANSITIONS[state]) {
+      throw new Error(`Unknown game state: ${state} (use ${Object.keys(STATE_TRANSITIONS).join(', ')})`);
+    }
+    if (state === this.state) return false;
+    if (!STATE_TRANSITIONS[this.state].includes(state)) {
+      throw new Error(`Cannot change game state from ${this.state} to ${state}`);
+    }
+
+    const previous = this.state;
+    this.state = state;
+    if (state === 'paused') {
+      this.gameEngine?.pause();
+    } else if (previous === 'paused') {
+      this.gameEngine?.resume();
+    }
+
+    this.getEventBus()?.emit(GameEvents.GAME_STATE_CHANGED, { state, previous, reason });
+    console.log(`🏆 Game state: ${previous} -> ${state}${reason ? ` (${reason})` : ''}`);
+    return true;
+  }
+
+  /**
+   * Add points (negative to take them away)
+   * @param {number} points - Points to add
+   * @param {string} reason - Why (passed along in the event)
+   * @returns {number} - New score
+   */
+  addScore(points, reason = null) {
+    if (!Number.isFinite(points) || points === 0) return this.score;
+
+    this.score = Math.max(0, this.score + points);
+    this.highScore = Math.max(this.highScore, this.score);
+    this.getEventBus()?.emit(GameEvents.SCORE_CHANGED, { score: this.score, delta: points, reason });
+    return this.score;
+  }
+
+  /**
+   * Set the number of lives (0 while playing is game over)
+   * @param {number} lives - Lives left
+   * @returns {number} - New lives
+   */
+  setLives(lives) {
+    if (!Number.isInteger(lives) || lives < 0) {
+      throw new Error('Lives must be a whole number of 0 or more');
+    }
+    if (lives === this.lives) return this.lives;
+
+    const delta = lives - this.lives;
+    this.lives = lives;
+    this.getEventBus()?.emit(GameEvents.LIVES_CHANGED, { lives, delta });
+
+    if (lives === 0 && (this.state === 'playing' || this.state === 'paused')) {
+      this.setState('gameOver', 'no lives left');
+    }
+    return this.lives;
+  }
+
+  /**
+   * Go to a level (starts playing from victory or game over)
+   * @param {number} level - Level number (1 or more)
+   * @returns {number} - New level
+   */
+  setLevel(level) {
+    if (!Number.isInteger(level) || level < 1) {
+      throw new Error('Level must be a whole number of 1 or more');
+    }
+
+    const previous = this.level;
+    this.level = level;
+    this.levelKills = 0;
+    if (level !== previous) {
+      this.getEventBus()?.emit(GameEvents.LEVEL_CHANGED, { level, previous });
+    }
+    if (this.state === 'victory' || this.state === 'gameOver') {
+      this.setState('playing', `level ${level}`);
+    }
+    return this.level;
+  }
+
+  /**
+   * Go to the next level
+   * @returns {number} - New level
+   */
+  nextLevel() {
+    return this.setLevel(this.level + 1);
+  }
+
+  /**
+   * Start (or restart) a countdown; it publishes game:timer when it runs out
+   * @param {string} name - Timer name
+   * @param {number} duration - Duration in milliseconds of simulation time
+   * @param {Object} options - { repeat } to restart it every time it runs out
+   */
+  startTimer(name, duration, options = {}) {
+    if (typeof name !== 'string' || name.length === 0) {
+      throw new Error('Timer name must be a non-empty string');
+    }
+    if (!(duration > 0)) {
+      throw new Error('Timer duration must be a positive number of milliseconds');
+    }
+
+    this.timers.set(name, { remaining: duration, duration, repeat: options.repeat === true });
+  }
+
+  /**
+   * Stop a timer
+   * @param {string} name - Timer name
+   * @returns {boolean} - True if the timer existed
+   */
+  cancelTimer(name) {
+    return this.timers.delete(name);
+  }
+
+  /**
+   * Count timers down
+   * @param {number} deltaTime - Time elapsed since last frame in milliseconds
+   */
+  updateTimers(deltaTime) {
+    for (const [name, timer] of Array.from(this.timers)) {
+      timer.remaining -= deltaTime;
+      if (timer.remaining > 0) continue;
+
+      if (timer.repeat) {
+        timer.remaining += timer.duration;
+      } else {
+        this.timers.delete(name);
+      }
+      this.getEventBus()?.emit(GameEvents.TIMER_EXPIRED, { name, level: this.level });
+    }
+  }
+
+  /**
+   * Set a custom value (JSON data only)
+   * @param {string} key - Value name
+   * @param {any} value - Value (undefined removes it)
+   */
+  setValue(key, value) {
+    if (typeof key !== 'string' || key.length === 0) {
+      throw new Error('Value name must be a non-empty string');
+    }
+
+    if (value === undefined) {
+      delete this.values[key];
+    } else {
+      this.values[key] = JSON.parse(JSON.stringify(value));
+    }
+  }
+
+  /**
+   * Score kills and take a life when the player dies
+   * @param {Object} death - health:died payload { entityId, tags }
+   */
+  handleDeath(death) {
+    if (this.state !== 'playing') return;
+    const tags = death.tags || [];
+
+    if (tags.includes(this.playerTag)) {
+      this.setLives(Math.max(0, this.lives - 1));
+      return;
+    }
+
+    const points = Math.max(0, ...tags.map(tag => this.pointsByTag[tag] || 0));
+    if (tags.includes('enemy')) {
+      this.stats.enemiesDestroyed++;
+    }
+    if (this.victoryTag && tags.includes(this.victoryTag)) {
+      this.levelKills++;
+    }
+    this.addScore(points, `destroyed ${death.entityId}`);
+  }
+
+  /**
+   * Count hits on the player
+   * @param {Object} hit - health:damaged payload { entityId }
+   */
+  handleDamage(hit) {
+    if (this.state !== 'playing') return;
+
+    const entity = this.entityManager?.getEntity(hit.entityId);
+    if (entity && entity.hasTag(this.playerTag)) {
+      this.stats.playerHits++;
+    }
+  }
+
+  /**
+   * Win the level once every entity with the victory tag has been killed
+   */
+  checkVictory() {
+    if (!this.victoryTag || this.levelKills === 0) return;
+
+    // Dead entities are only removed at the end of the frame
+    const remaining = this.entityManager.getEntitiesByTag(this.victoryTag)
+      .filter(entity => !entity.getComponent('HealthComponent')?.isDead());
+    if (remaining.length === 0) {
+      this.setState('victory', `level ${this.level} cleared`);
+    }
+  }
+
+  /**
+   * Get the game state for clients and generated code
+   * @returns {Object} - { state, score, highScore, lives, level, playTime, timers, values, stats }
+   */
+  getState() {
+    return {
+      state: this.state,
+      score: this.score,
+      highScore: this.highScore,
+      lives: this.lives,
+      level: this.level,
+      playTime: this.playTime,
+      timers: Object.fromEntries(Array.from(this.timers, ([name, timer]) => [name, Math.max(0, timer.remaining)])),
+      values: JSON.parse(JSON.stringify(this.values)),
+      stats: { ...this.stats }
+    };
+  }
+
+  onDestroy() {
+    this.unsubscribeEvents.forEach(unsubscribe => unsubscribe());
+    this.unsubscribeEvents = [];
+  }
+
+  /**
+   * Get system configuration (the whole game state, so snapshots and saved worlds keep it)
+   * @returns {Object} - Configuration object
+   */
+  getConfiguration() {
+    return {
+      state: this.state,
+      score: this.score,
+      highScore: this.highScore,
+      lives: this.lives,
+      level: this.level,
+      playTime: this.playTime,
+      levelKills: this.levelKills,
+      timers: Array.from(this.timers, ([name, timer]) => [name, { ...timer }]),
+      values: JSON.parse(JSON.stringify(this.values)),
+      stats: { ...this.stats },
+      pointsByTag: { ...this.pointsByTag }
+    };
+  }
+
+  /**
+   * Apply configuration to system
+   * @param {Object} config - Configuration object
+   */
+  applyConfiguration(config) {
+    if (STATE_TRANSITIONS[config.state]) {
+      this.state = config.state;
+    }
+    for (const key of ['score', 'highScore', 'lives', 'level', 'playTime', 'levelKills']) {
+      if (Number.isFinite(config[key])) {
+        this[key] = config[key];
+      }
+    }
+    if (Array.isArray(config.timers)) {
+      this.timers = new Map(config.timers.map(([name, timer]) => [name, { ...timer }]));
+    }
+    if (config.values && typeof config.values === 'object') {
+      this.values = JSON.parse(JSON.stringify(config.values));
+    }
+    if (config.stats) {
+      this.stats = { ...this.stats, ...config.stats };
+    }
+    if (config.pointsByTag) {
+      this.pointsByTag = { ...config.pointsByTag };
+    }
+  }
+
+  /**
+   * Get system information
+   * @returns {Object} - System info
+   */
+  getInfo() {
+    return {
+      ...super.getInfo(),
+      gameState: this.state,
+      score: this.score,
+      lives: this.lives,
+      level: this.level
+    };
+  }
+}
@@ -0,0 +1,386 @@
+import { System } from '../System.js';
+import { GameEvents } from '../EventBus.js';
+
+/**
+ * HealthSystem - Damage pipeline for entities with a HealthComponent
+ * Bullets (ShooterSystem), DamageComponent contacts (collision events) and
+ * generated code all call damage(), which applies armor and invulnerability,
+ * publishes health:damaged and, when health runs out, health:died before
+ * running the entity's onDeath handlers ('drop', 'destroy', 'respawn' or any
+ * handler added with registerDeathHandler). Events are published immediately,
+ * so died listeners can still read the entity (destroyEntity is deferred to
+ * the end of the frame). Also regenerates health and respawns entities.
+ */
+export class HealthSystem extends System {
+  constructor() {
+    super('HealthSystem');
+    this.priority = 16; // After collisions and the shooter
+    this.requiredComponents = ['HealthComponent'];
+    this.updatesComponents = ['HealthComponent'];
+
+    this.deathHandlers = new Map([
+      ['drop', entity => this.dropLoot(entity)],
+      ['destroy', entity => this.entityManager.destroyEntity(entity.id)],
+      ['respawn', entity => this.scheduleRespawn(entity)]
+    ]);
+    this.respawning = new Set(); // IDs of dead entities waiting to respawn (deactivated)
+    this.contactHits = new Map(); // "sourceId>targetId" -> time of the last contact hit
+    this.unsubscribeCollisions = [];
+
+    this.stats = {
+      damageDealt: 0,
+      deaths: 0,
+      respawns: 0
+    };
+  }
+
+  /**
+   * Listen for collisions so DamageComponents hurt what they touch
+   */
+  onInitialize() {
+    this.unsubscribeCollisions.forEach(unsubscribe => unsubscribe());
+    const eventBus = this.getEventBus();
+    this.unsubscribeCollisions = eventBus ? [
+      eventBus.on(GameEvents.COLLISION_ENTER, collision => this.handleContact(collision, true)),
+      eventBus.on(GameEvents.COLLISION_STAY, collision => this.handleContact(collision, false)),
+      eventBus.on(GameEvents.COLLISION_EXIT, collision => this.clearContact(collision))
+    ] : [];
+
+    console.log('❤️ HealthSystem initialized');
+  }
+
+  /**
+   * Respawn entities that are due, regenerate health and catch deaths from direct health changes
+   * @param {Entity[]} entities - Entities with health
+   * @param {number} deltaTime - Time elapsed since last frame in milliseconds
+   */
+  process(entities, deltaTime) {
+    this.processRespawns();
+
+    for (const entity of entities) {
+      const health = entity.getComponent('HealthComponent');
+      if (!health.enabled) continue;
+
+      if (!health.respawnPoint) {
+        const transform = entity.getComponent('TransformComponent');
+        if (transform) {
+          health.respawnPoint = transform.getWorldPosition();
+        }
+      }
+
+      // Generated code may set health directly instead of calling damage()
+      if (health.isDead()) {
+        if (health.diedAt === null) {
+          this.kill(entity, {});
+        }
+        continue;
+      }
+
+      health.regenerate(deltaTime);
+    }
+  }
+
+  /**
+   * Damage an entity
+   * @param {Entity|string} target - Entity or entity ID
+   * @param {number} amount - Raw damage (armor is subtracted)
+   * @param {Object} options - { source (entity or ID), type }
+   * @returns {number} - Health actually lost
+   */
+  damage(target, amount, options = {}) {
+    const entity = this.resolveEntity(target);
+    const health = entity?.getComponent('HealthComponent');
+    if (!health || !health.enabled || !entity.isActive()) return 0;
+
+    const lost = health.takeDamage(amount);
+    if (lost <= 0) return 0;
+
+    this.stats.damageDealt += lost;
+    const sourceId = HealthSystem.getSourceId(options.source);
+    this.getEventBus()?.emit(GameEvents.HEALTH_DAMAGED, {
+      entityId: entity.id,
+      amount: lost,
+      health: health.health,
+      maxHealth: health.maxHealth,
+      sourceId,
+      type: options.type || 'generic'
+    });
+
+    if (health.isDead()) {
+      this.kill(entity, options);
+    }
+    return lost;
+  }
+
+  /**
+   * Heal an entity
+   * @param {Entity|string} target - Entity or entity ID
+   * @param {number} amount - Health to restore
+   * @returns {number} - Health actually restored
+   */
+  heal(target, amount) {
+    const entity = this.resolveEntity(target);
+    const health = entity?.getComponent('HealthComponent');
+    if (!health) return 0;
+
+    const restored = health.heal(amount);
+    if (restored > 0) {
+      this.getEventBus()?.emit(GameEvents.HEALTH_HEALED, {
+        entityId: entity.id,
+        amount: restored,
+        health: health.health,
+        maxHealth: health.maxHealth
+      });
+    }
+    return restored;
+  }
+
+  /**
+   * Kill an entity: publish health:died, then run its death handlers
+   * @param {Entity|string} target - Entity or entity ID
+   * @param {Object} options - { source, type } of the killing blow
+   * @returns {boolean} - True if the entity died
+   */
+  kill(target, options = {}) {
+    const entity = this.resolveEntity(target);
+    const health = entity?.getComponent('HealthComponent');
+    if (!health || health.diedAt !== null) return false;
+
+    health.health = 0;
+    health.diedAt = this.getTime();
+    this.stats.deaths++;
+
+    const transform = entity.getComponent('TransformComponent');
+    this.getEventBus()?.emit(GameEvents.ENTITY_DIED, {
+      entityId: entity.id,
+      tags: Array.from(entity.tags),
+      position: transform ? { ...transform.getWorldPosition() } : null,
+      sourceId: HealthSystem.getSourceId(options.source),
+      type: options.type || 'generic'
+    });
+    console.log(`💀 ${entity.id} died`);
+
+    for (const name of health.onDeath) {
+      const handler = this.deathHandlers.get(name);
+      if (!handler) {
+        console.warn(`HealthSystem: unknown death handler "${name}" on ${entity.id}`);
+        continue;
+      }
+
+      try {
+        handler(entity, health, this);
+      } catch (error) {
+        console.warn(`HealthSystem: death handler "${name}" failed for ${entity.id}:`, error.message);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Add a death handler that HealthComponents can list in onDeath
+   * @param {string} name - Handler name
+   * @param {Function} handler - handler(entity, health, healthSystem)
+   */
+  registerDeathHandler(name, handler) {
+    if (typeof name !== 'string' || name.length === 0) {
+      throw new Error('Death handler name must be a non-empty string');
+    }
+    if (typeof handler !== 'function') {
+      throw new Error('Death handler must be a function');
+    }
+    this.deathHandlers.set(name, handler);
+  }
+
+  /**
+   * Spawn an entity's loot prefabs where it died
+   * @param {Entity} entity - Dead entity
+   */
+  dropLoot(entity) {
+    const health = entity.getComponent('HealthComponent');
+    const transform = entity.getComponent('TransformComponent');
+    if (!transform || health.loot.length === 0) return;
+
+    const position = transform.getWorldPosition();
+    const random = this.getRandom('loot');
+    for (const drop of health.loot) {
+      if (drop.chance >= 1 || random.chance(drop.chance)) {
+        this.entityManager.spawnPrefab(drop.prefab, { x: position.x, y: position.y });
+      }
+    }
+  }
+
+  /**
+   * Take a dead entity out of play until its respawn delay has passed
+   * @param {Entity} entity - Dead entity
+   */
+  scheduleRespawn(entity) {
+    const health = entity.getComponent('HealthComponent');
+    health.respawnAt = this.getTime() + health.respawnDelay;
+    entity.deactivate();
+    this.respawning.add(entity.id);
+  }
+
+  /**
+   * Respawn entities whose delay has passed
+   */
+  processRespawns() {
+    const currentTime = this.getTime();
+    for (const entityId of this.respawning) {
+      const entity = this.entityManager.getEntity(entityId);
+      const health = entity?.getComponent('HealthComponent');
+      if (!health) {
+        this.respawning.delete(entityId);
+        continue;
+      }
+
+      if (currentTime >= health.respawnAt) {
+        this.respawning.delete(entityId);
+        this.respawn(entity);
+      }
+    }
+  }
+
+  /**
+   * Bring an entity back at its respawn point with full health
+   * @param {Entity} entity - Entity to respawn
+   */
+  respawn(entity) {
+    const health = entity.getComponent('HealthComponent');
+    health.reset();
+    if (health.invulnerabilityTime > 0) {
+      health.setInvulnerable(health.invulnerabilityTime);
+    }
+
+    const transform = entity.getComponent('TransformComponent');
+    if (transform && health.respawnPoint) {
+      transform.setWorldPosition(health.respawnPoint.x, health.respawnPoint.y);
+    }
+    const movement = entity.getComponent('MovementComponent');
+    if (movement) {
+      movement.velocity.x = 0;
+      movement.velocity.y = 0;
+    }
+
+    entity.activate();
+    this.stats.respawns++;
+    this.getEventBus()?.emit(GameEvents.ENTITY_RESPAWNED, {
+      entityId: entity.id,
+      position: transform ? transform.getWorldPosition() : null
+    });
+    console.log(`✨ ${entity.id} respawned`);
+  }
+
+  /**
+   * Apply DamageComponent damage between two colliding entities
+   * @param {Object} collision - collision:enter or collision:stay payload
+   * @param {boolean} entered - True for collision:enter
+   */
+  handleContact(collision, entered) {
+    if (!this.enabled || !this.entityManager) return;
+
+    const a = this.entityManager.getEntity(collision.entityA);
+    const b = this.entityManager.getEntity(collision.entityB);
+    if (!a || !b) return;
+
+    this.applyContactDamage(a, b, entered);
+    this.applyContactDamage(b, a, entered);
+  }
+
+  /**
+   * Damage a target with a source's DamageComponent
+   * @param {Entity} source - Entity that may deal damage
+   * @param {Entity} target - Entity that may take it
+   * @param {boolean} entered - True on the first frame of the contact
+   */
+  applyContactDamage(source, target, entered) {
+    const damage = source.getComponent('DamageComponent');
+    if (!damage || !damage.enabled || !target.hasComponent('HealthComponent') || !damage.canDamage(target)) return;
+
+    // After the first hit, only every `interval` ms while the contact lasts
+    const key = `${source.id}>${target.id}`;
+    const currentTime = this.getTime();
+    if (!entered) {
+      const lastHit = this.contactHits.get(key);
+      if (damage.interval <= 0 || lastHit === undefined || currentTime - lastHit < damage.interval) return;
+    }
+    this.contactHits.set(key, currentTime);
+
+    this.damage(target, damage.amount, { source, type: damage.type });
+    if (damage.destroyOnHit) {
+      this.entityManager.destroyEntity(source.id);
+    }
+  }
+
+  /**
+   * Forget contact hit times when a contact ends
+   * @param {Object} collision - collision:exit payload
+   */
+  clearContact(collision) {
+    this.contactHits.delete(`${collision.entityA}>${collision.entityB}`);
+    this.contactHits.delete(`${collision.entityB}>${collision.entityA}`);
+  }
+
+  /**
+   * Get an entity from an entity or ID
+   * @param {Entity|string} target - Entity or entity ID
+   * @returns {Entity|null} - The entity or null
+   */
+  resolveEntity(target) {
+    if (typeof target === 'string') {
+      return this.entityManager?.getEntity(target) || null;
+    }
+    return target || null;
+  }
+
+  onDestroy() {
+    this.unsubscribeCollisions.forEach(unsubscribe => unsubscribe());
+    this.unsubscribeCollisions = [];
+  }
+
+  /**
+   * Get system configuration (pending respawns and contact hit times are
+   * included so a restored world continues where it left off)
+   * @returns {Object} - Configuration object
+   */
+  getConfiguration() {
+    return {
+      respawning: Array.from(this.respawning),
+      contactHits: Array.from(this.contactHits)
+    };
+  }
+
+  /**
+   * Apply configuration to system
+   * @param {Object} config - Configuration object
+   */
+  applyConfiguration(config) {
+    if (Array.isArray(config.respawning)) {
+      this.respawning = new Set(config.respawning);
+    }
+    if (Array.isArray(config.contactHits)) {
+      this.contactHits = new Map(config.contactHits);
+    }
+  }
+
+  /**
+   * Get system information
+   * @returns {Object} - System info
+   */
+  getInfo() {
+    return {
+      ...super.getInfo(),
+      respawning: this.respawning.size,
+      stats: { ...this.stats }
+    };
+  }
+
+  /**
+   * Get the ID of a damage source
+   * @param {Entity|string|null} source - Entity, entity ID or nothing
+   * @returns {string|null} - Source entity ID
+   */
+  static getSourceId(source) {
+    if (!source) return null;
+    return typeof source === 'string' ? source : source.id || null;
+  }
+}
@@ -0,0 +1,391 @@
+import { System } from '../System.js';
+
+/**
+ * InputSystem - Feeds client input into controller components
+ * Input arrives over the network (Socket.IO or REST) keyed by client ID. Events are
+ * queued and applied at the start of the next frame, so the server stays authoritative
+ * and controllers never depend on browser globals like `window`. Each client has its
+ * own bounded queue, so one client flooding input can't crowd out the others.
+ */
+export class InputSystem extends System {
+  constructor(options = {}) {
+    super('InputSystem');
+    this.priority = 0; // Run before movement and shooting
+    this.controllerTypes = ['PlayerControllerComponent', 'ShooterControllerComponent'];
+    this.updatesComponents = ['PlayerControllerComponent']; // Updated in process, after input is applied
+
+    // Per-client input state
+    this.clients = new Map(); // clientId -> { keys: Set, buttons: Set, mouse: { x, y } }
+
+    // Events waiting for the next frame
+    this.inputQueues = new Map(); // clientId -> [event]
+    this.maxQueuedEvents = options.maxQueuedEvents || 512; // Per client
+    this.onEventQueued = options.onEventQueued || null; // (clientId, event) for every queued event, e.g. session recording
+  }
+
+  /**
+   * Get entities that carry at least one controller component
+   * @returns {Entity[]} - Controlled entities
+   */
+  getRelevantEntities() {
+    if (!this.entityManager) return [];
+
+    return this.entityManager.query({ any: this.controllerTypes }).execute();
+  }
+
+  /**
+   * Queue input from a client
+   * @param {string} clientId - Client that produced the input
+   * @param {Object} input - A single event or { events: [...] }
+   * @returns {number} - Number of events accepted
+   */
+  queueInput(clientId, input) {
+    if (!clientId || typeof clientId !== 'string') {
+      throw new Error('Client ID must be a non-empty string');
+    }
+
+    if (!input || typeof input !== 'object') {
+      return 0;
+    }
+
+    const events = Array.isArray(input.events) ? input.events : [input];
+    let accepted = 0;
+
+    for (const rawEvent of events) {
+      const event = this.normalizeEvent(rawEvent);
+      if (!event) continue;
+
+      // Drop input when the client's queue is full (e.g. engine stopped)
+      if (this.getQueuedCount(clientId) >= this.maxQueuedEvents) break;
+
+      this.enqueueEvent(clientId, event);
+      accepted++;
+    }
+
+    return accepted;
+  }
+
+  /**
+   * Release everything a client is holding and forget it
+   * @param {string} clientId - Client that disconnected
+   */
+  removeClient(clientId) {
+    this.enqueueEvent(clientId, { type: 'disconnect' });
+  }
+
+  /**
+   * Queue an already normalized event for the next frame (also used to replay recorded input)
+   * @param {string} clientId - Client that produced the input
+   * @param {Object} event - Normalized event
+   */
+  enqueueEvent(clientId, event) {
+    let queue = this.inputQueues.get(clientId);
+    if (!queue) {
+      queue = [];
+      this.inputQueues.set(clientId, queue);
+    }
+    queue.push(event);
+
+    if (this.onEventQueued) {
+      this.onEventQueued(clientId, event);
+    }
+  }
+
+  /**
+   * Get how many events a client has waiting
+   * @param {string} clientId - Client ID
+   * @returns {number} - Queued event count
+   */
+  getQueuedCount(clientId) {
+    return this.inputQueues.get(clientId)?.length || 0;
+  }
+
+  /**
+   * Take every queued event, one per client in turn, keeping each client's order
+   * @returns {Array} - { clientId, event } in the order to apply them
+   */
+  drainQueues() {
+    const queues = Array.from(this.inputQueues);
+    this.inputQueues = new Map();
+
+    const longest = Math.max(0, ...queues.map(([, queue]) => queue.length));
+    const events = [];
+    for (let index = 0; index < longest; index++) {
+      for (const [clientId, queue] of queues) {
+        if (index < queue.length) {
+          events.push({ clientId, event: queue[index] });
+        }
+      }
+    }
+    return events;
+  }
+
+  /**
+   * Validate and normalize a raw input event
+   * @param {Object} raw - Event as received from the client
+   * @returns {Object|null} - Normalized event or null if invalid
+   */
+  normalizeEvent(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+
+    switch (raw.type) {
+      case 'keydown':
+      case 'keyup':
+        if (typeof raw.code !== 'string' || !/^[A-Za-z0-9]{1,32}$/.test(raw.code)) {
+          return null;
+        }
+        return { type: raw.type, code: raw.code };
+
+      case 'mousedown':
+      case 'mouseup':
+        if (!Number.isInteger(raw.button) || raw.button < 0 || raw.button > 4) {
+          return null;
+        }
+        return { type: raw.type, button: raw.button, ...this.normalizePosition(raw) };
+
+      case 'mousemove': {
+        const position = this.normalizePosition(raw);
+        return position.x !== undefined ? { type: raw.type, ...position } : null;
+      }
+
+      case 'wheel':
+        if (!Number.isFinite(raw.deltaY)) return null;
+        return { type: raw.type, deltaY: raw.deltaY };
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Extract a finite world position from a raw event
+   * @param {Object} raw - Raw event
+   * @returns {Object} - { x, y } or empty object
+   */
+  normalizePosition(raw) {
+    if (Number.isFinite(raw.x) && Number.isFinite(raw.y)) {
+      return { x: raw.x, y: raw.y };
+    }
+    return {};
+  }
+
+  /**
+   * Apply queued input, then tick player controllers
+   * @param {Entity[]} entities - Entities with controller components
+   * @param {number} deltaTime - Time elapsed since last frame
+   */
+  process(entities, deltaTime) {
+    for (const { clientId, event } of this.drainQueues()) {
+      this.applyEvent(entities, clientId, event);
+    }
+
+    // Player controllers turn held keys into movement each frame
+    for (const entity of entities) {
+      const controller = entity.getComponent('PlayerControllerComponent');
+      if (controller && controller.isEnabled()) {
+        controller.update(deltaTime);
+      }
+    }
+  }
+
+  /**
+   * Update client state and dispatch an event to the controllers it drives
+   * @param {Entity[]} entities - Controlled entities
+   * @param {string} clientId - Source client
+   * @param {Object} event - Normalized event
+   */
+  applyEvent(entities, clientId, event) {
+    if (event.type === 'disconnect') {
+      this.releaseClient(entities, clientId);
+      return;
+    }
+
+    const state = this.getClientState(clientId);
+
+    switch (event.type) {
+      case 'keydown':
+        state.keys.add(event.code);
+        break;
+      case 'keyup':
+        state.keys.delete(event.code);
+        break;
+      case 'mousedown':
+        state.buttons.add(event.button);
+        break;
+      case 'mouseup':
+        state.buttons.delete(event.button);
+        break;
+    }
+
+    if (event.x !== undefined) {
+      state.mouse = { x: event.x, y: event.y };
+    }
+
+    this.dispatch(entities, clientId, event);
+  }
+
+  /**
+   * Send release events for everything a client held, then drop its state
+   * @param {Entity[]} entities - Controlled entities
+   * @param {string} clientId - Client to release
+   */
+  releaseClient(entities, clientId) {
+    const state = this.clients.get(clientId);
+    if (!state) return;
+
+    this.clients.delete(clientId);
+
+    for (const code of state.keys) {
+      this.dispatch(entities, clientId, { type: 'keyup', code });
+    }
+    for (const button of state.buttons) {
+      this.dispatch(entities, clientId, { type: 'mouseup', button });
+    }
+  }
+
+  /**
+   * Dispatch an event to every controller that accepts the client
+   * @param {Entity[]} entities - Controlled entities
+   * @param {string} clientId - Source client
+   * @param {Object} event - Normalized event
+   */
+  dispatch(entities, clientId, event) {
+    for (const entity of entities) {
+      for (const type of this.controllerTypes) {
+        const controller = entity.getComponent(type);
+        if (!controller || !controller.isEnabled() || !this.acceptsClient(controller, clientId)) {
+          continue;
+        }
+
+        this.dispatchToController(controller, clientId, event);
+      }
+    }
+  }
+
+  /**
+   * Invoke the matching handler on a controller
+   * @param {Component} controller - Controller component
+   * @param {string} clientId - Source client
+   * @param {Object} event - Normalized event
+   */
+  dispatchToController(controller, clientId, event) {
+    const syntheticEvent = {
+      code: event.code,
+      button: event.button,
+      clientX: event.x,
+      clientY: event.y,
+      deltaY: event.deltaY,
+      clientId
+    };
+
+    switch (event.type) {
+      case 'keydown':
+        controller.handleKeyDown(syntheticEvent);
+        break;
+
+      case 'keyup':
+        // Another client sharing this controller may still hold the key
+        if (!this.isHeldByOtherClient(controller, clientId, 'keys', event.code)) {
+          controller.handleKeyUp(syntheticEvent);
+        }
+        break;
+
+      case 'mousedown':
+        if (typeof controller.handleMouseDown === 'function') {
+          controller.handleMouseDown(syntheticEvent);
+        }
+        break;
+
+      case 'mouseup':
+        if (typeof controller.handleMouseUp === 'function' &&
+            !this.isHeldByOtherClient(controller, clientId, 'buttons', event.button)) {
+          controller.handleMouseUp(syntheticEvent);
+        }
+        break;
+
+      case 'mousemove':
+        if (typeof controller.handleMouseMove === 'function') {
+          controller.handleMouseMove(syntheticEvent);
+        }
+        break;
+
+      case 'wheel':
+        if (typeof controller.handleWheel === 'function') {
+          controller.handleWheel(syntheticEvent);
+        }
+        break;
+    }
+  }
+
+  /**
+   * Check whether a controller takes input from a client
+   * @param {Component} controller - Controller component
+   * @param {string} clientId - Client ID
+   * @returns {boolean} - True if the controller accepts the client
+   */
+  acceptsClient(controller, clientId) {
+    return !controller.clientId || controller.clientId === clientId;
+  }
+
+  /**
+   * Check whether another client feeding the same controller still holds a key/button
+   * @param {Component} controller - Controller component
+   * @param {string} clientId - Client releasing the input
+   * @param {string} field - 'keys' or 'buttons'
+   * @param {string|number} value - Key code or button
+   * @returns {boolean} - True if still held elsewhere
+   */
+  isHeldByOtherClient(controller, clientId, field, value) {
+    for (const [otherId, state] of this.clients) {
+      if (otherId !== clientId && this.acceptsClient(controller, otherId) && state[field].has(value)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Get (or create) the state tracked for a client
+   * @param {string} clientId - Client ID
+   * @returns {Object} - Client input state
+   */
+  getClientState(clientId) {
+    if (!this.clients.has(clientId)) {
+      this.clients.set(clientId, {
+        keys: new Set(),
+        buttons: new Set(),
+        mouse: { x: 0, y: 0 }
+      });
+    }
+    return this.clients.get(clientId);
+  }
+
+  /**
+   * Get current input state for a client
+   * @param {string} clientId - Client ID
+   * @returns {Object|null} - Serializable input state or null
+   */
+  getClientInput(clientId) {
+    const state = this.clients.get(clientId);
+    if (!state) return null;
+
+    return {
+      keys: Array.from(state.keys),
+      buttons: Array.from(state.buttons),
+      mouse: { ...state.mouse }
+    };
+  }
+
+  onDestroy() {
+    this.clients.clear();
+    this.inputQueues.clear();
+  }
+
+  getInfo() {
+    return {
+      ...super.getInfo(),
+      clients: this.clients.size,
+      queuedEvents: Array.from(this.inputQueues.values()).reduce((sum, queue) => sum + queue.length, 0)
+    };
+  }
+}
@@ -2,18 +2,21 @@ import { System } from '../System.js';
 
 /**
  * MovementSystem - Processes entities with movement and transform components
- * Handles physics-based movement, velocity, and position updates
+ * Handles physics-based movement, velocity, and position updates. It integrates
+ * MovementComponents itself and never calls MovementComponent.update as well,
+ * which would apply forces, friction and velocity a second time each frame.
  */
 export class MovementSystem extends System {
-  constructor() {
+  constructor(options = {}) {
     super('MovementSystem');
     this.priority = 10; // Run after input but before rendering
     this.requiredComponents = ['TransformComponent', 'MovementComponent'];
+    this.updatesComponents = ['MovementComponent']; // Integrates movement itself
     
     // System configuration
     this.gravity = { x: 0, y: 980 }; // pixels/second²
     this.terminalVelocity = 1000; // pixels/second
-    this.enableGravity = true;
+    this.enableGravity = options.gravity !== false; // Side-on worlds fall; top-down worlds pass { gravity: false }
   }
 
   /**
@@ -78,9 +81,6 @@ export class MovementSystem extends System {
 
     // Reset per-frame forces and acceleration
     this.resetFrameForces(movement);
-
-    // Update movement component
-    movement.update(deltaTime * 1000); // Convert back to milliseconds
   }
 
   /**
@@ -0,0 +1,314 @@
+import Matter from 'matter-js';
+import { System } from '../System.js';
+
+/**
+ * PhysicsSystem - Owns the Matter.js world and drives PhysicsComponents
+ * Creates bodies for new components, steps the world at a fixed rate, syncs
+ * body positions back to transforms and dispatches collision callbacks
+ */
+export class PhysicsSystem extends System {
+  constructor(options = {}) {
+    super('PhysicsSystem');
+    this.priority = 12; // Run after movement so external moves are picked up this frame
+    this.requiredComponents = ['PhysicsComponent', 'TransformComponent'];
+    this.updatesComponents = ['PhysicsComponent']; // Syncs bodies itself
+
+    // Matter.js engine and world
+    this.engine = Matter.Engine.create({
+      enableSleeping: options.enableSleeping || false
+    });
+    this.world = this.engine.world;
+
+    const gravity = options.gravity || { x: 0, y: 1 };
+    this.engine.gravity.x = gravity.x;
+    this.engine.gravity.y = gravity.y;
+
+    // Fixed timestep (Matter.js is unstable with large or variable steps)
+    this.fixedTimeStep = options.fixedTimeStep || 1000 / 60; // milliseconds
+    this.maxSubSteps = options.maxSubSteps || 5;
+    this.accumulator = 0;
+
+    // Bodies owned by this system
+    this.bodies = new Map(); // entityId -> Matter.Body
+
+    this.setupEvents();
+  }
+
+  initialize(entityManager) {
+    super.initialize(entityManager);
+    console.log('🧲 PhysicsSystem initialized');
+  }
+
+  /**
+   * Register Matter.js event handlers
+   */
+  setupEvents() {
+    // Cancel world gravity for kinematic bodies and bodies that opt out of it
+    Matter.Events.on(this.engine, 'beforeUpdate', () => {
+      const gravity = this.engine.gravity;
+
+      for (const body of this.bodies.values()) {
+        const component = body.component;
+        if (!component || body.isStatic || body.isSleeping) continue;
+        if (component.affectedByGravity && component.bodyType !== 'kinematic') continue;
+
+        body.force.x -= body.mass * gravity.x * gravity.scale;
+        body.force.y -= body.mass * gravity.y * gravity.scale;
+      }
+    });
+
+    Matter.Events.on(this.engine, 'collisionStart', (event) => {
+      this.dispatchCollisions(event.pairs, 'handleCollisionStart');
+    });
+
+    Matter.Events.on(this.engine, 'collisionActive', (event) => {
+      this.dispatchCollisions(event.pairs, 'handleCollisionActive');
+    });
+
+    Matter.Events.on(this.engine, 'collisionEnd', (event) => {
+      this.dispatchCollisions(event.pairs, 'handleCollisionEnd');
+    });
+  }
+
+  /**
+   * Forward collision pairs to both components involved
+   * @param {Object[]} pairs - Matter.js collision pairs
+   * @param {string} handler - PhysicsComponent handler name
+   */
+  dispatchCollisions(pairs, handler) {
+    for (const pair of pairs) {
+      // Compound bodies report their parts; callbacks go to the parent body
+      const bodyA = pair.bodyA.parent || pair.bodyA;
+      const bodyB = pair.bodyB.parent || pair.bodyB;
+
+      if (bodyA.component) {
+        bodyA.component[handler](bodyB);
+      }
+      if (bodyB.component) {
+        bodyB.component[handler](bodyA);
+      }
+    }
+  }
+
+  /**
+   * Create bodies, step the world and sync transforms
+   * @param {Entity[]} entities - Entities with physics and transform components
+   * @param {number} deltaTime - Time elapsed since last frame in milliseconds
+   */
+  process(entities, deltaTime) {
+    this.removeStaleBodies(entities);
+
+    for (const entity of entities) {
+      const physics = entity.getComponent('PhysicsComponent');
+      const transform = entity.getComponent('TransformComponent');
+
+      if (!physics.isInitialized) {
+        this.createBody(entity, physics, transform);
+      } else {
+        this.syncBodyFromTransform(physics, transform);
+      }
+    }
+
+    this.step(deltaTime);
+
+    for (const entity of entities) {
+      const physics = entity.getComponent('PhysicsComponent');
+      if (physics.isEnabled()) {
+        physics.syncWithTransform();
+      }
+    }
+  }
+
+  /**
+   * Advance the world in fixed steps
+   * @param {number} deltaTime - Time elapsed since last frame in milliseconds
+   */
+  step(deltaTime) {
+    this.accumulator += deltaTime;
+
+    let steps = 0;
+    while (this.accumulator >= this.fixedTimeStep && steps < this.maxSubSteps) {
+      Matter.Engine.update(this.engine, this.fixedTimeStep);
+      this.accumulator -= this.fixedTimeStep;
+      steps++;
+    }
+
+    // Drop time we couldn't catch up on rather than spiralling
+    if (steps === this.maxSubSteps) {
+      this.accumulator = 0;
+    }
+  }
+
+  /**
+   * Create a Matter.js body from a PhysicsComponent and add it to the world
+   * @param {Entity} entity - Owning entity
+   * @param {PhysicsComponent} physics - Physics component
+   * @param {TransformComponent} transform - Transform component
+   * @returns {Matter.Body} - The created body
+   */
+  createBody(entity, physics, transform) {
+    // Bodies live in world space, so children of moved parents start where they are drawn
+    const { x, y } = transform.getWorldPosition();
+    const angle = transform.getWorldRotation();
+    const bodyOptions = {
+      label: entity.id,
+      angle,
+      density: physics.density,
+      friction: physics.friction,
+      frictionAir: physics.frictionAir,
+      restitution: physics.restitution,
+      isSensor: physics.isSensor,
+      isStatic: physics.bodyType === 'static',
+      collisionFilter: { ...physics.collisionFilter }
+    };
+
+    let body;
+    switch (physics.shape) {
+      case 'circle':
+        body = Matter.Bodies.circle(x, y, physics.radius, bodyOptions);
+        break;
+      case 'polygon':
+        body = physics.vertices
+          ? Matter.Bodies.fromVertices(x, y, [physics.vertices], bodyOptions)
+          : Matter.Bodies.polygon(x, y, physics.sides, physics.radius, bodyOptions);
+        break;
+      default:
+        body = Matter.Bodies.rectangle(x, y, physics.width, physics.height, bodyOptions);
+    }
+
+    // Lets PhysicsComponent.onDetach remove the body itself
+    body.world = this.world;
+
+    // Sleeping is opt-in on the engine and opt-out per body
+    if (!physics.canSleep) {
+      body.sleepThreshold = Infinity;
+    }
+
+    Matter.Composite.add(this.world, body);
+    physics.initializeBody(body);
+    physics.previousPosition = { x, y };
+    physics.previousAngle = angle;
+
+    this.bodies.set(entity.id, body);
+    return body;
+  }
+
+  /**
+   * Move a body to its transform when something else moved the entity
+   * (MovementSystem, generated code, etc.). Kinematic bodies always follow.
+   * @param {PhysicsComponent} physics - Physics component
+   * @param {TransformComponent} transform - Transform component
+   */
+  syncBodyFromTransform(physics, transform) {
+    const { x, y } = transform.getWorldPosition();
+    const moved = Math.abs(x - physics.previousPosition.x) > 0.001 ||
+      Math.abs(y - physics.previousPosition.y) > 0.001;
+
+    if (moved || physics.bodyType === 'kinematic') {
+      physics.setPosition(x, y);
+      physics.previousPosition = { x, y };
+
+      if (physics.bodyType === 'kinematic') {
+        physics.setVelocity(0, 0);
+      }
+    }
+
+    const angle = transform.getWorldRotation();
+    if (Math.abs(angle - physics.previousAngle) > 0.001) {
+      physics.setRotation(angle);
+      physics.previousAngle = angle;
+    }
+  }
+
+  /**
+   * Remove bodies whose entity or component is gone
+   * @param {Entity[]} entities - Entities currently processed
+   */
+  removeStaleBodies(entities) {
+    const live = new Set();
+    for (const entity of entities) {
+      live.add(entity.id);
+    }
+
+    for (const [entityId, body] of this.bodies) {
+      const component = body.component;
+      if (live.has(entityId) && component && component.body === body) {
+        continue;
+      }
+
+      Matter.Composite.remove(this.world, body);
+      this.bodies.delete(entityId);
+    }
+  }
+
+  /**
+   * Set world gravity
+   * @param {number} x - Horizontal gravity
+   * @param {number} y - Vertical gravity
+   */
+  setGravity(x, y) {
+    this.engine.gravity.x = x;
+    this.engine.gravity.y = y;
+  }
+
+  /**
+   * Get current system configuration
+   * @returns {Object} - Configuration object
+   */
+  getConfiguration() {
+    return {
+      gravity: { x: this.engine.gravity.x, y: this.engine.gravity.y },
+      fixedTimeStep: this.fixedTimeStep,
+      maxSubSteps: this.maxSubSteps
+    };
+  }
+
+  /**
+   * Apply configuration to system
+   * @param {Object} config - Configuration object
+   */
+  applyConfiguration(config) {
+    if (config.gravity) {
+      this.setGravity(config.gravity.x, config.gravity.y);
+    }
+
+    if (config.fixedTimeStep !== undefined) {
+      this.fixedTimeStep = config.fixedTimeStep;
+    }
+
+    if (config.maxSubSteps !== undefined) {
+      this.maxSubSteps = config.maxSubSteps;
+    }
+  }
+
+  /**
+   * Get the body for an entity
+   * @param {string} entityId - Entity ID
+   * @returns {Matter.Body|null} - The body or null
+   */
+  getBody(entityId) {
+    return this.bodies.get(entityId) || null;
+  }
+
+  onDestroy() {
+    for (const body of this.bodies.values()) {
+      if (body.component) {
+        body.component.onDetach();
+      }
+    }
+
+    Matter.Events.off(this.engine);
+    Matter.Composite.clear(this.world, false);
+    Matter.Engine.clear(this.engine);
+    this.bodies.clear();
+    this.accumulator = 0;
+  }
+
+  getInfo() {
+    return {
+      ...super.getInfo(),
+      bodies: this.bodies.size,
+      gravity: { x: this.engine.gravity.x, y: this.engine.gravity.y }
+    };
+  }
+}
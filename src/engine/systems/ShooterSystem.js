@@ -1,43 +1,83 @@
 import { System } from '../System.js';
-import { TransformComponent } from '../components/TransformComponent.js';
-import { RenderComponent } from '../components/RenderComponent.js';
-import { MovementComponent } from '../components/MovementComponent.js';
+import { GameEvents } from '../EventBus.js';
 
 /**
  * ShooterSystem - Handles shooting mechanics and bullet management
+ * Bullets belong to a team (the shooter's team, or the first of the owner's
+ * tags that has a hit rule). Hit rules map a team to the tags it damages, so
+ * the default { player: ['enemy'], enemy: ['player'] } keeps enemies from
+ * shooting each other. A team's "<team>-bullet" prefab is used when it exists.
  */
 export class ShooterSystem extends System {
-  constructor() {
+  constructor(options = {}) {
     super('ShooterSystem');
     this.requiredComponents = ['ShooterControllerComponent', 'TransformComponent'];
+    this.updatesComponents = ['ShooterControllerComponent'];
     this.priority = 15;
     
     // Bullet management
     this.bullets = new Map(); // bulletId -> bullet data
     this.nextBulletId = 1;
+    this.nextEffectId = 1;
     this.maxBullets = 50; // Limit total bullets
+    this.hitRules = { player: ['enemy'], enemy: ['player'], ...options.hitRules }; // team -> tags it hits
+    this.defaultTeam = options.defaultTeam || 'player'; // For owners without a team tag
+    this.bounds = { minX: 0, minY: 0, maxX: 800, maxY: 600, ...options.bounds }; // Arena; bullets bounce off or leave it
+    // Spatial query margin around a bullet: hits use a circle of half the target's longer side,
+    // which reaches past its bounds by up to half the difference between its sides
+    this.collisionSearchRadius = 64;
     this.bulletsUpdatedThisFrame = false; // Prevent multiple bullet updates per frame
-    
-    // Listen for bullet creation events
-    if (typeof window !== 'undefined') {
-      window.addEventListener('shooterCreateBullet', this.handleBulletCreation.bind(this));
-    }
+    this.unsubscribeShots = null; // Set while subscribed to shooter:fired
+    this.unsubscribeCollisions = null; // Set while subscribed to collision:enter
+    this.timers = []; // Delayed effect callbacks on simulation time, so replays match
   }
 
   initialize(entityManager) {
     super.initialize(entityManager);
+
+    // Listen for shots fired by ShooterControllerComponents (or generated code)
+    if (this.unsubscribeShots) {
+      this.unsubscribeShots();
+    }
+    const eventBus = this.getEventBus();
+    this.unsubscribeShots = eventBus
+      ? eventBus.on(GameEvents.SHOT_FIRED, this.handleBulletCreation.bind(this))
+      : null;
+
+    // Bullets hit targets that have colliders through the CollisionSystem
+    if (this.unsubscribeCollisions) {
+      this.unsubscribeCollisions();
+    }
+    this.unsubscribeCollisions = eventBus
+      ? eventBus.on(GameEvents.COLLISION_ENTER, this.handleCollision.bind(this))
+      : null;
+
     console.log('🔫 ShooterSystem initialized');
   }
 
   update(deltaTime) {
     // Reset bullet update flag for this frame
     this.bulletsUpdatedThisFrame = false;
+    this.runTimers();
     
     // Call parent update which processes all relevant entities
     super.update(deltaTime);
   }
 
-  process(entity, deltaTime) {
+  process(entities, deltaTime) {
+    for (const entity of entities) {
+      this.processShooter(entity, deltaTime);
+    }
+
+    // Update bullets (only do this once per frame, not per entity)
+    if (!this.bulletsUpdatedThisFrame) {
+      this.updateBullets(deltaTime);
+      this.cleanupBullets();
+      this.bulletsUpdatedThisFrame = true;
+    }
+  }
+
+  processShooter(entity, deltaTime) {
     // Safety check: ensure entity has getComponent method
     if (!entity || typeof entity.getComponent !== 'function') {
       console.warn('ShooterSystem: Invalid entity received', entity);
@@ -58,17 +98,10 @@ export class ShooterSystem extends System {
     } catch (error) {
       console.warn('Error updating shooter component:', error);
     }
-    
-    // Update bullets (only do this once per frame, not per entity)
-    if (!this.bulletsUpdatedThisFrame) {
-      this.updateBullets(deltaTime);
-      this.cleanupBullets();
-      this.bulletsUpdatedThisFrame = true;
-    }
   }
 
-  handleBulletCreation(event) {
-    const bulletData = event.detail;
+  handleBulletCreation(bulletData) {
+    if (!this.entityManager) return;
     this.createBullet(bulletData);
   }
 
@@ -81,46 +114,41 @@ export class ShooterSystem extends System {
     }
 
     const bulletId = `bullet_${this.nextBulletId++}`;
-    
-    // Create bullet entity
-    const bullet = this.entityManager.createEntity(bulletId);
-    
-    // Add Transform component
-    const transform = new TransformComponent(
-      bulletData.position.x,
-      bulletData.position.y,
-      bulletData.rotation
-    );
-    bullet.addComponent(transform);
-    
-    // Add Render component (small yellow circle)
-    const render = new RenderComponent({
-      color: '#FFD700',
-      shape: 'circle',
-      width: 4,
-      height: 4,
-      visible: true
-    });
-    bullet.addComponent(render);
-    
-    // Add Movement component
-    const movement = new MovementComponent({
-      maxSpeed: Math.sqrt(bulletData.velocity.x ** 2 + bulletData.velocity.y ** 2)
+    const speed = Math.sqrt(bulletData.velocity.x ** 2 + bulletData.velocity.y ** 2);
+    const team = bulletData.team || this.getTeam(this.entityManager.getEntity(bulletData.owner));
+
+    // Create bullet entity from the team's bullet prefab
+    const bullet = this.entityManager.spawnPrefab(this.getBulletPrefab(team), {
+      id: bulletId,
+      x: bulletData.position.x,
+      y: bulletData.position.y,
+      rotation: bulletData.rotation,
+      components: {
+        MovementComponent: {
+          maxSpeed: speed,
+          velocity: { x: bulletData.velocity.x, y: bulletData.velocity.y }
+        }
+      }
     });
-    movement.setVelocity(bulletData.velocity.x, bulletData.velocity.y);
-    bullet.addComponent(movement);
     
     // Add bullet to our tracking
     this.bullets.set(bulletId, {
       id: bulletId,
       entity: bullet,
-      createdTime: Date.now(),
+      createdTime: this.getTime(),
       owner: bulletData.owner,
-      damage: 10
+      damage: bulletData.damage ?? 10,
+      team,
+      pierce: bulletData.pierce || 0,
+      bounces: bulletData.bounces || 0,
+      lifetime: bulletData.lifetime ?? 5000,
+      range: bulletData.range ?? null,
+      distance: 0, // Travelled so far
+      lastPosition: { x: bulletData.position.x, y: bulletData.position.y },
+      hits: [] // Target IDs, so piercing bullets hit each target once
     });
     
-    bullet.addTag('bullet');
-    
+    this.getEventBus()?.emit(GameEvents.BULLET_CREATED, { bulletId, owner: bulletData.owner, team });
     console.log(`🔫 Created bullet ${bulletId} from ${bulletData.owner}`);
   }
 
@@ -134,97 +162,231 @@ export class ShooterSystem extends System {
         continue;
       }
       
-      // Check bounds (remove bullets that go off screen)
+      // Range: how far the bullet has travelled (bounces included)
       const x = transform.position.x;
       const y = transform.position.y;
-      const bounds = 1000; // Screen bounds
-      
-      if (Math.abs(x) > bounds || Math.abs(y) > bounds) {
+      bulletData.distance += Math.sqrt((x - bulletData.lastPosition.x) ** 2 + (y - bulletData.lastPosition.y) ** 2);
+      bulletData.lastPosition = { x, y };
+      if (bulletData.range !== null && bulletData.distance > bulletData.range) {
+        this.destroyBullet(bulletId);
+        continue;
+      }
+
+      // Bounce off the arena edges, or leave it
+      if (!this.keepInBounds(bulletData, transform)) {
         this.destroyBullet(bulletId);
         continue;
       }
       
-      // Check collision with enemies
+      // Check collision with targets
       this.checkBulletCollisions(bulletData);
     }
   }
 
+  /**
+   * Bounce a bullet that left the arena back in, if it has bounces left
+   * @param {Object} bulletData - Tracked bullet
+   * @param {TransformComponent} transform - Bullet transform
+   * @returns {boolean} - False if the bullet left the arena for good
+   */
+  keepInBounds(bulletData, transform) {
+    const { minX, minY, maxX, maxY } = this.bounds;
+    const { x, y } = transform.position;
+    const outX = x < minX || x > maxX;
+    const outY = y < minY || y > maxY;
+    if (!outX && !outY) return true;
+    if (bulletData.bounces <= 0) return false;
+
+    const movement = bulletData.entity.getComponent('MovementComponent');
+    if (!movement) return false;
+
+    bulletData.bounces--;
+    if (outX) movement.velocity.x = -movement.velocity.x;
+    if (outY) movement.velocity.y = -movement.velocity.y;
+    transform.setPosition(Math.min(Math.max(x, minX), maxX), Math.min(Math.max(y, minY), maxY));
+    transform.setRotation(Math.atan2(movement.velocity.y, movement.velocity.x));
+    bulletData.lastPosition = { ...transform.position };
+    return true;
+  }
+
   checkBulletCollisions(bulletData) {
     const bulletTransform = bulletData.entity.getComponent('TransformComponent');
     if (!bulletTransform) return;
+
+    // Only targets near the bullet when the spatial index is installed, else every target
+    const { x, y } = bulletTransform.getWorldPosition();
+    const spatialIndex = this.gameEngine?.getSystem('SpatialIndexSystem');
+    const useIndex = spatialIndex && spatialIndex.enabled;
+    const targets = (this.hitRules[bulletData.team] || []).flatMap(tag => useIndex
+      ? spatialIndex.queryRadius(x, y, this.collisionSearchRadius, { tag })
+      : this.entityManager.getEntitiesByTag(tag));
+
+    // Collider pairs are reported by the CollisionSystem (see handleCollision)
+    const usesColliders = this.usesCollisionSystem(bulletData.entity);
     
-    // Get all entities with the 'enemy' tag
-    const enemies = this.entityManager.getEntitiesByTag('enemy');
-    
-    for (const enemy of enemies) {
-      if (enemy.id === bulletData.owner) continue; // Don't hit owner
+    for (const target of targets) {
+      if (!this.canHit(bulletData, target)) continue;
+      if (usesColliders && target.hasComponent('ColliderComponent')) continue;
       
-      const enemyTransform = enemy.getComponent('TransformComponent');
-      const enemyRender = enemy.getComponent('RenderComponent');
+      const targetTransform = target.getComponent('TransformComponent');
+      const targetRender = target.getComponent('RenderComponent');
       
-      if (!enemyTransform || !enemyRender) continue;
+      if (!targetTransform || !targetRender) continue;
       
-      // Simple collision detection (distance-based)
-      const dx = bulletTransform.position.x - enemyTransform.position.x;
-      const dy = bulletTransform.position.y - enemyTransform.position.y;
+      // Simple collision detection (distance-based, in world space for targets in formations)
+      const targetPosition = targetTransform.getWorldPosition();
+      const dx = x - targetPosition.x;
+      const dy = y - targetPosition.y;
       const distance = Math.sqrt(dx * dx + dy * dy);
-      const collisionRadius = Math.max(enemyRender.width, enemyRender.height) / 2;
+      const collisionRadius = Math.max(targetRender.width, targetRender.height) / 2;
       
       if (distance < collisionRadius) {
         // Hit! 
-        this.handleBulletHit(bulletData, enemy);
-        return; // Bullet is destroyed, no need to check more
+        this.handleBulletHit(bulletData, target);
+        if (!this.bullets.has(bulletData.id)) return; // Bullet is destroyed, no need to check more
       }
     }
   }
 
+  /**
+   * Check if a bullet may hit a target: not its owner, not hit before and tagged for the bullet's team
+   * @param {Object} bulletData - Tracked bullet
+   * @param {Entity} target - Possible target
+   * @returns {boolean} - True if it can be hit
+   */
+  canHit(bulletData, target) {
+    if (target.id === bulletData.owner || bulletData.hits.includes(target.id)) return false;
+    return (this.hitRules[bulletData.team] || []).some(tag => target.hasTag(tag));
+  }
+
+  /**
+   * Get an entity's team: the first of its tags that has a hit rule
+   * @param {Entity} entity - Entity (null for the default team)
+   * @returns {string} - Team name
+   */
+  getTeam(entity) {
+    const tags = entity ? Array.from(entity.tags) : [];
+    return tags.find(tag => this.hitRules[tag]) || this.defaultTeam;
+  }
+
+  /**
+   * Get the prefab for a team's bullets ("<team>-bullet" if registered, else "bullet")
+   * @param {string} team - Team name
+   * @returns {string} - Prefab name
+   */
+  getBulletPrefab(team) {
+    const prefab = `${team}-bullet`;
+    return this.entityManager.prefabRegistry?.has(prefab) ? prefab : 'bullet';
+  }
+
+  /**
+   * Set which tags a team's bullets hit (an empty list makes them harmless)
+   * @param {string} team - Team name
+   * @param {string[]} tags - Tags it damages
+   */
+  setHitRule(team, tags) {
+    if (typeof team !== 'string' || !Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+      throw new Error('A hit rule needs a team name and an array of tags');
+    }
+    this.hitRules[team] = [...tags];
+  }
+
+  /**
+   * Check if the CollisionSystem detects hits for a bullet
+   * @param {Entity} bullet - Bullet entity
+   * @returns {boolean} - True if the bullet has a collider and the system is running
+   */
+  usesCollisionSystem(bullet) {
+    const collisions = this.gameEngine?.getSystem('CollisionSystem');
+    return Boolean(collisions && collisions.enabled && bullet.hasComponent('ColliderComponent'));
+  }
+
+  /**
+   * Turn a collision between one of our bullets and a target into a hit
+   * @param {Object} collision - collision:enter payload { entityA, entityB }
+   */
+  handleCollision(collision) {
+    const bulletId = this.bullets.has(collision.entityA) ? collision.entityA : collision.entityB;
+    const bulletData = this.bullets.get(bulletId);
+    if (!bulletData || !this.entityManager || !this.usesCollisionSystem(bulletData.entity)) return;
+
+    const target = this.entityManager.getEntity(bulletId === collision.entityA ? collision.entityB : collision.entityA);
+    if (!target || !this.canHit(bulletData, target)) return;
+
+    this.handleBulletHit(bulletData, target);
+  }
+
   handleBulletHit(bulletData, target) {
     console.log(`💥 Bullet ${bulletData.id} hit ${target.id}!`);
     
-    // Destroy bullet
-    this.destroyBullet(bulletData.id);
+    const targetPosition = target.getComponent('TransformComponent').getWorldPosition();
+    this.getEventBus()?.emit(GameEvents.BULLET_HIT, {
+      bulletId: bulletData.id,
+      owner: bulletData.owner,
+      team: bulletData.team,
+      targetId: target.id,
+      position: { ...targetPosition }
+    }, { deferred: true });
+    
+    // Destroy bullet once it has pierced as many targets as it can
+    bulletData.hits.push(target.id);
+    if (bulletData.hits.length > bulletData.pierce) {
+      this.destroyBullet(bulletData.id);
+    }
     
-    // Damage target (for now, just change color to show hit)
+    // Damage target (targets without a HealthComponent only flash)
+    this.gameEngine?.getSystem('HealthSystem')?.damage(target, bulletData.damage, { source: bulletData.owner, type: 'bullet' });
+
+    // Flash white to show the hit
     const render = target.getComponent('RenderComponent');
     if (render) {
       const originalColor = render.color;
       render.setColor('#FFFFFF'); // Flash white
       
       // Restore color after a short time
-      setTimeout(() => {
+      this.schedule(100, () => {
         if (render && render.entity) {
           render.setColor(originalColor);
         }
-      }, 100);
+      });
     }
     
     // Create hit effect
-    this.createHitEffect(target.getComponent('TransformComponent').position);
+    this.createHitEffect(targetPosition);
   }
 
   createHitEffect(position) {
     // Create a small explosion effect
-    const effectId = `effect_${Date.now()}`;
-    const effect = this.entityManager.createEntity(effectId);
-    
-    const transform = new TransformComponent(position.x, position.y);
-    effect.addComponent(transform);
-    
-    const render = new RenderComponent({
-      color: '#FF6B6B',
-      shape: 'circle',
-      width: 16,
-      height: 16,
-      opacity: 0.8
-    });
-    effect.addComponent(render);
-    
-    effect.addTag('effect');
+    const effectId = `effect_${this.nextEffectId++}`;
+    this.entityManager.spawnPrefab('hit-effect', { id: effectId, x: position.x, y: position.y });
     
     // Remove effect after a short time
-    setTimeout(() => {
+    this.schedule(200, () => {
       this.entityManager.destroyEntity(effectId);
-    }, 200);
+    });
+  }
+
+  /**
+   * Run a callback after a delay in simulation time
+   * @param {number} delay - Delay in milliseconds
+   * @param {Function} callback - Callback to run
+   */
+  schedule(delay, callback) {
+    this.timers.push({ time: this.getTime() + delay, callback });
+  }
+
+  /**
+   * Run scheduled callbacks that are due
+   */
+  runTimers() {
+    if (this.timers.length === 0) return;
+
+    const currentTime = this.getTime();
+    const due = this.timers.filter(timer => timer.time <= currentTime);
+    this.timers = this.timers.filter(timer => timer.time > currentTime);
+    for (const timer of due) {
+      timer.callback();
+    }
   }
 
   destroyBullet(bulletId) {
@@ -236,17 +398,25 @@ export class ShooterSystem extends System {
   }
 
   cleanupBullets() {
-    const currentTime = Date.now();
-    const maxBulletLifetime = 5000; // 5 seconds
+    const currentTime = this.getTime();
     
     for (const [bulletId, bulletData] of this.bullets.entries()) {
-      if (currentTime - bulletData.createdTime > maxBulletLifetime) {
+      if (currentTime - bulletData.createdTime > bulletData.lifetime) {
         this.destroyBullet(bulletId);
       }
     }
   }
 
-
+  onDestroy() {
+    if (this.unsubscribeShots) {
+      this.unsubscribeShots();
+      this.unsubscribeShots = null;
+    }
+    if (this.unsubscribeCollisions) {
+      this.unsubscribeCollisions();
+      this.unsubscribeCollisions = null;
+    }
+  }
 
   getInfo() {
     return {
@@ -255,4 +425,45 @@ export class ShooterSystem extends System {
       maxBullets: this.maxBullets
     };
   }
+
+  /**
+   * Get current configuration (ID counters are included so restored worlds
+   * and replays keep generating the same bullet and effect IDs)
+   * @returns {Object} - Configuration object
+   */
+  getConfiguration() {
+    return {
+      maxBullets: this.maxBullets,
+      hitRules: JSON.parse(JSON.stringify(this.hitRules)),
+      bounds: { ...this.bounds },
+      nextBulletId: this.nextBulletId,
+      nextEffectId: this.nextEffectId
+    };
+  }
+
+  /**
+   * Apply configuration to system
+   * @param {Object} config - Configuration object
+   */
+  applyConfiguration(config) {
+    if (config.maxBullets !== undefined) {
+      this.maxBullets = config.maxBullets;
+    }
+
+    if (config.hitRules) {
+      this.hitRules = JSON.parse(JSON.stringify(config.hitRules));
+    }
+
+    if (config.bounds) {
+      this.bounds = { ...this.bounds, ...config.bounds };
+    }
+
+    if (Number.isInteger(config.nextBulletId)) {
+      this.nextBulletId = config.nextBulletId;
+    }
+
+    if (Number.isInteger(config.nextEffectId)) {
+      this.nextEffectId = config.nextEffectId;
+    }
+  }
 } 
\ No newline at end of file
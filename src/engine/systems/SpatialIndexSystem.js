@@ -0,0 +1,177 @@
+import { System } from '../System.js';
+import { SpatialHash } from '../SpatialHash.js';
+
+/**
+ * SpatialIndexSystem - Keeps a SpatialHash of entity bounds for proximity queries
+ * Entities with a TransformComponent are indexed by their RenderComponent
+ * bounds in world space (or as a point without one). The index is synced
+ * once per frame after movement and physics, so systems that run later in
+ * the frame (e.g. ShooterSystem collisions) see current positions.
+ */
+export class SpatialIndexSystem extends System {
+  constructor(options = {}) {
+    super('SpatialIndexSystem');
+    this.priority = 14; // After movement and physics, before shooter collisions
+    this.requiredComponents = ['TransformComponent'];
+
+    this.hash = new SpatialHash({ cellSize: options.cellSize || 64 });
+    this.syncedTick = null; // Engine tick of the last sync
+    this.unsubscribe = null;
+  }
+
+  /**
+   * Drop entities from the index as soon as they lose their transform or leave the world
+   */
+  onInitialize() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+    }
+    this.hash.clear();
+    this.syncedTick = null;
+
+    const view = this.entityManager.query().all('TransformComponent').view();
+    this.unsubscribe = view.onRemoved(entity => this.hash.remove(entity.id));
+  }
+
+  /**
+   * Sync the index with this frame's positions
+   * @param {Entity[]} entities - Entities with a TransformComponent
+   * @param {number} deltaTime - Time elapsed since last frame
+   */
+  process(entities, deltaTime) {
+    this.sync(entities);
+  }
+
+  /**
+   * Update every entity's bounds in the index
+   * @param {Entity[]} entities - Entities to index (defaults to the relevant entities)
+   */
+  sync(entities = this.getRelevantEntities()) {
+    for (const entity of entities) {
+      this.hash.update(entity.id, this.getEntityBounds(entity));
+    }
+    this.syncedTick = this.gameEngine ? this.gameEngine.tickCount : null;
+  }
+
+  /**
+   * Bring the index up to date for queries made outside the frame (generated
+   * code, a paused engine). While the engine runs this syncs at most once per tick.
+   */
+  refresh() {
+    if (!this.entityManager) return;
+
+    const engine = this.gameEngine;
+    if (engine && engine.running && this.syncedTick === engine.tickCount) return;
+    this.sync();
+  }
+
+  /**
+   * Get the world-space bounds of an entity
+   * @param {Entity} entity - Entity with a TransformComponent
+   * @returns {Object} - { x, y, width, height }
+   */
+  getEntityBounds(entity) {
+    const transform = entity.getComponent('TransformComponent');
+    const render = entity.getComponent('RenderComponent');
+    if (render) {
+      return render.getBounds(transform);
+    }
+
+    const position = transform.getWorldPosition();
+    return { x: position.x, y: position.y, width: 0, height: 0 };
+  }
+
+  /**
+   * Find entities whose bounds overlap a rectangle
+   * @param {Object} rect - { x, y, width, height }
+   * @param {Object} options - { tag, filter(entity) }
+   * @returns {Entity[]} - Matching entities
+   */
+  queryRect(rect, options = {}) {
+    return this.toEntities(this.hash.queryRect(rect, this.createFilter(options)));
+  }
+
+  /**
+   * Find entities whose bounds come within a radius of a point
+   * @param {number} x - Center X
+   * @param {number} y - Center Y
+   * @param {number} radius - Search radius
+   * @param {Object} options - { tag, filter(entity) }
+   * @returns {Entity[]} - Matching entities
+   */
+  queryRadius(x, y, radius, options = {}) {
+    return this.toEntities(this.hash.queryRadius(x, y, radius, this.createFilter(options)));
+  }
+
+  /**
+   * Find the entities closest to a point, nearest first
+   * @param {number} x - Point X
+   * @param {number} y - Point Y
+   * @param {number} count - Maximum number of entities
+   * @param {Object} options - { tag, filter(entity) }
+   * @returns {Entity[]} - Matching entities
+   */
+  nearest(x, y, count = 1, options = {}) {
+    return this.toEntities(this.hash.nearest(x, y, count, this.createFilter(options)).map(hit => hit.key));
+  }
+
+  /**
+   * Cast a ray and find the first entity whose bounds it hits
+   * @param {Object} origin - { x, y }
+   * @param {Object} direction - { x, y }
+   * @param {Object} options - { maxDistance, tag, filter(entity) }
+   * @returns {Object|null} - { entity, distance, point } or null
+   */
+  raycast(origin, direction, options = {}) {
+    const hit = this.hash.raycast(origin, direction, options.maxDistance ?? Infinity, this.createFilter(options));
+    if (!hit) return null;
+
+    return { entity: this.entityManager.getEntity(hit.key), distance: hit.distance, point: hit.point };
+  }
+
+  /**
+   * Build the key filter for a query: only active entities, optionally with a tag and predicate
+   * @param {Object} options - { tag, filter(entity) }
+   * @returns {Function} - (entityId) => boolean
+   */
+  createFilter(options = {}) {
+    return (entityId) => {
+      const entity = this.entityManager?.getEntity(entityId);
+      if (!entity || !entity.isActive()) return false;
+      if (options.tag && !entity.hasTag(options.tag)) return false;
+      return !options.filter || Boolean(options.filter(entity));
+    };
+  }
+
+  /**
+   * Map entity IDs to entities
+   * @param {string[]} entityIds - IDs from the hash
+   * @returns {Entity[]} - Entities
+   */
+  toEntities(entityIds) {
+    return entityIds.map(id => this.entityManager.getEntity(id));
+  }
+
+  /**
+   * Get index statistics
+   * @returns {Object} - { entities, cells, cellSize }
+   */
+  getStats() {
+    return {
+      entities: this.hash.size,
+      cells: this.hash.cells.size,
+      cellSize: this.hash.cellSize
+    };
+  }
+
+  /**
+   * Stop listening to entity removals
+   */
+  onDestroy() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    this.hash.clear();
+  }
+}
@@ -1,8 +1,10 @@
-import { VM } from 'vm2';
+import { Sandbox } from './Sandbox.js';
 
 /**
  * CodeExecutor - Secure sandbox for executing LLM-generated code
- * Provides isolation, resource limits, and safety constraints
+ * Code runs in a separate V8 isolate (see Sandbox) with its own memory limit
+ * and a timeout; the context may only hold plain data and host functions,
+ * which the sandbox calls through a bridge that copies data across.
  */
 export class CodeExecutor {
   constructor(options = {}) {
@@ -19,15 +21,9 @@ export class CodeExecutor {
     this.executionCount = 0;
     this.totalExecutionTime = 0;
     this.errorCount = 0;
-    
-    // Create base VM configuration
-    this.vmOptions = {
-      timeout: this.timeout,
-      eval: this.allowEval,
-      wasm: false,
-      fixAsync: this.allowAsync,
-      sandbox: {}
-    };
+
+    // Long-lived sandboxes for compiled functions, one per context
+    this.sandboxes = new WeakMap(); // context -> Sandbox
   }
 
   /**
@@ -40,17 +36,18 @@ export class CodeExecutor {
   async execute(code, context = {}, options = {}) {
     const startTime = Date.now();
     this.executionCount++;
+    let sandbox = null;
 
     try {
       // Validate inputs
       this.validateCode(code);
       this.validateContext(context);
       
-      // Create VM instance
-      const vm = this.createVM(context, options);
+      // Fresh isolate for every execution
+      sandbox = this.createSandbox(context, options);
       
       // Execute code
-      const result = await this.executeInVM(vm, code, options);
+      const result = await this.executeInSandbox(sandbox, code, options);
       
       // Track success
       const executionTime = Date.now() - startTime;
@@ -60,7 +57,7 @@ export class CodeExecutor {
         success: true,
         result: result,
         executionTime: executionTime,
-        memoryUsed: this.estimateMemoryUsage(),
+        memoryUsed: sandbox.getHeapUsed(),
         vmStats: this.getVMStats()
       };
 
@@ -76,6 +73,45 @@ export class CodeExecutor {
         },
         executionTime: Date.now() - startTime
       };
+    } finally {
+      sandbox?.dispose();
+    }
+  }
+
+  /**
+   * Compile a function into a reusable sandboxed callable
+   * Functions compiled with the same context share one isolate, so repeated
+   * calls (e.g. every frame) skip sandbox setup but each call still runs
+   * under the timeout
+   * @param {string} source - Function source, e.g. "function (entity) { ... }"
+   * @param {Object} context - Execution context/sandbox
+   * @param {Object} options - Execution options (timeout)
+   * @returns {Function} - Host function that calls the sandboxed function with its arguments
+   */
+  compileFunction(source, context = {}, options = {}) {
+    this.validateCode(source);
+    this.validateContext(context);
+
+    let sandbox = this.sandboxes.get(context);
+    if (!sandbox) {
+      sandbox = this.createSandbox(context, options);
+      this.sandboxes.set(context, sandbox);
+    }
+
+    const index = sandbox.compile(source);
+    const timeout = options.timeout || this.timeout;
+    return (...args) => sandbox.call(index, args, { timeout });
+  }
+
+  /**
+   * Release the isolate behind functions compiled with a context
+   * @param {Object} context - Context passed to compileFunction
+   */
+  releaseContext(context) {
+    const sandbox = context && this.sandboxes.get(context);
+    if (sandbox) {
+      sandbox.dispose();
+      this.sandboxes.delete(context);
     }
   }
 
@@ -132,6 +168,8 @@ export class CodeExecutor {
 
   /**
    * Validate execution context
+   * Only plain data and functions are allowed: functions are called through
+   * the sandbox bridge, anything else would hand a host object to generated code
    * @param {Object} context - Execution context
    */
   validateContext(context) {
@@ -155,181 +193,84 @@ export class CodeExecutor {
         throw new Error(`Invalid context key: ${key}`);
       }
 
-      // Check for dangerous values
-      if (typeof value === 'function' && !this.isSafeFunction(value)) {
-        throw new Error(`Unsafe function in context: ${key}`);
-      }
+      // Host objects (entities, systems, ...) must not be handed to the sandbox
+      this.validateContextValue(value, key);
     }
   }
 
   /**
-   * Check if a function is safe to include in context
-   * @param {Function} func - Function to check
-   * @returns {boolean} - True if safe
+   * Check that a context value is plain data or functions
+   * @param {any} value - Context value
+   * @param {string} path - Property path for error messages
    */
-  isSafeFunction(func) {
-    const funcString = func.toString();
-    
-    // Whitelist safe patterns
-    const safePatterns = [
-      /console\.(log|warn|error)/,
-      /Math\./,
-      /Array\./,
-      /Object\./
-    ];
-
-    // Check if function contains only safe patterns
-    for (const pattern of safePatterns) {
-      if (pattern.test(funcString)) {
-        return true;
+  validateContextValue(value, path) {
+    if (value === null || typeof value !== 'object') {
+      if (typeof value === 'symbol' || typeof value === 'bigint') {
+        throw new Error(`Invalid context value: ${path}`);
       }
+      return;
     }
 
-    // Custom validation for game API functions
-    if (funcString.includes('createEntity') || 
-        funcString.includes('getEntity') ||
-        funcString.includes('addComponent')) {
-      return true;
+    if (!Array.isArray(value) && !Sandbox.isPlainObject(value)) {
+      throw new Error(`Context values must be plain data or functions: ${path}`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      this.validateContextValue(item, `${path}.${key}`);
     }
-
-    return false;
   }
 
   /**
-   * Create VM instance with security settings
+   * Create a sandbox with the base globals and a context
    * @param {Object} context - Execution context
-   * @param {Object} options - VM options
-   * @returns {VM} - VM instance
+   * @param {Object} options - Execution options (timeout)
+   * @returns {Sandbox} - Sandbox (the isolate starts on first use)
    */
-  createVM(context, options = {}) {
-    const vmOptions = {
-      ...this.vmOptions,
+  createSandbox(context, options = {}) {
+    return new Sandbox({ ...this.createBaseSandbox(), ...context }, {
       timeout: options.timeout || this.timeout,
-      sandbox: {
-        ...this.createBaseSandbox(),
-        ...context
-      }
-    };
-
-    return new VM(vmOptions);
+      maxMemory: this.maxMemory
+    });
   }
 
   /**
-   * Create base sandbox with safe built-ins
+   * Create base sandbox globals
+   * The isolate has its own JavaScript built-ins (and no Node.js APIs), so
+   * only a console is added
    * @returns {Object} - Base sandbox
    */
   createBaseSandbox() {
     return {
-      // Safe built-ins
-      Math: Math,
-      JSON: JSON,
-      
-      // Safe Array and Object methods
-      Array: {
-        isArray: Array.isArray,
-        from: Array.from
-      },
-      
-      Object: {
-        keys: Object.keys,
-        values: Object.values,
-        entries: Object.entries,
-        assign: Object.assign
-      },
-
-      // Safe string methods
-      String: String,
-      Number: Number,
-      Boolean: Boolean,
-      
-      // Date (limited)
-      Date: {
-        now: Date.now
-      },
-
-      // Console for debugging (limited)
       console: {
         log: (...args) => console.log('[Sandbox]:', ...args),
         warn: (...args) => console.warn('[Sandbox]:', ...args),
         error: (...args) => console.error('[Sandbox]:', ...args)
-      },
-
-      // Utility functions
-      typeof: (obj) => typeof obj,
-      isNaN: isNaN,
-      isFinite: isFinite,
-      parseInt: parseInt,
-      parseFloat: parseFloat
+      }
     };
   }
 
   /**
-   * Execute code in VM with monitoring
-   * @param {VM} vm - VM instance
+   * Execute code in the sandbox
+   * The isolate's timeout interrupts synchronous code (including tight loops),
+   * so execution is run synchronously rather than raced against a timer
+   * @param {Sandbox} sandbox - Sandbox
    * @param {string} code - Code to execute
    * @param {Object} options - Execution options
    * @returns {Promise<any>} - Execution result
    */
-  async executeInVM(vm, code, options = {}) {
-    // Wrap code with monitoring
-    const wrappedCode = this.wrapCodeWithMonitoring(code);
-    
-    // Execute with timeout
-    return new Promise((resolve, reject) => {
-      const executionTimeout = setTimeout(() => {
-        reject(new Error(`Execution timeout after ${this.timeout}ms`));
-      }, this.timeout);
-
-      try {
-        const result = vm.run(wrappedCode);
-        clearTimeout(executionTimeout);
-        resolve(result);
-      } catch (error) {
-        clearTimeout(executionTimeout);
-        reject(error);
-      }
-    });
+  async executeInSandbox(sandbox, code, options = {}) {
+    return sandbox.run(this.wrapCode(code), { timeout: options.timeout || this.timeout });
   }
 
   /**
-   * Wrap code with execution monitoring
+   * Wrap code in a strict-mode function so it can return a value
    * @param {string} code - Original code
-   * @returns {string} - Wrapped code
+   * @returns {string} - Function source
    */
-  wrapCodeWithMonitoring(code) {
-    return `
-      (function() {
-        'use strict';
-        
-        // Execution monitoring
-        let callDepth = 0;
-        const maxCallDepth = ${this.maxCallDepth};
-        
-        // Override function calls to track depth
-        const originalFunction = Function;
-        
-        // Memory usage tracking (simplified)
-        let memoryUsage = 0;
-        
-        try {
-          // Execute user code
-          ${code}
-        } catch (error) {
-          console.error('Code execution error:', error.message);
-          throw error;
-        }
-      })();
-    `;
-  }
-
-  /**
-   * Estimate memory usage (simplified)
-   * @returns {number} - Estimated memory usage in bytes
-   */
-  estimateMemoryUsage() {
-    // This is a simplified estimation
-    // In production, you'd want more sophisticated memory tracking
-    return process.memoryUsage().heapUsed;
+  wrapCode(code) {
+    return `function () {
+      'use strict';
+      ${code}
+    }`;
   }
 
   /**
@@ -358,7 +299,7 @@ export class CodeExecutor {
   categorizeError(error) {
     const message = error.message.toLowerCase();
     
-    if (message.includes('timeout')) return 'timeout';
+    if (message.includes('timeout') || message.includes('timed out')) return 'timeout';
     if (message.includes('memory')) return 'memory_limit';
     if (message.includes('syntax')) return 'syntax_error';
     if (message.includes('reference')) return 'reference_error';
@@ -474,9 +415,5 @@ export class CodeExecutor {
     if (config.allowAsync !== undefined) this.allowAsync = config.allowAsync;
     if (config.maxMemory !== undefined) this.maxMemory = config.maxMemory;
     if (config.maxCallDepth !== undefined) this.maxCallDepth = config.maxCallDepth;
-    
-    // Update VM options
-    this.vmOptions.timeout = this.timeout;
-    this.vmOptions.fixAsync = this.allowAsync;
   }
 } 
\ No newline at end of file
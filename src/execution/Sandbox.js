@@ -0,0 +1,649 @@
+import { createRequire } from 'module';
+import { Entity } from '../engine/Entity.js';
+import { Component } from '../engine/Component.js';
+
+// isolated-vm is a native addon; load it through require so ESM loaders don't parse the binary
+const ivm = createRequire(import.meta.url)('isolated-vm');
+
+// Entity methods generated code may call (entity handles expose nothing else)
+const ENTITY_METHODS = [
+  'addComponent', 'removeComponent', 'getComponent', 'hasComponent', 'hasComponents', 'getAllComponents',
+  'addTag', 'removeTag', 'hasTag',
+  'setParent', 'addChild', 'removeChild', 'detach', 'getParent', 'getChildren', 'getDescendants', 'getRoot', 'isDescendantOf',
+  'activate', 'deactivate', 'isActive', 'toJSON'
+];
+
+// Component methods that stay host-only (lifecycle hooks and engine access)
+const HIDDEN_COMPONENT_METHODS = new Set(['constructor', 'onAttach', 'onDetach', 'update', 'getEventBus']);
+
+// Deeper copies are passed as live references instead (also breaks cycles)
+const MAX_COPY_DEPTH = 32;
+
+/**
+ * Runs inside the isolate. Everything crossing the boundary is a JSON string;
+ * host objects show up as handles (entities) or proxies (components and their
+ * data) that forward each access to the host through the bridge.
+ */
+const GUEST_RUNTIME = `(function (bridge, entityMethods) {
+  'use strict';
+  const handles = new WeakMap(); // Guest handle or proxy -> host reference ID
+  const proxies = new Map(); // Host reference ID -> guest handle or proxy (current call)
+  const callbacks = new Map(); // Callback ID -> guest function passed to the host
+  let nextCallback = 1;
+
+  function request(op, args) {
+    const response = JSON.parse(bridge(op, JSON.stringify(args)));
+    if (response.error) {
+      const error = new Error(response.error.message);
+      error.name = response.error.name;
+      throw error;
+    }
+    return response.value;
+  }
+
+  function toWire(value, depth) {
+    if (value === undefined) return { $undefined: true };
+    if (value === null || typeof value === 'boolean' || typeof value === 'string') return value;
+    if (typeof value === 'number') return Number.isFinite(value) ? value : { $number: String(value) };
+    if (typeof value === 'bigint') return Number(value);
+    if (typeof value === 'symbol') throw new TypeError('Symbols cannot be passed to the game');
+    if (handles.has(value)) return { $ref: handles.get(value) };
+    if (typeof value === 'function') {
+      const id = nextCallback++;
+      callbacks.set(id, value);
+      return { $callback: id, source: Function.prototype.toString.call(value) };
+    }
+    if (depth > 64) throw new Error('Value is nested too deeply to pass to the game');
+    if (Array.isArray(value)) return value.map(item => toWire(item, depth + 1));
+
+    const wire = {};
+    let tagged = false;
+    for (const key of Object.keys(value)) {
+      wire[key] = toWire(value[key], depth + 1);
+      tagged = tagged || key.startsWith('$');
+    }
+    return tagged ? { $object: wire } : wire;
+  }
+
+  function fromWire(wire) {
+    if (wire === null || typeof wire !== 'object') return wire;
+    if (Array.isArray(wire)) return wire.map(fromWire);
+    if ('$undefined' in wire) return undefined;
+    if ('$number' in wire) return Number(wire.$number);
+    if ('$ref' in wire) return getProxy(wire);
+    if ('$host' in wire) return hostFunction(wire.$host, wire.name);
+
+    const value = {};
+    for (const [key, item] of Object.entries('$object' in wire ? wire.$object : wire)) {
+      value[key] = fromWire(item);
+    }
+    return value;
+  }
+
+  function invoke(ref, method, args) {
+    return fromWire(request('invoke', [ref, method, args.map(arg => toWire(arg, 0))]));
+  }
+
+  function hostFunction(id, name) {
+    // A plain function so generated code can call component constructors with new
+    const stub = function (...args) {
+      return fromWire(request('call', [id, args.map(arg => toWire(arg, 0))]));
+    };
+    Object.defineProperty(stub, 'name', { value: name });
+    return stub;
+  }
+
+  class Entity {}
+  for (const method of entityMethods) {
+    Object.defineProperty(Entity.prototype, method, {
+      value: function (...args) {
+        return invoke(handles.get(this), method, args);
+      }
+    });
+  }
+
+  function getProxy(wire) {
+    let proxy = proxies.get(wire.$ref);
+    if (!proxy) {
+      proxy = wire.kind === 'entity' ? createEntity(wire) : createProxy(wire.$ref, wire.kind);
+      proxies.set(wire.$ref, proxy);
+      handles.set(proxy, wire.$ref);
+    }
+    return proxy;
+  }
+
+  function createEntity(wire) {
+    const entity = new Entity();
+    Object.defineProperty(entity, 'id', { value: wire.id, enumerable: true });
+    return entity;
+  }
+
+  function createProxy(ref, kind) {
+    const isArray = kind === 'array';
+    const methods = new Map();
+    const get = key => {
+      const wire = request('get', [ref, key]);
+      if (wire && wire.$method) {
+        if (!methods.has(key)) {
+          methods.set(key, function (...args) { return invoke(ref, key, args); });
+        }
+        return methods.get(key);
+      }
+      if (wire && wire.$missing) {
+        return key in Object.prototype ? Object.prototype[key] : undefined;
+      }
+      return fromWire(wire);
+    };
+
+    return new Proxy(isArray ? [] : {}, {
+      get(target, key) {
+        if (typeof key === 'symbol') return isArray ? Array.prototype[key] : undefined;
+        if (isArray && key !== 'length' && !/^\\d+$/.test(key) && key in Array.prototype) return Array.prototype[key];
+        return get(key);
+      },
+      set(target, key, value) {
+        if (typeof key === 'symbol') throw new TypeError('Symbol properties cannot be set on game objects');
+        request('set', [ref, key, toWire(value, 0)]);
+        return true;
+      },
+      has(target, key) {
+        return typeof key === 'string' && request('has', [ref, key]);
+      },
+      deleteProperty(target, key) {
+        if (typeof key === 'string') request('delete', [ref, key]);
+        return true;
+      },
+      ownKeys() {
+        const keys = request('keys', [ref]);
+        return isArray ? [...keys, 'length'] : keys;
+      },
+      getOwnPropertyDescriptor(target, key) {
+        if (isArray && key === 'length') {
+          return { value: get('length'), writable: true, enumerable: false, configurable: false };
+        }
+        if (typeof key !== 'string' || !request('has', [ref, key])) return undefined;
+        return { value: get(key), writable: true, enumerable: true, configurable: true };
+      }
+    });
+  }
+
+  function enter(fn, args, reset) {
+    if (reset) {
+      proxies.clear();
+      callbacks.clear();
+    }
+    return JSON.stringify(toWire(fn.apply(undefined, fromWire(JSON.parse(args))), 0));
+  }
+
+  function callback(id, args, reset) {
+    const fn = callbacks.get(id);
+    if (!fn) throw new Error('Sandbox callback is no longer available');
+    if (reset) proxies.clear();
+    return JSON.stringify(toWire(fn.apply(undefined, fromWire(JSON.parse(args))), 0));
+  }
+
+  function install(globals) {
+    for (const [name, wire] of Object.entries(JSON.parse(globals))) {
+      const value = fromWire(wire);
+      const existing = globalThis[name];
+      // Objects extend built-ins of the same name (e.g. a seeded Math.random)
+      if (existing && typeof existing === 'object' && value && typeof value === 'object') {
+        Object.assign(existing, value);
+      } else {
+        globalThis[name] = value;
+      }
+    }
+  }
+
+  return { enter, callback, install };
+})`;
+
+/**
+ * Sandbox - One isolated-vm isolate running generated code
+ * The isolate has its own heap (with a memory limit) and no Node.js APIs.
+ * Host functions from the context are called through a JSON bridge, so only
+ * copies of plain data cross it: entities become handles that expose a fixed
+ * set of methods, components and their nested data become proxies, and guest
+ * functions passed to the host become callbacks into the isolate.
+ */
+export class Sandbox {
+  constructor(context = {}, options = {}) {
+    this.timeout = options.timeout || 5000; // ms per top-level call
+    this.memoryLimit = Math.max(8, Math.ceil((options.maxMemory || 50 * 1024 * 1024) / (1024 * 1024))); // MB
+
+    // Host functions from the context, by ID
+    this.hostFunctions = [];
+    this.globals = JSON.stringify(this.describeContext(context));
+
+    // Host objects handed to the guest during the current top-level call
+    this.refs = new Map(); // ref ID -> object
+    this.refIds = new Map(); // object -> ref ID
+    this.nextRef = 1;
+    this.depth = 0;
+
+    // Compiled function sources (recompiled if the isolate is lost to the memory limit)
+    this.sources = [];
+    this.sourceIndex = new Map(); // source -> index
+    this.compiled = [];
+
+    this.isolate = null;
+    this.entries = null;
+  }
+
+  /**
+   * Create the isolate and install the runtime and context (again after a disposal)
+   */
+  start() {
+    if (this.isolate && !this.isolate.isDisposed) return;
+
+    this.isolate = new ivm.Isolate({ memoryLimit: this.memoryLimit });
+    const context = this.isolate.createContextSync();
+    const runtime = this.isolate.compileScriptSync(GUEST_RUNTIME).runSync(context, { reference: true });
+    const bridge = new ivm.Callback((op, payload) => this.handleRequest(op, payload));
+    const entries = runtime.applySync(undefined, [bridge, new ivm.ExternalCopy(ENTITY_METHODS).copyInto()], { result: { reference: true } });
+
+    this.context = context;
+    this.entries = {
+      enter: entries.getSync('enter', { reference: true }),
+      callback: entries.getSync('callback', { reference: true }),
+      install: entries.getSync('install', { reference: true })
+    };
+    this.entries.install.applySync(undefined, [this.globals], { timeout: this.timeout });
+
+    this.compiled = this.sources.map(source => this.compileSource(source));
+  }
+
+  /**
+   * Compile a function in the isolate
+   * @param {string} source - Function source, e.g. "function (entity) { ... }"
+   * @returns {number} - Index to pass to call()
+   */
+  compile(source) {
+    if (this.sourceIndex.has(source)) {
+      return this.sourceIndex.get(source);
+    }
+
+    this.start();
+    const compiled = this.compileSource(source);
+    const index = this.sources.push(source) - 1;
+    this.compiled[index] = compiled;
+    this.sourceIndex.set(source, index);
+    return index;
+  }
+
+  /**
+   * Compile a function source into a reference
+   * @param {string} source - Function source
+   * @returns {ivm.Reference} - Reference to the guest function
+   */
+  compileSource(source) {
+    const script = this.isolate.compileScriptSync(`(${source}\n)`);
+    const compiled = script.runSync(this.context, { reference: true, timeout: this.timeout });
+    if (compiled.typeof !== 'function') {
+      throw new Error('Source must evaluate to a function');
+    }
+    return compiled;
+  }
+
+  /**
+   * Call a compiled function
+   * @param {number} index - Index from compile()
+   * @param {Array} args - Arguments (entities and components are passed as handles)
+   * @param {Object} options - { timeout } in milliseconds
+   * @returns {any} - Return value copied out of the isolate
+   */
+  call(index, args = [], options = {}) {
+    this.start();
+    return this.enter(this.entries.enter, this.compiled[index], args, options);
+  }
+
+  /**
+   * Compile and call a function once
+   * @param {string} source - Function source
+   * @param {Object} options - { timeout } in milliseconds
+   * @returns {any} - Return value copied out of the isolate
+   */
+  run(source, options = {}) {
+    this.start();
+    return this.enter(this.entries.enter, this.compileSource(source), [], options);
+  }
+
+  /**
+   * Enter the isolate; top-level calls run under the timeout and drop the
+   * object handles afterwards, nested calls (callbacks from host functions) share them
+   * @param {ivm.Reference} entry - Guest entry point
+   * @param {ivm.Reference|number} target - Compiled function or callback ID
+   * @param {Array} args - Arguments
+   * @param {Object} options - { timeout } in milliseconds
+   * @returns {any} - Return value
+   */
+  enter(entry, target, args, options = {}) {
+    const topLevel = this.depth === 0;
+    this.depth++;
+
+    try {
+      const wireArgs = JSON.stringify(args.map(arg => this.toWire(arg, false, 0)));
+      const callee = typeof target === 'number' ? target : target.derefInto();
+      const result = entry.applySync(undefined, [callee, wireArgs, topLevel],
+        topLevel ? { timeout: options.timeout || this.timeout } : {});
+      return this.fromWire(JSON.parse(result));
+    } finally {
+      this.depth--;
+      if (topLevel) {
+        this.refs.clear();
+        this.refIds.clear();
+      }
+    }
+  }
+
+  /**
+   * Answer a request from the guest runtime
+   * @param {string} op - Operation
+   * @param {string} payload - JSON arguments
+   * @returns {string} - JSON { value } or { error }
+   */
+  handleRequest(op, payload) {
+    try {
+      if (typeof op !== 'string' || typeof payload !== 'string') {
+        throw new Error('Invalid sandbox request');
+      }
+      return JSON.stringify({ value: this.dispatch(op, JSON.parse(payload)) });
+    } catch (error) {
+      return JSON.stringify({ error: { name: error?.name || 'Error', message: error?.message || String(error) } });
+    }
+  }
+
+  /**
+   * Carry out a guest request
+   * @param {string} op - call, invoke, get, set, has, keys or delete
+   * @param {Array} args - Wire arguments
+   * @returns {any} - Wire value
+   */
+  dispatch(op, args) {
+    switch (op) {
+      case 'call': {
+        const fn = this.hostFunctions[args[0]];
+        if (!fn) throw new Error('Unknown sandbox function');
+        return this.toWire(fn(...args[1].map(arg => this.fromWire(arg))), false, 0);
+      }
+      case 'invoke':
+        return this.invoke(this.deref(args[0]), args[1], args[2].map(arg => this.fromWire(arg)));
+      case 'get':
+        return this.readProperty(this.deref(args[0]), args[1]);
+      case 'set':
+        this.writeProperty(this.deref(args[0]), args[1], this.fromWire(args[2]));
+        return true;
+      case 'has':
+        return this.isVisible(this.deref(args[0]), args[1]);
+      case 'keys': {
+        const target = this.deref(args[0]);
+        return Object.keys(target).filter(key => this.isVisible(target, key) && typeof target[key] !== 'function');
+      }
+      case 'delete': {
+        const target = this.deref(args[0]);
+        this.checkWritable(target, args[1]);
+        delete target[args[1]];
+        return true;
+      }
+      default:
+        throw new Error(`Unknown sandbox request: ${op}`);
+    }
+  }
+
+  /**
+   * Call an entity or component method for the guest
+   * @param {Object} target - Entity or component
+   * @param {string} method - Method name
+   * @param {Array} args - Host arguments
+   * @returns {any} - Wire value (results are copies)
+   */
+  invoke(target, method, args) {
+    if (!this.isMethod(target, method)) {
+      throw new TypeError(`${method} is not a function`);
+    }
+    return this.toWire(target[method](...args), false, 0);
+  }
+
+  /**
+   * Check if the guest may call a method
+   * @param {Object} target - Host object
+   * @param {string} method - Method name
+   * @returns {boolean} - True for entity methods and public component methods
+   */
+  isMethod(target, method) {
+    if (target instanceof Entity) {
+      return ENTITY_METHODS.includes(method);
+    }
+    return target instanceof Component &&
+      Sandbox.isPublicName(method) &&
+      !HIDDEN_COMPONENT_METHODS.has(method) &&
+      !Object.prototype.hasOwnProperty.call(target, method) &&
+      typeof target[method] === 'function' &&
+      !(method in Object.prototype);
+  }
+
+  /**
+   * Check if a property is visible to the guest
+   * @param {Object} target - Host object
+   * @param {string} key - Property name
+   * @returns {boolean} - True if the guest can see it
+   */
+  isVisible(target, key) {
+    if (typeof key !== 'string' || !Sandbox.isPublicName(key)) return false;
+    if (target instanceof Entity) return key === 'id' || ENTITY_METHODS.includes(key);
+    if (target instanceof Component) {
+      return key in target && (typeof target[key] !== 'function' || this.isMethod(target, key));
+    }
+    return Object.prototype.hasOwnProperty.call(target, key) && typeof target[key] !== 'function';
+  }
+
+  /**
+   * Read a property for the guest; objects and arrays come back as live proxies
+   * @param {Object} target - Host object
+   * @param {string} key - Property name
+   * @returns {any} - Wire value, { $method } or { $missing }
+   */
+  readProperty(target, key) {
+    if (!this.isVisible(target, key)) {
+      return { $missing: true };
+    }
+    if (typeof target[key] === 'function') {
+      return { $method: true };
+    }
+    return this.toWire(target[key], true, 0);
+  }
+
+  /**
+   * Write a property for the guest
+   * @param {Object} target - Host object
+   * @param {string} key - Property name
+   * @param {any} value - Host value
+   */
+  writeProperty(target, key, value) {
+    this.checkWritable(target, key);
+    target[key] = value;
+  }
+
+  /**
+   * Make sure the guest may change a property
+   * @param {Object} target - Host object
+   * @param {string} key - Property name
+   */
+  checkWritable(target, key) {
+    if (target instanceof Entity) {
+      throw new TypeError('Entity properties are read-only; use its methods');
+    }
+    if (typeof key !== 'string' || !Sandbox.isPublicName(key)) {
+      throw new TypeError(`Cannot set ${String(key)}`);
+    }
+    if (typeof target[key] === 'function') {
+      throw new TypeError(`Cannot replace method ${key}`);
+    }
+  }
+
+  /**
+   * Look up an object handed to the guest in this call
+   * @param {number} ref - Reference ID
+   * @returns {Object} - Host object
+   */
+  deref(ref) {
+    if (!this.refs.has(ref)) {
+      throw new Error('Stale game object: objects from an earlier call can no longer be used');
+    }
+    return this.refs.get(ref);
+  }
+
+  /**
+   * Encode a host value for the guest
+   * @param {any} value - Host value
+   * @param {boolean} live - Pass objects and arrays as proxies instead of copies
+   * @param {number} depth - Copy depth
+   * @returns {any} - Wire value
+   */
+  toWire(value, live, depth) {
+    if (value === undefined) return { $undefined: true };
+    if (value === null || typeof value === 'boolean' || typeof value === 'string') return value;
+    if (typeof value === 'number') return Number.isFinite(value) ? value : { $number: String(value) };
+    if (typeof value === 'bigint') return Number(value);
+    if (typeof value !== 'object') return { $undefined: true }; // Host functions and symbols stay here
+
+    if (value instanceof Entity) return { $ref: this.refFor(value), kind: 'entity', id: value.id };
+    if (value instanceof Component) return { $ref: this.refFor(value), kind: 'component' };
+
+    const isArray = Array.isArray(value);
+    if (!isArray && !Sandbox.isPlainObject(value)) {
+      if (value instanceof Set) return this.toWire(Array.from(value), false, depth);
+      if (value instanceof Map) return this.toWire(Object.fromEntries(value), false, depth);
+      return { $undefined: true }; // Other host objects never cross
+    }
+
+    if (live || depth >= MAX_COPY_DEPTH) {
+      return { $ref: this.refFor(value), kind: isArray ? 'array' : 'object' };
+    }
+    if (isArray) {
+      return value.map(item => this.toWire(item, false, depth + 1));
+    }
+
+    const wire = {};
+    let tagged = false;
+    for (const key of Object.keys(value)) {
+      if (typeof value[key] === 'function') continue;
+      wire[key] = this.toWire(value[key], false, depth + 1);
+      tagged = tagged || key.startsWith('$');
+    }
+    return tagged ? { $object: wire } : wire;
+  }
+
+  /**
+   * Decode a guest value
+   * @param {any} wire - Wire value
+   * @returns {any} - Host value (plain data, handed-out objects or callbacks)
+   */
+  fromWire(wire) {
+    if (wire === null || typeof wire !== 'object') return wire;
+    if (Array.isArray(wire)) return wire.map(item => this.fromWire(item));
+    if ('$undefined' in wire) return undefined;
+    if ('$number' in wire) return Number(wire.$number);
+    if ('$ref' in wire) return this.deref(wire.$ref);
+    if ('$callback' in wire) return this.createCallback(wire.$callback, String(wire.source));
+
+    const value = {};
+    for (const [key, item] of Object.entries('$object' in wire ? wire.$object : wire)) {
+      if (key === '__proto__') continue;
+      value[key] = this.fromWire(item);
+    }
+    return value;
+  }
+
+  /**
+   * Wrap a guest function passed to the host
+   * String(callback) gives the guest source, so behaviors can store it
+   * @param {number} id - Callback ID
+   * @param {string} source - Guest function source
+   * @returns {Function} - Host function calling into the isolate
+   */
+  createCallback(id, source) {
+    const callback = (...args) => {
+      this.start();
+      return this.enter(this.entries.callback, id, args);
+    };
+    callback.toString = () => source;
+    return callback;
+  }
+
+  /**
+   * Get the reference ID for a host object, handing it out if needed
+   * @param {Object} object - Host object
+   * @returns {number} - Reference ID
+   */
+  refFor(object) {
+    let ref = this.refIds.get(object);
+    if (ref === undefined) {
+      ref = this.nextRef++;
+      this.refIds.set(object, ref);
+      this.refs.set(ref, object);
+    }
+    return ref;
+  }
+
+  /**
+   * Turn a context into install data: functions become host function stubs
+   * @param {Object} context - Plain data and functions
+   * @returns {Object} - Wire globals
+   */
+  describeContext(context) {
+    const globals = {};
+    for (const [key, value] of Object.entries(context)) {
+      if (typeof value === 'function') {
+        globals[key] = { $host: this.hostFunctions.push(value) - 1, name: key };
+      } else if (Sandbox.isPlainObject(value)) {
+        globals[key] = { $object: this.describeContext(value) };
+      } else {
+        globals[key] = this.toWire(value, false, 0);
+      }
+    }
+    return globals;
+  }
+
+  /**
+   * Get the isolate's heap usage
+   * @returns {number} - Used heap in bytes (0 if the isolate is gone)
+   */
+  getHeapUsed() {
+    return this.isolate && !this.isolate.isDisposed
+      ? this.isolate.getHeapStatisticsSync().used_heap_size
+      : 0;
+  }
+
+  /**
+   * Release the isolate
+   */
+  dispose() {
+    if (this.isolate && !this.isolate.isDisposed) {
+      this.isolate.dispose();
+    }
+    this.isolate = null;
+    this.refs.clear();
+    this.refIds.clear();
+  }
+
+  /**
+   * Check if a value is a plain object
+   * @param {any} value - Value to check
+   * @returns {boolean} - True for object literals and null-prototype objects
+   */
+  static isPlainObject(value) {
+    if (!value || typeof value !== 'object') return false;
+    const prototype = Object.getPrototypeOf(value);
+    return prototype === Object.prototype || prototype === null;
+  }
+
+  /**
+   * Check if a property name may be used from the guest
+   * @param {string} name - Property name
+   * @returns {boolean} - False for private names and prototype plumbing
+   */
+  static isPublicName(name) {
+    return !name.startsWith('_') && name !== 'constructor' && name !== 'prototype';
+  }
+}
@@ -1,6 +1,9 @@
 import 'dotenv/config';
-import { GeminiClient } from './GeminiClient.js';
+import { createLLMProvider } from './providers/index.js';
 import { GameContextBuilder } from './context/GameContextBuilder.js';
+import { CodeExecutor } from '../execution/CodeExecutor.js';
+import { ChangeTracker } from '../engine/ChangeTracker.js';
+import { ModificationPlan } from './ModificationPlan.js';
 
 /**
  * LLMService - Main orchestrator for LLM-powered game modifications
@@ -11,28 +14,40 @@ export class LLMService {
     this.gameEngine = gameEngine;
     
     // Initialize components
-    this.geminiClient = new GeminiClient(
-      process.env.GOOGLE_AI_API_KEY,
-      {
-        model: options.model || 'gemini-2.5-flash-lite',
-        temperature: options.temperature || 0.3,
-        maxTokens: options.maxTokens || 1024,
-        timeout: options.timeout || 30000
-      }
-    );
+    // LLM backend: an explicit provider instance, or one chosen by config/environment
+    this.llmProvider = options.llmProvider || createLLMProvider({
+      provider: options.provider,
+      model: options.model,
+      temperature: options.temperature || 0.3,
+      maxTokens: options.maxTokens || 1024,
+      timeout: options.timeout || 30000
+    });
     
     this.contextBuilder = new GameContextBuilder(gameEngine);
+    this.changeTracker = new ChangeTracker(gameEngine);
+    this.lastChanges = null; // Diff recorded during the last execution
     
     // Configuration
     this.enableSafetyChecks = options.enableSafetyChecks !== false;
     this.maxExecutionTime = options.maxExecutionTime || 5000; // 5 seconds
     this.maxMemoryUsage = options.maxMemoryUsage || 50 * 1024 * 1024; // 50MB
     
+    // Sandbox for generated code (a separate isolate; its timeout interrupts runaway loops)
+    this.codeExecutor = new CodeExecutor({
+      timeout: this.maxExecutionTime,
+      maxMemory: this.maxMemoryUsage
+    });
+    
     // State tracking
     this.executionHistory = [];
     this.activeModifications = new Map();
     this.pendingRequests = new Map();
     
+    // Undo/redo of applied modifications (world snapshots)
+    this.maxUndoSteps = options.maxUndoSteps || 20;
+    this.undoStack = []; // { requestId, userRequest, before, changes, timestamp }
+    this.redoStack = []; // { requestId, userRequest, after, changes, timestamp }
+    
     // Statistics
     this.stats = {
       totalRequests: 0,
@@ -88,22 +103,22 @@ export class LLMService {
       const gameContext = this.contextBuilder.buildContext(userRequest, options.context);
       
       // Generate code using LLM
-      const codeResponse = await this.geminiClient.generateGameCode(
+      const codeResponse = await this.llmProvider.generateGameCode(
         userRequest, 
         gameContext, 
         options.generation
       );
 
-      // Safety validation
+      // Safety validation (plans have no code, but the request is still checked)
       if (this.enableSafetyChecks) {
-        await this.performSafetyChecks(codeResponse.code, userRequest);
+        await this.performSafetyChecks(codeResponse.code || '', userRequest);
       }
 
-      // Execute the generated code
-      const executionResult = await this.executeGeneratedCode(
-        codeResponse.code,
-        gameContext,
-        options.execution
+      // Execute the generated code or apply the plan
+      const executionResult = await this.applyWithUndo(requestId, userRequest, (baseline) =>
+        codeResponse.plan
+          ? this.executeModificationPlan(codeResponse.plan, { baseline })
+          : this.executeGeneratedCode(codeResponse.code, gameContext, { ...options.execution, baseline })
       );
 
       // Create successful result
@@ -111,9 +126,12 @@ export class LLMService {
         id: requestId,
         success: true,
         userRequest: userRequest,
+        format: codeResponse.plan ? 'plan' : 'code',
         generatedCode: codeResponse.code,
+        plan: codeResponse.plan ? codeResponse.plan.toJSON() : null,
         explanation: codeResponse.explanation,
         executionResult: executionResult,
+        changeSummary: ChangeTracker.describe(executionResult.changes, 20),
         gameContext: this.sanitizeGameContext(gameContext),
         duration: Date.now() - startTime,
         timestamp: Date.now(),
@@ -151,6 +169,200 @@ export class LLMService {
     }
   }
 
+  /**
+   * Run a modification against a snapshot so it can be undone, or rolled back if it fails
+   * @param {string} requestId - Request identifier
+   * @param {string} userRequest - Request description
+   * @param {Function} execute - (baseline snapshot) => Promise of an execution result
+   * @returns {Promise<Object>} - Execution result (rolledBack set on failure)
+   */
+  async applyWithUndo(requestId, userRequest, execute) {
+    // Snapshot the world so the modification can be undone or rolled back
+    const snapshot = this.gameEngine.createSnapshot(requestId);
+    const executionResult = await execute(snapshot);
+
+    if (executionResult.success) {
+      this.pushUndo({
+        requestId,
+        userRequest,
+        before: snapshot,
+        changes: executionResult.changes,
+        timestamp: Date.now()
+      });
+      this.contextBuilder.recordChanges(requestId, userRequest, executionResult.changes);
+    } else {
+      // Failed partway through - discard whatever was already changed
+      this.gameEngine.restoreSnapshot(snapshot);
+      executionResult.rolledBack = true;
+    }
+
+    return executionResult;
+  }
+
+  /**
+   * Apply a stored or hand-written modification plan without calling the LLM
+   * @param {string|Object|ModificationPlan} planInput - Plan JSON, object or instance
+   * @param {Object} options - { userRequest } description used for history and undo
+   * @returns {Promise<Object>} - Modification result
+   */
+  async applyModificationPlan(planInput, options = {}) {
+    const startTime = Date.now();
+    const requestId = this.generateRequestId();
+    const plan = ModificationPlan.parse(planInput);
+    const userRequest = options.userRequest || plan.explanation || 'Apply modification plan';
+
+    this.stats.totalRequests++;
+
+    if (this.onModificationStart) {
+      this.onModificationStart(requestId, userRequest);
+    }
+
+    const executionResult = await this.applyWithUndo(requestId, userRequest, (baseline) =>
+      this.executeModificationPlan(plan, { baseline })
+    );
+
+    const result = {
+      id: requestId,
+      success: true,
+      userRequest: userRequest,
+      format: 'plan',
+      generatedCode: null,
+      plan: plan.toJSON(),
+      explanation: plan.explanation,
+      executionResult: executionResult,
+      changeSummary: ChangeTracker.describe(executionResult.changes, 20),
+      duration: Date.now() - startTime,
+      timestamp: Date.now(),
+      tokensUsed: 0
+    };
+
+    this.stats.successfulExecutions++;
+    this.updateStats(result);
+    this.addToHistory(result);
+
+    if (this.onModificationComplete) {
+      this.onModificationComplete(requestId, result);
+    }
+
+    return result;
+  }
+
+  /**
+   * Validate and describe a plan without applying it
+   * @param {string|Object|ModificationPlan} planInput - Plan JSON, object or instance
+   * @returns {Object} - { valid, errors, operations } where operations are readable lines
+   */
+  previewModificationPlan(planInput) {
+    const plan = ModificationPlan.parse(planInput);
+    const errors = plan.validate(this.gameEngine.componentRegistry);
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      operations: plan.describe(),
+      plan: plan.toJSON()
+    };
+  }
+
+  /**
+   * Record an applied modification on the undo stack
+   * @param {Object} entry - { requestId, userRequest, before, changes, timestamp }
+   */
+  pushUndo(entry) {
+    this.undoStack.push(entry);
+    this.redoStack = [];
+
+    if (this.undoStack.length > this.maxUndoSteps) {
+      this.undoStack.shift();
+    }
+  }
+
+  /**
+   * Revert the most recent modification
+   * @returns {Object} - Undo result with the reverted request and undo state
+   */
+  undoModification() {
+    const entry = this.undoStack.pop();
+    if (!entry) {
+      throw new Error('Nothing to undo');
+    }
+
+    const after = this.gameEngine.createSnapshot(entry.requestId);
+    this.gameEngine.restoreSnapshot(entry.before);
+    this.contextBuilder.forgetChanges(entry.requestId);
+    this.redoStack.push({
+      requestId: entry.requestId,
+      userRequest: entry.userRequest,
+      after,
+      changes: entry.changes,
+      timestamp: Date.now()
+    });
+
+    return {
+      action: 'undo',
+      requestId: entry.requestId,
+      userRequest: entry.userRequest,
+      ...this.getUndoState()
+    };
+  }
+
+  /**
+   * Re-apply the most recently undone modification
+   * @returns {Object} - Redo result with the re-applied request and undo state
+   */
+  redoModification() {
+    const entry = this.redoStack.pop();
+    if (!entry) {
+      throw new Error('Nothing to redo');
+    }
+
+    const before = this.gameEngine.createSnapshot(entry.requestId);
+    this.gameEngine.restoreSnapshot(entry.after);
+    this.contextBuilder.recordChanges(entry.requestId, entry.userRequest, entry.changes);
+    this.undoStack.push({
+      requestId: entry.requestId,
+      userRequest: entry.userRequest,
+      before,
+      changes: entry.changes,
+      timestamp: Date.now()
+    });
+
+    return {
+      action: 'redo',
+      requestId: entry.requestId,
+      userRequest: entry.userRequest,
+      ...this.getUndoState()
+    };
+  }
+
+  /**
+   * Forget all undo/redo entries and recent changes (e.g. after a world reset)
+   */
+  clearUndoHistory() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.contextBuilder.clearRecentChanges();
+  }
+
+  /**
+   * Get undo/redo availability
+   * @returns {Object} - { canUndo, canRedo, undoRequests, redoRequests }
+   */
+  getUndoState() {
+    const summarize = (entry) => ({
+      requestId: entry.requestId,
+      userRequest: entry.userRequest,
+      timestamp: entry.timestamp
+    });
+
+    return {
+      canUndo: this.undoStack.length > 0,
+      canRedo: this.redoStack.length > 0,
+      undoRequests: this.undoStack.map(summarize),
+      redoRequests: this.redoStack.map(summarize)
+    };
+  }
+
   /**
    * Perform safety checks on generated code
    * @param {string} code - Generated code to check
@@ -219,31 +431,41 @@ export class LLMService {
   async executeGeneratedCode(code, gameContext, options = {}) {
     const startTime = Date.now();
     
+    // Record what the code does to the world
+    this.changeTracker.start(options.baseline);
+    
     try {
       // Create safe execution environment
       const gameAPI = this.createGameAPI();
       const executionContext = this.createExecutionContext(gameAPI);
       
-      // Wrap code in error handling
-      const wrappedCode = this.wrapCodeForExecution(code);
-      
-      // Execute with timeout
-      const result = await this.executeWithTimeout(
-        wrappedCode,
-        executionContext,
-        options.timeout || this.maxExecutionTime
-      );
+      // Run inside the isolated sandbox
+      const execution = await this.codeExecutor.execute(code, executionContext, {
+        timeout: options.timeout || this.maxExecutionTime
+      });
+
+      if (!execution.success) {
+        const error = new Error(execution.error.message);
+        error.stack = execution.error.stack;
+        throw error;
+      }
+
+      const result = execution.result;
+      this.lastChanges = this.changeTracker.stop();
 
       return {
         success: true,
         result: result,
         duration: Date.now() - startTime,
         memoryUsed: this.estimateMemoryUsage(),
+        changes: this.lastChanges,
         entitiesModified: this.getModifiedEntities(),
         componentsChanged: this.getChangedComponents()
       };
 
     } catch (error) {
+      this.changeTracker.stop();
+      
       return {
         success: false,
         error: {
@@ -256,14 +478,57 @@ export class LLMService {
     }
   }
 
+  /**
+   * Apply a modification plan through the engine API
+   * @param {ModificationPlan} plan - Plan to apply
+   * @param {Object} options - Execution options (baseline snapshot for change tracking)
+   * @returns {Promise<Object>} - Execution result
+   */
+  async executeModificationPlan(plan, options = {}) {
+    const startTime = Date.now();
+    this.changeTracker.start(options.baseline);
+
+    try {
+      const result = plan.apply(this.gameEngine);
+      this.lastChanges = this.changeTracker.stop();
+
+      return {
+        success: true,
+        result: result,
+        duration: Date.now() - startTime,
+        memoryUsed: this.estimateMemoryUsage(),
+        changes: this.lastChanges,
+        entitiesModified: this.getModifiedEntities(),
+        componentsChanged: this.getChangedComponents()
+      };
+
+    } catch (error) {
+      this.changeTracker.stop();
+
+      return {
+        success: false,
+        error: {
+          message: error.message,
+          type: error.message.startsWith('Invalid modification plan') ? 'invalid_plan' : 'plan_error',
+          stack: error.stack
+        },
+        duration: Date.now() - startTime
+      };
+    }
+  }
+
   /**
    * Create safe Game API for LLM-generated code
+   * The sandbox calls these functions through its bridge: arguments arrive as
+   * copies (entities and components as the host objects they stand for,
+   * functions as callbacks into the sandbox) and results are copied back.
    * @returns {Object} - Safe game API
    */
   createGameAPI() {
     const engine = this.gameEngine;
+    const registry = engine.componentRegistry;
     
-    return {
+    const gameAPI = {
       // Entity management
       createEntity: (id) => {
         if (typeof id !== 'undefined' && typeof id !== 'string') {
@@ -294,6 +559,36 @@ export class LLMService {
         return engine.getEntitiesWithComponents(componentTypes);
       },
 
+      query: (filters = {}) => {
+        if (!filters || typeof filters !== 'object') {
+          throw new Error('Query filters must be an object');
+        }
+        // Copy the names out of the sandbox; the predicate is a callback into the sandbox
+        const { where, ...names } = filters;
+        return engine.query({ ...JSON.parse(JSON.stringify(names)), where }).execute();
+      },
+
+      // Spatial queries (need the SpatialIndexSystem)
+      queryRect: (rect, options = {}) => {
+        return this.getSpatialIndex().queryRect(LLMService.copyNumbers(rect, ['x', 'y', 'width', 'height']), options || {});
+      },
+
+      queryRadius: (x, y, radius, options = {}) => {
+        return this.getSpatialIndex().queryRadius(Number(x), Number(y), Number(radius), options || {});
+      },
+
+      nearest: (x, y, count = 1, options = {}) => {
+        return this.getSpatialIndex().nearest(Number(x), Number(y), Number(count), options || {});
+      },
+
+      raycast: (origin, direction, options = {}) => {
+        return this.getSpatialIndex().raycast(
+          LLMService.copyNumbers(origin, ['x', 'y']),
+          LLMService.copyNumbers(direction, ['x', 'y']),
+          options || {}
+        );
+      },
+
       getEntitiesByTag: (tag) => {
         if (typeof tag !== 'string') {
           throw new Error('Tag must be a string');
@@ -301,28 +596,164 @@ export class LLMService {
         return engine.entityManager.getEntitiesByTag(tag);
       },
 
-      // Component creation helpers
-      TransformComponent: (x = 0, y = 0, rotation = 0, scaleX = 1, scaleY = 1) => {
-        // Dynamic import to avoid circular dependencies
-        return new (eval('TransformComponent'))(x, y, rotation, scaleX, scaleY);
+      // Persistent per-frame behaviors
+      addBehavior: (name, target, update, options = {}) => {
+        const behaviors = this.getBehaviorSystem();
+        if (!target || typeof target !== 'object') {
+          throw new Error('Behavior target must be { tag } or { entityId }');
+        }
+
+        if (typeof target.tag === 'string') {
+          return behaviors.addTagBehavior(name, target.tag, update, options);
+        }
+        if (typeof target.entityId === 'string') {
+          return behaviors.addEntityBehavior(name, engine.getEntity(target.entityId), update, options);
+        }
+        throw new Error('Behavior target must be { tag } or { entityId }');
+      },
+
+      removeBehavior: (name, target = {}) => {
+        if (typeof name !== 'string') {
+          throw new Error('Behavior name must be a string');
+        }
+        return this.getBehaviorSystem().removeBehavior(name, target || {});
+      },
+
+      listBehaviors: () => this.getBehaviorSystem().listBehaviors(),
+
+      // Gameplay events
+      emit: (topic, payload = {}, options = {}) => {
+        // Copy the payload out of the sandbox so listeners get plain data
+        const data = payload === undefined ? {} : JSON.parse(JSON.stringify(payload));
+        return engine.eventBus.emit(topic, data, { deferred: options?.deferred === true });
+      },
+
+      onEvent: (name, topic, handler, options = {}) => {
+        return this.getBehaviorSystem().addEventHandler(name, topic, handler, options);
+      },
+
+      onCollision: (name, tagA, tagB, handler, options = {}) => {
+        const phase = options?.phase;
+        return this.getBehaviorSystem().addCollisionHandler(name, tagA, tagB, handler, phase === undefined ? {} : { phase });
+      },
+
+      getContacts: (entityId) => {
+        const collisions = engine.getSystem('CollisionSystem');
+        if (!collisions) {
+          throw new Error('Collision queries are not available (CollisionSystem not installed)');
+        }
+        return collisions.getContacts(entityId);
+      },
+
+      offEvent: (name) => {
+        if (typeof name !== 'string') {
+          throw new Error('Event handler name must be a string');
+        }
+        return this.getBehaviorSystem().removeEventHandler(name);
+      },
+
+      // Health and damage (need the HealthSystem; targets are entities or IDs)
+      damage: (target, amount, options = {}) => {
+        return this.getHealthSystem().damage(LLMService.getEntityId(target), Number(amount), {
+          source: options?.source ? LLMService.getEntityId(options.source) : null,
+          type: typeof options?.type === 'string' ? options.type : 'script'
+        });
       },
 
-      RenderComponent: (options = {}) => {
-        return new (eval('RenderComponent'))(options);
+      heal: (target, amount) => {
+        return this.getHealthSystem().heal(LLMService.getEntityId(target), Number(amount));
       },
 
-      MovementComponent: (options = {}) => {
-        return new (eval('MovementComponent'))(options);
+      kill: (target) => {
+        return this.getHealthSystem().kill(LLMService.getEntityId(target), { type: 'script' });
       },
 
-      PhysicsComponent: (options = {}) => {
-        return new (eval('PhysicsComponent'))(options);
+      // Score, lives, level and win/lose state (need the GameStateSystem)
+      getGameState: () => this.getGameStateSystem().getState(),
+
+      setGameState: (state, reason = null) => {
+        return this.getGameStateSystem().setState(String(state), typeof reason === 'string' ? reason : 'script');
       },
 
-      PlayerControllerComponent: (options = {}) => {
-        return new (eval('PlayerControllerComponent'))(options);
+      addScore: (points, reason = null) => {
+        return this.getGameStateSystem().addScore(Number(points), typeof reason === 'string' ? reason : 'script');
       },
 
+      setLives: (lives) => this.getGameStateSystem().setLives(Number(lives)),
+
+      setLevel: (level) => this.getGameStateSystem().setLevel(Number(level)),
+
+      nextLevel: () => this.getGameStateSystem().nextLevel(),
+
+      startTimer: (name, duration, options = {}) => {
+        this.getGameStateSystem().startTimer(name, Number(duration), { repeat: options?.repeat === true });
+      },
+
+      cancelTimer: (name) => this.getGameStateSystem().cancelTimer(name),
+
+      setGameValue: (key, value) => this.getGameStateSystem().setValue(key, value),
+
+      // Enemy AI (needs the AISystem; targets are entities, IDs or { tag })
+      setAI: (target, config) => {
+        const aiSystem = this.getAISystem();
+        // Copy the config out of the sandbox so the component holds plain data
+        const options = config === undefined ? undefined : JSON.parse(JSON.stringify(config));
+        aiSystem.validateConfig(options);
+
+        const entities = target && typeof target === 'object' && typeof target.tag === 'string'
+          ? engine.entityManager.getEntitiesByTag(target.tag)
+          : [engine.getEntity(LLMService.getEntityId(target))].filter(Boolean);
+        if (entities.length === 0) {
+          throw new Error('No entities to give AI to');
+        }
+
+        for (const entity of entities) {
+          entity.removeComponent('AIComponent');
+          entity.addComponent(registry.create('AIComponent', options));
+        }
+        return entities.length;
+      },
+
+      getAIBehaviors: () => this.getAISystem().getBehaviorNames(),
+
+      // Projectile teams (need the ShooterSystem)
+      setHitRule: (team, tags) => {
+        this.getShooterSystem().setHitRule(String(team), Array.isArray(tags) ? tags.map(String) : tags);
+      },
+
+      getHitRules: () => JSON.parse(JSON.stringify(this.getShooterSystem().hitRules)),
+
+      // Component creation helpers (one constructor per registered type is added below)
+      createComponent: (type, ...args) => {
+        if (typeof type !== 'string') {
+          throw new Error('Component type must be a string');
+        }
+        return registry.construct(type, ...args);
+      },
+
+      defineComponent: (name, fields = {}, definition = {}) => {
+        registry.define(name, fields, definition);
+        return name;
+      },
+
+      getComponentTypes: () => registry.getTypeNames(),
+
+      // Prefabs (named entity templates)
+      spawn: (name, overrides = {}) => {
+        if (typeof name !== 'string') {
+          throw new Error('Prefab name must be a string');
+        }
+        // Copy the overrides out of the sandbox; the parent may be an entity or its ID
+        const { parent, ...rest } = overrides || {};
+        return engine.spawn(name, { ...JSON.parse(JSON.stringify(rest)), parent });
+      },
+
+      definePrefab: (definition) => {
+        return engine.prefabRegistry.register(JSON.parse(JSON.stringify(definition)), { replace: true }).name;
+      },
+
+      getPrefabNames: () => engine.prefabRegistry.getNames(),
+
       // Utility functions
       console: {
         log: (...args) => console.log('[LLM Code]:', ...args),
@@ -330,18 +761,149 @@ export class LLMService {
         error: (...args) => console.error('[LLM Code]:', ...args)
       },
 
-      Math: Math, // Safe math operations
+      Math: this.createSeededMath(), // Seeded Math.random for the sandbox's own Math
       
       // Game state queries
       getGameStats: () => engine.getPerformanceStats(),
+
+      // Simulation speed (slow motion, bullet-time, fast-forward)
+      setTimeScale: (timeScale, options = {}) => {
+        const duration = options?.duration;
+        engine.setTimeScale(timeScale, duration === undefined ? {} : { duration });
+        return engine.timeScale;
+      },
+
+      getTimeScale: () => engine.timeScale,
       
-      // Safe random number generation
-      random: () => Math.random(),
-      randomInt: (min, max) => Math.floor(Math.random() * (max - min + 1)) + min,
-      randomColor: () => `hsl(${Math.floor(Math.random() * 360)}, 70%, 50%)`
+      // Seeded random number generation (the engine's "sandbox" stream)
+      random: () => engine.random.stream('sandbox').next(),
+      randomInt: (min, max) => engine.random.stream('sandbox').int(min, max),
+      randomColor: () => engine.random.stream('sandbox').color()
+    };
+
+    // Plain functions (not arrows) so generated code can call them with `new`
+    for (const type of registry.getTypeNames()) {
+      gameAPI[type] = function (...args) {
+        return registry.construct(type, ...args);
+      };
+    }
+
+    return gameAPI;
+  }
+
+  /**
+   * Math additions for the sandbox: random() draws from the engine's seeded
+   * "sandbox" stream (the isolate has its own Math for everything else)
+   * @returns {Object} - Merged into the sandbox's Math
+   */
+  createSeededMath() {
+    const engine = this.gameEngine;
+    return {
+      random: () => engine.random.stream('sandbox').next()
     };
   }
 
+  /**
+   * Get the engine's HealthSystem for the sandbox's damage helpers
+   * @returns {HealthSystem} - The health system
+   */
+  getHealthSystem() {
+    const healthSystem = this.gameEngine.getSystem('HealthSystem');
+    if (!healthSystem) {
+      throw new Error('Damage is not available (HealthSystem not installed)');
+    }
+    return healthSystem;
+  }
+
+  /**
+   * Get the engine's GameStateSystem for the sandbox's score and state helpers
+   * @returns {GameStateSystem} - The game state system
+   */
+  getGameStateSystem() {
+    const gameStateSystem = this.gameEngine.getSystem('GameStateSystem');
+    if (!gameStateSystem) {
+      throw new Error('Game state is not available (GameStateSystem not installed)');
+    }
+    return gameStateSystem;
+  }
+
+  /**
+   * Get the engine's AISystem for the sandbox's AI helpers
+   * @returns {AISystem} - The AI system
+   */
+  getAISystem() {
+    const aiSystem = this.gameEngine.getSystem('AISystem');
+    if (!aiSystem) {
+      throw new Error('Enemy AI is not available (AISystem not installed)');
+    }
+    return aiSystem;
+  }
+
+  /**
+   * Get the engine's ShooterSystem for the sandbox's hit rule helpers
+   * @returns {ShooterSystem} - The shooter system
+   */
+  getShooterSystem() {
+    const shooterSystem = this.gameEngine.getSystem('ShooterSystem');
+    if (!shooterSystem) {
+      throw new Error('Projectiles are not available (ShooterSystem not installed)');
+    }
+    return shooterSystem;
+  }
+
+  /**
+   * Get the engine's BehaviorSystem, giving it the sandbox globals on first use
+   * @returns {BehaviorSystem} - The behavior system
+   */
+  getBehaviorSystem() {
+    const behaviors = this.gameEngine.getSystem('BehaviorSystem');
+    if (!behaviors) {
+      throw new Error('Persistent behaviors are not available (BehaviorSystem not installed)');
+    }
+
+    // Scripts see the same API as one-shot generated code
+    if (!behaviors.context) {
+      behaviors.setContext(this.createExecutionContext(this.createGameAPI()));
+    }
+    return behaviors;
+  }
+
+  /**
+   * Get the spatial index, synced for a query from generated code
+   * @returns {SpatialIndexSystem} - The spatial index system
+   */
+  getSpatialIndex() {
+    const spatialIndex = this.gameEngine.getSystem('SpatialIndexSystem');
+    if (!spatialIndex) {
+      throw new Error('Spatial queries are not available (SpatialIndexSystem not installed)');
+    }
+
+    spatialIndex.refresh();
+    return spatialIndex;
+  }
+
+  /**
+   * Get an entity ID from an entity or ID passed by generated code
+   * @param {Entity|string} target - Entity or entity ID
+   * @returns {string} - Entity ID
+   */
+  static getEntityId(target) {
+    return String(target && typeof target === 'object' ? target.id : target);
+  }
+
+  /**
+   * Copy numeric fields out of a sandbox object
+   * @param {Object} value - Object from generated code
+   * @param {string[]} fields - Fields to copy
+   * @returns {Object} - Plain object of numbers
+   */
+  static copyNumbers(value, fields) {
+    if (!value || typeof value !== 'object') {
+      throw new Error(`Expected an object with ${fields.join(', ')}`);
+    }
+    return Object.fromEntries(fields.map(field => [field, Number(value[field]) || 0]));
+  }
+
   /**
    * Create execution context with limited scope
    * @param {Object} gameAPI - Safe game API
@@ -353,61 +915,13 @@ export class LLMService {
       console: gameAPI.console,
       Math: gameAPI.Math,
       
-      // Component constructors
-      TransformComponent: gameAPI.TransformComponent,
-      RenderComponent: gameAPI.RenderComponent,
-      MovementComponent: gameAPI.MovementComponent,
-      PhysicsComponent: gameAPI.PhysicsComponent,
-      PlayerControllerComponent: gameAPI.PlayerControllerComponent
+      // Component constructors for every registered type
+      ...Object.fromEntries(
+        this.gameEngine.componentRegistry.getTypeNames().map(type => [type, gameAPI[type]])
+      )
     };
   }
 
-  /**
-   * Wrap code for safe execution
-   * @param {string} code - Code to wrap
-   * @returns {string} - Wrapped code
-   */
-  wrapCodeForExecution(code) {
-    return `
-      (function() {
-        'use strict';
-        try {
-          ${code}
-        } catch (error) {
-          console.error('Execution error:', error.message);
-          throw error;
-        }
-      })();
-    `;
-  }
-
-  /**
-   * Execute code with timeout
-   * @param {string} code - Code to execute
-   * @param {Object} context - Execution context
-   * @param {number} timeout - Timeout in milliseconds
-   * @returns {Promise<any>} - Execution result
-   */
-  async executeWithTimeout(code, context, timeout) {
-    return new Promise((resolve, reject) => {
-      const timeoutId = setTimeout(() => {
-        reject(new Error(`Code execution timeout after ${timeout}ms`));
-      }, timeout);
-
-      try {
-        // Create function with limited context
-        const func = new Function(...Object.keys(context), code);
-        const result = func(...Object.values(context));
-        
-        clearTimeout(timeoutId);
-        resolve(result);
-      } catch (error) {
-        clearTimeout(timeoutId);
-        reject(error);
-      }
-    });
-  }
-
   /**
    * Handle execution errors
    * @param {Error} error - The error that occurred
@@ -464,7 +978,7 @@ export class LLMService {
   categorizeExecutionError(error) {
     const message = error.message.toLowerCase();
     
-    if (message.includes('timeout')) return 'execution_timeout';
+    if (message.includes('timeout') || message.includes('timed out')) return 'execution_timeout';
     if (message.includes('memory')) return 'memory_limit';
     if (message.includes('not defined')) return 'undefined_reference';
     if (message.includes('not a function')) return 'invalid_function_call';
@@ -488,9 +1002,19 @@ export class LLMService {
    * @returns {Array} - Array of modified entity IDs
    */
   getModifiedEntities() {
-    // This would track actual modifications during execution
-    // For now, return empty array
-    return [];
+    if (!this.lastChanges) return [];
+
+    const changes = this.lastChanges;
+    return Array.from(new Set([
+      ...changes.entitiesCreated,
+      ...changes.entitiesDestroyed,
+      ...changes.componentsAdded.map(change => change.entityId),
+      ...changes.componentsRemoved.map(change => change.entityId),
+      ...changes.tagsAdded.map(change => change.entityId),
+      ...changes.tagsRemoved.map(change => change.entityId),
+      ...changes.parentsChanged.map(change => change.entityId),
+      ...changes.fieldsChanged.map(change => change.entityId)
+    ]));
   }
 
   /**
@@ -498,9 +1022,14 @@ export class LLMService {
    * @returns {Array} - Array of changed component types
    */
   getChangedComponents() {
-    // This would track actual component changes during execution
-    // For now, return empty array
-    return [];
+    if (!this.lastChanges) return [];
+
+    const changes = this.lastChanges;
+    return Array.from(new Set([
+      ...changes.componentsAdded.map(change => change.type),
+      ...changes.componentsRemoved.map(change => change.type),
+      ...changes.fieldsChanged.map(change => change.component)
+    ]));
   }
 
   /**
@@ -562,7 +1091,7 @@ export class LLMService {
       successRate: this.stats.totalRequests > 0 
         ? (this.stats.successfulExecutions / this.stats.totalRequests) * 100 
         : 0,
-      geminiStats: this.geminiClient.getStats(),
+      providerStats: this.llmProvider.getStats(),
       historySize: this.executionHistory.length,
       pendingRequests: this.pendingRequests.size
     };
@@ -597,7 +1126,7 @@ export class LLMService {
       safetyViolations: 0
     };
     
-    this.geminiClient.resetStats();
+    this.llmProvider.resetStats();
     this.clearHistory();
   }
 
@@ -0,0 +1,500 @@
+import { componentRegistry } from '../engine/ComponentRegistry.js';
+
+// Operation schema: field types end with "?" when optional. Operations marked
+// "target" act on one entity ("entity": id) or on every entity with a tag ("withTag")
+const OPERATIONS = {
+  createEntity: {
+    description: 'Create an entity; components map type -> constructor options',
+    fields: { id: 'string?', tags: 'string[]?', components: 'object?' }
+  },
+  destroyEntity: {
+    description: 'Destroy an entity by ID',
+    fields: { entity: 'string' }
+  },
+  destroyByTag: {
+    description: 'Destroy every entity with a tag',
+    fields: { tag: 'string' }
+  },
+  addComponent: {
+    description: 'Add (or replace) a component',
+    target: true,
+    fields: { component: 'string', options: 'object?' }
+  },
+  removeComponent: {
+    description: 'Remove a component',
+    target: true,
+    fields: { component: 'string' }
+  },
+  setProperty: {
+    description: 'Set an existing component property ("position.x" style paths allowed)',
+    target: true,
+    fields: { component: 'string', property: 'string', value: 'any' }
+  },
+  addTag: {
+    description: 'Add a tag',
+    target: true,
+    fields: { tag: 'string' }
+  },
+  removeTag: {
+    description: 'Remove a tag',
+    target: true,
+    fields: { tag: 'string' }
+  },
+  setSystemConfig: {
+    description: 'Change system settings (e.g. PhysicsSystem gravity)',
+    fields: { system: 'string', config: 'object' }
+  }
+};
+
+const TARGET_FIELDS = { entity: 'string?', withTag: 'string?' };
+const FORBIDDEN_KEYS = ['__proto__', 'prototype', 'constructor'];
+const MAX_OPERATIONS = 100;
+
+/**
+ * ModificationPlan - Declarative list of engine operations
+ * An alternative to generated code for common changes: plans are plain JSON,
+ * so they can be validated, previewed, diffed, stored and replayed, and they
+ * are applied through the engine API without the sandbox
+ */
+export class ModificationPlan {
+  constructor(operations = [], explanation = '') {
+    this.operations = operations;
+    this.explanation = explanation;
+  }
+
+  /**
+   * Create a plan from JSON text, a plan object or an operations array
+   * @param {string|Object|Array} input - Plan input
+   * @returns {ModificationPlan} - The plan (not yet validated)
+   */
+  static parse(input) {
+    if (input instanceof ModificationPlan) {
+      return input;
+    }
+
+    let data = input;
+    if (typeof input === 'string') {
+      try {
+        data = JSON.parse(input);
+      } catch (error) {
+        throw new Error(`Invalid modification plan JSON: ${error.message}`);
+      }
+    }
+
+    if (Array.isArray(data)) {
+      return new ModificationPlan(data);
+    }
+    if (data && typeof data === 'object' && Array.isArray(data.operations)) {
+      return new ModificationPlan(data.operations, data.explanation || '');
+    }
+
+    throw new Error('Modification plan must be an array of operations or { operations: [...] }');
+  }
+
+  /**
+   * Check the plan against the operation schema
+   * @param {ComponentRegistry} registry - Component types plans may create
+   * @returns {string[]} - Validation errors (empty if valid)
+   */
+  validate(registry = componentRegistry) {
+    const errors = [];
+
+    if (this.operations.length === 0) {
+      errors.push('Plan has no operations');
+    }
+    if (this.operations.length > MAX_OPERATIONS) {
+      errors.push(`Plan has too many operations (max ${MAX_OPERATIONS})`);
+    }
+
+    this.operations.forEach((operation, index) => {
+      const where = `operations[${index}]`;
+      if (!operation || typeof operation !== 'object' || Array.isArray(operation)) {
+        errors.push(`${where}: must be an object`);
+        return;
+      }
+
+      const schema = OPERATIONS[operation.op];
+      if (!schema) {
+        errors.push(`${where}: unknown op "${operation.op}"`);
+        return;
+      }
+
+      const fields = schema.target ? { ...TARGET_FIELDS, ...schema.fields } : schema.fields;
+
+      for (const key of Object.keys(operation)) {
+        if (key !== 'op' && !fields[key]) {
+          errors.push(`${where}: unexpected field "${key}" for ${operation.op}`);
+        }
+      }
+
+      for (const [field, type] of Object.entries(fields)) {
+        const error = ModificationPlan.checkType(operation[field], type);
+        if (error) {
+          errors.push(`${where}.${field}: ${error}`);
+        }
+      }
+
+      if (schema.target && (operation.entity === undefined) === (operation.withTag === undefined)) {
+        errors.push(`${where}: ${operation.op} needs exactly one of "entity" or "withTag"`);
+      }
+
+      errors.push(...ModificationPlan.validateOperation(operation, registry).map(error => `${where}: ${error}`));
+    });
+
+    return errors;
+  }
+
+  /**
+   * Operation-specific checks beyond field types
+   * @param {Object} operation - Operation to check
+   * @param {ComponentRegistry} registry - Component types plans may create
+   * @returns {string[]} - Validation errors
+   */
+  static validateOperation(operation, registry = componentRegistry) {
+    const errors = [];
+
+    const components = operation.op === 'createEntity' && !ModificationPlan.checkType(operation.components, 'object?')
+      ? Object.entries(operation.components || {})
+      : operation.op === 'addComponent' ? [[operation.component, operation.options]] : [];
+
+    for (const [type, options] of components) {
+      if (!registry.has(type)) {
+        errors.push(`unknown component "${type}"`);
+      } else if (options !== undefined && !ModificationPlan.isJSONValue(options)) {
+        errors.push(`${type} options must be JSON data`);
+      } else if (ModificationPlan.checkType(options, 'object?')) {
+        errors.push(`${type} options must be an object`);
+      }
+    }
+
+    if (operation.op === 'setProperty' && typeof operation.property === 'string') {
+      const segments = operation.property.split('.');
+      if (segments.some(segment => !/^[A-Za-z_$][\w$]*$/.test(segment) || FORBIDDEN_KEYS.includes(segment))) {
+        errors.push(`invalid property path "${operation.property}"`);
+      }
+    }
+
+    if (operation.op === 'setSystemConfig' && operation.config && typeof operation.config === 'object') {
+      for (const [key, value] of Object.entries(operation.config)) {
+        if (!ModificationPlan.isConfigValue(value)) {
+          errors.push(`config.${key} must be a number, boolean, string or an object of those`);
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check a value against a schema type
+   * @param {any} value - Value to check
+   * @param {string} type - Schema type ("string", "string[]?", "object", "any", ...)
+   * @returns {string|null} - Error message or null if valid
+   */
+  static checkType(value, type) {
+    const optional = type.endsWith('?');
+    const baseType = optional ? type.slice(0, -1) : type;
+
+    if (value === undefined) {
+      return optional || baseType === 'any' ? null : 'is required';
+    }
+
+    switch (baseType) {
+      case 'any':
+        return ModificationPlan.isJSONValue(value) ? null : 'must be JSON data';
+      case 'string':
+        return typeof value === 'string' && value.length > 0 ? null : 'must be a non-empty string';
+      case 'string[]':
+        return Array.isArray(value) && value.every(item => typeof item === 'string')
+          ? null
+          : 'must be an array of strings';
+      case 'object':
+        return value && typeof value === 'object' && !Array.isArray(value) ? null : 'must be an object';
+      default:
+        return `has unknown schema type ${type}`;
+    }
+  }
+
+  /**
+   * Check that a value is plain JSON data
+   * @param {any} value - Value to check
+   * @returns {boolean} - True if JSON data
+   */
+  static isJSONValue(value) {
+    if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) {
+      return typeof value !== 'number' || Number.isFinite(value);
+    }
+    if (Array.isArray(value)) {
+      return value.every(item => ModificationPlan.isJSONValue(item));
+    }
+    if (typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+      return Object.entries(value).every(([key, item]) =>
+        !FORBIDDEN_KEYS.includes(key) && ModificationPlan.isJSONValue(item)
+      );
+    }
+    return false;
+  }
+
+  /**
+   * Check that a system config value is a primitive or an object of primitives
+   * @param {any} value - Value to check
+   * @returns {boolean} - True if allowed
+   */
+  static isConfigValue(value) {
+    const isPrimitive = (item) => ['number', 'boolean', 'string'].includes(typeof item);
+    if (isPrimitive(value)) return true;
+
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+      Object.entries(value).every(([key, item]) => !FORBIDDEN_KEYS.includes(key) && isPrimitive(item));
+  }
+
+  /**
+   * Apply the plan to the game
+   * Stops at the first failing operation; callers roll back with a snapshot
+   * @param {GameEngine} gameEngine - Target engine
+   * @returns {Object[]} - One result per operation
+   */
+  apply(gameEngine) {
+    const errors = this.validate(gameEngine.componentRegistry);
+    if (errors.length > 0) {
+      throw new Error(`Invalid modification plan: ${errors.join('; ')}`);
+    }
+
+    return this.operations.map((operation, index) => {
+      try {
+        return { op: operation.op, ...this.applyOperation(gameEngine, operation) };
+      } catch (error) {
+        throw new Error(`Operation ${index + 1} (${operation.op}) failed: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Apply a single validated operation
+   * @param {GameEngine} gameEngine - Target engine
+   * @param {Object} operation - Operation to apply
+   * @returns {Object} - Operation result
+   */
+  applyOperation(gameEngine, operation) {
+    switch (operation.op) {
+      case 'createEntity': {
+        if (operation.id && gameEngine.getEntity(operation.id)) {
+          throw new Error(`Entity already exists: ${operation.id}`);
+        }
+
+        const entity = gameEngine.createEntity(operation.id || null);
+        for (const [type, options] of Object.entries(operation.components || {})) {
+          entity.addComponent(gameEngine.componentRegistry.create(type, options));
+        }
+        for (const tag of operation.tags || []) {
+          entity.addTag(tag);
+        }
+        return { entityId: entity.id };
+      }
+
+      case 'destroyEntity': {
+        if (!gameEngine.getEntity(operation.entity)) {
+          throw new Error(`Entity not found: ${operation.entity}`);
+        }
+        // Removed right away (not at the end of the frame) so the change report sees it
+        gameEngine.entityManager.removeEntity(operation.entity);
+        return { count: 1 };
+      }
+
+      case 'destroyByTag': {
+        const entities = gameEngine.entityManager.getEntitiesByTag(operation.tag);
+        entities.forEach(entity => gameEngine.entityManager.removeEntity(entity.id));
+        return { count: entities.length };
+      }
+
+      case 'setSystemConfig': {
+        const system = gameEngine.getSystem(operation.system);
+        if (!system) {
+          throw new Error(`System not found: ${operation.system}`);
+        }
+        if (typeof system.applyConfiguration !== 'function') {
+          throw new Error(`${operation.system} does not support configuration`);
+        }
+
+        const current = system.getConfiguration();
+        for (const key of Object.keys(operation.config)) {
+          if (!(key in current)) {
+            throw new Error(`Unknown ${operation.system} setting: ${key}`);
+          }
+        }
+        system.applyConfiguration(operation.config);
+        return { count: 1 };
+      }
+
+      default: {
+        const entities = this.resolveTargets(gameEngine, operation);
+        entities.forEach(entity => this.applyToEntity(entity, operation, gameEngine.componentRegistry));
+        return { count: entities.length };
+      }
+    }
+  }
+
+  /**
+   * Apply a targeted operation to one entity
+   * @param {Entity} entity - Target entity
+   * @param {Object} operation - Operation to apply
+   * @param {ComponentRegistry} registry - Registry to create components from
+   */
+  applyToEntity(entity, operation, registry) {
+    switch (operation.op) {
+      case 'addComponent':
+        if (entity.hasComponent(operation.component)) {
+          entity.removeComponent(operation.component);
+        }
+        entity.addComponent(registry.create(operation.component, operation.options));
+        break;
+
+      case 'removeComponent':
+        entity.removeComponent(operation.component);
+        break;
+
+      case 'setProperty':
+        ModificationPlan.setProperty(entity, operation.component, operation.property, operation.value);
+        break;
+
+      case 'addTag':
+        entity.addTag(operation.tag);
+        break;
+
+      case 'removeTag':
+        entity.removeTag(operation.tag);
+        break;
+    }
+  }
+
+  /**
+   * Set an existing property on a component
+   * @param {Entity} entity - Target entity
+   * @param {string} type - Component type
+   * @param {string} path - Property path, e.g. "position.x"
+   * @param {any} value - New value
+   */
+  static setProperty(entity, type, path, value) {
+    const component = entity.getComponent(type);
+    if (!component) {
+      throw new Error(`${entity.id} has no ${type}`);
+    }
+
+    const segments = path.split('.');
+    const key = segments.pop();
+    let parent = component;
+    for (const segment of segments) {
+      parent = parent[segment];
+      if (!parent || typeof parent !== 'object') {
+        throw new Error(`Unknown property ${type}.${path}`);
+      }
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(parent, key) || typeof parent[key] === 'function') {
+      throw new Error(`Unknown property ${type}.${path}`);
+    }
+
+    // Keep the field's type so a typo can't turn a number into a string
+    const current = parent[key];
+    if (current !== null && value !== null && typeof current !== typeof value) {
+      throw new Error(`${type}.${path} must be a ${typeof current}`);
+    }
+
+    parent[key] = value && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+  }
+
+  /**
+   * Find the entities a targeted operation applies to
+   * @param {GameEngine} gameEngine - Target engine
+   * @param {Object} operation - Operation with entity or withTag
+   * @returns {Entity[]} - Target entities
+   */
+  resolveTargets(gameEngine, operation) {
+    if (operation.withTag !== undefined) {
+      return gameEngine.entityManager.getEntitiesByTag(operation.withTag);
+    }
+
+    const entity = gameEngine.getEntity(operation.entity);
+    if (!entity) {
+      throw new Error(`Entity not found: ${operation.entity}`);
+    }
+    return [entity];
+  }
+
+  /**
+   * Describe the plan as human-readable lines (for previews)
+   * @returns {string[]} - One line per operation
+   */
+  describe() {
+    return this.operations.map(operation => {
+      const target = operation.withTag !== undefined
+        ? `all "${operation.withTag}" entities`
+        : operation.entity;
+
+      switch (operation.op) {
+        case 'createEntity': {
+          const components = Object.keys(operation.components || {});
+          return `Create entity ${operation.id || '(auto id)'}` +
+            (components.length > 0 ? ` with ${components.join(', ')}` : '') +
+            (operation.tags?.length > 0 ? ` tagged ${operation.tags.join(', ')}` : '');
+        }
+        case 'destroyEntity':
+          return `Destroy entity ${operation.entity}`;
+        case 'destroyByTag':
+          return `Destroy all "${operation.tag}" entities`;
+        case 'addComponent':
+          return `Add ${operation.component} to ${target}`;
+        case 'removeComponent':
+          return `Remove ${operation.component} from ${target}`;
+        case 'setProperty':
+          return `Set ${target}.${operation.component}.${operation.property} = ${JSON.stringify(operation.value)}`;
+        case 'addTag':
+          return `Tag ${target} as "${operation.tag}"`;
+        case 'removeTag':
+          return `Remove tag "${operation.tag}" from ${target}`;
+        case 'setSystemConfig':
+          return `Configure ${operation.system}: ${JSON.stringify(operation.config)}`;
+        default:
+          return `Unknown operation ${operation.op}`;
+      }
+    });
+  }
+
+  /**
+   * Get a JSON representation of this plan
+   * @returns {Object} - JSON representation
+   */
+  toJSON() {
+    return {
+      version: 1,
+      explanation: this.explanation,
+      operations: this.operations
+    };
+  }
+
+  /**
+   * Get the component types plans can create
+   * @param {ComponentRegistry} registry - Component registry
+   * @returns {string[]} - Component type names
+   */
+  static getComponentTypes(registry = componentRegistry) {
+    return registry.getTypeNames();
+  }
+
+  /**
+   * Describe the operation schema for prompts
+   * @param {ComponentRegistry} registry - Component registry
+   * @returns {string} - One line per operation
+   */
+  static describeSchema(registry = componentRegistry) {
+    return Object.entries(OPERATIONS).map(([op, schema]) => {
+      const fields = Object.entries(schema.fields).map(([field, type]) => `${field}: ${type}`);
+      if (schema.target) {
+        fields.unshift('entity: string | withTag: string');
+      }
+      return `- ${op} { ${fields.join(', ')} } - ${schema.description}`;
+    }).concat(
+      `Components: ${registry.getTypeNames().join(', ')} (TransformComponent options: x, y, rotation, scaleX, scaleY)`
+    ).join('\n');
+  }
+}
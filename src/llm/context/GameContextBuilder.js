@@ -1,3 +1,6 @@
+import { ChangeTracker } from '../../engine/ChangeTracker.js';
+import { ModificationPlan } from '../ModificationPlan.js';
+
 /**
  * GameContextBuilder - Builds structured context about the game state for LLM
  * Extracts and formats relevant game information for intelligent code generation
@@ -7,6 +10,8 @@ export class GameContextBuilder {
     this.gameEngine = gameEngine;
     this.maxEntitiesInContext = 20; // Limit for context size
     this.maxContextLength = 8000; // Character limit for context
+    this.recentChanges = []; // Diffs of recently applied modifications
+    this.maxRecentChanges = 5;
   }
 
   /**
@@ -23,6 +28,8 @@ export class GameContextBuilder {
       // Entity and component information
       entities: this.getEntityContext(options.includeAllEntities),
       components: this.getComponentTypes(),
+      prefabs: this.getPrefabs(),
+      gameplay: this.getGameplay(),
       systems: this.getSystemInfo(),
       
       // User request analysis
@@ -37,6 +44,9 @@ export class GameContextBuilder {
       // API information
       api: this.getAvailableAPI(),
       
+      // Declarative alternative to code
+      planSchema: this.getPlanSchema(),
+      
       // Recent changes (if any)
       recentChanges: this.getRecentChanges(),
       
@@ -90,7 +100,8 @@ export class GameContextBuilder {
       tags: Array.from(entity.tags),
       components: this.getEntityComponents(entity),
       position: this.getEntityPosition(entity),
-      bounds: this.getEntityBounds(entity)
+      bounds: this.getEntityBounds(entity),
+      ...this.getEntityHierarchy(entity)
     }));
   }
 
@@ -160,6 +171,15 @@ export class GameContextBuilder {
           moveSpeed: component.moveSpeed
         };
       
+      case 'ScriptComponent':
+        return {
+          scripts: Array.from(component.scripts.values(), script => ({
+            name: script.name,
+            enabled: script.enabled,
+            lastError: script.lastError
+          }))
+        };
+      
       default:
         // Return basic properties for unknown components
         const data = {};
@@ -175,13 +195,29 @@ export class GameContextBuilder {
   }
 
   /**
-   * Get entity position if it has a transform
+   * Get entity world position if it has a transform
    * @param {Entity} entity - The entity
    * @returns {Object|null} - Position or null
    */
   getEntityPosition(entity) {
     const transform = entity.getComponent('TransformComponent');
-    return transform ? transform.position : null;
+    return transform ? transform.getWorldPosition() : null;
+  }
+
+  /**
+   * Get an entity's parent and children, omitted for entities outside any hierarchy
+   * @param {Entity} entity - The entity
+   * @returns {Object} - { parent, children } (either may be missing)
+   */
+  getEntityHierarchy(entity) {
+    const hierarchy = {};
+    if (entity.parent) {
+      hierarchy.parent = entity.parent.id;
+    }
+    if (entity.children.size > 0) {
+      hierarchy.children = entity.getChildren().map(child => child.id);
+    }
+    return hierarchy;
   }
 
   /**
@@ -205,38 +241,24 @@ export class GameContextBuilder {
    * @returns {Array} - Component type information
    */
   getComponentTypes() {
-    return [
-      {
-        name: 'TransformComponent',
-        description: 'Handles position, rotation, and scale',
-        properties: ['position', 'rotation', 'scale'],
-        methods: ['setPosition', 'translate', 'setRotation', 'rotate']
-      },
-      {
-        name: 'RenderComponent',
-        description: 'Handles visual rendering',
-        properties: ['visible', 'color', 'shape', 'width', 'height', 'opacity'],
-        methods: ['setVisible', 'setColor', 'setSize', 'addAnimation']
-      },
-      {
-        name: 'MovementComponent',
-        description: 'Handles entity movement and physics',
-        properties: ['velocity', 'maxSpeed', 'canMove', 'friction'],
-        methods: ['move', 'jump', 'addForce', 'stop']
-      },
-      {
-        name: 'PhysicsComponent',
-        description: 'Integrates with physics engine',
-        properties: ['bodyType', 'mass', 'friction', 'restitution'],
-        methods: ['setPosition', 'applyForce', 'setVelocity']
-      },
-      {
-        name: 'PlayerControllerComponent',
-        description: 'Handles user input',
-        properties: ['keyBindings', 'moveSpeed', 'isMoving'],
-        methods: ['isActionPressed', 'getMovementInput']
-      }
-    ];
+    return this.gameEngine.componentRegistry.describe();
+  }
+
+  /**
+   * Get the prefabs that can be spawned by name
+   * @returns {Array} - Prefab information
+   */
+  getPrefabs() {
+    return this.gameEngine.prefabRegistry ? this.gameEngine.prefabRegistry.describe() : [];
+  }
+
+  /**
+   * Get score, lives, level and state from the GameStateSystem
+   * @returns {Object|null} - Game state or null if the system isn't installed
+   */
+  getGameplay() {
+    const gameStateSystem = this.gameEngine.getSystem('GameStateSystem');
+    return gameStateSystem ? gameStateSystem.getState() : null;
   }
 
   /**
@@ -355,6 +377,17 @@ export class GameContextBuilder {
         getEntity: 'Get entity by ID',
         destroyEntity: 'Destroy entity by ID',
         getEntitiesWithComponents: 'Query entities by component types',
+        query: 'Query entities with { all, any, none, withTags, withoutTags, where }',
+        queryRadius: 'Find entities near a point (x, y, radius, { tag, filter })',
+        nearest: 'Find the closest entities to a point (x, y, count, { tag, filter })',
+        onCollision: 'Run a handler when tagged entities touch (name, tagA, tagB, handler(a, b, game), { phase })',
+        damage: 'Damage an entity with a HealthComponent (entityOrId, amount, { source, type })',
+        heal: 'Restore health (entityOrId, amount)',
+        getGameState: 'Read { state, score, highScore, lives, level, playTime, timers, values, stats }',
+        addScore: 'Add points (points, reason)',
+        setGameState: 'Change state: menu, playing, paused, gameOver or victory',
+        setHitRule: 'Set which tags a projectile team hits (team, tags)',
+        setAI: 'Give entities a steering behavior or AI state machine (entityOrId or { tag }, { behavior, options } or { states })',
         getEntitiesByTag: 'Get entities with specific tag'
       },
       entity: {
@@ -369,19 +402,66 @@ export class GameContextBuilder {
         RenderComponent: 'new RenderComponent({ color, width, height, shape })',
         MovementComponent: 'new MovementComponent({ speed, maxSpeed })',
         PhysicsComponent: 'new PhysicsComponent({ bodyType, mass, friction })',
-        PlayerControllerComponent: 'new PlayerControllerComponent({ moveSpeed })'
+        PlayerControllerComponent: 'new PlayerControllerComponent({ moveSpeed })',
+        ShooterControllerComponent: 'new ShooterControllerComponent({ fireMode, fireRate, bulletSpeed, damage, shootDirection, team, pierce, bounces, lifetime, range })',
+        ColliderComponent: 'new ColliderComponent({ shape, width, height, radius, layer, mask, isTrigger, isStatic })',
+        HealthComponent: 'new HealthComponent({ maxHealth, armor, invulnerabilityTime, regeneration, onDeath, loot, respawnDelay })',
+        DamageComponent: 'new DamageComponent({ amount, type, interval, targetTags, destroyOnHit })',
+        AIComponent: 'new AIComponent({ behavior, options, states, initialState, maxAcceleration, shoot })'
       }
     };
   }
 
+  /**
+   * Get the modification plan operations for the prompt
+   * @returns {string} - Operation schema, one line per operation
+   */
+  getPlanSchema() {
+    return ModificationPlan.describeSchema(this.gameEngine.componentRegistry);
+  }
+
   /**
    * Get recent changes made to the game
    * @returns {Array} - Recent changes
    */
   getRecentChanges() {
-    // This would be populated by tracking modifications
-    // For now, return empty array
-    return [];
+    return this.recentChanges.slice();
+  }
+
+  /**
+   * Remember the changes made by an applied modification
+   * @param {string} requestId - Modification request ID
+   * @param {string} userRequest - Request that caused the changes
+   * @param {Object} changes - Diff from ChangeTracker
+   */
+  recordChanges(requestId, userRequest, changes) {
+    if (ChangeTracker.isEmpty(changes)) return;
+
+    this.recentChanges.push({
+      requestId,
+      userRequest,
+      timestamp: Date.now(),
+      summary: ChangeTracker.describe(changes)
+    });
+
+    if (this.recentChanges.length > this.maxRecentChanges) {
+      this.recentChanges.shift();
+    }
+  }
+
+  /**
+   * Forget the changes of an undone modification
+   * @param {string} requestId - Modification request ID
+   */
+  forgetChanges(requestId) {
+    this.recentChanges = this.recentChanges.filter(change => change.requestId !== requestId);
+  }
+
+  /**
+   * Forget recorded changes (e.g. after a world reset)
+   */
+  clearRecentChanges() {
+    this.recentChanges = [];
   }
 
   /**
@@ -0,0 +1,403 @@
+import { ModificationPlan } from '../ModificationPlan.js';
+
+/**
+ * LLMProvider - Base class for language model backends
+ * Subclasses implement generateContent; prompt building, code extraction,
+ * validation and statistics are shared by every provider
+ */
+export class LLMProvider {
+  constructor(name, options = {}) {
+    this.name = name;
+
+    // Configuration
+    this.model = options.model || 'unknown';
+    this.maxTokens = options.maxTokens || 2048;
+    this.temperature = options.temperature || 0.7;
+    this.timeout = options.timeout || 30000; // 30 seconds
+    
+    // Request tracking
+    this.requestCount = 0;
+    this.totalTokensUsed = 0;
+    this.requestHistory = [];
+  }
+
+  /**
+   * Generate content from a prompt
+   * @param {string} prompt - The prompt to send to the model
+   * @param {Object} options - Additional options for this request
+   * @returns {Promise<Object>} - Response object ({ id, text, success, estimatedTokens, ... })
+   */
+  async generateContent(prompt, options = {}) {
+    throw new Error(`${this.constructor.name} must implement generateContent`);
+  }
+
+  /**
+   * Validate a prompt before sending it
+   * @param {string} prompt - Prompt to validate
+   */
+  validatePrompt(prompt) {
+    if (!prompt || typeof prompt !== 'string') {
+      throw new Error('Prompt must be a non-empty string');
+    }
+
+    if (prompt.length > 30000) {
+      throw new Error('Prompt too long. Maximum length is 30,000 characters');
+    }
+  }
+
+  /**
+   * Generate code specifically for game modifications
+   * @param {string} userRequest - Natural language description of desired change
+   * @param {Object} gameContext - Current game state context
+   * @param {Object} options - Additional options
+   * @returns {Promise<Object>} - Generated code response
+   */
+  async generateGameCode(userRequest, gameContext, options = {}) {
+    const systemPrompt = this.buildGameCodePrompt(userRequest, gameContext);
+    
+    const response = await this.generateContent(systemPrompt, {
+      temperature: options.temperature || 0.3, // Lower temperature for code generation
+      maxOutputTokens: options.maxTokens || 1024,
+      ...options
+    });
+
+    // Parse and validate the generated code
+    return this.parseCodeResponse(response, userRequest, gameContext);
+  }
+
+  /**
+   * Build a specialized prompt for game code generation
+   * @param {string} userRequest - User's natural language request
+   * @param {Object} gameContext - Current game state
+   * @returns {string} - Formatted prompt
+   */
+  buildGameCodePrompt(userRequest, gameContext) {
+    return `You are a game development AI assistant that generates JavaScript code for a 2D game engine.
+
+GAME CONTEXT:
+- Engine: Entity-Component-System architecture
+- Available Components: ${(gameContext.availableComponents || gameContext.components?.map(component => component.name))?.join(', ') || 'TransformComponent, RenderComponent, MovementComponent, PhysicsComponent, PlayerControllerComponent'}
+- Current Entities: ${gameContext.entityCount || 0} entities
+- Available Prefabs: ${gameContext.prefabs?.map(prefab => prefab.name).join(', ') || 'none'}
+- Game State: ${gameContext.gameplay ? `${gameContext.gameplay.state}, score ${gameContext.gameplay.score}, lives ${gameContext.gameplay.lives}, level ${gameContext.gameplay.level}` : 'not tracked'}
+- Available Systems: ${gameContext.availableSystems?.join(', ') || 'MovementSystem'}
+
+${this.formatRecentChanges(gameContext.recentChanges)}USER REQUEST: "${userRequest}"
+
+GUIDELINES:
+1. Generate only safe, executable JavaScript code
+2. Use the provided game API functions
+3. Include error handling
+4. Keep code concise and focused
+5. Add helpful comments explaining the changes
+6. Return code wrapped in \`\`\`javascript blocks
+
+AVAILABLE API FUNCTIONS:
+- game.createEntity(id?) - Create new entity
+- game.getEntity(id) - Get entity by ID
+- game.getEntitiesWithComponents([componentTypes]) - Query entities
+- game.queryRect({ x, y, width, height }, { tag?, filter? }), game.queryRadius(x, y, radius, { tag?, filter? }), game.nearest(x, y, count, { tag?, filter? }) - Find entities by position (fast, uses a spatial index)
+- game.raycast({ x, y }, { x: dx, y: dy }, { maxDistance?, tag?, filter? }) - First entity along a line: { entity, distance, point } or null
+- game.query({ all: [types], any: [types], none: [types], withTags: [tags], withoutTags: [tags], where: entity => boolean }) - Combined query (every filter is optional)
+- entity.addComponent(component) - Add component to entity
+- entity.getComponent(type) - Get component from entity
+- entity.addTag(tag) - Add tag to entity
+- parent.addChild(child), child.detach(), entity.getParent(), entity.getChildren() - Entity hierarchies (a child's TransformComponent is relative to its parent and it is destroyed with it; use transform.getWorldPosition() for world space; the demo's enemies are children of "enemy-formation")
+- game.spawn(prefab, { id?, x?, y?, tags?, components: { Type: options }, parent? }) - Spawn a configured entity from a prefab (with its children); game.getPrefabNames() lists them
+- game.definePrefab({ name, extends?, tags, components: { Type: options }, children? }) - Register a prefab for later spawns
+- game.random(), game.randomInt(min, max), game.randomColor() - Seeded random numbers (the same seed replays the same game)
+- game.setTimeScale(scale, { duration }?), game.getTimeScale() - Slow motion or fast-forward (1 is normal speed, 0.3 is bullet-time; with a duration in ms the previous speed comes back afterwards)
+
+PERSISTENT BEHAVIORS (logic that must run every frame):
+- game.addBehavior(name, { tag } or { entityId }, function (entity, dt, game) { ... }) - Run update every frame (dt in seconds)
+- game.removeBehavior(name) - Remove a behavior
+- game.listBehaviors() - List behaviors and their status
+Behavior functions are stored as source: they cannot use variables from the surrounding code,
+keep per-entity state on components. Behaviors that keep throwing are disabled automatically.
+
+EVENTS (react to gameplay instead of polling):
+- game.emit('custom:scoreChanged', { score: 10 }) - Publish an event (use "custom:" topics for your own events)
+- game.onEvent(name, 'shooter:hit', function (payload, event, game) { ... }) - Run a handler for every matching event
+  ("*" matches one topic segment, "**" several). Built-in topics: shooter:fired, shooter:bulletCreated, shooter:hit ({ bulletId, owner, team, targetId, position }), health:damaged, health:died
+- game.offEvent(name) - Remove a handler
+
+COLLISIONS (entities need a ColliderComponent; the CollisionSystem does the math):
+- new ColliderComponent({ shape: 'aabb' | 'circle' | 'polygon', layer: 'bullets', mask: ['enemies'], isTrigger: true, isStatic: false }) - Sized from the RenderComponent unless width/height/radius/points are given
+- game.onCollision(name, 'bullet', 'barrier', function (bullet, barrier, game) { ... }, { phase: 'enter' }?) - Run when entities with those tags touch (phase 'enter', 'stay' or 'exit'; remove with game.offEvent(name))
+- Events collision:enter / collision:stay / collision:exit ({ entityA, entityB, trigger, normal, depth }); game.getContacts(entityId) lists touching entity IDs
+- Prefab colliders: bullets (layer "bullets", trigger), enemies ("enemies", trigger), barriers ("barriers", static), player ("player")
+
+HEALTH AND DAMAGE (the HealthSystem applies armor, invulnerability and death handlers):
+- new HealthComponent({ maxHealth: 100, armor: 0, invulnerabilityTime: 0, regeneration: 0, onDeath: ['drop', 'destroy'], loot: [{ prefab, chance }], respawnDelay }) - onDeath handlers run in order: 'drop' (spawn loot), 'destroy', 'respawn'
+- game.damage(entityOrId, amount, { source, type }?), game.heal(entityOrId, amount), game.kill(entityOrId) - Bullets deal their shooter's ShooterControllerComponent.damage (10 by default)
+- new DamageComponent({ amount: 20, targetTags: ['player'], interval: 0, destroyOnHit: false }) - Damage entities with health that its collider touches
+- Events health:damaged ({ entityId, amount, health, maxHealth, sourceId, type }), health:died ({ entityId, tags, position, sourceId, type }; the entity still exists in the handler), health:healed, health:respawned
+- Prefab health: enemy 10, enemy-orange 20, enemy-red 30 (enemies deal 20 contact damage to the player); player 100 (respawns after 2s)
+
+GAME STATE (score, lives, level; the GameStateSystem scores enemy kills and takes a life when the player dies):
+- game.getGameState() - { state, score, highScore, lives, level, playTime, timers, values, stats }
+- game.addScore(points, reason?), game.setLives(lives), game.setLevel(level), game.nextLevel() - Zero lives is game over; a new level resumes play after victory or game over
+- game.setGameState('menu' | 'playing' | 'paused' | 'gameOver' | 'victory', reason?) - Paused also pauses the engine
+- game.startTimer(name, ms, { repeat }?), game.cancelTimer(name) - Publishes game:timer ({ name, level }) when it runs out
+- game.setGameValue(key, value) - Store custom data (combo, wave, ...) shown in getGameState().values
+- Events game:state ({ state, previous, reason }), game:score ({ score, delta, reason }), game:lives, game:level; killing every enemy is a victory
+
+ENEMY AI (the AISystem steers the MovementComponent every frame):
+- game.setAI(entity | id | { tag }, { behavior, options }) - Behaviors: idle, formation ({ speed, stepDown, speedIncrease, bounds: { minX, maxX } }), patrol ({ waypoints: [{ x, y }], speed, loop }), seek / pursue / flee ({ tag: 'player', speed, distance }), wander ({ speed, turnRate, bounds })
+- game.setAI(target, { initialState, states: { name: { behavior, options, transitions: [{ to, when, after }] } } }) - State machine; when is 'targetWithin' / 'targetBeyond' ({ tag, distance }) or 'healthBelow' ({ fraction }), after is ms in the state
+- game.getAIBehaviors() - Behavior names; events ai:state ({ entityId, state, previous })
+- Add shoot: { tag: 'player', range, rate (average shots per second), aim } to the AI config (or a state) to fire the entity's ShooterControllerComponent
+- Example: game.setAI({ tag: 'boss' }, { states: { patrol: { behavior: 'wander', transitions: [{ to: 'chase', when: 'targetWithin', tag: 'player', distance: 200 }] }, chase: { behavior: 'pursue', options: { speed: 120 }, transitions: [{ to: 'patrol', after: 3000 }] } } })
+
+PROJECTILES (bullets belong to a team and only hit the tags their team's hit rule lists):
+- new ShooterControllerComponent({ fireMode: 'keys' | 'auto' | 'manual', fireRate, bulletSpeed, damage, shootDirection: { x: 0, y: 1 }, bulletOffset: { x: 0, y: 20 }, team, pierce, bounces, lifetime, range })
+- shooter.fire(direction?), shooter.fireAt(x, y) - Fire from code or AI (limited by fireRate); a 'manual' shooter ignores keys
+- Teams default to the owner's "player" or "enemy" tag; game.setHitRule('enemy', ['player', 'barrier']) changes what a team hits, game.getHitRules() reads them (default player -> enemy, enemy -> player, so no friendly fire)
+- pierce passes through that many extra targets, bounces reflects off the arena edges, lifetime is in ms, range is the max travel distance
+
+CUSTOM COMPONENTS (per-entity data for new mechanics):
+- game.defineComponent('ShieldComponent', { strength: 3 }) - Register a data component with default values
+- new ShieldComponent({ strength: 5 }) or game.createComponent('ShieldComponent', { strength: 5 }) - Create one
+
+${this.formatPlanSchema(gameContext.planSchema)}SAFETY RULES:
+- No infinite loops
+- No network requests
+- No file system access
+- No DOM manipulation outside game canvas
+- Maximum 50 lines of code
+
+Generate the code:`;
+  }
+
+  /**
+   * Format the modification plan schema for the prompt
+   * @param {string} planSchema - Operation list from GameContextBuilder
+   * @returns {string} - Prompt section (empty if plans aren't offered)
+   */
+  formatPlanSchema(planSchema) {
+    if (!planSchema) return '';
+
+    return `MODIFICATION PLANS (preferred for simple changes):
+Instead of code, you may return a \`\`\`json block with {"explanation": "...", "operations": [...]}.
+Each operation is an object with an "op" field:
+${planSchema}
+Use JavaScript only when the change needs logic such as conditions, loops or behaviors.
+
+`;
+  }
+
+  /**
+   * Format recently applied changes for the prompt
+   * @param {Array} recentChanges - Entries from GameContextBuilder.getRecentChanges
+   * @returns {string} - Prompt section (empty if there are no changes)
+   */
+  formatRecentChanges(recentChanges) {
+    if (!recentChanges || recentChanges.length === 0) return '';
+
+    const entries = recentChanges.map(change =>
+      `- "${change.userRequest}":\n${change.summary.map(line => `    ${line}`).join('\n')}`
+    );
+
+    return `RECENT CHANGES (most recent last):\n${entries.join('\n')}\n\n`;
+  }
+
+  /**
+   * Parse and validate generated code response
+   * @param {Object} response - API response
+   * @param {string} userRequest - Original user request
+   * @param {Object} gameContext - Game context
+   * @returns {Object} - Parsed code response
+   */
+  parseCodeResponse(response, userRequest, gameContext) {
+    const text = response.text;
+    
+    // A JSON modification plan takes the place of code
+    const plan = this.extractPlan(text);
+    if (plan) {
+      return {
+        ...response,
+        code: null,
+        plan: plan,
+        format: 'plan',
+        explanation: plan.explanation || this.extractExplanation(text),
+        userRequest: userRequest,
+        codeBlocks: 0,
+        validated: true
+      };
+    }
+    
+    // Extract JavaScript code blocks
+    const codeBlocks = this.extractCodeBlocks(text);
+    
+    if (codeBlocks.length === 0) {
+      throw new Error('No code blocks found in response');
+    }
+
+    const mainCode = codeBlocks[0]; // Use the first code block
+    
+    // Basic validation
+    this.validateGeneratedCode(mainCode);
+
+    return {
+      ...response,
+      code: mainCode,
+      format: 'code',
+      explanation: this.extractExplanation(text, codeBlocks),
+      userRequest: userRequest,
+      codeBlocks: codeBlocks.length,
+      validated: true
+    };
+  }
+
+  /**
+   * Extract a modification plan from a ```json block
+   * @param {string} text - Response text
+   * @returns {ModificationPlan|null} - The plan, or null if the response has none
+   */
+  extractPlan(text) {
+    const match = /```json[ \t]*\n([\s\S]*?)```/i.exec(text);
+    return match ? ModificationPlan.parse(match[1]) : null;
+  }
+
+  /**
+   * Extract JavaScript code blocks from response text
+   * @param {string} text - Response text
+   * @returns {string[]} - Array of code blocks
+   */
+  extractCodeBlocks(text) {
+    const codeBlockRegex = /```(?:javascript|js)?(?![\w-])\n?([\s\S]*?)```/gi;
+    const blocks = [];
+    let match;
+
+    while ((match = codeBlockRegex.exec(text)) !== null) {
+      blocks.push(match[1].trim());
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Extract explanation text (non-code content)
+   * @param {string} text - Full response text
+   * @param {string[]} codeBlocks - Extracted code blocks
+   * @returns {string} - Explanation text
+   */
+  extractExplanation(text, codeBlocks) {
+    let explanation = text;
+    
+    // Remove code blocks to get explanation
+    explanation = explanation.replace(/```[\w-]*\n?[\s\S]*?```/gi, '');
+    
+    return explanation.trim();
+  }
+
+  /**
+   * Basic validation of generated code
+   * @param {string} code - Generated code
+   */
+  validateGeneratedCode(code) {
+    // Check for dangerous patterns
+    const dangerousPatterns = [
+      /eval\s*\(/,
+      /Function\s*\(/,
+      /setTimeout\s*\(/,
+      /setInterval\s*\(/,
+      /XMLHttpRequest/,
+      /fetch\s*\(/,
+      /import\s*\(/,
+      /require\s*\(/,
+      /process\./,
+      /global\./,
+      /window\./,
+      /document\./
+    ];
+
+    for (const pattern of dangerousPatterns) {
+      if (pattern.test(code)) {
+        throw new Error(`Generated code contains dangerous pattern: ${pattern.source}`);
+      }
+    }
+
+    // Check code length
+    if (code.split('\n').length > 50) {
+      throw new Error('Generated code exceeds 50 lines limit');
+    }
+
+    // Check for infinite loop patterns
+    const infiniteLoopPatterns = [
+      /while\s*\(\s*true\s*\)/,
+      /for\s*\(\s*;\s*;\s*\)/
+    ];
+
+    for (const pattern of infiniteLoopPatterns) {
+      if (pattern.test(code)) {
+        throw new Error(`Generated code contains potential infinite loop: ${pattern.source}`);
+      }
+    }
+  }
+
+  /**
+   * Generate unique request ID
+   * @returns {string} - Unique identifier
+   */
+  generateRequestId() {
+    return `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Add request to history
+   * @param {string} requestId - Request identifier
+   * @param {string} prompt - Original prompt
+   * @param {Object} response - Response object
+   * @param {number} startTime - Request start time
+   */
+  addToHistory(requestId, prompt, response, startTime) {
+    this.requestHistory.push({
+      id: requestId,
+      prompt: prompt.substring(0, 100) + (prompt.length > 100 ? '...' : ''),
+      response: response,
+      timestamp: startTime
+    });
+
+    // Keep only last 100 requests
+    if (this.requestHistory.length > 100) {
+      this.requestHistory.shift();
+    }
+  }
+
+  /**
+   * Clear request history
+   */
+  clearHistory() {
+    this.requestHistory = [];
+  }
+
+  /**
+   * Reset statistics
+   */
+  resetStats() {
+    this.requestCount = 0;
+    this.totalTokensUsed = 0;
+    this.clearHistory();
+  }
+
+  /**
+   * Get provider statistics
+   * @returns {Object} - Usage statistics
+   */
+  getStats() {
+    return {
+      provider: this.name,
+      requestCount: this.requestCount,
+      totalTokensUsed: this.totalTokensUsed,
+      averageTokensPerRequest: this.requestCount > 0 ? Math.round(this.totalTokensUsed / this.requestCount) : 0,
+      historySize: this.requestHistory.length,
+      model: this.model,
+      configuration: {
+        maxTokens: this.maxTokens,
+        temperature: this.temperature,
+        timeout: this.timeout
+      }
+    };
+  }
+}
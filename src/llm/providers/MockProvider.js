@@ -0,0 +1,161 @@
+import { LLMProvider } from './LLMProvider.js';
+
+// Canned responses for common Space Invaders requests
+const DEFAULT_RULES = [
+  {
+    pattern: /\b(faster|speed ?up)\b.*\bplayer\b|\bplayer\b.*\b(faster|speed ?up)\b/i,
+    explanation: 'Doubled the player movement speed.',
+    code: `const player = game.getEntity('player');
+if (player) {
+  const controller = player.getComponent('PlayerControllerComponent');
+  if (controller) {
+    controller.moveSpeed = controller.moveSpeed * 2;
+  }
+}`
+  },
+  {
+    pattern: /\b(colou?r|recolou?r)\b/i,
+    explanation: 'Changed the enemy colors.',
+    plan: {
+      operations: [
+        { op: 'setProperty', withTag: 'enemy', component: 'RenderComponent', property: 'color', value: '#FF00FF' }
+      ]
+    }
+  },
+  {
+    pattern: /\b(add|spawn|create)\b.*\bboss\b/i,
+    explanation: 'Spawned a boss enemy that takes ten hits to destroy.',
+    code: `const count = game.getEntitiesByTag('boss').length;
+game.spawn('enemy-red', {
+  id: 'boss-' + count,
+  x: 400,
+  y: 60,
+  tags: ['boss'],
+  components: {
+    RenderComponent: { color: '#B000FF', width: 90, height: 40 },
+    HealthComponent: { maxHealth: 100 }
+  }
+});`
+  },
+  {
+    pattern: /\benem(y|ies)\b.*\b(shoot|shooting|fire)\b/i,
+    explanation: 'Enemies now fire red bullets down at the player now and then.',
+    code: `game.getEntitiesByTag('enemy').forEach(enemy => {
+  enemy.addComponent(new ShooterControllerComponent({
+    fireMode: 'manual',
+    fireRate: 1500,
+    bulletSpeed: 250,
+    damage: 20,
+    shootDirection: { x: 0, y: 1 },
+    bulletOffset: { x: 0, y: 15 }
+  }));
+});
+game.setAI({ tag: 'enemy' }, { behavior: 'idle', shoot: { tag: 'player', rate: 0.1 } });`
+  },
+  {
+    pattern: /\b(add|spawn|create)\b.*\benem(y|ies)\b/i,
+    explanation: 'Spawned a new enemy above the formation.',
+    code: `const count = game.getEntitiesByTag('enemy').length;
+const enemy = game.createEntity('enemy-extra-' + count);
+enemy.addTag('enemy');`
+  },
+  {
+    pattern: /\b(remove|delete|destroy)\b.*\bbarriers?\b/i,
+    explanation: 'Removed all barriers.',
+    plan: {
+      operations: [{ op: 'destroyByTag', tag: 'barrier' }]
+    }
+  }
+];
+
+const FALLBACK_RULE = {
+  explanation: 'The mock provider has no canned response for this request, so nothing was changed.',
+  code: `console.log('Mock provider: no canned response for this request');`
+};
+
+/**
+ * MockProvider - Deterministic offline provider for development and tests
+ * Maps request patterns to canned code snippets or modification plans; no network access required
+ */
+export class MockProvider extends LLMProvider {
+  constructor(options = {}) {
+    super('mock', {
+      ...options,
+      model: options.model || 'mock'
+    });
+
+    // Custom rules are checked before the defaults
+    this.rules = [...(options.rules || []), ...(options.includeDefaultRules === false ? [] : DEFAULT_RULES)];
+    this.fallback = options.fallback || FALLBACK_RULE;
+  }
+
+  /**
+   * Add a rule mapping a request pattern to a canned response
+   * @param {RegExp|string} pattern - Pattern matched against the request
+   * @param {string|Object} code - Code to return, or a modification plan object
+   * @param {string} explanation - Explanation to return
+   */
+  addRule(pattern, code, explanation = '') {
+    const regex = pattern instanceof RegExp ? pattern : new RegExp(pattern, 'i');
+    const response = typeof code === 'string' ? { code } : { plan: code };
+    this.rules.unshift({ pattern: regex, ...response, explanation });
+  }
+
+  /**
+   * Find the rule for a request
+   * @param {string} text - Request text
+   * @returns {Object} - Matching rule or the fallback
+   */
+  findRule(text) {
+    return this.rules.find(rule => rule.pattern.test(text)) || this.fallback;
+  }
+
+  /**
+   * Generate a canned response for a prompt
+   * @param {string} prompt - Prompt (or user request) to match
+   * @param {Object} options - Unused, accepted for interface compatibility
+   * @returns {Promise<Object>} - Response object
+   */
+  async generateContent(prompt, options = {}) {
+    const startTime = Date.now();
+    this.validatePrompt(prompt);
+
+    this.requestCount++;
+    const requestId = this.generateRequestId();
+
+    const rule = this.findRule(prompt);
+    const text = rule.plan
+      ? `${rule.explanation}\n\n\`\`\`json\n${JSON.stringify(rule.plan, null, 2)}\n\`\`\``
+      : `${rule.explanation}\n\n\`\`\`javascript\n${rule.code}\n\`\`\``;
+    const estimatedTokens = Math.ceil(text.length / 4);
+    this.totalTokensUsed += estimatedTokens;
+
+    const response = {
+      id: requestId,
+      text: text,
+      success: true,
+      duration: Date.now() - startTime,
+      estimatedTokens: estimatedTokens,
+      timestamp: Date.now(),
+      model: this.model,
+      finishReason: 'STOP'
+    };
+
+    this.addToHistory(requestId, prompt, response, startTime);
+    return response;
+  }
+
+  /**
+   * Generate code for a game modification
+   * Matches on the user request rather than the full prompt, which mentions
+   * entities and components regardless of what was asked
+   * @param {string} userRequest - Natural language description of desired change
+   * @param {Object} gameContext - Current game state context
+   * @param {Object} options - Additional options
+   * @returns {Promise<Object>} - Generated code response
+   */
+  async generateGameCode(userRequest, gameContext, options = {}) {
+    const response = await this.generateContent(userRequest, options);
+    return this.parseCodeResponse(response, userRequest, gameContext);
+  }
+}
@@ -0,0 +1,106 @@
+import { LLMProvider } from './LLMProvider.js';
+
+/**
+ * OpenAICompatibleProvider - Talks to any OpenAI-compatible chat completions endpoint
+ * Works with local servers such as Ollama, LM Studio, llama.cpp or vLLM
+ */
+export class OpenAICompatibleProvider extends LLMProvider {
+  constructor(options = {}) {
+    super('openai', {
+      ...options,
+      model: options.model || 'llama3.1'
+    });
+
+    // Endpoint configuration
+    this.baseUrl = (options.baseUrl || 'http://localhost:11434/v1').replace(/\/+$/, '');
+    this.apiKey = options.apiKey || null; // Local servers usually don't need one
+  }
+
+  /**
+   * Generate content using the chat completions endpoint
+   * @param {string} prompt - The prompt to send to the model
+   * @param {Object} options - Additional options (temperature, maxOutputTokens)
+   * @returns {Promise<Object>} - Response object with generated content
+   */
+  async generateContent(prompt, options = {}) {
+    const startTime = Date.now();
+    this.validatePrompt(prompt);
+
+    this.requestCount++;
+    const requestId = this.generateRequestId();
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        signal: controller.signal,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+        },
+        body: JSON.stringify({
+          model: this.model,
+          messages: [{ role: 'user', content: prompt }],
+          temperature: options.temperature ?? this.temperature,
+          max_tokens: options.maxOutputTokens || this.maxTokens
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      const choice = data.choices?.[0];
+      const text = choice?.message?.content || '';
+
+      // Prefer reported usage, fall back to an estimate
+      const estimatedTokens = data.usage?.completion_tokens || Math.ceil(text.length / 4);
+      this.totalTokensUsed += estimatedTokens;
+
+      const result = {
+        id: requestId,
+        text: text,
+        success: true,
+        duration: Date.now() - startTime,
+        estimatedTokens: estimatedTokens,
+        timestamp: Date.now(),
+        model: data.model || this.model,
+        finishReason: choice?.finish_reason || 'unknown'
+      };
+
+      this.addToHistory(requestId, prompt, result, startTime);
+      return result;
+
+    } catch (error) {
+      const message = error.name === 'AbortError'
+        ? `Request timeout after ${this.timeout}ms`
+        : error.message;
+
+      this.addToHistory(requestId, prompt, {
+        id: requestId,
+        success: false,
+        error: { message },
+        duration: Date.now() - startTime,
+        timestamp: Date.now()
+      }, startTime);
+
+      throw new Error(message);
+
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Get provider statistics
+   * @returns {Object} - Usage statistics
+   */
+  getStats() {
+    const stats = super.getStats();
+    stats.configuration.baseUrl = this.baseUrl;
+    return stats;
+  }
+}
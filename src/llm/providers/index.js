@@ -0,0 +1,42 @@
+import { GeminiClient } from '../GeminiClient.js';
+import { LLMProvider } from './LLMProvider.js';
+import { MockProvider } from './MockProvider.js';
+import { OpenAICompatibleProvider } from './OpenAICompatibleProvider.js';
+
+export { LLMProvider, MockProvider, OpenAICompatibleProvider, GeminiClient };
+
+/**
+ * Create an LLM provider from config, falling back to environment variables
+ * Selection order: options.provider, LLM_PROVIDER, then Gemini if
+ * GOOGLE_AI_API_KEY is set, otherwise the offline mock provider
+ * @param {Object} options - Provider options ({ provider, model, temperature, ... })
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {LLMProvider} - The provider
+ */
+export function createLLMProvider(options = {}, env = process.env) {
+  const name = (options.provider || env.LLM_PROVIDER ||
+    (env.GOOGLE_AI_API_KEY ? 'gemini' : 'mock')).toLowerCase();
+
+  const providerOptions = {
+    ...options,
+    model: options.model || env.LLM_MODEL
+  };
+
+  switch (name) {
+    case 'gemini':
+      return new GeminiClient(options.apiKey || env.GOOGLE_AI_API_KEY, providerOptions);
+
+    case 'openai':
+      return new OpenAICompatibleProvider({
+        ...providerOptions,
+        baseUrl: options.baseUrl || env.OPENAI_BASE_URL,
+        apiKey: options.apiKey || env.OPENAI_API_KEY
+      });
+
+    case 'mock':
+      return new MockProvider(providerOptions);
+
+    default:
+      throw new Error(`Unknown LLM provider: ${name} (expected gemini, openai or mock)`);
+  }
+}
@@ -0,0 +1,222 @@
+import { WorldSnapshot } from '../engine/WorldSnapshot.js';
+import { ModificationPlan } from '../llm/ModificationPlan.js';
+import { SessionRecorder, REPLAY_FILE_FORMAT, REPLAY_FILE_VERSION } from './SessionRecorder.js';
+
+/**
+ * ReplayPlayer - Replays a SessionRecorder log headlessly
+ * The engine should have the same systems as the recorded one. It is stepped
+ * directly with its fixed timestep (no game loop), so a replay runs as fast
+ * as the simulation allows. Modifications re-run the recorded code or plan
+ * through the LLMService sandbox without calling the LLM.
+ */
+export class ReplayPlayer {
+  constructor(gameEngine, options = {}) {
+    this.gameEngine = gameEngine;
+    this.llmService = options.llmService || null; // Needed for modification, undo and redo entries
+  }
+
+  /**
+   * Play a replay from its start world to its end tick
+   * @param {Object} replay - Replay data from SessionRecorder
+   * @param {Object} options - { onEntry(entry) } called before each entry is applied
+   * @returns {Promise<Object>} - { ticks, entries, checksum, expectedChecksum, matched, skippedComponents }
+   */
+  async play(replay, options = {}) {
+    ReplayPlayer.validate(replay);
+
+    const engine = this.gameEngine;
+    if (replay.tickRate) {
+      engine.setTickRate(replay.tickRate);
+    }
+
+    const skippedComponents = this.restoreWorld(replay.start.world);
+    engine.tickCount = replay.start.tick;
+    engine.frameCount = replay.start.frame || 0;
+    engine.totalTime = replay.start.totalTime || 0;
+
+    // Behaviors restored with the world need the sandbox globals
+    if (this.llmService && engine.getSystem('BehaviorSystem')) {
+      this.llmService.getBehaviorSystem();
+    }
+
+    for (const entry of replay.entries) {
+      this.stepTo(entry.tick);
+
+      if (options.onEntry) {
+        options.onEntry(entry);
+      }
+      skippedComponents.push(...await this.applyEntry(entry));
+    }
+
+    const endTick = replay.end ? replay.end.tick : engine.tickCount;
+    this.stepTo(endTick);
+
+    const checksum = SessionRecorder.checksum(engine);
+    const expectedChecksum = replay.end ? replay.end.checksum : null;
+
+    return {
+      ticks: endTick - replay.start.tick,
+      entries: replay.entries.length,
+      checksum,
+      expectedChecksum,
+      matched: expectedChecksum === null ? null : checksum === expectedChecksum,
+      skippedComponents
+    };
+  }
+
+  /**
+   * Run fixed steps until the engine reaches a tick
+   * @param {number} tick - Target tick
+   */
+  stepTo(tick) {
+    while (this.gameEngine.tickCount < tick) {
+      this.gameEngine.tick(this.gameEngine.fixedDeltaTime);
+    }
+  }
+
+  /**
+   * Apply one recorded entry
+   * @param {Object} entry - Replay entry
+   * @returns {Promise<Array>} - Components skipped while restoring a world
+   */
+  async applyEntry(entry) {
+    switch (entry.type) {
+      case 'input': {
+        const inputSystem = this.gameEngine.getSystem('InputSystem');
+        if (!inputSystem) {
+          throw new Error('Replay has input but the engine has no InputSystem');
+        }
+        inputSystem.enqueueEvent(entry.clientId, entry.event);
+        return [];
+      }
+
+      case 'modification':
+        await this.applyModification(entry);
+        return [];
+
+      case 'undo':
+        this.requireLLMService(entry).undoModification();
+        return [];
+
+      case 'redo':
+        this.requireLLMService(entry).redoModification();
+        return [];
+
+      case 'control':
+        return this.applyControl(entry);
+
+      default:
+        throw new Error(`Unknown replay entry type at tick ${entry.tick}: ${entry.type}`);
+    }
+  }
+
+  /**
+   * Re-run a recorded modification with undo support, like LLMService does
+   * @param {Object} entry - Modification entry
+   */
+  async applyModification(entry) {
+    const llmService = this.requireLLMService(entry);
+    const userRequest = entry.userRequest || 'Replayed modification';
+
+    const executionResult = await llmService.applyWithUndo(entry.requestId, userRequest, (baseline) =>
+      entry.plan
+        ? llmService.executeModificationPlan(ModificationPlan.parse(entry.plan), { baseline })
+        : llmService.executeGeneratedCode(entry.code, {}, { baseline })
+    );
+
+    if (!executionResult.success) {
+      throw new Error(`Replayed modification ${entry.requestId} failed: ${executionResult.error?.message}`);
+    }
+  }
+
+  /**
+   * Apply a control command
+   * @param {Object} entry - Control entry
+   * @returns {Array} - Components skipped while restoring a world
+   */
+  applyControl(entry) {
+    switch (entry.command) {
+      case 'start':
+      case 'stop':
+      case 'step':
+      case 'timeScale':
+        // Entries are replayed by tick, so the ticks already reflect these
+        return [];
+
+      case 'reset':
+      case 'load': {
+        const skipped = this.restoreWorld(entry.world);
+        if (this.llmService) {
+          this.llmService.clearUndoHistory();
+        }
+        return skipped;
+      }
+
+      case 'spawn': {
+        const { name, overrides } = WorldSnapshot.decodeValue(entry.args || {});
+        this.gameEngine.spawn(name, overrides || {});
+        return [];
+      }
+
+      case 'removeBehavior':
+      case 'enableBehavior': {
+        const behaviors = this.gameEngine.getSystem('BehaviorSystem');
+        if (!behaviors) {
+          throw new Error(`Replay uses ${entry.command} but the engine has no BehaviorSystem`);
+        }
+
+        const { name, target } = WorldSnapshot.decodeValue(entry.args || {});
+        if (entry.command === 'removeBehavior') {
+          behaviors.removeBehavior(name, target || {});
+        } else {
+          behaviors.enableBehavior(name);
+        }
+        return [];
+      }
+
+      default:
+        throw new Error(`Unknown replay control command at tick ${entry.tick}: ${entry.command}`);
+    }
+  }
+
+  /**
+   * Replace the engine's world with a recorded world
+   * @param {Object} world - WorldSnapshot.toJSON data
+   * @returns {Array} - Components whose type isn't registered
+   */
+  restoreWorld(world) {
+    if (!world) {
+      throw new Error('Replay entry is missing its world');
+    }
+
+    const registry = this.gameEngine.componentRegistry;
+    const snapshot = WorldSnapshot.fromJSON(world, type => registry.getClass(type));
+    snapshot.restore(this.gameEngine);
+    return snapshot.skippedComponents;
+  }
+
+  /**
+   * Get the LLMService or explain why an entry can't be replayed
+   * @param {Object} entry - Entry that needs it
+   * @returns {LLMService} - The LLM service
+   */
+  requireLLMService(entry) {
+    if (!this.llmService) {
+      throw new Error(`Replay entry "${entry.type}" at tick ${entry.tick} needs an LLMService`);
+    }
+    return this.llmService;
+  }
+
+  /**
+   * Check that data is a replay this version can play
+   * @param {Object} replay - Replay data
+   */
+  static validate(replay) {
+    if (replay?.format !== REPLAY_FILE_FORMAT || !replay.start?.world || !Array.isArray(replay.entries)) {
+      throw new Error('Not a replay file');
+    }
+    if (!Number.isInteger(replay.version) || replay.version > REPLAY_FILE_VERSION) {
+      throw new Error(`Replay uses unsupported format version ${replay.version}`);
+    }
+  }
+}
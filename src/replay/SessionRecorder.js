@@ -0,0 +1,219 @@
+import { createHash } from 'crypto';
+
+import { WorldSnapshot } from '../engine/WorldSnapshot.js';
+
+export const REPLAY_FILE_FORMAT = 'dynamic-game-replay';
+export const REPLAY_FILE_VERSION = 1;
+
+/**
+ * SessionRecorder - Records what drives a game session so it can be replayed
+ * A recording starts from a world snapshot (including the random state) and
+ * logs every input event, applied LLM modification, undo/redo and control
+ * command with the engine tick it happened at. Replaying the log with
+ * ReplayPlayer reproduces the session exactly when the engine runs with a
+ * fixed timestep.
+ *
+ * Entry types:
+ * - input: { clientId, event } (normalized InputSystem event)
+ * - modification: { requestId, userRequest, format, code, plan }
+ * - undo / redo: { requestId }
+ * - control: { command, world?, args? } (start, stop, step, timeScale, reset, load, spawn, removeBehavior, enableBehavior)
+ */
+export class SessionRecorder {
+  constructor(gameEngine, options = {}) {
+    this.gameEngine = gameEngine;
+    this.maxEntries = options.maxEntries || 100000;
+
+    this.recording = false;
+    this.replay = null; // Replay being recorded
+  }
+
+  /**
+   * Start a new recording from the current world (discards any current recording)
+   * @param {Object} options - { description }
+   */
+  start(options = {}) {
+    const engine = this.gameEngine;
+    if (!engine.fixedTimestep) {
+      console.warn('⚠️ Recording without a fixed timestep - replays will not match exactly');
+    }
+
+    this.replay = {
+      format: REPLAY_FILE_FORMAT,
+      version: REPLAY_FILE_VERSION,
+      recordedAt: new Date().toISOString(),
+      description: typeof options.description === 'string' ? options.description : '',
+      tickRate: engine.tickRate,
+      fixedTimestep: engine.fixedTimestep,
+      start: {
+        tick: engine.tickCount,
+        frame: engine.frameCount,
+        totalTime: engine.totalTime,
+        world: engine.createSnapshot('replay-start').toJSON()
+      },
+      entries: [],
+      end: null
+    };
+    this.recording = true;
+
+    console.log('⏺️ Session recording started');
+  }
+
+  /**
+   * Stop recording
+   * @returns {Object|null} - The finished replay, or null if not recording
+   */
+  stop() {
+    if (!this.replay) return null;
+
+    if (this.recording) {
+      this.replay.end = SessionRecorder.describeEnd(this.gameEngine);
+      this.recording = false;
+      console.log(`⏹️ Session recording stopped (${this.replay.entries.length} entries)`);
+    }
+    return this.replay;
+  }
+
+  /**
+   * Get a finished copy of the current recording without stopping it
+   * @returns {Object|null} - Replay data or null if nothing was recorded
+   */
+  export() {
+    if (!this.replay) return null;
+
+    return {
+      ...this.replay,
+      entries: [...this.replay.entries],
+      end: this.recording ? SessionRecorder.describeEnd(this.gameEngine) : this.replay.end
+    };
+  }
+
+  /**
+   * Record an entry at the current tick
+   * @param {string} type - Entry type
+   * @param {Object} data - Entry data (must be JSON-safe)
+   * @returns {boolean} - True if recorded
+   */
+  record(type, data = {}) {
+    if (!this.recording) return false;
+
+    if (this.replay.entries.length >= this.maxEntries) {
+      console.warn(`⚠️ Session recording stopped: more than ${this.maxEntries} entries`);
+      this.stop();
+      return false;
+    }
+
+    this.replay.entries.push({
+      tick: this.gameEngine.tickCount,
+      frame: this.gameEngine.frameCount,
+      type,
+      ...data
+    });
+    return true;
+  }
+
+  /**
+   * Record a queued input event
+   * @param {string} clientId - Client that produced the input
+   * @param {Object} event - Normalized input event
+   * @returns {boolean} - True if recorded
+   */
+  recordInput(clientId, event) {
+    return this.record('input', { clientId, event: { ...event } });
+  }
+
+  /**
+   * Record an applied modification (failed, rolled-back modifications change nothing)
+   * @param {Object} result - Result from LLMService.processModificationRequest or applyModificationPlan
+   * @returns {boolean} - True if recorded
+   */
+  recordModification(result) {
+    if (!result?.executionResult?.success) return false;
+
+    return this.record('modification', {
+      requestId: result.id,
+      userRequest: result.userRequest,
+      format: result.format,
+      code: result.generatedCode || null,
+      plan: result.plan || null
+    });
+  }
+
+  /**
+   * Record an undo or redo
+   * @param {string} action - 'undo' or 'redo'
+   * @param {string} requestId - Request that was undone or redone
+   * @returns {boolean} - True if recorded
+   */
+  recordUndoRedo(action, requestId) {
+    return this.record(action, { requestId });
+  }
+
+  /**
+   * Record a control command
+   * Commands that replace the world (reset, load) store the new world, since
+   * how it was built isn't recorded.
+   * @param {string} command - Command name
+   * @param {Object} options - { args, replacesWorld }
+   * @returns {boolean} - True if recorded
+   */
+  recordControl(command, options = {}) {
+    const data = { command };
+    if (options.args) {
+      data.args = WorldSnapshot.encodeValue(options.args);
+    }
+    if (options.replacesWorld) {
+      data.world = this.gameEngine.createSnapshot(command).toJSON();
+    }
+    return this.record('control', data);
+  }
+
+  /**
+   * Check if a recording is in progress
+   * @returns {boolean} - True while recording
+   */
+  isRecording() {
+    return this.recording;
+  }
+
+  /**
+   * Get recording status
+   * @returns {Object} - { recording, entries, startTick, ticks }
+   */
+  getStatus() {
+    return {
+      recording: this.recording,
+      entries: this.replay ? this.replay.entries.length : 0,
+      startTick: this.replay ? this.replay.start.tick : null,
+      ticks: this.replay ? this.gameEngine.tickCount - this.replay.start.tick : 0
+    };
+  }
+
+  /**
+   * Describe the engine state a replay should end in
+   * @param {GameEngine} gameEngine - Engine
+   * @returns {Object} - { tick, frame, checksum }
+   */
+  static describeEnd(gameEngine) {
+    return {
+      tick: gameEngine.tickCount,
+      frame: gameEngine.frameCount,
+      checksum: SessionRecorder.checksum(gameEngine)
+    };
+  }
+
+  /**
+   * Hash the world (entities and random state) to compare a replay with the original
+   * System configuration is left out since it holds timing statistics
+   * @param {GameEngine} gameEngine - Engine
+   * @returns {string} - Hex SHA-256 digest
+   */
+  static checksum(gameEngine) {
+    const world = gameEngine.createSnapshot().toJSON();
+    const entities = [...world.entities].sort((a, b) => a.id.localeCompare(b.id));
+
+    return createHash('sha256')
+      .update(JSON.stringify({ entities, random: world.random }))
+      .digest('hex');
+  }
+}
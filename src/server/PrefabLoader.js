@@ -0,0 +1,44 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * PrefabLoader - Loads prefab definitions from JSON files (<directory>/*.json)
+ * Each file holds one prefab, an array of prefabs or { prefabs: [...] }
+ * (see PrefabRegistry). Files load in name order; a prefab may extend one
+ * from another file.
+ */
+export class PrefabLoader {
+  constructor(options = {}) {
+    this.directory = path.resolve(options.directory || process.env.GAME_PREFABS_DIR || 'prefabs');
+  }
+
+  /**
+   * Register every prefab file in the directory (a missing directory loads nothing)
+   * @param {PrefabRegistry} registry - Registry to load into
+   * @returns {Promise<string[]>} - Names of the loaded prefabs
+   */
+  async loadInto(registry) {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const names = [];
+    for (const file of files.filter(file => file.endsWith('.json')).sort()) {
+      try {
+        const data = JSON.parse(await fs.readFile(path.join(this.directory, file), 'utf8'));
+        names.push(...registry.load(data));
+      } catch (error) {
+        console.warn(`⚠️ Skipping invalid prefab file ${file}:`, error.message);
+      }
+    }
+
+    if (names.length > 0) {
+      console.log(`🧩 Loaded ${names.length} prefabs from ${this.directory}`);
+    }
+    return names;
+  }
+}
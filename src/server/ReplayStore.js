@@ -0,0 +1,159 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+import { ReplayPlayer } from '../replay/ReplayPlayer.js';
+
+const REPLAY_NAME_PATTERN = /^[\w-]{1,64}$/;
+
+/**
+ * Create the error thrown for a missing replay
+ * @param {string} name - Replay name
+ * @returns {Error} - Error with code REPLAY_NOT_FOUND
+ */
+function replayNotFound(name) {
+  const error = new Error(`Replay not found: ${name}`);
+  error.code = 'REPLAY_NOT_FOUND';
+  return error;
+}
+
+/**
+ * ReplayStore - Saves recorded sessions as JSON files (<directory>/<name>.json)
+ * The files are plain SessionRecorder output, so they can be downloaded,
+ * shared and played back in tests with ReplayPlayer.
+ */
+export class ReplayStore {
+  constructor(options = {}) {
+    this.directory = path.resolve(options.directory || process.env.GAME_REPLAYS_DIR || 'game-replays');
+  }
+
+  /**
+   * List saved replays, newest first
+   * @returns {Promise<Array>} - Replay summaries
+   */
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const replays = [];
+    for (const file of files) {
+      const name = path.basename(file, '.json');
+      if (!file.endsWith('.json') || !REPLAY_NAME_PATTERN.test(name)) continue;
+
+      try {
+        replays.push(ReplayStore.describe(await this.read(name)));
+      } catch (error) {
+        console.warn(`⚠️ Skipping unreadable replay file ${file}:`, error.message);
+      }
+    }
+
+    return replays.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+  }
+
+  /**
+   * Save a replay under a name (replaces an existing replay)
+   * @param {string} name - Replay name
+   * @param {Object} replay - Replay data from SessionRecorder
+   * @param {Object} options - { description }
+   * @returns {Promise<Object>} - Summary of the saved replay
+   */
+  async save(name, replay, options = {}) {
+    this.validateName(name);
+    ReplayPlayer.validate(replay);
+
+    const data = {
+      ...replay,
+      name,
+      savedAt: new Date().toISOString(),
+      description: typeof options.description === 'string' ? options.description : (replay.description || '')
+    };
+
+    // Write to a temporary file first so a crash never leaves a half-written replay
+    const filePath = this.getFilePath(name);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(data), 'utf8');
+    await fs.rename(tempPath, filePath);
+
+    console.log(`💾 Saved replay "${name}" (${data.entries.length} entries)`);
+    return ReplayStore.describe(data);
+  }
+
+  /**
+   * Delete a saved replay
+   * @param {string} name - Replay name
+   */
+  async delete(name) {
+    this.validateName(name);
+
+    try {
+      await fs.unlink(this.getFilePath(name));
+    } catch (error) {
+      throw error.code === 'ENOENT' ? replayNotFound(name) : error;
+    }
+    console.log(`🗑️ Deleted replay "${name}"`);
+  }
+
+  /**
+   * Read and validate a replay file
+   * @param {string} name - Replay name
+   * @returns {Promise<Object>} - Parsed replay
+   */
+  async read(name) {
+    this.validateName(name);
+
+    let text;
+    try {
+      text = await fs.readFile(this.getFilePath(name), 'utf8');
+    } catch (error) {
+      throw error.code === 'ENOENT' ? replayNotFound(name) : error;
+    }
+
+    const data = JSON.parse(text);
+    ReplayPlayer.validate(data);
+    return data;
+  }
+
+  /**
+   * Validate a replay name (also keeps names safe to use as file names)
+   * @param {string} name - Replay name
+   */
+  validateName(name) {
+    if (typeof name !== 'string' || !REPLAY_NAME_PATTERN.test(name)) {
+      const error = new Error('Replay name must be 1-64 letters, numbers, "_" or "-"');
+      error.code = 'INVALID_REPLAY_NAME';
+      throw error;
+    }
+  }
+
+  /**
+   * Get the file path for a replay
+   * @param {string} name - Replay name
+   * @returns {string} - Absolute file path
+   */
+  getFilePath(name) {
+    return path.join(this.directory, `${name}.json`);
+  }
+
+  /**
+   * Summarize a replay file
+   * @param {Object} data - Parsed replay
+   * @returns {Object} - { name, description, savedAt, recordedAt, version, tickRate, ticks, entryCount }
+   */
+  static describe(data) {
+    return {
+      name: data.name,
+      description: data.description || '',
+      savedAt: data.savedAt,
+      recordedAt: data.recordedAt,
+      version: data.version,
+      tickRate: data.tickRate,
+      ticks: data.end ? data.end.tick - data.start.tick : 0,
+      entryCount: data.entries.length
+    };
+  }
+}
@@ -0,0 +1,192 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+import { WorldSnapshot } from '../engine/WorldSnapshot.js';
+
+const WORLD_FILE_FORMAT = 'dynamic-game-world';
+const WORLD_FILE_VERSION = 1;
+const WORLD_NAME_PATTERN = /^[\w-]{1,64}$/;
+
+/**
+ * Create the error thrown for a missing world
+ * @param {string} name - World name
+ * @returns {Error} - Error with code WORLD_NOT_FOUND
+ */
+function worldNotFound(name) {
+  const error = new Error(`World not found: ${name}`);
+  error.code = 'WORLD_NOT_FOUND';
+  return error;
+}
+
+/**
+ * WorldStore - Saves and loads named game worlds as versioned JSON files
+ * Each world is one file: <directory>/<name>.json. Components are rebuilt
+ * through the engine's ComponentRegistry, so custom types must be registered
+ * before loading a world that uses them.
+ */
+export class WorldStore {
+  constructor(options = {}) {
+    this.directory = path.resolve(options.directory || process.env.GAME_SAVES_DIR || 'game-saves');
+  }
+
+  /**
+   * List saved worlds, newest first
+   * @returns {Promise<Array>} - World summaries
+   */
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const worlds = [];
+    for (const file of files) {
+      const name = path.basename(file, '.json');
+      if (!file.endsWith('.json') || !WORLD_NAME_PATTERN.test(name)) continue;
+
+      try {
+        worlds.push(WorldStore.describe(await this.read(name)));
+      } catch (error) {
+        console.warn(`⚠️ Skipping unreadable world file ${file}:`, error.message);
+      }
+    }
+
+    return worlds.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+  }
+
+  /**
+   * Save the engine's current world under a name (replaces an existing save)
+   * @param {string} name - World name
+   * @param {GameEngine} gameEngine - Engine to save
+   * @param {Object} options - { description }
+   * @returns {Promise<Object>} - Summary of the saved world
+   */
+  async save(name, gameEngine, options = {}) {
+    this.validateName(name);
+
+    const snapshot = gameEngine.createSnapshot(name);
+    const data = {
+      format: WORLD_FILE_FORMAT,
+      version: WORLD_FILE_VERSION,
+      name,
+      savedAt: new Date().toISOString(),
+      description: typeof options.description === 'string' ? options.description : '',
+      world: snapshot.toJSON()
+    };
+
+    // Write to a temporary file first so a crash never leaves a half-written save
+    const filePath = this.getFilePath(name);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(data, null, 2), 'utf8');
+    await fs.rename(tempPath, filePath);
+
+    console.log(`💾 Saved world "${name}" (${snapshot.entities.length} entities)`);
+    return WorldStore.describe(data);
+  }
+
+  /**
+   * Replace the engine's world with a saved world
+   * @param {string} name - World name
+   * @param {GameEngine} gameEngine - Engine to load into
+   * @returns {Promise<Object>} - Summary of the loaded world and any skipped components
+   */
+  async load(name, gameEngine) {
+    const data = await this.read(name);
+    const registry = gameEngine.componentRegistry;
+    const snapshot = WorldSnapshot.fromJSON(data.world, type => registry.getClass(type));
+
+    gameEngine.restoreSnapshot(snapshot);
+
+    if (snapshot.skippedComponents.length > 0) {
+      console.warn(`⚠️ World "${name}" loaded without ${snapshot.skippedComponents.length} unknown component(s)`);
+    }
+    console.log(`📂 Loaded world "${name}" (${snapshot.entities.length} entities)`);
+
+    return {
+      ...WorldStore.describe(data),
+      skippedComponents: snapshot.skippedComponents
+    };
+  }
+
+  /**
+   * Delete a saved world
+   * @param {string} name - World name
+   */
+  async delete(name) {
+    this.validateName(name);
+
+    try {
+      await fs.unlink(this.getFilePath(name));
+    } catch (error) {
+      throw error.code === 'ENOENT' ? worldNotFound(name) : error;
+    }
+    console.log(`🗑️ Deleted world "${name}"`);
+  }
+
+  /**
+   * Read and validate a world file
+   * @param {string} name - World name
+   * @returns {Promise<Object>} - Parsed world file
+   */
+  async read(name) {
+    this.validateName(name);
+
+    let text;
+    try {
+      text = await fs.readFile(this.getFilePath(name), 'utf8');
+    } catch (error) {
+      throw error.code === 'ENOENT' ? worldNotFound(name) : error;
+    }
+
+    const data = JSON.parse(text);
+
+    if (data?.format !== WORLD_FILE_FORMAT || !data.world) {
+      throw new Error(`Not a world file: ${name}`);
+    }
+    if (!Number.isInteger(data.version) || data.version > WORLD_FILE_VERSION) {
+      throw new Error(`World "${name}" uses unsupported format version ${data.version}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Validate a world name (also keeps names safe to use as file names)
+   * @param {string} name - World name
+   */
+  validateName(name) {
+    if (typeof name !== 'string' || !WORLD_NAME_PATTERN.test(name)) {
+      const error = new Error('World name must be 1-64 letters, numbers, "_" or "-"');
+      error.code = 'INVALID_WORLD_NAME';
+      throw error;
+    }
+  }
+
+  /**
+   * Get the file path for a world
+   * @param {string} name - World name
+   * @returns {string} - Absolute file path
+   */
+  getFilePath(name) {
+    return path.join(this.directory, `${name}.json`);
+  }
+
+  /**
+   * Summarize a world file
+   * @param {Object} data - Parsed world file
+   * @returns {Object} - { name, description, savedAt, version, entityCount }
+   */
+  static describe(data) {
+    return {
+      name: data.name,
+      description: data.description || '',
+      savedAt: data.savedAt,
+      version: data.version,
+      entityCount: data.world.entities?.length || 0
+    };
+  }
+}
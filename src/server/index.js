@@ -12,6 +12,28 @@ import { GameEngine } from '../engine/GameEngine.js';
 import { LLMService } from '../llm/LLMService.js';
 import { MovementSystem } from '../engine/systems/MovementSystem.js';
 import { ShooterSystem } from '../engine/systems/ShooterSystem.js';
+import { PhysicsSystem } from '../engine/systems/PhysicsSystem.js';
+import { InputSystem } from '../engine/systems/InputSystem.js';
+import { BehaviorSystem } from '../engine/systems/BehaviorSystem.js';
+import { ComponentUpdateSystem } from '../engine/systems/ComponentUpdateSystem.js';
+import { SpatialIndexSystem } from '../engine/systems/SpatialIndexSystem.js';
+import { CollisionSystem } from '../engine/systems/CollisionSystem.js';
+import { HealthSystem } from '../engine/systems/HealthSystem.js';
+import { GameStateSystem } from '../engine/systems/GameStateSystem.js';
+import { AISystem } from '../engine/systems/AISystem.js';
+import { MockProvider } from '../llm/providers/index.js';
+import { SessionRecorder } from '../replay/SessionRecorder.js';
+import { ReplayPlayer } from '../replay/ReplayPlayer.js';
+import { WorldStore } from './WorldStore.js';
+import { ReplayStore } from './ReplayStore.js';
+import { PrefabLoader } from './PrefabLoader.js';
+import { PrefabRegistry } from '../engine/PrefabRegistry.js';
+
+// Event bus topics forwarded to clients as game:event (override with FORWARD_EVENTS=a,b)
+const DEFAULT_FORWARDED_EVENTS = ['engine:*', 'shooter:hit', 'custom:**'];
+
+// Most frames a single step request may run
+const MAX_STEP_COUNT = 600;
 
 // ES module __dirname equivalent
 const __filename = fileURLToPath(import.meta.url);
@@ -20,7 +42,7 @@ const __dirname = path.dirname(__filename);
 /**
  * Main Server Class - Orchestrates web server, game engine, and LLM service
  */
-class GameServer {
+export class GameServer {
   constructor(options = {}) {
     this.port = options.port || process.env.PORT || 3000;
     this.isDevelopment = process.env.NODE_ENV !== 'production';
@@ -36,13 +58,32 @@ class GameServer {
     });
 
     // Initialize game engine and LLM service
-    this.gameEngine = new GameEngine();
+    // Fixed timestep so simulation results don't depend on the server's frame rate
+    this.gameEngine = new GameEngine({
+      fixedTimestep: true,
+      tickRate: Number(options.tickRate || process.env.TICK_RATE) || 60,
+      seed: options.seed ?? process.env.GAME_SEED ?? null // Fixed seed to reproduce a session
+    });
+    this.recorder = new SessionRecorder(this.gameEngine);
+    this.recordSessions = options.recordSessions ?? process.env.RECORD_SESSIONS !== 'false';
+    this.inputSystem = new InputSystem({
+      onEventQueued: (clientId, event) => this.recorder.recordInput(clientId, event)
+    });
+    this.behaviorSystem = new BehaviorSystem();
     this.llmService = new LLMService(this.gameEngine, {
       onModificationStart: this.handleModificationStart.bind(this),
       onModificationComplete: this.handleModificationComplete.bind(this),
       onModificationError: this.handleModificationError.bind(this),
       onSafetyViolation: this.handleSafetyViolation.bind(this)
     });
+    this.worldStore = new WorldStore({ directory: options.worldsDirectory });
+    this.replayStore = new ReplayStore({ directory: options.replaysDirectory });
+    this.prefabLoader = new PrefabLoader({ directory: options.prefabsDirectory });
+    this.prefabsLoaded = this.prefabLoader.loadInto(this.gameEngine.prefabRegistry).catch(error => {
+      console.warn('⚠️ Could not load prefab files:', error.message);
+    });
+    this.forwardedEvents = options.forwardedEvents ||
+      (process.env.FORWARD_EVENTS ? process.env.FORWARD_EVENTS.split(',').map(topic => topic.trim()) : DEFAULT_FORWARDED_EVENTS);
 
     // Connected clients
     this.connectedClients = new Map();
@@ -57,6 +98,7 @@ class GameServer {
     this.setupMiddleware();
     this.setupRoutes();
     this.setupSocketHandlers();
+    this.setupEventForwarding();
     this.setupGameEngine();
   }
 
@@ -117,6 +159,7 @@ class GameServer {
     this.app.get('/api/game/state', (req, res) => {
       res.json({
         running: this.gameEngine.running,
+        gameplay: this.gameEngine.getSystem('GameStateSystem')?.getState() || null,
         entities: this.getSerializableEntities(),
         stats: this.gameEngine.getPerformanceStats(),
         llmStats: this.llmService.getStats()
@@ -146,6 +189,133 @@ class GameServer {
       }
     });
 
+    // Declarative modification plans (preview, or apply/replay without the LLM)
+    this.app.post('/api/game/plan/preview', (req, res) => {
+      try {
+        res.json(this.llmService.previewModificationPlan(req.body?.plan));
+      } catch (error) {
+        res.status(400).json({ error: error.message, type: 'plan_error' });
+      }
+    });
+
+    this.app.post('/api/game/plan/apply', async (req, res) => {
+      try {
+        const { plan, description } = req.body || {};
+        const result = await this.llmService.applyModificationPlan(plan, { userRequest: description });
+        res.json(result);
+      } catch (error) {
+        res.status(400).json({ error: error.message, type: 'plan_error' });
+      }
+    });
+
+    // Undo/redo LLM modifications
+    this.app.post('/api/game/modify/undo', (req, res) => {
+      this.handleUndoRedo('undo', res);
+    });
+
+    this.app.post('/api/game/modify/redo', (req, res) => {
+      this.handleUndoRedo('redo', res);
+    });
+
+    // Persistent behaviors registered by generated code
+    this.app.get('/api/game/behaviors', (req, res) => {
+      res.json({ behaviors: this.behaviorSystem.listBehaviors() });
+    });
+
+    this.app.delete('/api/game/behaviors/:name', (req, res) => {
+      const { tag, entityId, topic } = req.query;
+      const removed = this.behaviorSystem.removeBehavior(req.params.name, { tag, entityId, topic });
+
+      if (removed === 0) {
+        return res.status(404).json({ error: `Behavior not found: ${req.params.name}` });
+      }
+      this.recorder.recordControl('removeBehavior', { args: { name: req.params.name, target: { tag, entityId, topic } } });
+
+      this.broadcastGameUpdate();
+      res.json({ success: true, removed });
+    });
+
+    this.app.post('/api/game/behaviors/:name/enable', (req, res) => {
+      const enabled = this.behaviorSystem.enableBehavior(req.params.name);
+
+      if (enabled === 0) {
+        return res.status(404).json({ error: `Behavior not found: ${req.params.name}` });
+      }
+      this.recorder.recordControl('enableBehavior', { args: { name: req.params.name } });
+      res.json({ success: true, enabled });
+    });
+
+    // Prefabs (named entity templates)
+    this.app.get('/api/prefabs', (req, res) => {
+      res.json({ prefabs: this.gameEngine.prefabRegistry.describe() });
+    });
+
+    this.app.post('/api/prefabs/:name/spawn', (req, res) => {
+      const { name } = req.params;
+      if (!this.gameEngine.prefabRegistry.has(name)) {
+        return res.status(404).json({ error: `Prefab not found: ${name}` });
+      }
+
+      const { id, x, y, rotation, tags, components, parent } = req.body || {};
+      const overrides = { id, x, y, rotation, tags, components, parent };
+      try {
+        const entity = this.gameEngine.spawn(name, overrides);
+        this.recorder.recordControl('spawn', { args: { name, overrides } });
+        this.broadcastGameUpdate();
+        res.status(201).json({ success: true, entityId: entity.id, children: entity.getDescendants().map(child => child.id) });
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    // Saved worlds
+    this.app.get('/api/worlds', (req, res) => {
+      this.handleWorldRequest('list', null, {}, res);
+    });
+
+    this.app.post('/api/worlds/:name', (req, res) => {
+      this.handleWorldRequest('save', req.params.name, req.body, res);
+    });
+
+    this.app.post('/api/worlds/:name/load', (req, res) => {
+      this.handleWorldRequest('load', req.params.name, req.body, res);
+    });
+
+    this.app.delete('/api/worlds/:name', (req, res) => {
+      this.handleWorldRequest('delete', req.params.name, {}, res);
+    });
+
+    // Session recordings and replays
+    this.app.get('/api/replays', (req, res) => {
+      this.handleReplayRequest('list', null, {}, res);
+    });
+
+    this.app.post('/api/replays/recording/start', (req, res) => {
+      this.recorder.start({ description: req.body?.description });
+      res.json({ success: true, recording: this.recorder.getStatus() });
+    });
+
+    this.app.post('/api/replays/recording/stop', (req, res) => {
+      this.recorder.stop();
+      res.json({ success: true, recording: this.recorder.getStatus() });
+    });
+
+    this.app.get('/api/replays/:name', (req, res) => {
+      this.handleReplayRequest('export', req.params.name, {}, res);
+    });
+
+    this.app.post('/api/replays/:name', (req, res) => {
+      this.handleReplayRequest('save', req.params.name, req.body, res);
+    });
+
+    this.app.post('/api/replays/:name/play', (req, res) => {
+      this.handleReplayRequest('play', req.params.name, req.body, res);
+    });
+
+    this.app.delete('/api/replays/:name', (req, res) => {
+      this.handleReplayRequest('delete', req.params.name, {}, res);
+    });
+
     // LLM service stats
     this.app.get('/api/llm/stats', (req, res) => {
       res.json(this.llmService.getStats());
@@ -157,22 +327,55 @@ class GameServer {
       res.json(this.llmService.getHistory(limit));
     });
 
+    // Player input (REST variant of the game:input socket event)
+    this.app.post('/api/game/input', (req, res) => {
+      const { clientId, ...input } = req.body || {};
+
+      if (!clientId || typeof clientId !== 'string') {
+        return res.status(400).json({ error: 'clientId must be a non-empty string' });
+      }
+
+      const accepted = this.inputSystem.queueInput(`rest:${clientId}`, input);
+      res.json({ success: true, accepted });
+    });
+
     // Game controls
     this.app.post('/api/game/start', (req, res) => {
       this.gameEngine.start();
+      this.recorder.recordControl('start');
       this.broadcastGameUpdate();
       res.json({ status: 'started' });
     });
 
     this.app.post('/api/game/stop', (req, res) => {
       this.gameEngine.stop();
+      this.recorder.recordControl('stop');
       this.broadcastGameUpdate();
       res.json({ status: 'stopped' });
     });
 
     this.app.post('/api/game/reset', (req, res) => {
-      this.resetGame();
-      res.json({ status: 'reset' });
+      this.resetGame()
+        .then(() => res.json({ status: 'reset' }))
+        .catch(error => res.status(500).json({ error: error.message, type: 'control_error' }));
+    });
+
+    this.app.post('/api/game/step', (req, res) => {
+      try {
+        const steps = this.stepGame(req.body.count ?? 1);
+        res.json({ status: 'stepped', steps, tick: this.gameEngine.tickCount });
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/game/speed', (req, res) => {
+      try {
+        this.setGameSpeed(req.body.timeScale, req.body.duration);
+        res.json({ status: 'updated', timeScale: this.gameEngine.timeScale });
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
     });
 
     // Serve React app for all other routes
@@ -237,19 +440,79 @@ class GameServer {
         }
       });
 
+      // Handle undo/redo of modifications
+      socket.on('game:modification:undo', () => {
+        this.handleUndoRedo('undo', null, socket);
+      });
+
+      socket.on('game:modification:redo', () => {
+        this.handleUndoRedo('redo', null, socket);
+      });
+
+      // Handle saved world requests
+      socket.on('world:list', () => {
+        this.handleWorldRequest('list', null, {}, null, socket);
+      });
+
+      socket.on('world:save', (data = {}) => {
+        this.handleWorldRequest('save', data.name, data, null, socket);
+      });
+
+      socket.on('world:load', (data = {}) => {
+        this.handleWorldRequest('load', data.name, data, null, socket);
+      });
+
+      socket.on('world:delete', (data = {}) => {
+        this.handleWorldRequest('delete', data.name, data, null, socket);
+      });
+
+      // Handle player input (keyboard/mouse state from GameCanvas)
+      socket.on('game:input', (data) => {
+        const client = this.connectedClients.get(clientId);
+        if (client) {
+          client.lastActivity = Date.now();
+        }
+
+        try {
+          this.inputSystem.queueInput(clientId, data);
+        } catch (error) {
+          socket.emit('game:error', { error: error.message, type: 'input_error' });
+        }
+      });
+
       // Handle game control requests
       socket.on('game:start', () => {
         this.gameEngine.start();
+        this.recorder.recordControl('start');
         this.broadcastGameUpdate();
       });
 
       socket.on('game:stop', () => {
         this.gameEngine.stop();
+        this.recorder.recordControl('stop');
         this.broadcastGameUpdate();
       });
 
       socket.on('game:reset', () => {
-        this.resetGame();
+        this.resetGame().catch(error => {
+          socket.emit('game:error', { error: error.message, type: 'control_error' });
+        });
+      });
+
+      socket.on('game:step', (data = {}) => {
+        try {
+          this.stepGame(data.count ?? 1);
+        } catch (error) {
+          socket.emit('game:error', { error: error.message, type: 'control_error' });
+        }
+      });
+
+      socket.on('game:speed', (data = {}) => {
+        try {
+          this.setGameSpeed(data.timeScale, data.duration);
+        } catch (error) {
+          socket.emit('game:error', { error: error.message, type: 'control_error' });
+        }
       });
 
       // Handle ping for connection monitoring
@@ -261,138 +524,283 @@ class GameServer {
       socket.on('disconnect', () => {
         console.log(`Client disconnected: ${clientId}`);
         this.connectedClients.delete(clientId);
+        this.inputSystem.removeClient(clientId);
       });
     });
   }
 
+  /**
+   * Undo or redo the last modification and notify clients
+   * @param {string} action - 'undo' or 'redo'
+   * @param {Response} res - Express response (REST requests)
+   * @param {Socket} socket - Requesting socket (socket requests)
+   */
+  handleUndoRedo(action, res = null, socket = null) {
+    try {
+      const result = action === 'undo'
+        ? this.llmService.undoModification()
+        : this.llmService.redoModification();
+
+      this.recorder.recordUndoRedo(action, result.requestId);
+      this.io.emit('game:modification:history', { ...result, timestamp: Date.now() });
+      this.broadcastGameUpdate();
+
+      if (res) {
+        res.json({ success: true, ...result });
+      }
+    } catch (error) {
+      if (res) {
+        res.status(409).json({ error: error.message, type: `${action}_error` });
+      }
+      if (socket) {
+        socket.emit('game:error', { error: error.message, type: `${action}_error` });
+      }
+    }
+  }
+
+  /**
+   * List, save, load or delete a saved world and notify clients
+   * @param {string} action - 'list', 'save', 'load' or 'delete'
+   * @param {string} name - World name (ignored for 'list')
+   * @param {Object} data - Request data ({ description } for 'save')
+   * @param {Response} res - Express response (REST requests)
+   * @param {Socket} socket - Requesting socket (socket requests)
+   */
+  async handleWorldRequest(action, name, data = {}, res = null, socket = null) {
+    try {
+      if (action === 'list') {
+        const worlds = await this.worldStore.list();
+        if (res) res.json({ worlds });
+        if (socket) socket.emit('world:list', { worlds });
+        return;
+      }
+
+      let result;
+      if (action === 'save') {
+        result = { world: await this.worldStore.save(name, this.gameEngine, { description: data?.description }) };
+        this.io.emit('world:saved', { ...result, timestamp: Date.now() });
+      } else if (action === 'load') {
+        result = { world: await this.worldStore.load(name, this.gameEngine) };
+
+        // Undo history belongs to the world that was just replaced
+        this.llmService.clearUndoHistory();
+        this.recorder.recordControl('load', { replacesWorld: true });
+        this.io.emit('world:loaded', { ...result, timestamp: Date.now() });
+        this.broadcastGameUpdate();
+      } else {
+        await this.worldStore.delete(name);
+        result = { name };
+        this.io.emit('world:deleted', { ...result, timestamp: Date.now() });
+      }
+
+      if (res) {
+        res.status(action === 'save' ? 201 : 200).json({ success: true, ...result });
+      }
+    } catch (error) {
+      const status = {
+        INVALID_WORLD_NAME: 400,
+        WORLD_NOT_FOUND: 404
+      }[error.code] || 500;
+
+      if (res) {
+        res.status(status).json({ error: error.message, type: 'world_error' });
+      }
+      if (socket) {
+        socket.emit('game:error', { error: error.message, type: 'world_error' });
+      }
+    }
+  }
+
+  /**
+   * List, save, export, play or delete a replay
+   * @param {string} action - 'list', 'save', 'export', 'play' or 'delete'
+   * @param {string} name - Replay name (ignored for 'list')
+   * @param {Object} data - Request data ({ description } for 'save')
+   * @param {Response} res - Express response
+   */
+  async handleReplayRequest(action, name, data = {}, res) {
+    try {
+      if (action === 'list') {
+        const replays = await this.replayStore.list();
+        return res.json({ replays, recording: this.recorder.getStatus() });
+      }
+
+      if (action === 'save') {
+        const replay = this.recorder.export();
+        if (!replay) {
+          return res.status(409).json({ error: 'Nothing has been recorded', type: 'replay_error' });
+        }
+        const summary = await this.replayStore.save(name, replay, { description: data?.description });
+        return res.status(201).json({ success: true, replay: summary });
+      }
+
+      if (action === 'export') {
+        const replay = await this.replayStore.read(name);
+        res.attachment(`${name}.replay.json`);
+        return res.json(replay);
+      }
+
+      if (action === 'play') {
+        const result = await this.playReplay(await this.replayStore.read(name));
+        return res.json({ success: true, name, result });
+      }
+
+      await this.replayStore.delete(name);
+      res.json({ success: true, name });
+    } catch (error) {
+      const status = {
+        INVALID_REPLAY_NAME: 400,
+        REPLAY_NOT_FOUND: 404
+      }[error.code] || 500;
+
+      res.status(status).json({ error: error.message, type: 'replay_error' });
+    }
+  }
+
+  /**
+   * Replay a recorded session headlessly on a separate engine (the live game is untouched)
+   * @param {Object} replay - Replay data
+   * @returns {Promise<Object>} - ReplayPlayer result ({ matched } tells if it reproduced the session)
+   */
+  async playReplay(replay) {
+    // Fresh prefabs from the same files, so prefabs defined during the session are defined again by the replay
+    const prefabRegistry = new PrefabRegistry();
+    await this.prefabLoader.loadInto(prefabRegistry);
+
+    const gameEngine = new GameEngine({
+      fixedTimestep: true,
+      tickRate: replay.tickRate,
+      enablePerformanceTracking: false,
+      prefabRegistry
+    });
+    this.addGameSystems(gameEngine, new InputSystem(), new BehaviorSystem());
+    gameEngine.initialize();
+
+    // Recorded code is re-run as-is, so the LLM is never called
+    const llmService = new LLMService(gameEngine, { llmProvider: new MockProvider() });
+    const result = await new ReplayPlayer(gameEngine, { llmService }).play(replay);
+
+    console.log(`▶️ Replayed ${result.ticks} ticks: ${result.matched ? 'matched' : 'did not match'} the recording`);
+    return result;
+  }
+
+  /**
+   * Forward selected event bus topics to all clients as game:event
+   */
+  setupEventForwarding() {
+    for (const pattern of this.forwardedEvents) {
+      this.gameEngine.eventBus.on(pattern, (payload, event) => {
+        try {
+          // Round-trip through JSON so entity references and other non-plain data can't break socket.io
+          this.io.emit('game:event', {
+            topic: event.topic,
+            payload: JSON.parse(JSON.stringify(payload ?? {})),
+            timestamp: event.timestamp
+          });
+        } catch (error) {
+          console.warn(`⚠️ Could not forward event ${event.topic}:`, error.message);
+        }
+      });
+    }
+  }
+
   /**
    * Setup and configure game engine
    */
   setupGameEngine() {
-    // Add core systems
-    this.gameEngine.addSystem(new MovementSystem());
-    
-    // Enable ShooterSystem for full gameplay
-    this.gameEngine.addSystem(new ShooterSystem());
-    console.log('🎮 Full game systems loaded - Movement & Shooting ready!');
+    this.addGameSystems(this.gameEngine, this.inputSystem, this.behaviorSystem);
+    console.log('🎮 Full game systems loaded - Movement, Physics & Shooting ready!');
 
     // Start game loop
     this.gameEngine.initialize();
     
-    // Create some demo entities
-    this.createDemoWorld();
+    // Create some demo entities, then record the session from there
+    this.createDemoWorld().then(() => {
+      if (this.recordSessions) {
+        this.recorder.start({ description: 'Server session' });
+      }
+    }).catch(error => {
+      console.error('❌ Failed to create demo world:', error);
+    });
 
     // Setup periodic updates
     this.setupPeriodicUpdates();
   }
 
+  /**
+   * Add the game's systems to an engine (the live engine or one replaying a session)
+   * @param {GameEngine} gameEngine - Engine to set up
+   * @param {InputSystem} inputSystem - Input system
+   * @param {BehaviorSystem} behaviorSystem - Behavior system
+   */
+  addGameSystems(gameEngine, inputSystem, behaviorSystem) {
+    // Add core systems
+    gameEngine.addSystem(inputSystem);
+    gameEngine.addSystem(new AISystem()); // Enemy formation marching, patrol, chase and flee
+    gameEngine.addSystem(behaviorSystem);
+    gameEngine.addSystem(new ComponentUpdateSystem()); // Input buffering, animations, effects
+
+    // Space Invaders world is top-down: without this the player, enemies and
+    // bullets (affected by friction by default) would all fall at 980 px/s²
+    gameEngine.addSystem(new MovementSystem({ gravity: false }));
+    gameEngine.addSystem(new PhysicsSystem({ gravity: { x: 0, y: 0 } }));
+    gameEngine.addSystem(new CollisionSystem()); // Collider contacts and collision:* events
+    gameEngine.addSystem(new SpatialIndexSystem()); // Proximity queries and bullet collision broad phase
+    
+    // Enable ShooterSystem for full gameplay
+    gameEngine.addSystem(new ShooterSystem());
+    gameEngine.addSystem(new HealthSystem()); // Damage from bullets and contacts, deaths and respawns
+    gameEngine.addSystem(new GameStateSystem()); // Score, lives, level and win/lose state
+  }
+
   /**
    * Create demo world with initial entities
+   * @returns {Promise} - Resolves once the world is built
    */
   createDemoWorld() {
-    // Import components dynamically to avoid circular dependencies
-    import('../engine/components/TransformComponent.js').then(({ TransformComponent }) => {
-      import('../engine/components/RenderComponent.js').then(({ RenderComponent }) => {
-        import('../engine/components/MovementComponent.js').then(({ MovementComponent }) => {
-          import('../engine/components/PlayerControllerComponent.js').then(({ PlayerControllerComponent }) => {
-            import('../engine/components/ShooterControllerComponent.js').then(({ ShooterControllerComponent }) => {
-          
-              // Create Space Invaders style player with default controls
-              const player = this.gameEngine.createEntity('player');
-              player.addComponent(new TransformComponent(400, 550)); // Bottom center
-              player.addComponent(new RenderComponent({
-                color: '#00FF00', // Classic green player ship
-                width: 40,
-                height: 20,
-                shape: 'rectangle'
-              }));
-              player.addComponent(new MovementComponent({ 
-                maxSpeed: 300,
-                friction: 0.1 // Space-like movement
-              }));
-              
-              // Add default WASD controls
-              player.addComponent(new PlayerControllerComponent({
-                moveSpeed: 1.0,
-                keyBindings: {
-                  moveLeft: ['KeyA', 'ArrowLeft'],
-                  moveRight: ['KeyD', 'ArrowRight'],
-                  moveUp: ['KeyW', 'ArrowUp'],
-                  moveDown: ['KeyS', 'ArrowDown']
-                }
-              }));
-              
-              // Add default spacebar shooting
-              player.addComponent(new ShooterControllerComponent({
-                fireRate: 200, // Fast shooting for Space Invaders feel
-                bulletSpeed: 500,
-                shootKeys: ['Space'],
-                autoFire: false,
-                shootDirection: { x: 0, y: -1 }, // Shoot upward
-                bulletOffset: { x: 0, y: -25 }
-              }));
-              
-              player.addTag('player');
-
-              // Create Space Invaders enemy formation (5x3 grid)
-              for (let row = 0; row < 3; row++) {
-                for (let col = 0; col < 5; col++) {
-                  const enemy = this.gameEngine.createEntity(`enemy-${row}-${col}`);
-                  enemy.addComponent(new TransformComponent(
-                    150 + col * 80, // Spaced horizontally 
-                    100 + row * 60  // Stacked vertically
-                  ));
-                  
-                  // Different enemy types by row (like classic Space Invaders)
-                  const enemyTypes = [
-                    { color: '#FF0040', points: 30 }, // Top row: Red (hardest)
-                    { color: '#FFA500', points: 20 }, // Middle row: Orange  
-                    { color: '#FFFF00', points: 10 }  // Bottom row: Yellow (easiest)
-                  ];
-                  
-                  const enemyType = enemyTypes[row];
-                  enemy.addComponent(new RenderComponent({
-                    color: enemyType.color,
-                    width: 30,
-                    height: 20,
-                    shape: 'rectangle'
-                  }));
-                  
-                  enemy.addComponent(new MovementComponent({ 
-                    maxSpeed: 100
-                  }));
-                  enemy.addTag('enemy');
-                  
-                  // Add side-to-side movement (classic Space Invaders pattern)
-                  const movement = enemy.getComponent('MovementComponent');
-                  movement.setVelocity(50, 0); // Move right initially
-                }
-              }
-
-              // Add some barriers/shields (classic Space Invaders feature)
-              for (let i = 0; i < 4; i++) {
-                const barrier = this.gameEngine.createEntity(`barrier-${i}`);
-                barrier.addComponent(new TransformComponent(
-                  100 + i * 200, // Spaced across bottom
-                  450             // Above player
-                ));
-                barrier.addComponent(new RenderComponent({
-                  color: '#00FF00',
-                  width: 60,
-                  height: 40,
-                  shape: 'rectangle'
-                }));
-                barrier.addTag('barrier');
-              }
-
-              console.log('🎮 Space Invaders game world created!');
-              console.log('🎮 Use WASD to move, SPACEBAR to shoot!');
-              
-            });
-          });
+    return this.prefabsLoaded.then(() => this.buildDemoWorld());
+  }
+
+  /**
+   * Spawn the demo world's entities (prefabs must already be loaded)
+   */
+  buildDemoWorld() {
+    // Space Invaders style player with WASD movement and spacebar shooting (bottom center)
+    this.gameEngine.spawn('player', { id: 'player' });
+
+    // Create Space Invaders enemy formation (5x3 grid)
+    // The enemies are children of one formation entity, so moving it moves the whole grid
+    // (its AIComponent marches it sideways and steps it down at the edges)
+    const formation = this.gameEngine.spawn('formation', {
+      id: 'enemy-formation',
+      x: 150,
+      y: 100
+    });
+
+    // Different enemy types by row (like classic Space Invaders): red is hardest
+    const rowPrefabs = ['enemy-red', 'enemy-orange', 'enemy'];
+    for (let row = 0; row < 3; row++) {
+      for (let col = 0; col < 5; col++) {
+        this.gameEngine.spawn(rowPrefabs[row], {
+          id: `enemy-${row}-${col}`,
+          x: col * 80, // Spaced horizontally (relative to the formation)
+          y: row * 60, // Stacked vertically
+          parent: formation
         });
+      }
+    }
+
+    // Add some barriers/shields (classic Space Invaders feature)
+    for (let i = 0; i < 4; i++) {
+      this.gameEngine.spawn('barrier', {
+        id: `barrier-${i}`,
+        x: 100 + i * 200, // Spaced across bottom
+        y: 450            // Above player
       });
-    });
+    }
+
+    console.log('🎮 Space Invaders game world created!');
+    console.log('🎮 Use WASD to move, SPACEBAR to shoot!');
   }
 
   /**
@@ -450,7 +858,12 @@ class GameServer {
   broadcastGameUpdate() {
     const gameState = {
       running: this.gameEngine.running,
+      paused: this.gameEngine.paused,
+      timeScale: this.gameEngine.timeScale,
+      interpolationAlpha: this.gameEngine.getInterpolationAlpha(),
+      gameplay: this.gameEngine.getSystem('GameStateSystem')?.getState() || null,
       entities: this.getSerializableEntities(),
+      tick: this.gameEngine.tickCount,
       timestamp: Date.now()
     };
 
@@ -483,6 +896,8 @@ class GameServer {
       id: entity.id,
       active: entity.active,
       tags: Array.from(entity.tags),
+      parent: entity.parent ? entity.parent.id : null,
+      children: entity.getChildren().map(child => child.id),
       components: this.getSerializableComponents(entity)
     }));
   }
@@ -507,63 +922,68 @@ class GameServer {
    * Extract safe component data for client
    */
   getComponentData(component, type) {
-    switch (type) {
-      case 'TransformComponent':
-        return {
-          position: component.position,
-          rotation: component.rotation,
-          scale: component.scale
-        };
-      
-      case 'RenderComponent':
-        return {
-          visible: component.visible,
-          color: component.color,
-          shape: component.shape,
-          width: component.width,
-          height: component.height,
-          opacity: component.opacity
-        };
-      
-      case 'MovementComponent':
-        return {
-          velocity: component.velocity,
-          maxSpeed: component.maxSpeed,
-          canMove: component.canMove
-        };
-      
-      default:
-        // Return basic properties for unknown components
-        const data = {};
-        for (const key in component) {
-          if (component.hasOwnProperty(key) && 
-              key !== 'entity' && 
-              typeof component[key] !== 'function' &&
-              !key.startsWith('_')) {
-            data[key] = component[key];
-          }
-        }
-        return data;
-    }
+    return this.gameEngine.componentRegistry.serialize(component, type);
   }
 
   /**
    * Reset game to initial state
+   * @returns {Promise} - Resolves once the demo world is rebuilt
    */
-  resetGame() {
+  async resetGame() {
     this.gameEngine.stop();
-    
-    // Clear all entities
-    const entities = this.gameEngine.entityManager.getAllEntities();
-    entities.forEach(entity => {
-      this.gameEngine.destroyEntity(entity.id);
-    });
+    this.gameEngine.setTimeScale(1);
+    this.llmService.clearUndoHistory();
+    this.behaviorSystem.clearBehaviors();
+    this.gameEngine.getSystem('GameStateSystem')?.reset();
+    this.gameEngine.componentRegistry.restoreRegistrations(new Map()); // Drop components defined by generated code
 
-    // Recreate demo world
-    setTimeout(() => {
-      this.createDemoWorld();
-      this.broadcastGameUpdate();
-    }, 100);
+    try {
+      await this.prefabsLoaded;
+
+      // Remove all entities now (a stopped engine never processes its destroy queue),
+      // in the same step as the rebuild so overlapping resets can't collide
+      const entityManager = this.gameEngine.entityManager;
+      entityManager.getAllEntities().forEach(entity => {
+        entityManager.destroyEntity(entity.id);
+      });
+      entityManager.processDestroyQueue();
+
+      // Recreate demo world
+      this.buildDemoWorld();
+    } catch (error) {
+      console.error('❌ Failed to reset game:', error);
+      throw error;
+    }
+
+    this.recorder.recordControl('reset', { replacesWorld: true });
+    this.broadcastGameUpdate();
+  }
+
+  /**
+   * Step the simulation frame by frame (pauses a running game)
+   * @param {number} count - Frames to step
+   * @returns {number} - Steps run
+   */
+  stepGame(count) {
+    if (!Number.isInteger(count) || count < 1 || count > MAX_STEP_COUNT) {
+      throw new Error(`Step count must be a whole number between 1 and ${MAX_STEP_COUNT}`);
+    }
+
+    const steps = this.gameEngine.step(count);
+    this.recorder.recordControl('step', { args: { count } });
+    this.broadcastGameUpdate();
+    return steps;
+  }
+
+  /**
+   * Change the simulation speed
+   * @param {number} timeScale - Time scale (1 is normal speed)
+   * @param {number} duration - Optional real milliseconds before the previous speed returns
+   */
+  setGameSpeed(timeScale, duration) {
+    this.gameEngine.setTimeScale(timeScale, duration === undefined ? {} : { duration });
+    this.recorder.recordControl('timeScale', { args: { timeScale, duration } });
+    this.broadcastGameUpdate();
   }
 
   // LLM Service event handlers
@@ -576,6 +996,8 @@ class GameServer {
   }
 
   handleModificationComplete(requestId, result) {
+    this.recorder.recordModification(result);
+
     this.io.emit('game:modification:complete', {
       requestId,
       result,
@@ -614,7 +1036,7 @@ class GameServer {
       this.server.listen(this.port, () => {
         console.log(`🚀 Game Server running on port ${this.port}`);
         console.log(`🎮 Game Engine: ${this.gameEngine.running ? 'Running' : 'Stopped'}`);
-        console.log(`🤖 LLM Service: Ready`);
+        console.log(`🤖 LLM Service: Ready (${this.llmService.llmProvider.name}, ${this.llmService.llmProvider.model})`);
         console.log(`🌐 Web Interface: http://localhost:${this.port}`);
         
         if (this.isDevelopment) {
@@ -648,15 +1070,17 @@ class GameServer {
   }
 }
 
-// Create and start server
-const server = new GameServer();
+// Create and start the server when run directly (tests import GameServer)
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  const server = new GameServer();
 
-// Handle graceful shutdown
-process.on('SIGTERM', () => server.shutdown());
-process.on('SIGINT', () => server.shutdown());
+  // Handle graceful shutdown
+  process.on('SIGTERM', () => server.shutdown());
+  process.on('SIGINT', () => server.shutdown());
 
-// Start server
-server.start().catch(error => {
-  console.error('Failed to start server:', error);
-  process.exit(1);
-}); 
\ No newline at end of file
+  // Start server
+  server.start().catch(error => {
+    console.error('Failed to start server:', error);
+    process.exit(1);
+  });
+} 
\ No newline at end of file